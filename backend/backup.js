@@ -0,0 +1,186 @@
+#!/usr/bin/env node
+
+import dotenv from 'dotenv';
+import fs from 'fs/promises';
+import path from 'path';
+import { database, initializeDatabase } from './config/database.js';
+import { initializeDocker } from './config/docker.js';
+import { BackupService, BACKUP_SECTIONS } from './services/backupService.js';
+import { Helpers } from './utils/helpers.js';
+
+dotenv.config();
+
+const USAGE = `Usage: node backup.js <command> [options]
+
+Commands:
+  create                  Write a platform backup to BACKUP_DIR (default ./backups)
+  list                    List platform backups
+  restore <file>          Restore from an archive path or a backup name
+
+Options:
+  --sections <list>       Comma-separated: ${Object.keys(BACKUP_SECTIONS).join(', ')} (default: all)
+  --dry-run               restore: only validate the archive
+  --no-relink             restore: keep Docker IDs from the archive as they are
+
+Stop the server before restoring: it keeps running against the old data.`;
+
+class BackupCommand {
+  constructor(argv) {
+    const args = [...argv];
+    this.command = args.shift();
+    this.options = { dryRun: false, relink: true };
+
+    if (!['create', 'list', 'restore'].includes(this.command)) {
+      throw new Error(this.command ? `Unknown command: ${this.command}` : 'Missing command');
+    }
+
+    if (this.command === 'restore') {
+      this.archive = args.shift();
+      if (!this.archive || this.archive.startsWith('--')) {
+        throw new Error('restore expects an archive path or backup name');
+      }
+    }
+
+    while (args.length > 0) {
+      const arg = args.shift();
+
+      if (arg === '--dry-run') {
+        this.options.dryRun = true;
+      } else if (arg === '--no-relink') {
+        this.options.relink = false;
+      } else if (arg === '--sections') {
+        this.options.sections = BackupService.parseSections(args.shift());
+      } else {
+        throw new Error(`Unknown option: ${arg}`);
+      }
+    }
+  }
+
+  async run() {
+    await initializeDatabase();
+
+    try {
+      switch (this.command) {
+        case 'create':
+          await this.create();
+          break;
+
+        case 'list':
+          await this.list();
+          break;
+
+        case 'restore':
+          await this.restore();
+          break;
+      }
+    } finally {
+      await database.close();
+    }
+  }
+
+  async create() {
+    console.log('💾 Creating platform backup...');
+    const backup = await BackupService.create({ sections: this.options.sections, createdBy: 'cli' });
+
+    for (const [table, count] of Object.entries(backup.manifest.tables)) {
+      console.log(`  ${table.padEnd(24)} ${count} row(s)`);
+    }
+
+    console.log(`\n✅ Backup written to ${backup.path} (${Helpers.formatBytes(backup.size)})`);
+  }
+
+  async list() {
+    const backups = await BackupService.list();
+
+    if (backups.length === 0) {
+      console.log(`No backups in ${BackupService.getBackupDir()}`);
+      return;
+    }
+
+    for (const backup of backups) {
+      console.log(`  ${backup.name.padEnd(56)} ${Helpers.formatBytes(backup.size).padStart(10)}  ${backup.created_at}`);
+    }
+  }
+
+  async restore() {
+    // A bare name refers to BACKUP_DIR, anything else is a path
+    const archivePath = path.basename(this.archive) === this.archive && !(await this.exists(this.archive))
+      ? BackupService.resolvePath(this.archive)
+      : path.resolve(this.archive);
+
+    if (this.options.relink && !this.options.dryRun) {
+      try {
+        await initializeDocker();
+      } catch (error) {
+        console.warn(`⚠️  Docker not available, containers will not be relinked: ${error.message}`);
+      }
+    }
+
+    console.log(`${this.options.dryRun ? '🔍 Validating' : '♻️  Restoring'} ${archivePath}...`);
+    const result = await BackupService.restore(archivePath, { ...this.options, restoredBy: 'cli' });
+
+    console.log(`  Backup of ${result.manifest.created_at} (${result.manifest.database_type}, schema ${result.manifest.schema_version})`);
+
+    if (!result.valid) {
+      result.errors.forEach(error => console.error(`  ❌ ${error}`));
+      throw new Error('Backup archive failed validation');
+    }
+
+    for (const [table, count] of Object.entries(result.tables)) {
+      console.log(`  ${table.padEnd(24)} ${count} row(s)`);
+    }
+
+    if (result.dry_run) {
+      console.log('\n✅ Archive is valid, nothing was changed');
+      return;
+    }
+
+    console.log(`\n💾 Previous state saved as ${result.pre_restore_backup}`);
+    if (result.sessions_revoked) {
+      console.log(`🔒 Sessions and API tokens revoked for ${result.sessions_revoked} reassigned user id(s)`);
+    }
+    if (result.relink) {
+      console.log(result.relink.skipped
+        ? `⚠️  Containers not relinked: ${result.relink.reason}`
+        : `🐳 Containers: ${result.relink.linked} linked, ${result.relink.relinked} relinked, ${result.relink.unlinked} without a Docker container`);
+    }
+    console.log('✅ Restore completed');
+  }
+
+  async exists(filePath) {
+    try {
+      await fs.access(filePath);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const args = process.argv.slice(2);
+
+  if (args.length === 0 || args.includes('--help') || args.includes('-h')) {
+    console.log(USAGE);
+  } else {
+    let command;
+
+    try {
+      command = new BackupCommand(args);
+    } catch (error) {
+      console.error(`❌ ${error.message}\n`);
+      console.log(USAGE);
+      process.exit(1);
+    }
+
+    try {
+      await command.run();
+    } catch (error) {
+      console.error('❌ Backup failed:', error.message);
+      process.exit(1);
+    }
+  }
+}
+
+export default BackupCommand;
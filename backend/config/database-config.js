@@ -1,30 +1,34 @@
 // Database configuration selector
-import { initializeDatabase as initializeSQLite } from './database.js';
-import { initializeMySQLDatabase } from './database-mysql.js';
-import { initializePostgreSQLDatabase } from './database-postgresql.js';
+import { SQLiteAdapter } from './database-sqlite.js';
+import { MySQLAdapter } from './database-mysql.js';
+import { PostgreSQLAdapter } from './database-postgresql.js';
 
-const DATABASE_TYPE = process.env.DATABASE_TYPE || 'sqlite';
+export function getDatabaseType() {
+  const type = (process.env.DATABASE_TYPE || 'sqlite').toLowerCase();
+  return type === 'postgres' ? 'postgresql' : type;
+}
 
-export async function initializeDatabaseByType() {
-  console.log(`🔧 Initializing ${DATABASE_TYPE.toUpperCase()} database...`);
-  
-  switch (DATABASE_TYPE.toLowerCase()) {
+// Adapter for DATABASE_TYPE; config/database.js runs every query through it
+export function createDatabaseAdapter(type = getDatabaseType(), config = getDatabaseConfig()) {
+  switch (type) {
     case 'mysql':
-      return await initializeMySQLDatabase();
-    
+      return new MySQLAdapter(config);
+
     case 'postgresql':
     case 'postgres':
-      return await initializePostgreSQLDatabase();
-    
+      return new PostgreSQLAdapter(config);
+
     case 'sqlite':
+      return new SQLiteAdapter(config);
+
     default:
-      return await initializeSQLite();
+      throw new Error(`Unsupported DATABASE_TYPE: ${type} (use sqlite, mysql or postgresql)`);
   }
 }
 
 export function getDatabaseConfig() {
   const config = {
-    type: DATABASE_TYPE,
+    type: getDatabaseType(),
     host: process.env.DB_HOST,
     port: process.env.DB_PORT,
     user: process.env.DB_USER,
@@ -44,19 +48,19 @@ export function getDatabaseConfig() {
 }
 
 export function validateDatabaseConfig() {
-  const type = DATABASE_TYPE.toLowerCase();
-  
-  if (type === 'mysql' || type === 'postgresql' || type === 'postgres') {
+  const type = getDatabaseType();
+
+  if (type === 'mysql' || type === 'postgresql') {
     const required = ['DB_HOST', 'DB_USER', 'DB_PASSWORD', 'DB_NAME'];
     const missing = required.filter(env => !process.env[env]);
-    
+
     if (missing.length > 0) {
       throw new Error(`Missing required environment variables for ${type}: ${missing.join(', ')}`);
     }
   }
-  
+
   console.log(`✅ Database configuration validated for ${type}`);
   return true;
 }
 
-export default initializeDatabaseByType;
+export default createDatabaseAdapter;
@@ -0,0 +1,88 @@
+// Helpers for rewriting migration DDL (written for SQLite)
+// into another dialect. Adapters only decide how a single column maps.
+
+// Split on commas that are not inside parentheses
+const splitTopLevel = (text) => {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+
+  for (const char of text) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+
+    if (char === ',' && depth === 0) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  parts.push(current);
+  return parts.map(part => part.trim()).filter(Boolean);
+};
+
+const TABLE_CONSTRAINT = /^(PRIMARY KEY|UNIQUE|CHECK|CONSTRAINT|FOREIGN KEY)\b/i;
+
+const parseCreateTable = (sql) => {
+  // Comments go first, they may contain commas
+  const match = /^\s*CREATE TABLE IF NOT EXISTS (\w+)\s*\(([\s\S]*)\)\s*$/i.exec(sql.replace(/--[^\n]*/g, ''));
+  if (!match) {
+    throw new Error(`Unsupported table definition: ${sql.slice(0, 60)}`);
+  }
+
+  return { table: match[1], items: splitTopLevel(match[2]) };
+};
+
+const listColumns = (constraint) => {
+  const match = /\(([^)]+)\)/.exec(constraint);
+  return match ? match[1].split(',').map(column => column.trim()) : [];
+};
+
+// "table.column" for every column that is part of a primary key, a UNIQUE
+// constraint or an index. MySQL cannot index plain TEXT columns.
+export const collectKeyColumns = (tables, indexes) => {
+  const keys = new Set();
+
+  for (const sql of tables) {
+    const { table, items } = parseCreateTable(sql);
+
+    for (const item of items) {
+      if (/^(PRIMARY KEY|UNIQUE)\b/i.test(item)) {
+        listColumns(item).forEach(column => keys.add(`${table}.${column}`));
+      } else if (!TABLE_CONSTRAINT.test(item) && /\b(PRIMARY KEY|UNIQUE)\b/i.test(item)) {
+        keys.add(`${table}.${item.split(/\s+/)[0]}`);
+      }
+    }
+  }
+
+  for (const sql of indexes) {
+    const match = /\bON (\w+)\s*(\([^)]+\))/i.exec(sql);
+    if (match) {
+      listColumns(match[2]).forEach(column => keys.add(`${match[1]}.${column}`));
+    }
+  }
+
+  return keys;
+};
+
+// Rebuild a CREATE TABLE statement with every column passed through
+// mapColumn(table, column, definition). Foreign keys are dropped: SQLite runs
+// without foreign key enforcement and the models remove dependent rows
+// themselves (Container.delete, User.delete, Stack.delete, ...), so other
+// dialects must not start rejecting or cascading those deletes.
+export const rewriteCreateTable = (sql, mapColumn) => {
+  const { table, items } = parseCreateTable(sql);
+
+  const definitions = items
+    .filter(item => !/^FOREIGN KEY\b/i.test(item))
+    .map(item => {
+      if (TABLE_CONSTRAINT.test(item)) return item;
+
+      const [, column, definition] = /^(\w+)\s+([\s\S]+)$/.exec(item);
+      return `${column} ${mapColumn(table, column, definition)}`;
+    });
+
+  return `CREATE TABLE IF NOT EXISTS ${table} (\n  ${definitions.join(',\n  ')}\n)`;
+};
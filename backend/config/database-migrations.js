@@ -0,0 +1,240 @@
+import { readdir } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { collectKeyColumns } from './database-ddl.js';
+
+const MIGRATIONS_DIR = fileURLToPath(new URL('../migrations/', import.meta.url));
+
+// 001_baseline.js, 002_add_container_labels.js, ...
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.js$/;
+
+const MIGRATIONS_TABLE = `CREATE TABLE IF NOT EXISTS schema_migrations (
+  version INTEGER PRIMARY KEY,
+  name TEXT NOT NULL,
+  applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+)`;
+
+// What a migration's up(schema) and down(schema) receive. DDL is written in
+// SQLite's dialect and translated by the adapter; none of the supported
+// databases can roll back DDL reliably, so every helper is safe to re-run and
+// a migration that fails halfway can simply be run again once fixed.
+class MigrationSchema {
+  constructor(database, { dryRun = false } = {}) {
+    this.database = database;
+    this.adapter = database.adapter;
+    this.dryRun = dryRun;
+  }
+
+  // Statements that change data or schema; printed instead of run in a dry run
+  async run(sql, params = []) {
+    if (this.dryRun) {
+      console.log(`   ${sql.replace(/\s+/g, ' ').trim()}${params.length ? ` -- ${JSON.stringify(params)}` : ''}`);
+      return { id: null, changes: 0 };
+    }
+    return this.database.run(sql, params);
+  }
+
+  async get(sql, params = []) {
+    return this.database.get(sql, params);
+  }
+
+  async all(sql, params = []) {
+    return this.database.all(sql, params);
+  }
+
+  async hasTable(table) {
+    return (await this.adapter.listColumns(table)).length > 0;
+  }
+
+  async hasColumn(table, column) {
+    return (await this.adapter.listColumns(table)).includes(column);
+  }
+
+  // Pass the indexes that will be created on the table so MySQL gives those
+  // TEXT columns a fixed length
+  async createTable(sql, { indexes = [] } = {}) {
+    const keyColumns = collectKeyColumns([sql], indexes);
+    await this.run(this.adapter.translateTable(sql, keyColumns));
+  }
+
+  async dropTable(table) {
+    await this.run(`DROP TABLE IF EXISTS ${table}`);
+  }
+
+  async addColumn(table, column, definition, { indexes = [] } = {}) {
+    if (await this.hasColumn(table, column)) return;
+
+    const keyColumns = collectKeyColumns([], indexes);
+    const type = this.adapter.translateColumn(table, column, definition, keyColumns);
+    await this.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`);
+  }
+
+  async dropColumn(table, column) {
+    if (!(await this.hasColumn(table, column))) return;
+
+    await this.run(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+  }
+
+  async createIndex(sql) {
+    try {
+      await this.run(this.adapter.translateIndex(sql));
+    } catch (error) {
+      if (!this.adapter.isDuplicateObjectError(error)) {
+        throw error;
+      }
+    }
+  }
+
+  async dropIndex(name, table) {
+    try {
+      await this.run(this.adapter.dropIndexSql(name, table));
+    } catch (error) {
+      if (!this.adapter.isMissingObjectError(error)) {
+        throw error;
+      }
+    }
+  }
+}
+
+// Applies the numbered files in migrations/ in order and records each one in
+// schema_migrations. Takes the database facade as an argument so this module
+// does not import config/database.js, which runs it on startup.
+class Migrator {
+  constructor(database, directory = MIGRATIONS_DIR) {
+    this.database = database;
+    this.directory = directory;
+  }
+
+  async load() {
+    const files = (await readdir(this.directory)).filter(file => MIGRATION_FILE.test(file));
+    const migrations = [];
+
+    for (const file of files) {
+      const [, version, name] = MIGRATION_FILE.exec(file);
+      const module = await import(pathToFileURL(path.join(this.directory, file)).href);
+
+      if (typeof module.up !== 'function' || typeof module.down !== 'function') {
+        throw new Error(`Migration ${file} must export up() and down()`);
+      }
+
+      const duplicate = migrations.find(migration => migration.version === parseInt(version, 10));
+      if (duplicate) {
+        throw new Error(`Migrations ${duplicate.file} and ${file} share version ${duplicate.version}`);
+      }
+
+      migrations.push({
+        version: parseInt(version, 10),
+        name,
+        file,
+        description: module.description || name,
+        up: module.up,
+        down: module.down
+      });
+    }
+
+    return migrations.sort((a, b) => a.version - b.version);
+  }
+
+  async ensureTable() {
+    const adapter = this.database.adapter;
+    await this.database.run(adapter.translateTable(MIGRATIONS_TABLE, collectKeyColumns([MIGRATIONS_TABLE], [])));
+  }
+
+  async applied() {
+    const columns = await this.database.adapter.listColumns('schema_migrations');
+    if (columns.length === 0) return [];
+
+    return this.database.all('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+  }
+
+  // Every known migration with its applied_at (null when pending), plus
+  // versions recorded in the database whose file no longer exists
+  async status() {
+    const [migrations, applied] = await Promise.all([this.load(), this.applied()]);
+    const appliedByVersion = new Map(applied.map(row => [row.version, row]));
+
+    const rows = migrations.map(migration => ({
+      version: migration.version,
+      name: migration.name,
+      description: migration.description,
+      applied_at: appliedByVersion.get(migration.version)?.applied_at || null
+    }));
+
+    const missing = applied
+      .filter(row => !migrations.some(migration => migration.version === row.version))
+      .map(row => ({ ...row, description: null, missing: true }));
+
+    return [...rows, ...missing].sort((a, b) => a.version - b.version);
+  }
+
+  // Apply pending migrations up to and including version `to` (default: all)
+  async up({ to = Infinity, dryRun = false } = {}) {
+    const migrations = await this.load();
+    const applied = new Set((await this.applied()).map(row => row.version));
+    const pending = migrations.filter(migration => !applied.has(migration.version) && migration.version <= to);
+
+    if (pending.length === 0) {
+      return [];
+    }
+
+    if (!dryRun) {
+      await this.ensureTable();
+    }
+
+    const schema = new MigrationSchema(this.database, { dryRun });
+
+    for (const migration of pending) {
+      console.log(`${dryRun ? '🔍 Would apply' : '⬆️  Applying'} migration ${migration.file}`);
+
+      try {
+        await migration.up(schema);
+      } catch (error) {
+        console.error(`❌ Migration ${migration.file} failed:`, error);
+        throw error;
+      }
+
+      await schema.run(
+        'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+        [migration.version, migration.name]
+      );
+    }
+
+    return pending;
+  }
+
+  // Revert applied migrations newest first: the last `steps`, or every one
+  // above version `to` when given
+  async down({ to, steps = 1, dryRun = false } = {}) {
+    const migrations = await this.load();
+    const applied = (await this.applied()).map(row => row.version).sort((a, b) => b - a);
+
+    const versions = to === undefined ? applied.slice(0, steps) : applied.filter(version => version > to);
+    const schema = new MigrationSchema(this.database, { dryRun });
+    const reverted = [];
+
+    for (const version of versions) {
+      const migration = migrations.find(candidate => candidate.version === version);
+      if (!migration) {
+        throw new Error(`Migration ${version} is applied but its file is missing from ${this.directory}`);
+      }
+
+      console.log(`${dryRun ? '🔍 Would revert' : '⬇️  Reverting'} migration ${migration.file}`);
+
+      try {
+        await migration.down(schema);
+      } catch (error) {
+        console.error(`❌ Reverting ${migration.file} failed:`, error);
+        throw error;
+      }
+
+      await schema.run('DELETE FROM schema_migrations WHERE version = ?', [version]);
+
+      reverted.push(migration);
+    }
+
+    return reverted;
+  }
+}
+
+export { Migrator, MigrationSchema, MIGRATIONS_DIR };
+export default Migrator;
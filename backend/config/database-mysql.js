@@ -1,256 +1,174 @@
-import mysql from 'mysql2/promise';
-import { promisify } from 'util';
-
-class MySQLDatabase {
-  constructor() {
-    this.connection = null;
+import { rewriteCreateTable } from './database-ddl.js';
+
+// MySQL adapter (DATABASE_TYPE=mysql). Timestamps are read and written as
+// "YYYY-MM-DD HH:MM:SS" strings in UTC, like SQLite's CURRENT_TIMESTAMP.
+class MySQLAdapter {
+  constructor(config = {}) {
+    this.name = 'mysql';
+    this.pool = null;
     this.config = {
-      host: process.env.DB_HOST || 'localhost',
-      port: process.env.DB_PORT || 3306,
-      user: process.env.DB_USER || 'root',
-      password: process.env.DB_PASSWORD || '',
-      database: process.env.DB_NAME || 'container_manager',
+      host: config.host || process.env.DB_HOST || 'localhost',
+      port: config.port || process.env.DB_PORT || 3306,
+      user: config.user || process.env.DB_USER || 'root',
+      password: config.password ?? process.env.DB_PASSWORD ?? '',
+      database: config.database || process.env.DB_NAME || 'container_manager',
       charset: 'utf8mb4',
-      timezone: '+00:00',
-      acquireTimeout: 60000,
-      timeout: 60000,
-      reconnect: true
+      timezone: 'Z',
+      dateStrings: true,
+      decimalNumbers: true,
+      connectionLimit: 10
     };
   }
 
   async connect() {
     try {
-      this.connection = await mysql.createConnection(this.config);
-      console.log('✅ Connected to MySQL database');
-      
+      const { default: mysql } = await import('mysql2/promise');
+
+      await this.createDatabase(mysql);
+
+      this.pool = mysql.createPool(this.config);
+      this.pool.on('connection', (connection) => {
+        connection.query("SET time_zone = '+00:00'");
+      });
+
       // Test connection
-      await this.connection.ping();
-      console.log('✅ MySQL connection is alive');
-      
-      return this.connection;
+      const connection = await this.pool.getConnection();
+      await connection.ping();
+      connection.release();
+
+      console.log('✅ Connected to MySQL database');
     } catch (error) {
       console.error('❌ Error connecting to MySQL:', error);
       throw error;
     }
   }
 
-  async query(sql, params = []) {
-    try {
-      const [rows] = await this.connection.execute(sql, params);
-      return rows;
-    } catch (error) {
-      console.error('❌ MySQL Query Error:', error);
-      throw error;
-    }
-  }
+  async createDatabase(mysql) {
+    // Connect without database first
+    const tempConnection = await mysql.createConnection({
+      host: this.config.host,
+      port: this.config.port,
+      user: this.config.user,
+      password: this.config.password
+    });
 
-  async run(sql, params = []) {
     try {
-      const [result] = await this.connection.execute(sql, params);
-      return {
-        id: result.insertId,
-        changes: result.affectedRows,
-        result
-      };
-    } catch (error) {
-      console.error('❌ MySQL Run Error:', error);
-      throw error;
+      // Binary collation keeps comparisons case-sensitive, as in SQLite
+      await tempConnection.query(`CREATE DATABASE IF NOT EXISTS \`${this.config.database}\` CHARACTER SET utf8mb4 COLLATE utf8mb4_bin`);
+      console.log(`✅ Database '${this.config.database}' created/verified`);
+    } finally {
+      await tempConnection.end();
     }
   }
 
-  async get(sql, params = []) {
-    try {
-      const [rows] = await this.connection.execute(sql, params);
-      return rows[0] || null;
-    } catch (error) {
-      console.error('❌ MySQL Get Error:', error);
-      throw error;
-    }
-  }
+  async query(sql, params = []) {
+    const [result] = await this.pool.query(sql, params);
 
-  async all(sql, params = []) {
-    try {
-      const [rows] = await this.connection.execute(sql, params);
-      return rows;
-    } catch (error) {
-      console.error('❌ MySQL All Error:', error);
-      throw error;
+    if (Array.isArray(result)) {
+      return { rows: result, id: null, changes: 0 };
     }
+
+    return { rows: [], id: result.insertId || null, changes: result.affectedRows };
   }
 
   async close() {
-    if (this.connection) {
-      await this.connection.end();
-      console.log('✅ MySQL connection closed');
+    if (this.pool) {
+      await this.pool.end();
+      console.log('✅ MySQL connection pool closed');
     }
   }
 
-  async createDatabase() {
-    try {
-      // Connect without database first
-      const tempConnection = await mysql.createConnection({
-        host: this.config.host,
-        port: this.config.port,
-        user: this.config.user,
-        password: this.config.password
-      });
+  // callback(adapter) runs on one pooled connection between START TRANSACTION
+  // and COMMIT, or is rolled back when it throws. DDL commits implicitly in
+  // MySQL, so only use it for data changes.
+  async transaction(callback) {
+    const connection = await this.pool.getConnection();
+    const scoped = Object.assign(Object.create(this), { pool: connection });
 
-      // Create database if not exists
-      await tempConnection.execute(`CREATE DATABASE IF NOT EXISTS \`${this.config.database}\` CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci`);
-      console.log(`✅ Database '${this.config.database}' created/verified`);
-      
-      await tempConnection.end();
+    try {
+      await connection.query('START TRANSACTION');
+      const result = await callback(scoped);
+      await connection.query('COMMIT');
+      return result;
     } catch (error) {
-      console.error('❌ Error creating database:', error);
+      await connection.query('ROLLBACK');
       throw error;
+    } finally {
+      connection.release();
     }
   }
 
-  async createTables() {
-    const tables = [
-      // Users table
-      `CREATE TABLE IF NOT EXISTS users (
-        id INT AUTO_INCREMENT PRIMARY KEY,
-        username VARCHAR(255) UNIQUE NOT NULL,
-        password_hash VARCHAR(255) NOT NULL,
-        email VARCHAR(255),
-        role ENUM('admin', 'user') DEFAULT 'user',
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-        INDEX idx_username (username),
-        INDEX idx_role (role)
-      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+  async listColumns(table) {
+    const { rows } = await this.query(
+      'SELECT COLUMN_NAME AS name FROM information_schema.columns WHERE table_schema = DATABASE() AND table_name = ?',
+      [table]
+    );
+    return rows.map(column => column.name);
+  }
 
-      // Containers table
-      `CREATE TABLE IF NOT EXISTS containers (
-        id VARCHAR(255) PRIMARY KEY,
-        name VARCHAR(255) NOT NULL,
-        docker_id VARCHAR(255) UNIQUE,
-        image VARCHAR(255) NOT NULL,
-        status ENUM('running', 'stopped', 'paused', 'restarting', 'removing', 'dead', 'created', 'exited') DEFAULT 'stopped',
-        folder_path TEXT,
-        startup_script TEXT,
-        port_mappings JSON,
-        environment_vars JSON,
-        created_by INT,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-        FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
-        INDEX idx_status (status),
-        INDEX idx_created_by (created_by),
-        INDEX idx_docker_id (docker_id)
-      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+  translateTable(sql, keyColumns) {
+    const table = rewriteCreateTable(sql, (name, column, definition) =>
+      this.translateColumn(name, column, definition, keyColumns)
+    );
+    return `${table} ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_bin`;
+  }
 
-      // Container logs table
-      `CREATE TABLE IF NOT EXISTS container_logs (
-        id BIGINT AUTO_INCREMENT PRIMARY KEY,
-        container_id VARCHAR(255) NOT NULL,
-        log_content TEXT NOT NULL,
-        log_type ENUM('info', 'error', 'warning', 'debug') DEFAULT 'info',
-        timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (container_id) REFERENCES containers(id) ON DELETE CASCADE,
-        INDEX idx_container_id (container_id),
-        INDEX idx_timestamp (timestamp),
-        INDEX idx_log_type (log_type)
-      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+  // Indexed TEXT columns and TEXT columns with a default need a fixed length
+  translateColumn(table, column, definition, keyColumns) {
+    const fixedLength = keyColumns.has(`${table}.${column}`) || /\b(PRIMARY KEY|UNIQUE|DEFAULT)\b/i.test(definition);
 
-      // Container settings table
-      `CREATE TABLE IF NOT EXISTS container_settings (
-        id INT AUTO_INCREMENT PRIMARY KEY,
-        container_id VARCHAR(255) NOT NULL UNIQUE,
-        cloudflare_token VARCHAR(500),
-        tunnel_enabled BOOLEAN DEFAULT FALSE,
-        tunnel_url VARCHAR(500),
-        auto_restart BOOLEAN DEFAULT TRUE,
-        max_memory VARCHAR(50),
-        max_cpu VARCHAR(50),
-        settings_json JSON,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-        FOREIGN KEY (container_id) REFERENCES containers(id) ON DELETE CASCADE,
-        INDEX idx_container_id (container_id)
-      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+    return definition
+      .replace(/^INTEGER PRIMARY KEY AUTOINCREMENT\b/i, 'BIGINT AUTO_INCREMENT PRIMARY KEY')
+      .replace(/^INTEGER\b/i, 'BIGINT')
+      .replace(/^REAL\b/i, 'DOUBLE')
+      .replace(/^TEXT\b/i, fixedLength ? 'VARCHAR(255)' : 'MEDIUMTEXT');
+  }
 
-      // Sessions table for JWT blacklisting
-      `CREATE TABLE IF NOT EXISTS sessions (
-        id BIGINT AUTO_INCREMENT PRIMARY KEY,
-        user_id INT NOT NULL,
-        token_hash VARCHAR(255) NOT NULL,
-        expires_at TIMESTAMP NOT NULL,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
-        INDEX idx_user_id (user_id),
-        INDEX idx_expires_at (expires_at),
-        INDEX idx_token_hash (token_hash)
-      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+  // MySQL has no CREATE INDEX IF NOT EXISTS; duplicates are skipped by isDuplicateObjectError
+  translateIndex(sql) {
+    return sql.replace(/\s+IF NOT EXISTS/i, '');
+  }
 
-      // System settings table
-      `CREATE TABLE IF NOT EXISTS system_settings (
-        id INT AUTO_INCREMENT PRIMARY KEY,
-        setting_key VARCHAR(255) UNIQUE NOT NULL,
-        setting_value TEXT,
-        description TEXT,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-        INDEX idx_setting_key (setting_key)
-      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`
-    ];
+  // No DROP INDEX IF EXISTS either; see isMissingObjectError
+  dropIndexSql(name, table) {
+    return `DROP INDEX ${name} ON ${table}`;
+  }
 
-    for (const table of tables) {
-      await this.run(table);
-    }
+  upsertSql(table, columns, conflictColumns, updateColumns) {
+    return `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})
+      ON DUPLICATE KEY UPDATE
+      ${updateColumns.map(column => `${column} = VALUES(${column})`).join(', ')}`;
+  }
 
-    console.log('✅ MySQL database tables created/verified');
+  epoch(expression) {
+    return `UNIX_TIMESTAMP(${expression})`;
   }
 
-  async seedDefaultData() {
-    // Check if admin user exists
-    const adminUser = await this.get('SELECT id FROM users WHERE username = ?', ['admin']);
-    
-    if (!adminUser) {
-      // Create default admin user (password: admin123)
-      const bcrypt = await import('bcryptjs');
-      const hashedPassword = await bcrypt.default.hash('admin123', 12);
-      
-      await this.run(
-        'INSERT INTO users (username, password_hash, email, role) VALUES (?, ?, ?, ?)',
-        ['admin', hashedPassword, 'admin@localhost', 'admin']
-      );
+  fromEpoch(expression) {
+    return `FROM_UNIXTIME(${expression})`;
+  }
 
-      console.log('✅ Default admin user created (username: admin, password: admin123)');
-    }
+  intDiv(dividend, divisor) {
+    return `(${dividend} DIV ${divisor})`;
+  }
 
-    // Insert default system settings
-    const defaultSettings = [
-      ['max_containers', '50', 'Maximum number of containers allowed'],
-      ['default_memory_limit', '512m', 'Default memory limit for containers'],
-      ['default_cpu_limit', '1', 'Default CPU limit for containers'],
-      ['log_retention_days', '30', 'Number of days to retain container logs']
-    ];
+  // AUTO_INCREMENT already continues after the highest id
+  resetSequenceSql() {
+    return null;
+  }
 
-    for (const [key, value, description] of defaultSettings) {
-      const existing = await this.get('SELECT id FROM system_settings WHERE setting_key = ?', [key]);
-      if (!existing) {
-        await this.run(
-          'INSERT INTO system_settings (setting_key, setting_value, description) VALUES (?, ?, ?)',
-          [key, value, description]
-        );
-      }
-    }
+  isConstraintError(error) {
+    return ['ER_DUP_ENTRY', 'ER_BAD_NULL_ERROR', 'ER_NO_REFERENCED_ROW_2', 'ER_ROW_IS_REFERENCED_2'].includes(error.code);
+  }
 
-    console.log('✅ Default system settings created');
+  isDuplicateObjectError(error) {
+    return ['ER_DUP_KEYNAME', 'ER_DUP_FIELDNAME'].includes(error.code);
   }
-}
 
-// Initialize MySQL Database
-export async function initializeMySQLDatabase() {
-  const database = new MySQLDatabase();
-  await database.createDatabase();
-  await database.connect();
-  await database.createTables();
-  await database.seedDefaultData();
-  return database;
+  isMissingObjectError(error) {
+    return error.code === 'ER_CANT_DROP_FIELD_OR_KEY';
+  }
 }
 
-export { MySQLDatabase };
-export default MySQLDatabase;
+export { MySQLAdapter };
+export default MySQLAdapter;
@@ -1,81 +1,119 @@
-import pkg from 'pg';
-const { Pool } = pkg;
-
-class PostgreSQLDatabase {
-  constructor() {
+import { rewriteCreateTable } from './database-ddl.js';
+
+// PostgreSQL type OIDs whose default parsing differs from SQLite's results
+const INT8_OID = 20;
+const NUMERIC_OID = 1700;
+const TIMESTAMP_OID = 1114;
+
+// Counts and ids as numbers, timestamps as "YYYY-MM-DD HH:MM:SS" strings
+export const TYPE_PARSERS = {
+  [INT8_OID]: value => parseInt(value, 10),
+  [NUMERIC_OID]: value => parseFloat(value),
+  [TIMESTAMP_OID]: value => value.slice(0, 19)
+};
+
+// PostgreSQL adapter (DATABASE_TYPE=postgresql). Queries keep the "?"
+// placeholders used everywhere else and are numbered ($1, $2, ...) here.
+class PostgreSQLAdapter {
+  constructor(config = {}) {
+    this.name = 'postgresql';
     this.pool = null;
+    this.idColumns = new Map(); // table -> whether it has an "id" column
     this.config = {
-      host: process.env.DB_HOST || 'localhost',
-      port: process.env.DB_PORT || 5432,
-      user: process.env.DB_USER || 'postgres',
-      password: process.env.DB_PASSWORD || '',
-      database: process.env.DB_NAME || 'container_manager',
+      host: config.host || process.env.DB_HOST || 'localhost',
+      port: config.port || process.env.DB_PORT || 5432,
+      user: config.user || process.env.DB_USER || 'postgres',
+      password: config.password ?? process.env.DB_PASSWORD ?? '',
+      database: config.database || process.env.DB_NAME || 'container_manager',
       ssl: process.env.DB_SSL === 'true' ? { rejectUnauthorized: false } : false,
+      options: '-c TimeZone=UTC',
       max: 20, // Maximum number of clients in the pool
       idleTimeoutMillis: 30000,
-      connectionTimeoutMillis: 2000,
+      connectionTimeoutMillis: 2000
     };
   }
 
   async connect() {
     try {
-      this.pool = new Pool(this.config);
-      
+      const { default: pg } = await import('pg');
+
+      for (const [oid, parser] of Object.entries(TYPE_PARSERS)) {
+        pg.types.setTypeParser(Number(oid), parser);
+      }
+
+      await this.createDatabase(pg.Pool);
+
+      this.pool = new pg.Pool(this.config);
+
       // Test connection
       const client = await this.pool.connect();
       await client.query('SELECT NOW()');
       client.release();
-      
+
       console.log('✅ Connected to PostgreSQL database');
-      return this.pool;
     } catch (error) {
       console.error('❌ Error connecting to PostgreSQL:', error);
       throw error;
     }
   }
 
-  async query(sql, params = []) {
+  async createDatabase(Pool) {
+    // Connect to default postgres database first
+    const tempPool = new Pool({
+      ...this.config,
+      database: 'postgres'
+    });
+
     try {
-      const result = await this.pool.query(sql, params);
-      return result.rows;
+      await tempPool.query(`CREATE DATABASE "${this.config.database}"`);
+      console.log(`✅ Database '${this.config.database}' created/verified`);
     } catch (error) {
-      console.error('❌ PostgreSQL Query Error:', error);
-      throw error;
+      if (error.code !== '42P04') {
+        throw error;
+      }
+      // Database already exists
+    } finally {
+      await tempPool.end();
     }
   }
 
-  async run(sql, params = []) {
-    try {
-      const result = await this.pool.query(sql, params);
-      return {
-        id: result.rows[0]?.id || null,
-        changes: result.rowCount,
-        result
-      };
-    } catch (error) {
-      console.error('❌ PostgreSQL Run Error:', error);
-      throw error;
+  // Replace "?" placeholders with $1, $2, ... outside of string literals
+  toPositional(sql) {
+    let index = 0;
+    let quoted = false;
+    let result = '';
+
+    for (const char of sql) {
+      if (char === "'") quoted = !quoted;
+      result += char === '?' && !quoted ? `$${++index}` : char;
     }
+
+    return result;
   }
 
-  async get(sql, params = []) {
-    try {
-      const result = await this.pool.query(sql, params);
-      return result.rows[0] || null;
-    } catch (error) {
-      console.error('❌ PostgreSQL Get Error:', error);
-      throw error;
+  async hasIdColumn(table) {
+    if (!this.idColumns.has(table)) {
+      this.idColumns.set(table, (await this.listColumns(table)).includes('id'));
     }
+    return this.idColumns.get(table);
   }
 
-  async all(sql, params = []) {
-    try {
-      const result = await this.pool.query(sql, params);
-      return result.rows;
-    } catch (error) {
-      console.error('❌ PostgreSQL All Error:', error);
-      throw error;
+  async query(sql, params = []) {
+    let text = sql;
+
+    // Other dialects report the new row ID without asking for it
+    const insert = /^\s*INSERT\s+INTO\s+(\w+)/i.exec(sql);
+    if (insert && !/\bRETURNING\b/i.test(sql) && await this.hasIdColumn(insert[1])) {
+      text = `${sql} RETURNING id`;
     }
+
+    const result = await this.pool.query(this.toPositional(text), params);
+
+    return {
+      rows: result.rows,
+      id: insert ? result.rows[0]?.id ?? null : null,
+      changes: result.rowCount
+    };
   }
 
   async close() {
@@ -85,208 +123,93 @@ class PostgreSQLDatabase {
     }
   }
 
-  async createDatabase() {
-    try {
-      // Connect to default postgres database first
-      const tempPool = new Pool({
-        ...this.config,
-        database: 'postgres'
-      });
+  // callback(adapter) runs on one pooled client between BEGIN and COMMIT, or
+  // is rolled back when it throws
+  async transaction(callback) {
+    const client = await this.pool.connect();
+    const scoped = Object.assign(Object.create(this), { pool: client });
 
-      // Create database if not exists
-      await tempPool.query(`CREATE DATABASE "${this.config.database}"`);
-      console.log(`✅ Database '${this.config.database}' created/verified`);
-      
-      await tempPool.end();
+    try {
+      await client.query('BEGIN');
+      const result = await callback(scoped);
+      await client.query('COMMIT');
+      return result;
     } catch (error) {
-      if (error.code === '42P04') {
-        // Database already exists
-        console.log(`✅ Database '${this.config.database}' already exists`);
-      } else {
-        console.error('❌ Error creating database:', error);
-        throw error;
-      }
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
     }
   }
 
-  async createTables() {
-    const tables = [
-      // Users table
-      `CREATE TABLE IF NOT EXISTS users (
-        id SERIAL PRIMARY KEY,
-        username VARCHAR(255) UNIQUE NOT NULL,
-        password_hash VARCHAR(255) NOT NULL,
-        email VARCHAR(255),
-        role VARCHAR(50) DEFAULT 'user' CHECK (role IN ('admin', 'user')),
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )`,
-
-      // Create trigger for updated_at
-      `CREATE OR REPLACE FUNCTION update_updated_at_column()
-       RETURNS TRIGGER AS $$
-       BEGIN
-         NEW.updated_at = CURRENT_TIMESTAMP;
-         RETURN NEW;
-       END;
-       $$ language 'plpgsql'`,
-
-      `DROP TRIGGER IF EXISTS update_users_updated_at ON users`,
-      `CREATE TRIGGER update_users_updated_at 
-       BEFORE UPDATE ON users 
-       FOR EACH ROW EXECUTE FUNCTION update_updated_at_column()`,
-
-      // Containers table
-      `CREATE TABLE IF NOT EXISTS containers (
-        id VARCHAR(255) PRIMARY KEY,
-        name VARCHAR(255) NOT NULL,
-        docker_id VARCHAR(255) UNIQUE,
-        image VARCHAR(255) NOT NULL,
-        status VARCHAR(50) DEFAULT 'stopped' CHECK (status IN ('running', 'stopped', 'paused', 'restarting', 'removing', 'dead', 'created', 'exited')),
-        folder_path TEXT,
-        startup_script TEXT,
-        port_mappings JSONB,
-        environment_vars JSONB,
-        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )`,
-
-      `DROP TRIGGER IF EXISTS update_containers_updated_at ON containers`,
-      `CREATE TRIGGER update_containers_updated_at 
-       BEFORE UPDATE ON containers 
-       FOR EACH ROW EXECUTE FUNCTION update_updated_at_column()`,
-
-      // Container logs table
-      `CREATE TABLE IF NOT EXISTS container_logs (
-        id BIGSERIAL PRIMARY KEY,
-        container_id VARCHAR(255) NOT NULL REFERENCES containers(id) ON DELETE CASCADE,
-        log_content TEXT NOT NULL,
-        log_type VARCHAR(50) DEFAULT 'info' CHECK (log_type IN ('info', 'error', 'warning', 'debug')),
-        timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )`,
-
-      // Container settings table
-      `CREATE TABLE IF NOT EXISTS container_settings (
-        id SERIAL PRIMARY KEY,
-        container_id VARCHAR(255) NOT NULL UNIQUE REFERENCES containers(id) ON DELETE CASCADE,
-        cloudflare_token VARCHAR(500),
-        tunnel_enabled BOOLEAN DEFAULT FALSE,
-        tunnel_url VARCHAR(500),
-        auto_restart BOOLEAN DEFAULT TRUE,
-        max_memory VARCHAR(50),
-        max_cpu VARCHAR(50),
-        settings_json JSONB,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )`,
-
-      `DROP TRIGGER IF EXISTS update_container_settings_updated_at ON container_settings`,
-      `CREATE TRIGGER update_container_settings_updated_at 
-       BEFORE UPDATE ON container_settings 
-       FOR EACH ROW EXECUTE FUNCTION update_updated_at_column()`,
-
-      // Sessions table for JWT blacklisting
-      `CREATE TABLE IF NOT EXISTS sessions (
-        id BIGSERIAL PRIMARY KEY,
-        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
-        token_hash VARCHAR(255) NOT NULL,
-        expires_at TIMESTAMP NOT NULL,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )`,
-
-      // System settings table
-      `CREATE TABLE IF NOT EXISTS system_settings (
-        id SERIAL PRIMARY KEY,
-        setting_key VARCHAR(255) UNIQUE NOT NULL,
-        setting_value TEXT,
-        description TEXT,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )`,
-
-      `DROP TRIGGER IF EXISTS update_system_settings_updated_at ON system_settings`,
-      `CREATE TRIGGER update_system_settings_updated_at 
-       BEFORE UPDATE ON system_settings 
-       FOR EACH ROW EXECUTE FUNCTION update_updated_at_column()`
-    ];
-
-    for (const table of tables) {
-      await this.run(table);
-    }
+  async listColumns(table) {
+    const result = await this.pool.query(
+      'SELECT column_name AS name FROM information_schema.columns WHERE table_schema = current_schema() AND table_name = $1',
+      [table]
+    );
+    return result.rows.map(column => column.name);
+  }
 
-    // Create indexes
-    const indexes = [
-      'CREATE INDEX IF NOT EXISTS idx_users_username ON users(username)',
-      'CREATE INDEX IF NOT EXISTS idx_users_role ON users(role)',
-      'CREATE INDEX IF NOT EXISTS idx_containers_status ON containers(status)',
-      'CREATE INDEX IF NOT EXISTS idx_containers_created_by ON containers(created_by)',
-      'CREATE INDEX IF NOT EXISTS idx_containers_docker_id ON containers(docker_id)',
-      'CREATE INDEX IF NOT EXISTS idx_container_logs_container_id ON container_logs(container_id)',
-      'CREATE INDEX IF NOT EXISTS idx_container_logs_timestamp ON container_logs(timestamp)',
-      'CREATE INDEX IF NOT EXISTS idx_container_logs_log_type ON container_logs(log_type)',
-      'CREATE INDEX IF NOT EXISTS idx_container_settings_container_id ON container_settings(container_id)',
-      'CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id)',
-      'CREATE INDEX IF NOT EXISTS idx_sessions_expires_at ON sessions(expires_at)',
-      'CREATE INDEX IF NOT EXISTS idx_sessions_token_hash ON sessions(token_hash)',
-      'CREATE INDEX IF NOT EXISTS idx_system_settings_setting_key ON system_settings(setting_key)'
-    ];
-
-    for (const index of indexes) {
-      await this.run(index);
-    }
+  translateTable(sql, keyColumns) {
+    this.idColumns.clear();
+    return rewriteCreateTable(sql, (table, column, definition) =>
+      this.translateColumn(table, column, definition, keyColumns)
+    );
+  }
 
-    console.log('✅ PostgreSQL database tables and indexes created/verified');
+  // Flags stay 0/1 integers as in SQLite, so BOOLEAN becomes SMALLINT
+  translateColumn(table, column, definition) {
+    return definition
+      .replace(/^INTEGER PRIMARY KEY AUTOINCREMENT\b/i, 'BIGSERIAL PRIMARY KEY')
+      .replace(/^INTEGER\b/i, 'BIGINT')
+      .replace(/^REAL\b/i, 'DOUBLE PRECISION')
+      .replace(/^BOOLEAN\b/i, 'SMALLINT')
+      .replace(/^DATETIME\b/i, 'TIMESTAMP');
   }
 
-  async seedDefaultData() {
-    // Check if admin user exists
-    const adminUser = await this.get('SELECT id FROM users WHERE username = $1', ['admin']);
-    
-    if (!adminUser) {
-      // Create default admin user (password: admin123)
-      const bcrypt = await import('bcryptjs');
-      const hashedPassword = await bcrypt.default.hash('admin123', 12);
-      
-      await this.run(
-        'INSERT INTO users (username, password_hash, email, role) VALUES ($1, $2, $3, $4)',
-        ['admin', hashedPassword, 'admin@localhost', 'admin']
-      );
-
-      console.log('✅ Default admin user created (username: admin, password: admin123)');
-    }
+  translateIndex(sql) {
+    return sql;
+  }
 
-    // Insert default system settings
-    const defaultSettings = [
-      ['max_containers', '50', 'Maximum number of containers allowed'],
-      ['default_memory_limit', '512m', 'Default memory limit for containers'],
-      ['default_cpu_limit', '1', 'Default CPU limit for containers'],
-      ['log_retention_days', '30', 'Number of days to retain container logs']
-    ];
-
-    for (const [key, value, description] of defaultSettings) {
-      const existing = await this.get('SELECT id FROM system_settings WHERE setting_key = $1', [key]);
-      if (!existing) {
-        await this.run(
-          'INSERT INTO system_settings (setting_key, setting_value, description) VALUES ($1, $2, $3)',
-          [key, value, description]
-        );
-      }
-    }
+  dropIndexSql(name) {
+    return `DROP INDEX IF EXISTS ${name}`;
+  }
 
-    console.log('✅ Default system settings created');
+  upsertSql(table, columns, conflictColumns, updateColumns) {
+    return `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})
+      ON CONFLICT(${conflictColumns.join(', ')}) DO UPDATE SET
+      ${updateColumns.map(column => `${column} = excluded.${column}`).join(', ')}`;
+  }
+
+  epoch(expression) {
+    return `CAST(EXTRACT(EPOCH FROM ${expression}) AS BIGINT)`;
+  }
+
+  fromEpoch(expression) {
+    return `(TO_TIMESTAMP(${expression}) AT TIME ZONE 'UTC')`;
+  }
+
+  intDiv(dividend, divisor) {
+    return `(${dividend} / ${divisor})`;
   }
-}
 
-// Initialize PostgreSQL Database
-export async function initializePostgreSQLDatabase() {
-  const database = new PostgreSQLDatabase();
-  await database.createDatabase();
-  await database.connect();
-  await database.createTables();
-  await database.seedDefaultData();
-  return database;
+  resetSequenceSql(table) {
+    return `SELECT setval(pg_get_serial_sequence('${table}', 'id'), COALESCE(MAX(id), 0) + 1, false) FROM ${table}`;
+  }
+
+  // Class 23: integrity constraint violations (unique, not null, foreign key)
+  isConstraintError(error) {
+    return typeof error.code === 'string' && error.code.startsWith('23');
+  }
+
+  isDuplicateObjectError(error) {
+    return ['42P07', '42701'].includes(error.code);
+  }
+
+  isMissingObjectError() {
+    return false;
+  }
 }
 
-export { PostgreSQLDatabase };
-export default PostgreSQLDatabase;
+export { PostgreSQLAdapter };
+export default PostgreSQLAdapter;
@@ -0,0 +1,138 @@
+// SQLite adapter: the default, file-based database
+class SQLiteAdapter {
+  constructor(config = {}) {
+    this.name = 'sqlite';
+    this.db = null;
+    this.config = {
+      path: config.path || process.env.DB_PATH || './database.sqlite'
+    };
+  }
+
+  async connect() {
+    const { default: sqlite3 } = await import('sqlite3');
+
+    return new Promise((resolve, reject) => {
+      this.db = new sqlite3.Database(this.config.path, (err) => {
+        if (err) {
+          console.error('❌ Error opening database:', err);
+          reject(err);
+        } else {
+          console.log('✅ Connected to SQLite database');
+          resolve();
+        }
+      });
+    });
+  }
+
+  // Statements that return rows go through all(), everything else through run()
+  async query(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      if (/^\s*(SELECT|PRAGMA|WITH)\b/i.test(sql)) {
+        this.db.all(sql, params, (err, rows) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve({ rows, id: null, changes: 0 });
+          }
+        });
+      } else {
+        this.db.run(sql, params, function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve({ rows: [], id: this.lastID, changes: this.changes });
+          }
+        });
+      }
+    });
+  }
+
+  async close() {
+    return new Promise((resolve, reject) => {
+      this.db.close((err) => {
+        if (err) {
+          reject(err);
+        } else {
+          console.log('✅ Database connection closed');
+          resolve();
+        }
+      });
+    });
+  }
+
+  // callback(adapter) runs between BEGIN and COMMIT, or is rolled back when it
+  // throws. There is a single connection, so other queries issued meanwhile
+  // join the transaction.
+  async transaction(callback) {
+    await this.query('BEGIN');
+
+    try {
+      const result = await callback(this);
+      await this.query('COMMIT');
+      return result;
+    } catch (error) {
+      await this.query('ROLLBACK');
+      throw error;
+    }
+  }
+
+  async listColumns(table) {
+    const { rows } = await this.query(`PRAGMA table_info(${table})`);
+    return rows.map(column => column.name);
+  }
+
+  // Migrations are written in SQLite's dialect
+  translateTable(sql) {
+    return sql;
+  }
+
+  translateColumn(table, column, definition) {
+    return definition;
+  }
+
+  translateIndex(sql) {
+    return sql;
+  }
+
+  dropIndexSql(name) {
+    return `DROP INDEX IF EXISTS ${name}`;
+  }
+
+  upsertSql(table, columns, conflictColumns, updateColumns) {
+    return `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})
+      ON CONFLICT(${conflictColumns.join(', ')}) DO UPDATE SET
+      ${updateColumns.map(column => `${column} = excluded.${column}`).join(', ')}`;
+  }
+
+  epoch(expression) {
+    return `CAST(strftime('%s', ${expression}) AS INTEGER)`;
+  }
+
+  fromEpoch(expression) {
+    return `datetime(${expression}, 'unixepoch')`;
+  }
+
+  intDiv(dividend, divisor) {
+    return `(${dividend} / ${divisor})`;
+  }
+
+  // AUTOINCREMENT already continues after the highest id
+  resetSequenceSql() {
+    return null;
+  }
+
+  isConstraintError(error) {
+    return error.code === 'SQLITE_CONSTRAINT';
+  }
+
+  isDuplicateObjectError() {
+    return false;
+  }
+
+  isMissingObjectError() {
+    return false;
+  }
+}
+
+export { SQLiteAdapter };
+export default SQLiteAdapter;
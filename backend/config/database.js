@@ -1,177 +1,147 @@
-import sqlite3 from 'sqlite3';
-import { promisify } from 'util';
-import path from 'path';
-import fs from 'fs';
+import { createDatabaseAdapter, validateDatabaseConfig } from './database-config.js';
+import { Migrator } from './database-migrations.js';
 
-const DB_PATH = process.env.DB_PATH || './database.sqlite';
+// "YYYY-MM-DD HH:MM:SS" in UTC: the format timestamps are stored and compared in
+export const toTimestamp = (date = new Date()) => date.toISOString().replace('T', ' ').slice(0, 19);
 
+// Timestamp for a moment the given number of seconds ago (retention and "recent" cut-offs)
+export const timestampAgo = (seconds) => toTimestamp(new Date(Date.now() - seconds * 1000));
+
+// Placeholder positions (0-based) that follow LIMIT or OFFSET, outside string literals
+const pagingPlaceholders = (sql) => {
+  const positions = new Set();
+  let index = 0;
+  let quoted = false;
+
+  for (let i = 0; i < sql.length; i++) {
+    if (sql[i] === "'") quoted = !quoted;
+
+    if (sql[i] === '?' && !quoted) {
+      if (/\b(LIMIT|OFFSET)\s*$/i.test(sql.slice(Math.max(0, i - 10), i))) {
+        positions.add(index);
+      }
+      index++;
+    }
+  }
+
+  return positions;
+};
+
+// Parameters mean the same on every dialect: booleans are stored as 0/1,
+// undefined as NULL, and LIMIT/OFFSET take integers (MySQL rejects LIMIT '10')
+const normalizeParams = (sql, params) => {
+  const paging = /\b(LIMIT|OFFSET)\b/i.test(sql) ? pagingPlaceholders(sql) : new Set();
+
+  return params.map((value, index) => {
+    if (paging.has(index)) return parseInt(value, 10);
+    if (value === undefined) return null;
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    return value;
+  });
+};
+
+// The one database interface used by models, services and middleware. Every
+// query uses "?" placeholders and SQL that runs on SQLite, MySQL and
+// PostgreSQL; the few dialect-specific pieces (upserts, epoch arithmetic) come
+// from the helpers below, which the adapter for DATABASE_TYPE implements.
 class Database {
   constructor() {
-    this.db = null;
+    this.adapter = null;
+  }
+
+  get type() {
+    return this.adapter?.name;
+  }
+
+  // Swap the adapter, e.g. to run against another database
+  use(adapter) {
+    this.adapter = adapter;
   }
 
   async connect() {
-    return new Promise((resolve, reject) => {
-      this.db = new sqlite3.Database(DB_PATH, (err) => {
-        if (err) {
-          console.error('❌ Error opening database:', err);
-          reject(err);
-        } else {
-          console.log('✅ Connected to SQLite database');
-          resolve();
-        }
-      });
-    });
+    if (!this.adapter) {
+      validateDatabaseConfig();
+      this.adapter = createDatabaseAdapter();
+    }
+
+    await this.adapter.connect();
+  }
+
+  async query(sql, params = []) {
+    try {
+      return await this.adapter.query(sql, normalizeParams(sql, params));
+    } catch (error) {
+      // One error code for unique/not-null/foreign key violations on every dialect
+      if (this.adapter.isConstraintError(error)) {
+        error.driverCode = error.code;
+        error.code = 'CONSTRAINT_ERROR';
+      }
+      throw error;
+    }
   }
 
   async run(sql, params = []) {
-    return new Promise((resolve, reject) => {
-      this.db.run(sql, params, function(err) {
-        if (err) {
-          reject(err);
-        } else {
-          resolve({ id: this.lastID, changes: this.changes });
-        }
-      });
-    });
+    const { id, changes } = await this.query(sql, params);
+    return { id, changes };
   }
 
   async get(sql, params = []) {
-    return new Promise((resolve, reject) => {
-      this.db.get(sql, params, (err, row) => {
-        if (err) {
-          reject(err);
-        } else {
-          resolve(row);
-        }
-      });
-    });
+    const { rows } = await this.query(sql, params);
+    return rows[0];
   }
 
   async all(sql, params = []) {
-    return new Promise((resolve, reject) => {
-      this.db.all(sql, params, (err, rows) => {
-        if (err) {
-          reject(err);
-        } else {
-          resolve(rows);
-        }
-      });
-    });
+    const { rows } = await this.query(sql, params);
+    return rows;
   }
 
   async close() {
-    return new Promise((resolve, reject) => {
-      this.db.close((err) => {
-        if (err) {
-          reject(err);
-        } else {
-          console.log('✅ Database connection closed');
-          resolve();
-        }
-      });
+    await this.adapter.close();
+  }
+
+  // Run callback(db) in a transaction. Queries must go through db, which is
+  // bound to the transaction's connection; it is committed when the callback
+  // resolves and rolled back when it throws.
+  async transaction(callback) {
+    return this.adapter.transaction(async (adapter) => {
+      const scoped = new Database();
+      scoped.use(adapter);
+      return callback(scoped);
     });
   }
 
-  async createTables() {
-    const tables = [
-      // Users table
-      `CREATE TABLE IF NOT EXISTS users (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        username TEXT UNIQUE NOT NULL,
-        password_hash TEXT NOT NULL,
-        email TEXT,
-        role TEXT DEFAULT 'user',
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )`,
-
-      // Containers table
-      `CREATE TABLE IF NOT EXISTS containers (
-        id TEXT PRIMARY KEY,
-        name TEXT NOT NULL,
-        docker_id TEXT UNIQUE,
-        image TEXT NOT NULL,
-        status TEXT DEFAULT 'stopped',
-        folder_path TEXT,
-        startup_script TEXT,
-        port_mappings TEXT, -- JSON string
-        environment_vars TEXT, -- JSON string
-        created_by INTEGER,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (created_by) REFERENCES users (id)
-      )`,
-
-      // Container logs table
-      `CREATE TABLE IF NOT EXISTS container_logs (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        container_id TEXT NOT NULL,
-        log_content TEXT NOT NULL,
-        log_type TEXT DEFAULT 'info', -- info, error, warning, debug
-        timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (container_id) REFERENCES containers (id) ON DELETE CASCADE
-      )`,
-
-      // Container settings table
-      `CREATE TABLE IF NOT EXISTS container_settings (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        container_id TEXT NOT NULL UNIQUE,
-        cloudflare_token TEXT,
-        tunnel_enabled BOOLEAN DEFAULT 0,
-        tunnel_url TEXT,
-        auto_restart BOOLEAN DEFAULT 1,
-        max_memory TEXT,
-        max_cpu TEXT,
-        settings_json TEXT, -- Additional JSON settings
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (container_id) REFERENCES containers (id) ON DELETE CASCADE
-      )`,
-
-      // Sessions table for JWT blacklisting
-      `CREATE TABLE IF NOT EXISTS sessions (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        user_id INTEGER NOT NULL,
-        token_hash TEXT NOT NULL,
-        expires_at DATETIME NOT NULL,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
-      )`,
-
-      // System settings table
-      `CREATE TABLE IF NOT EXISTS system_settings (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        setting_key TEXT UNIQUE NOT NULL,
-        setting_value TEXT,
-        description TEXT,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )`
-    ];
+  // Insert a row, or update its other columns when conflictColumns already match a row
+  async upsert(table, row, conflictColumns) {
+    const columns = Object.keys(row);
+    const updateColumns = columns.filter(column => !conflictColumns.includes(column));
 
-    for (const table of tables) {
-      await this.run(table);
-    }
+    return this.run(
+      this.adapter.upsertSql(table, columns, conflictColumns, updateColumns),
+      Object.values(row)
+    );
+  }
 
-    console.log('✅ Database tables created/verified');
+  // SQL expression: seconds since the Unix epoch of a timestamp column
+  epoch(expression) {
+    return this.adapter.epoch(expression);
   }
 
-  async createIndexes() {
-    const indexes = [
-      'CREATE INDEX IF NOT EXISTS idx_containers_status ON containers(status)',
-      'CREATE INDEX IF NOT EXISTS idx_containers_created_by ON containers(created_by)',
-      'CREATE INDEX IF NOT EXISTS idx_container_logs_container_id ON container_logs(container_id)',
-      'CREATE INDEX IF NOT EXISTS idx_container_logs_timestamp ON container_logs(timestamp)',
-      'CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id)',
-      'CREATE INDEX IF NOT EXISTS idx_sessions_expires_at ON sessions(expires_at)'
-    ];
+  // SQL expression: timestamp for an epoch-seconds expression
+  fromEpoch(expression) {
+    return this.adapter.fromEpoch(expression);
+  }
 
-    for (const index of indexes) {
-      await this.run(index);
-    }
+  // SQL expression: integer division
+  intDiv(dividend, divisor) {
+    return this.adapter.intDiv(dividend, divisor);
+  }
 
-    console.log('✅ Database indexes created/verified');
+  // Move the table's id sequence past MAX(id) after rows were inserted with explicit ids
+  async resetSequence(table) {
+    const sql = this.adapter.resetSequenceSql(table);
+    if (sql) {
+      await this.query(sql);
+    }
   }
 
   async seedDefaultData() {
@@ -196,7 +166,11 @@ class Database {
       ['max_containers', '50', 'Maximum number of containers allowed'],
       ['default_memory_limit', '512m', 'Default memory limit for containers'],
       ['default_cpu_limit', '1', 'Default CPU limit for containers'],
-      ['log_retention_days', '30', 'Number of days to retain container logs']
+      ['max_total_memory', '0', 'Total memory limit of all containers per user (0 = unlimited)'],
+      ['max_total_cpu', '0', 'Total CPU limit of all containers per user (0 = unlimited)'],
+      ['max_disk_usage', '0', 'Total disk usage of container folders per user (0 = unlimited)'],
+      ['log_retention_days', '30', 'Number of days to retain container logs'],
+      ['two_factor_policy', 'optional', 'Who must use two-factor authentication: optional, admins or all']
     ];
 
     for (const [key, value, description] of defaultSettings) {
@@ -218,8 +192,7 @@ const database = new Database();
 
 export async function initializeDatabase() {
   await database.connect();
-  await database.createTables();
-  await database.createIndexes();
+  await new Migrator(database).up();
   await database.seedDefaultData();
   return database;
 }
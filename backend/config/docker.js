@@ -2,6 +2,9 @@ import Docker from 'dockerode';
 import fs from 'fs';
 import path from 'path';
 
+// CFS scheduling period in microseconds; CPU quotas are cores times this
+const CPU_PERIOD = 100000;
+
 class DockerManager {
   constructor() {
     this.docker = null;
@@ -74,7 +77,8 @@ class DockerManager {
         state: container.Status,
         ports: container.Ports,
         created: new Date(container.Created * 1000),
-        labels: container.Labels || {}
+        labels: container.Labels || {},
+        networks: Object.keys(container.NetworkSettings?.Networks || {})
       }));
     } catch (error) {
       console.error('❌ Error listing containers:', error);
@@ -98,6 +102,7 @@ class DockerManager {
         image: info.Config.Image,
         status: info.State.Status,
         running: info.State.Running,
+        restartCount: info.RestartCount || 0,
         created: new Date(info.Created),
         config: info.Config,
         hostConfig: info.HostConfig,
@@ -116,24 +121,42 @@ class DockerManager {
     }
 
     try {
+      // Optionally fetch the image first instead of failing on a missing one
+      if (options.pullImage && !(await this.imageExists(options.image))) {
+        console.log(`⬇️ Image ${options.image} not found locally, pulling...`);
+        await this.pullImage(options.image, options.onPullProgress);
+      }
+
       const containerOptions = {
         Image: options.image,
         name: options.name,
         Env: options.environment || [],
         WorkingDir: options.workingDir || '/app',
-        Cmd: options.command ? options.command.split(' ') : undefined,
+        Cmd: this.parseCommand(options.command),
+        Labels: options.labels || {},
         ExposedPorts: {},
         HostConfig: {
           PortBindings: {},
           Binds: options.volumes || [],
-          Memory: this.parseMemory(options.memory),
-          CpuShares: this.parseCpu(options.cpu),
+          ...this.resourceConfig({ memory: this.parseMemory(options.memory), cpu: options.cpu, cpuQuota: options.cpuQuota }),
           RestartPolicy: {
             Name: options.restartPolicy || 'unless-stopped'
           }
         }
       };
 
+      // Attach to a user-defined network at creation time
+      if (options.network) {
+        containerOptions.HostConfig.NetworkMode = options.network;
+        containerOptions.NetworkingConfig = {
+          EndpointsConfig: {
+            [options.network]: {
+              Aliases: options.networkAliases || []
+            }
+          }
+        };
+      }
+
       // Handle port mappings
       if (options.ports) {
         for (const [containerPort, hostPort] of Object.entries(options.ports)) {
@@ -226,6 +249,48 @@ class DockerManager {
     }
   }
 
+  // Change resource limits of a running or stopped container in place
+  async updateContainerResources(containerId, resources) {
+    if (!this.isConnected) {
+      throw new Error('Docker not connected');
+    }
+
+    try {
+      const container = this.docker.getContainer(containerId);
+      await container.update(resources);
+
+      console.log(`✅ Container resources updated: ${containerId}`);
+      return true;
+    } catch (error) {
+      console.error(`❌ Error updating resources of container ${containerId}:`, error);
+      throw error;
+    }
+  }
+
+  // Commit a container's filesystem (not its volumes or bind mounts) to a tagged image
+  async commitContainer(containerId, options = {}) {
+    if (!this.isConnected) {
+      throw new Error('Docker not connected');
+    }
+
+    try {
+      const container = this.docker.getContainer(containerId);
+      const result = await container.commit({
+        repo: options.repo,
+        tag: options.tag,
+        comment: options.comment,
+        author: options.author,
+        pause: options.pause !== false
+      });
+
+      console.log(`✅ Container committed: ${containerId} -> ${options.repo}:${options.tag}`);
+      return { dockerId: result.Id, image: `${options.repo}:${options.tag}` };
+    } catch (error) {
+      console.error(`❌ Error committing container ${containerId}:`, error);
+      throw error;
+    }
+  }
+
   async getContainerLogs(containerId, options = {}) {
     if (!this.isConnected) {
       throw new Error('Docker not connected');
@@ -276,6 +341,49 @@ class DockerManager {
     }
   }
 
+  async openTerminal(containerId, options = {}) {
+    if (!this.isConnected) {
+      throw new Error('Docker not connected');
+    }
+
+    try {
+      const container = this.docker.getContainer(containerId);
+
+      const exec = await container.exec({
+        Cmd: Array.isArray(options.shell) ? options.shell : [options.shell || '/bin/sh'],
+        AttachStdin: true,
+        AttachStdout: true,
+        AttachStderr: true,
+        Tty: true,
+        WorkingDir: options.workingDir || '/app',
+        Env: ['TERM=xterm-256color', ...(options.env || [])]
+      });
+
+      const stream = await exec.start({ hijack: true, stdin: true, Tty: true });
+
+      if (options.cols && options.rows) {
+        await this.resizeTerminal(exec, options.cols, options.rows);
+      }
+
+      console.log(`✅ Terminal opened in container: ${containerId}`);
+      return { exec, stream };
+    } catch (error) {
+      console.error(`❌ Error opening terminal in container ${containerId}:`, error);
+      throw error;
+    }
+  }
+
+  async resizeTerminal(exec, cols, rows) {
+    try {
+      await exec.resize({ w: cols, h: rows });
+      return true;
+    } catch (error) {
+      // Resizing fails if the exec process has already exited
+      console.warn(`⚠️ Error resizing terminal: ${error.message}`);
+      return false;
+    }
+  }
+
   async getContainerStats(containerId) {
     if (!this.isConnected) {
       throw new Error('Docker not connected');
@@ -289,6 +397,7 @@ class DockerManager {
         cpu: this.calculateCpuPercent(stats),
         memory: this.calculateMemoryUsage(stats),
         network: this.calculateNetworkUsage(stats),
+        blockIO: this.calculateBlockIO(stats),
         timestamp: new Date()
       };
     } catch (error) {
@@ -297,7 +406,514 @@ class DockerManager {
     }
   }
 
+  async listImages() {
+    if (!this.isConnected) {
+      throw new Error('Docker not connected');
+    }
+
+    try {
+      const images = await this.docker.listImages({ all: false });
+      return images.map(image => ({
+        id: image.Id.replace('sha256:', '').substring(0, 12),
+        dockerId: image.Id,
+        tags: (image.RepoTags || []).filter(tag => tag !== '<none>:<none>'),
+        digests: image.RepoDigests || [],
+        size: image.Size,
+        created: new Date(image.Created * 1000),
+        containers: image.Containers,
+        labels: image.Labels || {}
+      }));
+    } catch (error) {
+      console.error('❌ Error listing images:', error);
+      throw error;
+    }
+  }
+
+  async getImage(imageName) {
+    if (!this.isConnected) {
+      throw new Error('Docker not connected');
+    }
+
+    try {
+      const image = this.docker.getImage(imageName);
+      const info = await image.inspect();
+
+      return {
+        id: info.Id.replace('sha256:', '').substring(0, 12),
+        dockerId: info.Id,
+        tags: info.RepoTags || [],
+        digests: info.RepoDigests || [],
+        size: info.Size,
+        created: new Date(info.Created),
+        architecture: info.Architecture,
+        os: info.Os,
+        author: info.Author,
+        config: {
+          env: info.Config?.Env || [],
+          cmd: info.Config?.Cmd || null,
+          entrypoint: info.Config?.Entrypoint || null,
+          workingDir: info.Config?.WorkingDir || null,
+          exposedPorts: Object.keys(info.Config?.ExposedPorts || {}),
+          labels: info.Config?.Labels || {}
+        },
+        layers: info.RootFS?.Layers?.length || 0
+      };
+    } catch (error) {
+      console.error(`❌ Error inspecting image ${imageName}:`, error);
+      throw error;
+    }
+  }
+
+  async imageExists(imageName) {
+    if (!this.isConnected) {
+      throw new Error('Docker not connected');
+    }
+
+    try {
+      await this.docker.getImage(imageName).inspect();
+      return true;
+    } catch (error) {
+      if (error.statusCode === 404) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  // Pull an image; onProgress receives each raw progress event from the daemon
+  async pullImage(imageName, onProgress = null) {
+    if (!this.isConnected) {
+      throw new Error('Docker not connected');
+    }
+
+    try {
+      const stream = await this.docker.pull(imageName);
+
+      await new Promise((resolve, reject) => {
+        this.docker.modem.followProgress(
+          stream,
+          (err, output) => (err ? reject(err) : resolve(output)),
+          (event) => {
+            if (onProgress) onProgress(event);
+          }
+        );
+      });
+
+      console.log(`✅ Image pulled: ${imageName}`);
+      return true;
+    } catch (error) {
+      console.error(`❌ Error pulling image ${imageName}:`, error);
+      throw error;
+    }
+  }
+
+  async removeImage(imageName, force = false) {
+    if (!this.isConnected) {
+      throw new Error('Docker not connected');
+    }
+
+    try {
+      const image = this.docker.getImage(imageName);
+      const result = await image.remove({ force });
+
+      console.log(`✅ Image removed: ${imageName}`);
+      return result;
+    } catch (error) {
+      console.error(`❌ Error removing image ${imageName}:`, error);
+      throw error;
+    }
+  }
+
+  async tagImage(imageName, repo, tag = 'latest') {
+    if (!this.isConnected) {
+      throw new Error('Docker not connected');
+    }
+
+    try {
+      const image = this.docker.getImage(imageName);
+      await image.tag({ repo, tag });
+
+      console.log(`✅ Image tagged: ${imageName} -> ${repo}:${tag}`);
+      return `${repo}:${tag}`;
+    } catch (error) {
+      console.error(`❌ Error tagging image ${imageName}:`, error);
+      throw error;
+    }
+  }
+
+  async listNetworks() {
+    if (!this.isConnected) {
+      throw new Error('Docker not connected');
+    }
+
+    try {
+      const networks = await this.docker.listNetworks();
+      return networks.map(network => this.formatNetwork(network));
+    } catch (error) {
+      console.error('❌ Error listing networks:', error);
+      throw error;
+    }
+  }
+
+  // Inspect a network by ID or name, including the containers attached to it
+  async getNetwork(networkId) {
+    if (!this.isConnected) {
+      throw new Error('Docker not connected');
+    }
+
+    try {
+      const info = await this.docker.getNetwork(networkId).inspect();
+
+      return {
+        ...this.formatNetwork(info),
+        containers: Object.entries(info.Containers || {}).map(([dockerId, endpoint]) => ({
+          dockerId,
+          name: endpoint.Name,
+          ipv4Address: endpoint.IPv4Address || null,
+          macAddress: endpoint.MacAddress || null
+        }))
+      };
+    } catch (error) {
+      console.error(`❌ Error inspecting network ${networkId}:`, error);
+      throw error;
+    }
+  }
+
+  formatNetwork(network) {
+    const ipam = network.IPAM?.Config?.[0] || {};
+
+    return {
+      id: network.Id.substring(0, 12),
+      dockerId: network.Id,
+      name: network.Name,
+      driver: network.Driver,
+      scope: network.Scope,
+      internal: network.Internal || false,
+      subnet: ipam.Subnet || null,
+      gateway: ipam.Gateway || null,
+      created: network.Created ? new Date(network.Created) : null,
+      labels: network.Labels || {}
+    };
+  }
+
+  async createNetwork(options) {
+    if (!this.isConnected) {
+      throw new Error('Docker not connected');
+    }
+
+    try {
+      const network = await this.docker.createNetwork({
+        Name: options.name,
+        Driver: options.driver || 'bridge',
+        Internal: options.internal || false,
+        Labels: options.labels || {},
+        CheckDuplicate: true,
+        ...(options.subnet && {
+          IPAM: {
+            Config: [{ Subnet: options.subnet, ...(options.gateway && { Gateway: options.gateway }) }]
+          }
+        })
+      });
+
+      console.log(`✅ Network created: ${options.name}`);
+      return { id: network.id, name: options.name };
+    } catch (error) {
+      console.error(`❌ Error creating network ${options.name}:`, error);
+      throw error;
+    }
+  }
+
+  async removeNetwork(networkId) {
+    if (!this.isConnected) {
+      throw new Error('Docker not connected');
+    }
+
+    try {
+      const network = this.docker.getNetwork(networkId);
+      await network.remove();
+
+      console.log(`✅ Network removed: ${networkId}`);
+      return true;
+    } catch (error) {
+      console.error(`❌ Error removing network ${networkId}:`, error);
+      throw error;
+    }
+  }
+
+  async connectNetwork(networkId, containerId, aliases = []) {
+    if (!this.isConnected) {
+      throw new Error('Docker not connected');
+    }
+
+    try {
+      const network = this.docker.getNetwork(networkId);
+      await network.connect({
+        Container: containerId,
+        EndpointConfig: { Aliases: aliases }
+      });
+
+      console.log(`✅ Container ${containerId} connected to network ${networkId}`);
+      return true;
+    } catch (error) {
+      console.error(`❌ Error connecting container ${containerId} to network ${networkId}:`, error);
+      throw error;
+    }
+  }
+
+  async disconnectNetwork(networkId, containerId, force = false) {
+    if (!this.isConnected) {
+      throw new Error('Docker not connected');
+    }
+
+    try {
+      const network = this.docker.getNetwork(networkId);
+      await network.disconnect({ Container: containerId, Force: force });
+
+      console.log(`✅ Container ${containerId} disconnected from network ${networkId}`);
+      return true;
+    } catch (error) {
+      console.error(`❌ Error disconnecting container ${containerId} from network ${networkId}:`, error);
+      throw error;
+    }
+  }
+
+  async createVolume(options) {
+    if (!this.isConnected) {
+      throw new Error('Docker not connected');
+    }
+
+    try {
+      const volume = await this.docker.createVolume({
+        Name: options.name,
+        Driver: options.driver || 'local',
+        Labels: options.labels || {}
+      });
+
+      console.log(`✅ Volume created: ${options.name}`);
+      return { name: volume.name || options.name };
+    } catch (error) {
+      console.error(`❌ Error creating volume ${options.name}:`, error);
+      throw error;
+    }
+  }
+
+  async removeVolume(volumeName, force = false) {
+    if (!this.isConnected) {
+      throw new Error('Docker not connected');
+    }
+
+    try {
+      const volume = this.docker.getVolume(volumeName);
+      await volume.remove({ force });
+
+      console.log(`✅ Volume removed: ${volumeName}`);
+      return true;
+    } catch (error) {
+      console.error(`❌ Error removing volume ${volumeName}:`, error);
+      throw error;
+    }
+  }
+
+  async listVolumes() {
+    if (!this.isConnected) {
+      throw new Error('Docker not connected');
+    }
+
+    try {
+      const { Volumes } = await this.docker.listVolumes();
+      return (Volumes || []).map(volume => this.formatVolume(volume));
+    } catch (error) {
+      console.error('❌ Error listing volumes:', error);
+      throw error;
+    }
+  }
+
+  // Inspect a volume, including the containers (running or not) that mount it
+  async getVolume(volumeName) {
+    if (!this.isConnected) {
+      throw new Error('Docker not connected');
+    }
+
+    try {
+      const info = await this.docker.getVolume(volumeName).inspect();
+      const containers = await this.docker.listContainers({
+        all: true,
+        filters: { volume: [info.Name] }
+      });
+
+      return {
+        ...this.formatVolume(info),
+        containers: containers.map(container => {
+          const mount = (container.Mounts || []).find(m => m.Name === info.Name) || {};
+
+          return {
+            dockerId: container.Id,
+            name: container.Names[0].replace('/', ''),
+            status: container.State,
+            mountPath: mount.Destination || null,
+            readOnly: mount.RW === false
+          };
+        })
+      };
+    } catch (error) {
+      console.error(`❌ Error inspecting volume ${volumeName}:`, error);
+      throw error;
+    }
+  }
+
+  // Disk usage per volume name. Sizes are computed by the daemon and can be
+  // null when the driver does not report them.
+  async getVolumeUsage() {
+    if (!this.isConnected) {
+      throw new Error('Docker not connected');
+    }
+
+    try {
+      const { Volumes } = await this.docker.df({ type: 'volume' });
+
+      return new Map((Volumes || []).map(volume => [volume.Name, {
+        size: volume.UsageData?.Size >= 0 ? volume.UsageData.Size : null,
+        refCount: volume.UsageData?.RefCount >= 0 ? volume.UsageData.RefCount : null
+      }]));
+    } catch (error) {
+      console.error('❌ Error getting volume usage:', error);
+      throw error;
+    }
+  }
+
+  formatVolume(volume) {
+    return {
+      name: volume.Name,
+      driver: volume.Driver,
+      mountpoint: volume.Mountpoint,
+      scope: volume.Scope,
+      created: volume.CreatedAt ? new Date(volume.CreatedAt) : null,
+      labels: volume.Labels || {}
+    };
+  }
+
+  // Docker cannot change the mounts, environment or ports of an existing
+  // container. Create a replacement with the same configuration plus the given
+  // changes (image, binds, env, portBindings, resources, name), then remove
+  // the original; if anything fails the original is put back as it was.
+  async recreateContainer(containerId, changes = {}) {
+    if (!this.isConnected) {
+      throw new Error('Docker not connected');
+    }
+
+    try {
+      const original = this.docker.getContainer(containerId);
+      const info = await original.inspect();
+      const currentName = info.Name.replace('/', '');
+      const name = changes.name || currentName;
+      const running = info.State.Running;
+      const networkMode = info.HostConfig.NetworkMode;
+      const endpoints = info.NetworkSettings?.Networks || {};
+      const aliases = network => (endpoints[network]?.Aliases || []).filter(alias => !info.Id.startsWith(alias));
+
+      // Anonymous volumes declared by the image would otherwise be replaced by empty ones
+      const bound = new Set([
+        ...(info.HostConfig.Binds || []).map(bind => this.parseBind(bind).target),
+        ...(info.HostConfig.Mounts || []).map(mount => mount.Target)
+      ]);
+      const anonymous = (info.Mounts || [])
+        .filter(mount => mount.Type === 'volume' && !bound.has(mount.Destination))
+        .map(mount => `${mount.Name}:${mount.Destination}`);
+
+      const binds = changes.binds || info.HostConfig.Binds || [];
+
+      const options = {
+        ...info.Config,
+        // Docker defaults the hostname to the short container ID
+        Hostname: info.Id.startsWith(info.Config.Hostname) ? undefined : info.Config.Hostname,
+        name,
+        HostConfig: { ...info.HostConfig, Binds: [...binds, ...anonymous] }
+      };
+
+      if (changes.image) {
+        options.Image = changes.image;
+      }
+
+      // Image defaults are merged back in by Docker
+      if (changes.env) {
+        options.Env = changes.env;
+      }
+
+      if (changes.portBindings) {
+        options.HostConfig.PortBindings = changes.portBindings;
+        options.ExposedPorts = {
+          ...info.Config.ExposedPorts,
+          ...Object.fromEntries(Object.keys(changes.portBindings).map(port => [port, {}]))
+        };
+      }
+
+      // HostConfig resource fields, as returned by resourceConfig
+      if (changes.resources) {
+        Object.assign(options.HostConfig, changes.resources);
+      }
+
+      if (endpoints[networkMode]) {
+        options.NetworkingConfig = {
+          EndpointsConfig: { [networkMode]: { Aliases: aliases(networkMode) } }
+        };
+      }
+
+      if (running) {
+        await original.stop();
+      }
+      await original.rename({ name: `${currentName}-replaced-${Date.now()}` });
+
+      let replacement = null;
+      try {
+        replacement = await this.docker.createContainer(options);
+
+        for (const network of Object.keys(endpoints).filter(network => network !== networkMode)) {
+          await this.docker.getNetwork(network).connect({
+            Container: replacement.id,
+            EndpointConfig: { Aliases: aliases(network) }
+          });
+        }
+
+        if (running) {
+          await replacement.start();
+        }
+      } catch (error) {
+        if (replacement) {
+          await replacement.remove({ force: true }).catch(() => {});
+        }
+        await original.rename({ name: currentName });
+        if (running) {
+          await original.start();
+        }
+        throw error;
+      }
+
+      await original.remove();
+
+      console.log(`✅ Container recreated: ${name} (${replacement.id.substring(0, 12)})`);
+      return {
+        id: replacement.id.substring(0, 12),
+        dockerId: replacement.id,
+        name
+      };
+    } catch (error) {
+      console.error(`❌ Error recreating container ${containerId}:`, error);
+      throw error;
+    }
+  }
+
+  // "source:target[:options]" as used in HostConfig.Binds
+  parseBind(bind) {
+    const [source, target, mode = ''] = bind.split(':');
+    return { source, target, readOnly: mode.split(',').includes('ro') };
+  }
+
   // Helper methods
+  parseCommand(command) {
+    if (!command) return undefined;
+    return Array.isArray(command) ? command : command.split(' ');
+  }
+
   parseMemory(memory) {
     if (!memory) return 0;
     const units = { 'b': 1, 'k': 1024, 'm': 1024 * 1024, 'g': 1024 * 1024 * 1024 };
@@ -311,6 +927,23 @@ class DockerManager {
     return Math.floor(parseFloat(cpu) * 1024);
   }
 
+  // HostConfig resource fields for stored limits. Memory and swap are bytes,
+  // cpu is cores turned into a relative weight unless cpuShares is given,
+  // cpuQuota is cores enforced as a CFS quota. -1 means unlimited; an unset
+  // swap limit follows Docker's default of twice the memory.
+  resourceConfig({ memory, memorySwap, cpu, cpuQuota, cpuShares, pidsLimit }) {
+    const memoryBytes = memory || 0;
+
+    return {
+      Memory: memoryBytes,
+      MemorySwap: memorySwap || (memoryBytes > 0 ? memoryBytes * 2 : -1),
+      CpuShares: cpuShares || this.parseCpu(cpu),
+      CpuPeriod: CPU_PERIOD,
+      CpuQuota: cpuQuota ? Math.round(parseFloat(cpuQuota) * CPU_PERIOD) : -1,
+      PidsLimit: pidsLimit > 0 ? pidsLimit : -1
+    };
+  }
+
   calculateCpuPercent(stats) {
     const cpuDelta = stats.cpu_stats.cpu_usage.total_usage - stats.precpu_stats.cpu_usage.total_usage;
     const systemDelta = stats.cpu_stats.system_cpu_usage - stats.precpu_stats.system_cpu_usage;
@@ -345,6 +978,21 @@ class DockerManager {
     
     return { rxBytes, txBytes };
   }
+
+  calculateBlockIO(stats) {
+    const entries = stats.blkio_stats?.io_service_bytes_recursive || [];
+    let readBytes = 0;
+    let writeBytes = 0;
+
+    // cgroup v1 reports "Read"/"Write", cgroup v2 reports "read"/"write"
+    for (const entry of entries) {
+      const op = (entry.op || '').toLowerCase();
+      if (op === 'read') readBytes += entry.value || 0;
+      if (op === 'write') writeBytes += entry.value || 0;
+    }
+
+    return { readBytes, writeBytes };
+  }
 }
 
 // Singleton instance
@@ -0,0 +1,47 @@
+import { AuditService } from '../services/auditService.js';
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Record every mutating API request in the audit trail once the response is sent.
+// The route context is captured when the handler responds, because Express
+// resets req.baseUrl and req.params when the request leaves a router (for
+// example when an error reaches the global error handler).
+export const auditTrail = (req, res, next) => {
+  if (!MUTATING_METHODS.includes(req.method)) {
+    return next();
+  }
+
+  const captureContext = () => {
+    if (!res.locals.auditContext && req.route) {
+      res.locals.auditContext = {
+        baseUrl: req.baseUrl || req.originalUrl,
+        routePath: req.route.path,
+        params: { ...req.params }
+      };
+    }
+  };
+
+  const originalJson = res.json.bind(res);
+  res.json = (body) => {
+    captureContext();
+    res.locals.auditResponse = body;
+    return originalJson(body);
+  };
+
+  const originalSend = res.send.bind(res);
+  res.send = (body) => {
+    captureContext();
+    return originalSend(body);
+  };
+
+  res.on('finish', () => {
+    AuditService.recordRequest(req, res);
+  });
+
+  next();
+};
+
+// Attach audit details (action, target, before/after state, actor) to the current request
+export const setAudit = (req, details) => {
+  req.audit = { ...(req.audit || {}), ...details };
+};
@@ -1,5 +1,105 @@
+import crypto from 'crypto';
 import jwt from 'jsonwebtoken';
-import { database } from '../config/database.js';
+import { database, toTimestamp } from '../config/database.js';
+import { Container } from '../models/Container.js';
+import { Team } from '../models/Team.js';
+import { ApiToken, API_TOKEN_RESOURCES } from '../models/ApiToken.js';
+import { LoginSession } from '../models/LoginSession.js';
+import { PermissionService } from '../services/permissionService.js';
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Blacklisted tokens are stored by hash, never as the token itself
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Access tokens issued for a login session stop working as soon as the session
+// is revoked. Tokens without a session ID can only be revoked by blacklisting.
+export const isAccessTokenRevoked = async (token, decoded) => {
+  if (decoded.sid) {
+    return !await LoginSession.isActive(decoded.sid, decoded.userId);
+  }
+
+  const blacklistedToken = await database.get(
+    'SELECT id FROM sessions WHERE token_hash = ? AND expires_at > ?',
+    [hashToken(token), toTimestamp()]
+  );
+
+  return !!blacklistedToken;
+};
+
+// Load the user a token belongs to, rejecting deleted and disabled accounts
+const loadTokenUser = async (userId, res) => {
+  const user = await database.get(
+    'SELECT id, username, email, role, disabled, created_at FROM users WHERE id = ?',
+    [userId]
+  );
+
+  if (!user) {
+    res.status(401).json({
+      error: 'User not found',
+      code: 'USER_NOT_FOUND'
+    });
+    return null;
+  }
+
+  if (user.disabled) {
+    res.status(403).json({
+      error: 'Account is disabled',
+      code: 'ACCOUNT_DISABLED'
+    });
+    return null;
+  }
+
+  return user;
+};
+
+// Personal access tokens act as their owner, limited to the token's scopes
+const authenticateApiToken = async (req, res, next, token) => {
+  const apiToken = await ApiToken.findByToken(token);
+
+  if (!apiToken) {
+    return res.status(401).json({
+      error: 'Invalid token',
+      code: 'TOKEN_INVALID'
+    });
+  }
+
+  if (apiToken.isExpired()) {
+    return res.status(401).json({
+      error: 'Token expired',
+      code: 'TOKEN_EXPIRED'
+    });
+  }
+
+  const user = await loadTokenUser(apiToken.user_id, res);
+  if (!user) return;
+
+  // Account and token management always require a login session
+  const resource = req.originalUrl.replace(/^\/api\/?/, '').split(/[/?]/)[0];
+  if (!API_TOKEN_RESOURCES.includes(resource)) {
+    return res.status(403).json({
+      error: 'Personal access tokens cannot be used for this endpoint',
+      code: 'TOKEN_NOT_ALLOWED'
+    });
+  }
+
+  const access = READ_METHODS.includes(req.method) ? 'read' : 'write';
+  if (!apiToken.allows(resource, access)) {
+    return res.status(403).json({
+      error: 'Token scope does not allow this request',
+      code: 'INSUFFICIENT_SCOPE',
+      required: `${resource}:${access}`,
+      current: apiToken.scopes
+    });
+  }
+
+  await apiToken.touch(req.ip);
+
+  req.user = user;
+  req.apiToken = apiToken;
+
+  next();
+};
 
 export const authenticateToken = async (req, res, next) => {
   try {
@@ -13,17 +113,14 @@ export const authenticateToken = async (req, res, next) => {
       });
     }
 
+    if (ApiToken.isApiToken(token)) {
+      return await authenticateApiToken(req, res, next, token);
+    }
+
     // Verify JWT token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     
-    // Check if token is blacklisted (optional - for logout functionality)
-    const tokenHash = Buffer.from(token).toString('base64');
-    const blacklistedToken = await database.get(
-      'SELECT id FROM sessions WHERE token_hash = ? AND expires_at > datetime("now")',
-      [tokenHash]
-    );
-
-    if (blacklistedToken) {
+    if (await isAccessTokenRevoked(token, decoded)) {
       return res.status(401).json({ 
         error: 'Token has been revoked',
         code: 'TOKEN_REVOKED'
@@ -31,21 +128,13 @@ export const authenticateToken = async (req, res, next) => {
     }
 
     // Get user information
-    const user = await database.get(
-      'SELECT id, username, email, role, created_at FROM users WHERE id = ?',
-      [decoded.userId]
-    );
-
-    if (!user) {
-      return res.status(401).json({ 
-        error: 'User not found',
-        code: 'USER_NOT_FOUND'
-      });
-    }
+    const user = await loadTokenUser(decoded.userId, res);
+    if (!user) return;
 
     // Add user info to request
     req.user = user;
     req.token = token;
+    req.sessionId = decoded.sid || null;
     
     next();
   } catch (error) {
@@ -98,15 +187,86 @@ export const requireRole = (roles) => {
   };
 };
 
-export const generateToken = (user) => {
+// Load the container named by a route param and check the user's role on it.
+// Sets req.container and req.containerRole for the handler.
+export const authorizeContainer = (requiredRole = 'viewer', paramName = 'id') => {
+  return async (req, res, next) => {
+    try {
+      const container = await Container.findById(req.params[paramName]);
+
+      if (!container) {
+        return res.status(404).json({
+          error: 'Container not found',
+          code: 'CONTAINER_NOT_FOUND'
+        });
+      }
+
+      const role = await PermissionService.getContainerRole(req.user, container);
+
+      if (!PermissionService.hasRole(role, requiredRole)) {
+        return res.status(403).json({
+          error: 'Access denied',
+          code: 'ACCESS_DENIED',
+          required: requiredRole,
+          current: role
+        });
+      }
+
+      req.container = container;
+      req.containerRole = role;
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+// Same as authorizeContainer for teams. Sets req.team and req.teamRole.
+export const authorizeTeam = (requiredRole = 'viewer', paramName = 'id') => {
+  return async (req, res, next) => {
+    try {
+      const team = await Team.findById(req.params[paramName]);
+
+      if (!team) {
+        return res.status(404).json({
+          error: 'Team not found',
+          code: 'TEAM_NOT_FOUND'
+        });
+      }
+
+      const role = await PermissionService.getTeamRole(req.user, team);
+
+      if (!PermissionService.hasRole(role, requiredRole)) {
+        return res.status(403).json({
+          error: 'Access denied',
+          code: 'ACCESS_DENIED',
+          required: requiredRole,
+          current: role
+        });
+      }
+
+      req.team = team;
+      req.teamRole = role;
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+// Access tokens are short-lived; clients renew them with the session's refresh token
+export const generateToken = (user, sessionId = null) => {
   const payload = {
     userId: user.id,
     username: user.username,
-    role: user.role
+    role: user.role,
+    ...(sessionId && { sid: sessionId })
   };
 
   return jwt.sign(payload, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN || '24h'
+    expiresIn: process.env.JWT_EXPIRES_IN || '15m'
   });
 };
 
@@ -117,12 +277,11 @@ export const blacklistToken = async (token) => {
       return false;
     }
 
-    const tokenHash = Buffer.from(token).toString('base64');
     const expiresAt = new Date(decoded.exp * 1000);
 
     await database.run(
       'INSERT INTO sessions (user_id, token_hash, expires_at) VALUES (?, ?, ?)',
-      [decoded.userId, tokenHash, expiresAt.toISOString()]
+      [decoded.userId, hashToken(token), toTimestamp(expiresAt)]
     );
 
     return true;
@@ -136,7 +295,8 @@ export const blacklistToken = async (token) => {
 export const cleanupExpiredTokens = async () => {
   try {
     const result = await database.run(
-      'DELETE FROM sessions WHERE expires_at <= datetime("now")'
+      'DELETE FROM sessions WHERE expires_at <= ?',
+      [toTimestamp()]
     );
     
     if (result.changes > 0) {
@@ -23,7 +23,7 @@ export const errorHandler = (err, req, res, next) => {
     statusCode = 400;
     message = 'Invalid data format';
     code = 'INVALID_FORMAT';
-  } else if (err.code === 'SQLITE_CONSTRAINT') {
+  } else if (err.code === 'CONSTRAINT_ERROR') {
     statusCode = 409;
     message = 'Data constraint violation';
     code = 'CONSTRAINT_ERROR';
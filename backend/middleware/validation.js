@@ -1,4 +1,12 @@
 import { body, param, query, validationResult } from 'express-validator';
+import { RULE_TYPES, CHANNEL_TYPES } from '../models/AlertRule.js';
+import { WEBHOOK_EVENTS } from '../models/Webhook.js';
+import { CONTAINER_ROLES } from '../models/ContainerPermission.js';
+import { USER_ROLES } from '../models/User.js';
+import { API_TOKEN_SCOPES } from '../models/ApiToken.js';
+import { TWO_FACTOR_POLICIES } from '../services/twoFactorService.js';
+import { BACKUP_SECTIONS } from '../services/backupService.js';
+import { Helpers } from '../utils/helpers.js';
 
 export const handleValidationErrors = (req, res, next) => {
   const errors = validationResult(req);
@@ -28,6 +36,72 @@ export const validateLogin = [
   handleValidationErrors
 ];
 
+const totpCodeRule = (field = 'code') => body(field)
+  .trim()
+  .matches(/^\d{6}$/)
+  .withMessage('Code must be 6 digits');
+
+// Either a current TOTP code or one of the recovery codes
+const twoFactorProofRules = [
+  body('code')
+    .optional()
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits'),
+  body('recovery_code')
+    .optional()
+    .trim()
+    .isLength({ min: 10, max: 20 })
+    .withMessage('Recovery code is invalid'),
+  body()
+    .custom(value => !!(value.code || value.recovery_code))
+    .withMessage('A code or recovery code is required')
+];
+
+export const validateTwoFactorLogin = [
+  body('challenge_token')
+    .isString()
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+  ...twoFactorProofRules,
+  handleValidationErrors
+];
+
+export const validateRefreshToken = [
+  body('refresh_token')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required'),
+  handleValidationErrors
+];
+
+export const validateSessionId = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Session ID must be a positive integer'),
+  handleValidationErrors
+];
+
+export const validateTwoFactorCode = [
+  totpCodeRule('code'),
+  handleValidationErrors
+];
+
+export const validateDisableTwoFactor = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  ...twoFactorProofRules,
+  handleValidationErrors
+];
+
+export const validateTwoFactorPolicy = [
+  body('policy')
+    .isIn(TWO_FACTOR_POLICIES)
+    .withMessage(`Policy must be one of: ${TWO_FACTOR_POLICIES.join(', ')}`),
+  handleValidationErrors
+];
+
 export const validateRegister = [
   body('username')
     .trim()
@@ -47,71 +121,1097 @@ export const validateRegister = [
   handleValidationErrors
 ];
 
-// Container validation
-export const validateCreateContainer = [
+// User administration validation
+const passwordRule = (field) => body(field)
+  .isLength({ min: 6 })
+  .withMessage('Password must be at least 6 characters long')
+  .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+  .withMessage('Password must contain at least one lowercase letter, one uppercase letter, and one number');
+
+export const validateCreateUser = [
+  body('username')
+    .trim()
+    .isLength({ min: 3, max: 50 })
+    .withMessage('Username must be between 3 and 50 characters')
+    .matches(/^[a-zA-Z0-9_-]+$/)
+    .withMessage('Username can only contain letters, numbers, underscores, and hyphens'),
+  passwordRule('password'),
+  body('email')
+    .optional({ nullable: true, checkFalsy: true })
+    .isEmail()
+    .withMessage('Must be a valid email address'),
+  body('role')
+    .optional()
+    .isIn(USER_ROLES)
+    .withMessage(`Role must be one of: ${USER_ROLES.join(', ')}`),
+  handleValidationErrors
+];
+
+export const validateUpdateUser = [
+  param('userId')
+    .isInt({ min: 1 })
+    .withMessage('User ID must be a positive integer'),
+  body('username')
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 50 })
+    .withMessage('Username must be between 3 and 50 characters')
+    .matches(/^[a-zA-Z0-9_-]+$/)
+    .withMessage('Username can only contain letters, numbers, underscores, and hyphens'),
+  body('email')
+    .optional({ nullable: true, checkFalsy: true })
+    .isEmail()
+    .withMessage('Must be a valid email address'),
+  body('role')
+    .optional()
+    .isIn(USER_ROLES)
+    .withMessage(`Role must be one of: ${USER_ROLES.join(', ')}`),
+  handleValidationErrors
+];
+
+export const validateResetPassword = [
+  param('userId')
+    .isInt({ min: 1 })
+    .withMessage('User ID must be a positive integer'),
+  passwordRule('password').optional(),
+  handleValidationErrors
+];
+
+export const validateUserQuery = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('sort')
+    .optional()
+    .isIn(['username', 'email', 'role', 'created_at', 'updated_at'])
+    .withMessage('Sort field must be one of: username, email, role, created_at, updated_at'),
+  query('order')
+    .optional()
+    .isIn(['asc', 'desc'])
+    .withMessage('Order must be either asc or desc'),
+  query('role')
+    .optional()
+    .isIn(USER_ROLES)
+    .withMessage(`Role must be one of: ${USER_ROLES.join(', ')}`),
+  handleValidationErrors
+];
+
+export const validateLoginAttemptQuery = [
+  query('username')
+    .optional()
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage('Username must be at most 100 characters'),
+  query('ip_address')
+    .optional()
+    .isIP()
+    .withMessage('IP address must be a valid IPv4 or IPv6 address'),
+  query('success')
+    .optional()
+    .isBoolean()
+    .withMessage('Success must be true or false'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 500 })
+    .withMessage('Limit must be between 1 and 500'),
+  handleValidationErrors
+];
+
+// Docker network names and aliases, used by container creation and /api/networks
+const NETWORK_NAME = /^[a-zA-Z0-9][a-zA-Z0-9_.-]{0,127}$/;
+const NETWORK_ALIAS = /^[a-zA-Z0-9][a-zA-Z0-9_.-]{0,62}$/;
+
+function networkAliases(field) {
+  return [
+    body(field)
+      .optional()
+      .isArray({ max: 10 })
+      .withMessage('Aliases must be an array of at most 10 names'),
+    body(`${field}.*`)
+      .matches(NETWORK_ALIAS)
+      .withMessage('Aliases must be valid host names')
+  ];
+}
+
+// Container environment as a list of "KEY=VALUE" strings
+function environmentVariables(field) {
+  return [
+    body(field)
+      .optional()
+      .isArray()
+      .withMessage('Environment variables must be an array'),
+    body(`${field}.*`)
+      .custom(value => typeof value === 'string' && /^[^=\s]+=/.test(value))
+      .withMessage('Environment variables must be in KEY=VALUE format')
+  ];
+}
+
+// Docker volume names and mount points, used by container creation and /api/volumes
+const VOLUME_NAME = /^[a-zA-Z0-9][a-zA-Z0-9_.-]{0,127}$/;
+
+function mountPath(chain) {
+  return chain
+    .matches(/^\/[\w./-]*[\w.-]$/)
+    .withMessage('Mount path must be an absolute path other than /')
+    .custom(value => !value.split('/').includes('..'))
+    .withMessage('Mount path cannot contain ".."');
+}
+
+// Container validation
+export const validateCreateContainer = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Container name must be between 1 and 100 characters')
+    .matches(/^[a-zA-Z0-9_-]+$/)
+    .withMessage('Container name can only contain letters, numbers, underscores, and hyphens'),
+  body('templateId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Template ID must be a positive integer'),
+  body('image')
+    .if(body('templateId').not().exists())
+    .trim()
+    .isLength({ min: 1 })
+    .withMessage('Docker image is required'),
+  body('ports')
+    .optional()
+    .isObject()
+    .withMessage('Ports must be an object'),
+  body('environment')
+    .optional()
+    .isArray()
+    .withMessage('Environment variables must be an array'),
+  body('volumes')
+    .optional()
+    .isArray()
+    .withMessage('Volumes must be an array'),
+  body('memory')
+    .optional()
+    .matches(/^\d+[bkmg]?$/i)
+    .withMessage('Memory must be in format like 512m, 1g, etc.'),
+  body('cpu')
+    .optional()
+    .isFloat({ min: 0.1, max: 8 })
+    .withMessage('CPU must be between 0.1 and 8'),
+  body('startupScript')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Startup script must be less than 1000 characters'),
+  body('pullImage')
+    .optional()
+    .isBoolean()
+    .withMessage('Pull image flag must be a boolean')
+    .toBoolean(),
+  body('teamId')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Team ID must be a positive integer')
+    .toInt(),
+  body('network')
+    .optional({ nullable: true })
+    .matches(NETWORK_NAME)
+    .withMessage('Invalid network name'),
+  ...networkAliases('networkAliases'),
+  body('volumeMounts')
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage('Volume mounts must be an array of at most 10 mounts'),
+  body('volumeMounts.*.name')
+    .matches(VOLUME_NAME)
+    .withMessage('Invalid volume name'),
+  mountPath(body('volumeMounts.*.mountPath')),
+  body('volumeMounts.*.readOnly')
+    .optional()
+    .isBoolean()
+    .withMessage('Read-only flag must be a boolean')
+    .toBoolean(),
+  handleValidationErrors
+];
+
+export const validateUpdateContainer = [
+  param('id')
+    .trim()
+    .isLength({ min: 1 })
+    .withMessage('Container ID is required'),
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Container name must be between 1 and 100 characters')
+    .matches(/^[a-zA-Z0-9_-]+$/)
+    .withMessage('Container name can only contain letters, numbers, underscores, and hyphens'),
+  body('startupScript')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Startup script must be less than 1000 characters'),
+  body('startup_script')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Startup script must be less than 1000 characters'),
+  body('memory')
+    .optional()
+    .matches(/^\d+[bkmg]?$/i)
+    .withMessage('Memory must be in format like 512m, 1g, etc.'),
+  body('cpu')
+    .optional()
+    .isFloat({ min: 0.1, max: 8 })
+    .withMessage('CPU must be between 0.1 and 8'),
+  body('ports')
+    .optional()
+    .isObject()
+    .withMessage('Ports must be an object'),
+  ...environmentVariables('environment'),
+  ...environmentVariables('environment_vars'),
+  handleValidationErrors
+];
+
+export const validateContainerResources = [
+  param('id')
+    .trim()
+    .isLength({ min: 1 })
+    .withMessage('Container ID is required'),
+  body('memory')
+    .optional()
+    .matches(/^\d+[bkmg]?$/i)
+    .withMessage('Memory must be in format like 512m, 1g, etc.'),
+  body('memorySwap')
+    .optional({ nullable: true })
+    .matches(/^(-1|\d+[bkmg]?)$/i)
+    .withMessage('Memory swap must be a size like 1g, or -1 for unlimited'),
+  body('cpu')
+    .optional()
+    .isFloat({ min: 0.1, max: 8 })
+    .withMessage('CPU must be between 0.1 and 8'),
+  body('cpuShares')
+    .optional({ nullable: true })
+    .isInt({ min: 2, max: 262144 })
+    .withMessage('CPU shares must be between 2 and 262144'),
+  body('pidsLimit')
+    .optional({ nullable: true })
+    .isInt({ min: -1 })
+    .withMessage('Pids limit must be a positive number, or -1 for unlimited'),
+  handleValidationErrors
+];
+
+export const validateContainerId = [
+  param('id')
+    .trim()
+    .isLength({ min: 1 })
+    .withMessage('Container ID is required'),
+  handleValidationErrors
+];
+
+export const validateTransferContainer = [
+  param('id')
+    .trim()
+    .isLength({ min: 1 })
+    .withMessage('Container ID is required'),
+  body('team_id')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Team ID must be a positive integer')
+    .toInt(),
+  handleValidationErrors
+];
+
+// Container permission validation
+export const validateGrantPermission = [
+  param('id')
+    .trim()
+    .isLength({ min: 1 })
+    .withMessage('Container ID is required'),
+  body('team_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Team ID must be a positive integer')
+    .toInt(),
+  body('user_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('User ID must be a positive integer')
+    .toInt(),
+  body('username')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Username must be between 1 and 50 characters'),
+  body()
+    .custom(value => [value.user_id, value.username, value.team_id].filter(v => v !== undefined).length === 1)
+    .withMessage('Exactly one of user_id, username or team_id is required'),
+  body('role')
+    .isIn(CONTAINER_ROLES)
+    .withMessage(`Role must be one of: ${CONTAINER_ROLES.join(', ')}`),
+  handleValidationErrors
+];
+
+export const validatePermissionId = [
+  param('id')
+    .trim()
+    .isLength({ min: 1 })
+    .withMessage('Container ID is required'),
+  param('permissionId')
+    .isInt({ min: 1 })
+    .withMessage('Permission ID must be a positive integer'),
+  handleValidationErrors
+];
+
+// Quota validation; memory and disk accept sizes like 512m or 20g and are stored in bytes
+const quotaRules = [
+  body('max_containers')
+    .optional({ nullable: true })
+    .isInt({ min: 0 })
+    .withMessage('Max containers must be a non-negative integer')
+    .toInt(),
+  body('max_memory')
+    .optional({ nullable: true })
+    .matches(/^\d+(\.\d+)?[bkmgt]?$/i)
+    .withMessage('Max memory must be in format like 512m, 8g, etc.')
+    .customSanitizer(value => Helpers.parseMemoryToBytes(String(value))),
+  body('max_cpu')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Max CPU must be a non-negative number')
+    .toFloat(),
+  body('max_disk')
+    .optional({ nullable: true })
+    .matches(/^\d+(\.\d+)?[bkmgt]?$/i)
+    .withMessage('Max disk must be in format like 10g, 1t, etc.')
+    .customSanitizer(value => Helpers.parseMemoryToBytes(String(value)))
+];
+
+export const validateUserQuota = [
+  param('userId')
+    .isInt({ min: 1 })
+    .withMessage('User ID must be a positive integer'),
+  ...quotaRules,
+  handleValidationErrors
+];
+
+export const validateUserId = [
+  param('userId')
+    .isInt({ min: 1 })
+    .withMessage('User ID must be a positive integer'),
+  handleValidationErrors
+];
+
+export const validateQuotaDefaults = [
+  body('max_containers')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Max containers must be a non-negative integer')
+    .toInt(),
+  body('max_memory')
+    .optional()
+    .matches(/^\d+[bkmgt]?$/i)
+    .withMessage('Max memory must be in format like 512m, 8g, etc.'),
+  body('max_cpu')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Max CPU must be a non-negative number')
+    .toFloat(),
+  body('max_disk')
+    .optional()
+    .matches(/^\d+[bkmgt]?$/i)
+    .withMessage('Max disk must be in format like 10g, 1t, etc.'),
+  body('default_memory')
+    .optional()
+    .matches(/^\d+[bkmg]?$/i)
+    .withMessage('Default memory must be in format like 512m, 1g, etc.'),
+  body('default_cpu')
+    .optional()
+    .isFloat({ min: 0.1, max: 8 })
+    .withMessage('Default CPU must be between 0.1 and 8'),
+  handleValidationErrors
+];
+
+// Team validation
+const teamMemberRules = [
+  body('role')
+    .isIn(CONTAINER_ROLES)
+    .withMessage(`Role must be one of: ${CONTAINER_ROLES.join(', ')}`)
+];
+
+export const validateCreateTeam = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Team name must be between 1 and 50 characters')
+    .matches(/^[a-zA-Z0-9 _-]+$/)
+    .withMessage('Team name can only contain letters, numbers, spaces, underscores, and hyphens'),
+  body('description')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description must be less than 500 characters'),
+  ...quotaRules,
+  handleValidationErrors
+];
+
+export const validateUpdateTeam = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Team ID must be a positive integer'),
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Team name must be between 1 and 50 characters')
+    .matches(/^[a-zA-Z0-9 _-]+$/)
+    .withMessage('Team name can only contain letters, numbers, spaces, underscores, and hyphens'),
+  body('description')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description must be less than 500 characters'),
+  ...quotaRules,
+  handleValidationErrors
+];
+
+export const validateTeamId = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Team ID must be a positive integer'),
+  handleValidationErrors
+];
+
+export const validateAddTeamMember = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Team ID must be a positive integer'),
+  body('user_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('User ID must be a positive integer')
+    .toInt(),
+  body('username')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Username must be between 1 and 50 characters'),
+  body()
+    .custom(value => value.user_id !== undefined || value.username !== undefined)
+    .withMessage('Either user_id or username is required'),
+  ...teamMemberRules,
+  handleValidationErrors
+];
+
+export const validateUpdateTeamMember = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Team ID must be a positive integer'),
+  param('userId')
+    .isInt({ min: 1 })
+    .withMessage('User ID must be a positive integer'),
+  ...teamMemberRules,
+  handleValidationErrors
+];
+
+export const validateTeamMemberId = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Team ID must be a positive integer'),
+  param('userId')
+    .isInt({ min: 1 })
+    .withMessage('User ID must be a positive integer'),
+  handleValidationErrors
+];
+
+// Template validation
+const templateFieldRules = [
+  body('description')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description must be less than 500 characters'),
+  body('port_mappings')
+    .optional()
+    .isObject()
+    .withMessage('Port mappings must be an object'),
+  body('environment_vars')
+    .optional()
+    .isArray()
+    .withMessage('Environment variables must be an array'),
+  body('volumes')
+    .optional()
+    .isArray()
+    .withMessage('Volumes must be an array'),
+  body('memory')
+    .optional({ nullable: true })
+    .matches(/^\d+[bkmg]?$/i)
+    .withMessage('Memory must be in format like 512m, 1g, etc.'),
+  body('cpu')
+    .optional({ nullable: true })
+    .isFloat({ min: 0.1, max: 8 })
+    .withMessage('CPU must be between 0.1 and 8'),
+  body('startup_script')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Startup script must be less than 1000 characters'),
+  body('is_shared')
+    .optional()
+    .isBoolean()
+    .withMessage('Shared flag must be a boolean')
+];
+
+const createTemplateRules = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Template name must be between 1 and 100 characters'),
+  body('image')
+    .trim()
+    .isLength({ min: 1 })
+    .withMessage('Docker image is required'),
+  ...templateFieldRules
+];
+
+export const validateCreateTemplate = [
+  ...createTemplateRules,
+  handleValidationErrors
+];
+
+// Apply the create rules to one imported definition (sanitizing it in place)
+// and return the failures in the same shape as a validation error response
+export const validateTemplateDefinition = async (definition) => {
+  const req = { body: definition };
+
+  for (const rule of createTemplateRules) {
+    await rule.run(req);
+  }
+
+  return validationResult(req).array().map(error => ({
+    field: error.path,
+    message: error.msg,
+    value: error.value
+  }));
+};
+
+export const validateUpdateTemplate = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Template ID must be a positive integer'),
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Template name must be between 1 and 100 characters'),
+  body('image')
+    .optional()
+    .trim()
+    .isLength({ min: 1 })
+    .withMessage('Docker image cannot be empty'),
+  ...templateFieldRules,
+  handleValidationErrors
+];
+
+export const validateTemplateId = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Template ID must be a positive integer'),
+  handleValidationErrors
+];
+
+// Stack validation
+export const validateCreateStack = [
   body('name')
     .trim()
-    .isLength({ min: 1, max: 100 })
-    .withMessage('Container name must be between 1 and 100 characters')
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Stack name must be between 1 and 50 characters')
     .matches(/^[a-zA-Z0-9_-]+$/)
-    .withMessage('Container name can only contain letters, numbers, underscores, and hyphens'),
+    .withMessage('Stack name can only contain letters, numbers, underscores, and hyphens'),
+  body('compose')
+    .optional()
+    .isString()
+    .withMessage('Compose content must be a string'),
+  body('start')
+    .optional()
+    .isBoolean()
+    .withMessage('Start flag must be a boolean'),
+  handleValidationErrors
+];
+
+export const validateStackId = [
+  param('id')
+    .trim()
+    .isLength({ min: 1 })
+    .withMessage('Stack ID is required'),
+  handleValidationErrors
+];
+
+// Image validation
+const IMAGE_REFERENCE = /^[a-z0-9]+([._\/:@-][a-zA-Z0-9]+)*$/;
+
+export const validateImageName = [
+  param('name')
+    .trim()
+    .isLength({ min: 1 })
+    .withMessage('Image name is required'),
+  handleValidationErrors
+];
+
+export const validatePullImage = [
   body('image')
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('Image name is required')
+    .matches(IMAGE_REFERENCE)
+    .withMessage('Invalid image reference'),
+  handleValidationErrors
+];
+
+export const validateTagImage = [
+  param('name')
     .trim()
     .isLength({ min: 1 })
-    .withMessage('Docker image is required'),
-  body('ports')
-    .optional()
-    .isObject()
-    .withMessage('Ports must be an object'),
-  body('environment')
+    .withMessage('Image name is required'),
+  body('repo')
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('Repository is required')
+    .matches(/^[a-z0-9]+([._\/:-][a-z0-9]+)*$/)
+    .withMessage('Repository must be lowercase letters, numbers, and separators'),
+  body('tag')
     .optional()
-    .isArray()
-    .withMessage('Environment variables must be an array'),
-  body('volumes')
+    .trim()
+    .matches(/^[a-zA-Z0-9_][a-zA-Z0-9_.-]{0,127}$/)
+    .withMessage('Invalid tag'),
+  handleValidationErrors
+];
+
+// Network validation
+export const validateCreateNetwork = [
+  body('name')
+    .trim()
+    .matches(NETWORK_NAME)
+    .withMessage('Network name must start with a letter or number and contain only letters, numbers, ".", "_" and "-"'),
+  body('driver')
     .optional()
-    .isArray()
-    .withMessage('Volumes must be an array'),
-  body('memory')
+    .isIn(['bridge', 'overlay', 'macvlan', 'ipvlan'])
+    .withMessage('Driver must be one of: bridge, overlay, macvlan, ipvlan'),
+  body('internal')
     .optional()
-    .matches(/^\d+[bkmg]?$/i)
-    .withMessage('Memory must be in format like 512m, 1g, etc.'),
-  body('cpu')
+    .isBoolean()
+    .withMessage('Internal must be a boolean')
+    .toBoolean(),
+  body('subnet')
     .optional()
-    .isFloat({ min: 0.1, max: 8 })
-    .withMessage('CPU must be between 0.1 and 8'),
-  body('startupScript')
+    .isIPRange()
+    .withMessage('Subnet must be in CIDR notation, e.g. 172.30.0.0/16'),
+  body('gateway')
     .optional()
+    .isIP()
+    .withMessage('Gateway must be an IP address'),
+  handleValidationErrors
+];
+
+export const validateNetworkId = [
+  param('id')
     .trim()
-    .isLength({ max: 1000 })
-    .withMessage('Startup script must be less than 1000 characters'),
+    .matches(/^[a-zA-Z0-9][a-zA-Z0-9_.-]*$/)
+    .withMessage('Invalid network ID or name'),
   handleValidationErrors
 ];
 
-export const validateUpdateContainer = [
+export const validateNetworkAttachment = [
   param('id')
+    .trim()
+    .matches(/^[a-zA-Z0-9][a-zA-Z0-9_.-]*$/)
+    .withMessage('Invalid network ID or name'),
+  param('containerId')
     .trim()
     .isLength({ min: 1 })
     .withMessage('Container ID is required'),
+  ...networkAliases('aliases'),
+  handleValidationErrors
+];
+
+// Volume validation
+export const validateCreateVolume = [
   body('name')
+    .trim()
+    .matches(VOLUME_NAME)
+    .withMessage('Volume name must start with a letter or number and contain only letters, numbers, ".", "_" and "-"'),
+  body('driver')
     .optional()
+    .matches(/^[\w.\/:-]+$/)
+    .withMessage('Invalid volume driver'),
+  handleValidationErrors
+];
+
+export const validateVolumeName = [
+  param('name')
     .trim()
-    .isLength({ min: 1, max: 100 })
-    .withMessage('Container name must be between 1 and 100 characters')
-    .matches(/^[a-zA-Z0-9_-]+$/)
-    .withMessage('Container name can only contain letters, numbers, underscores, and hyphens'),
-  body('startupScript')
+    .matches(VOLUME_NAME)
+    .withMessage('Invalid volume name'),
+  handleValidationErrors
+];
+
+export const validateVolumeAttachment = [
+  param('name')
+    .trim()
+    .matches(VOLUME_NAME)
+    .withMessage('Invalid volume name'),
+  param('containerId')
+    .trim()
+    .isLength({ min: 1 })
+    .withMessage('Container ID is required'),
+  handleValidationErrors
+];
+
+export const validateVolumeMount = [
+  param('name')
+    .trim()
+    .matches(VOLUME_NAME)
+    .withMessage('Invalid volume name'),
+  param('containerId')
+    .trim()
+    .isLength({ min: 1 })
+    .withMessage('Container ID is required'),
+  mountPath(body('mountPath')),
+  body('readOnly')
     .optional()
+    .isBoolean()
+    .withMessage('Read-only flag must be a boolean')
+    .toBoolean(),
+  handleValidationErrors
+];
+
+// Snapshot validation
+export const validateCreateSnapshot = [
+  param('id')
     .trim()
-    .isLength({ max: 1000 })
-    .withMessage('Startup script must be less than 1000 characters'),
+    .isLength({ min: 1 })
+    .withMessage('Container ID is required'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Description must be at most 255 characters'),
+  body('pause')
+    .optional()
+    .isBoolean()
+    .withMessage('Pause flag must be a boolean')
+    .toBoolean(),
   handleValidationErrors
 ];
 
-export const validateContainerId = [
+export const validateSnapshotId = [
+  param('id')
+    .trim()
+    .isLength({ min: 1 })
+    .withMessage('Container ID is required'),
+  param('snapshotId')
+    .isInt({ min: 1 })
+    .withMessage('Snapshot ID must be a positive integer'),
+  handleValidationErrors
+];
+
+export const validatePruneSnapshots = [
   param('id')
     .trim()
     .isLength({ min: 1 })
     .withMessage('Container ID is required'),
+  body('keep')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Keep must be a non-negative integer'),
+  handleValidationErrors
+];
+
+// Alert rule validation
+const validateAlertChannels = (channels) => {
+  for (const channel of channels) {
+    if (!channel || !CHANNEL_TYPES.includes(channel.type)) {
+      throw new Error(`Channel type must be one of: ${CHANNEL_TYPES.join(', ')}`);
+    }
+
+    if (channel.type === 'webhook' && !/^https?:\/\/\S+$/.test(channel.url || '')) {
+      throw new Error('Webhook channel requires an http(s) url');
+    }
+
+    if (channel.type === 'email' && !channel.to) {
+      throw new Error('Email channel requires a "to" address');
+    }
+  }
+
+  return true;
+};
+
+const validateAlertConfig = (config, { req }) => {
+  // Updates may send a config without rule_type; a pattern is always checked
+  const ruleType = req.body.rule_type || (config.pattern !== undefined ? 'log_match' : undefined);
+
+  switch (ruleType) {
+    case 'metric_threshold':
+      if (!['cpu_percent', 'memory_percent'].includes(config.metric)) {
+        throw new Error('Metric must be cpu_percent or memory_percent');
+      }
+      if (!['>', '>=', '<', '<='].includes(config.operator || '>')) {
+        throw new Error('Operator must be one of: >, >=, <, <=');
+      }
+      if (typeof config.threshold !== 'number') {
+        throw new Error('Threshold must be a number');
+      }
+      break;
+
+    case 'log_match':
+      if (typeof config.pattern !== 'string' || config.pattern.length === 0 || config.pattern.length > 200) {
+        throw new Error('Pattern must be between 1 and 200 characters');
+      }
+      try {
+        new RegExp(config.pattern, config.flags || '');
+      } catch (error) {
+        throw new Error(`Invalid pattern: ${error.message}`);
+      }
+      if (!/^[imsu]*$/.test(config.flags || '')) {
+        throw new Error('Flags may only contain i, m, s and u');
+      }
+      if (!Helpers.isSafeRegex(config.pattern)) {
+        throw new Error('Pattern must not repeat a group that contains *, + or | (e.g. (a+)+ or (a|aa)+) or use backreferences');
+      }
+      break;
+
+    case 'restart_loop':
+      if (config.count !== undefined && (!Number.isInteger(config.count) || config.count < 1)) {
+        throw new Error('Restart count must be a positive integer');
+      }
+      break;
+  }
+
+  return true;
+};
+
+const alertRuleFieldRules = [
+  body('container_id')
+    .optional({ nullable: true })
+    .isString()
+    .withMessage('Container ID must be a string'),
+  body('config')
+    .optional()
+    .isObject()
+    .withMessage('Config must be an object')
+    .bail()
+    .custom(validateAlertConfig),
+  body('channels')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('At least one channel is required')
+    .bail()
+    .custom(validateAlertChannels),
+  body('severity')
+    .optional()
+    .isIn(['info', 'warning', 'critical'])
+    .withMessage('Severity must be one of: info, warning, critical'),
+  body('enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('Enabled flag must be a boolean')
+];
+
+export const validateCreateAlertRule = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Rule name must be between 1 and 100 characters'),
+  body('rule_type')
+    .isIn(RULE_TYPES)
+    .withMessage(`Rule type must be one of: ${RULE_TYPES.join(', ')}`),
+  ...alertRuleFieldRules,
+  handleValidationErrors
+];
+
+export const validateUpdateAlertRule = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Alert rule ID must be a positive integer'),
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Rule name must be between 1 and 100 characters'),
+  body('rule_type')
+    .optional()
+    .isIn(RULE_TYPES)
+    .withMessage(`Rule type must be one of: ${RULE_TYPES.join(', ')}`),
+  ...alertRuleFieldRules,
+  handleValidationErrors
+];
+
+export const validateAlertRuleId = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Alert rule ID must be a positive integer'),
+  handleValidationErrors
+];
+
+export const validateAlertQuery = [
+  query('status')
+    .optional()
+    .isIn(['firing', 'resolved'])
+    .withMessage('Status must be firing or resolved'),
+  query('rule_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Rule ID must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 500 })
+    .withMessage('Limit must be between 1 and 500'),
+  handleValidationErrors
+];
+
+// Personal access token validation
+export const validateCreateApiToken = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Token name must be between 1 and 100 characters'),
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('At least one scope is required')
+    .bail()
+    .custom(scopes => scopes.every(scope => API_TOKEN_SCOPES.includes(scope)))
+    .withMessage(`Scopes must be any of: ${API_TOKEN_SCOPES.join(', ')}`),
+  body('expires_in_days')
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: 3650 })
+    .withMessage('Expiry must be between 1 and 3650 days')
+    .toInt(),
+  handleValidationErrors
+];
+
+export const validateApiTokenId = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Token ID must be a positive integer'),
+  handleValidationErrors
+];
+
+export const validateApiTokenQuery = [
+  query('user_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('User ID must be a positive integer'),
+  handleValidationErrors
+];
+
+// Audit validation
+const auditFilterRules = [
+  query('actor_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Actor ID must be a positive integer'),
+  query('action')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Action must be between 1 and 100 characters'),
+  query('result')
+    .optional()
+    .isIn(['success', 'failure'])
+    .withMessage('Result must be success or failure'),
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be an ISO 8601 date'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be an ISO 8601 date')
+];
+
+export const validateAuditQuery = [
+  ...auditFilterRules,
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 500 })
+    .withMessage('Limit must be between 1 and 500'),
+  handleValidationErrors
+];
+
+export const validateAuditExport = [
+  ...auditFilterRules,
+  query('format')
+    .optional()
+    .isIn(['csv', 'json'])
+    .withMessage('Format must be csv or json'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100000 })
+    .withMessage('Limit must be between 1 and 100000'),
+  handleValidationErrors
+];
+
+// Webhook validation
+const webhookFieldRules = [
+  body('events')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('At least one event is required')
+    .bail()
+    .custom(events => events.every(event => WEBHOOK_EVENTS.includes(event)))
+    .withMessage(`Events must be any of: ${WEBHOOK_EVENTS.join(', ')}`),
+  body('secret')
+    .optional()
+    .isLength({ min: 16, max: 256 })
+    .withMessage('Secret must be between 16 and 256 characters'),
+  body('container_id')
+    .optional({ nullable: true })
+    .isString()
+    .withMessage('Container ID must be a string'),
+  body('enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('Enabled flag must be a boolean')
+];
+
+export const validateCreateWebhook = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Webhook name must be between 1 and 100 characters'),
+  body('url')
+    .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+    .withMessage('URL must be a valid http(s) URL'),
+  ...webhookFieldRules,
+  handleValidationErrors
+];
+
+export const validateUpdateWebhook = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Webhook ID must be a positive integer'),
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Webhook name must be between 1 and 100 characters'),
+  body('url')
+    .optional()
+    .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+    .withMessage('URL must be a valid http(s) URL'),
+  ...webhookFieldRules,
+  handleValidationErrors
+];
+
+export const validateWebhookId = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Webhook ID must be a positive integer'),
   handleValidationErrors
 ];
 
@@ -230,6 +1330,47 @@ export const validateExecuteCommand = [
   handleValidationErrors
 ];
 
+// Platform backup validation; sections is an array or a comma-separated list
+const backupSections = (field) => body(field)
+  .optional()
+  .custom(value => {
+    const sections = Array.isArray(value) ? value : String(value).split(',').map(section => section.trim());
+    return value === 'all' || sections.every(section => BACKUP_SECTIONS[section]);
+  })
+  .withMessage(`Sections must be "all" or any of: ${Object.keys(BACKUP_SECTIONS).join(', ')}`);
+
+export const validateCreateBackup = [
+  backupSections('sections'),
+  handleValidationErrors
+];
+
+export const validateBackupName = [
+  param('name')
+    .matches(/^[\w.-]+\.tar\.gz$/)
+    .withMessage('Backup name must be a .tar.gz file name'),
+  handleValidationErrors
+];
+
+// Multipart fields arrive as strings, hence the boolean conversion
+export const validateRestoreBackup = [
+  body('name')
+    .optional()
+    .matches(/^[\w.-]+\.tar\.gz$/)
+    .withMessage('Backup name must be a .tar.gz file name'),
+  backupSections('sections'),
+  body('dry_run')
+    .optional()
+    .isBoolean()
+    .withMessage('dry_run must be a boolean')
+    .toBoolean(),
+  body('relink')
+    .optional()
+    .isBoolean()
+    .withMessage('relink must be a boolean')
+    .toBoolean(),
+  handleValidationErrors
+];
+
 // Generic ID validation
 export const validateId = [
   param('id')
@@ -257,5 +1398,9 @@ export const validatePagination = [
     .optional()
     .isIn(['asc', 'desc'])
     .withMessage('Order must be either asc or desc'),
+  query('team_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Team ID must be a positive integer'),
   handleValidationErrors
 ];
@@ -0,0 +1,138 @@
+#!/usr/bin/env node
+
+import dotenv from 'dotenv';
+import { database } from './config/database.js';
+import { Migrator } from './config/database-migrations.js';
+
+dotenv.config();
+
+const USAGE = `Usage: node migrate.js <command> [options]
+
+Commands:
+  status              List migrations and whether they are applied
+  up                  Apply pending migrations
+  down                Revert the most recent migration
+
+Options:
+  --to <version>      up: stop after this version; down: revert everything above it
+  --steps <n>         down: number of migrations to revert (default 1)
+  --dry-run           Print the statements instead of running them`;
+
+class MigrateCommand {
+  constructor(argv) {
+    const args = [...argv];
+    this.command = args.shift() || 'status';
+
+    if (!['status', 'up', 'down'].includes(this.command)) {
+      throw new Error(`Unknown command: ${this.command}`);
+    }
+    this.options = { dryRun: false };
+
+    while (args.length > 0) {
+      const arg = args.shift();
+
+      if (arg === '--dry-run') {
+        this.options.dryRun = true;
+      } else if (arg === '--to' || arg === '--steps') {
+        const value = parseInt(args.shift(), 10);
+        if (Number.isNaN(value) || value < 0) {
+          throw new Error(`${arg} expects a non-negative number`);
+        }
+        this.options[arg.slice(2)] = value;
+      } else {
+        throw new Error(`Unknown option: ${arg}`);
+      }
+    }
+  }
+
+  async run() {
+    const migrator = new Migrator(database);
+    await database.connect();
+
+    try {
+      switch (this.command) {
+        case 'status':
+          await this.status(migrator);
+          break;
+
+        case 'up':
+          await this.up(migrator);
+          break;
+
+        case 'down':
+          await this.down(migrator);
+          break;
+
+        default:
+          throw new Error(`Unknown command: ${this.command}`);
+      }
+    } finally {
+      await database.close();
+    }
+  }
+
+  async status(migrator) {
+    const rows = await migrator.status();
+    console.log(`\n📋 Migrations (${database.type})\n`);
+
+    for (const row of rows) {
+      const state = row.missing ? '⚠️  file missing' : row.applied_at ? `✅ applied ${row.applied_at}` : '⏳ pending';
+      console.log(`  ${String(row.version).padStart(3, '0')}  ${row.name.padEnd(32)} ${state}`);
+    }
+
+    const pending = rows.filter(row => !row.applied_at).length;
+    console.log(`\n${pending} pending, ${rows.length - pending} applied\n`);
+  }
+
+  async up(migrator) {
+    const applied = await migrator.up(this.options);
+
+    if (applied.length === 0) {
+      console.log('✅ Database schema is up to date');
+    } else if (this.options.dryRun) {
+      console.log(`\n🔍 Dry run: ${applied.length} migration(s) would be applied`);
+    } else {
+      console.log(`\n✅ Applied ${applied.length} migration(s)`);
+    }
+  }
+
+  async down(migrator) {
+    const reverted = await migrator.down(this.options);
+
+    if (reverted.length === 0) {
+      console.log('✅ Nothing to revert');
+    } else if (this.options.dryRun) {
+      console.log(`\n🔍 Dry run: ${reverted.length} migration(s) would be reverted`);
+    } else {
+      console.log(`\n✅ Reverted ${reverted.length} migration(s)`);
+    }
+  }
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const args = process.argv.slice(2);
+
+  if (args.includes('--help') || args.includes('-h')) {
+    console.log(USAGE);
+  } else {
+    let command;
+
+    try {
+      command = new MigrateCommand(args);
+    } catch (error) {
+      console.error(`❌ ${error.message}\n`);
+      console.log(USAGE);
+      process.exit(1);
+    }
+
+    try {
+      await command.run();
+    } catch (error) {
+      console.error('❌ Migration failed:', error.message);
+      process.exit(1);
+    }
+  }
+}
+
+export default MigrateCommand;
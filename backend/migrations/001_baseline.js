@@ -0,0 +1,437 @@
+// Baseline: every table, column and index that existed when versioned
+// migrations were introduced. Each step is idempotent, so databases created by
+// earlier releases only receive the columns and indexes they are missing.
+
+// Written in SQLite's dialect; the adapter translates it for MySQL and PostgreSQL
+const TABLES = [
+    // Users table
+    `CREATE TABLE IF NOT EXISTS users (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      username TEXT UNIQUE NOT NULL,
+      password_hash TEXT NOT NULL,
+      email TEXT,
+      role TEXT DEFAULT 'user',
+      disabled INTEGER DEFAULT 0,
+      totp_secret TEXT, -- base32, set during enrollment
+      totp_enabled INTEGER DEFAULT 0,
+      totp_last_counter INTEGER, -- last accepted TOTP step, blocks replays
+      totp_recovery_codes TEXT, -- JSON array of SHA-256 hashes
+      auth_provider TEXT DEFAULT 'local', -- local, oidc
+      oidc_subject TEXT, -- "<issuer>|<sub>" of a single sign-on account
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    // Containers table
+    `CREATE TABLE IF NOT EXISTS containers (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      docker_id TEXT UNIQUE,
+      image TEXT NOT NULL,
+      status TEXT DEFAULT 'stopped',
+      folder_path TEXT,
+      startup_script TEXT,
+      port_mappings TEXT, -- JSON string
+      environment_vars TEXT, -- JSON string
+      created_by INTEGER,
+      team_id INTEGER, -- NULL = personal container
+      memory_limit INTEGER, -- bytes
+      cpu_limit REAL, -- cores
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (created_by) REFERENCES users (id),
+      FOREIGN KEY (team_id) REFERENCES teams (id)
+    )`,
+
+    // Teams table
+    `CREATE TABLE IF NOT EXISTS teams (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT UNIQUE NOT NULL,
+      description TEXT,
+      max_containers INTEGER, -- NULL or 0 = no limit
+      max_memory INTEGER, -- bytes
+      max_cpu REAL, -- cores
+      max_disk INTEGER, -- bytes
+      created_by INTEGER NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (created_by) REFERENCES users (id)
+    )`,
+
+    // Team membership table
+    `CREATE TABLE IF NOT EXISTS team_members (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      team_id INTEGER NOT NULL,
+      user_id INTEGER NOT NULL,
+      role TEXT NOT NULL DEFAULT 'operator', -- viewer, operator, owner
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(team_id, user_id),
+      FOREIGN KEY (team_id) REFERENCES teams (id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+    )`,
+
+    // Per-user quota overrides; NULL falls back to the system settings
+    `CREATE TABLE IF NOT EXISTS user_quotas (
+      user_id INTEGER PRIMARY KEY,
+      max_containers INTEGER,
+      max_memory INTEGER, -- bytes
+      max_cpu REAL, -- cores
+      max_disk INTEGER, -- bytes
+      updated_by INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+      FOREIGN KEY (updated_by) REFERENCES users (id)
+    )`,
+
+    // Container logs table
+    `CREATE TABLE IF NOT EXISTS container_logs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      container_id TEXT NOT NULL,
+      log_content TEXT NOT NULL,
+      log_type TEXT DEFAULT 'info', -- info, error, warning, debug
+      timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (container_id) REFERENCES containers (id) ON DELETE CASCADE
+    )`,
+
+    // Container settings table
+    `CREATE TABLE IF NOT EXISTS container_settings (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      container_id TEXT NOT NULL UNIQUE,
+      cloudflare_token TEXT,
+      tunnel_enabled BOOLEAN DEFAULT 0,
+      tunnel_url TEXT,
+      auto_restart BOOLEAN DEFAULT 1,
+      max_memory TEXT,
+      max_cpu TEXT,
+      settings_json TEXT, -- Additional JSON settings
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (container_id) REFERENCES containers (id) ON DELETE CASCADE
+    )`,
+
+    // Per-container access grants for users other than the owner
+    `CREATE TABLE IF NOT EXISTS container_permissions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      container_id TEXT NOT NULL,
+      user_id INTEGER, -- grantee user
+      team_id INTEGER, -- grantee team (exactly one of user_id/team_id is set)
+      role TEXT NOT NULL, -- viewer, operator, owner
+      granted_by INTEGER NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (container_id) REFERENCES containers (id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+      FOREIGN KEY (granted_by) REFERENCES users (id)
+    )`,
+
+    // Audit trail of mutating actions
+    `CREATE TABLE IF NOT EXISTS audit_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      actor_id INTEGER,
+      actor_username TEXT,
+      ip_address TEXT,
+      user_agent TEXT,
+      action TEXT NOT NULL, -- e.g. container.start, settings.startup-script
+      target_type TEXT,
+      target_id TEXT,
+      method TEXT,
+      path TEXT,
+      before_state TEXT, -- JSON string
+      after_state TEXT, -- JSON string
+      result TEXT NOT NULL, -- success, failure
+      status_code INTEGER,
+      error TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    // Sessions table for JWT blacklisting
+    `CREATE TABLE IF NOT EXISTS sessions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      token_hash TEXT NOT NULL,
+      expires_at DATETIME NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+    )`,
+
+    // Login sessions, one per device; access tokens carry the session ID
+    `CREATE TABLE IF NOT EXISTS login_sessions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      auth_method TEXT DEFAULT 'password', -- password, oidc
+      user_agent TEXT,
+      ip_address TEXT,
+      last_used_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      expires_at DATETIME NOT NULL,
+      revoked_at DATETIME,
+      revoked_reason TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+    )`,
+
+    // Refresh tokens of a session; each one is used once and replaced (rotated_at)
+    `CREATE TABLE IF NOT EXISTS refresh_tokens (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      session_id INTEGER NOT NULL,
+      token_salt TEXT NOT NULL,
+      token_hash TEXT NOT NULL,
+      rotated_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (session_id) REFERENCES login_sessions (id) ON DELETE CASCADE
+    )`,
+
+    // Every login attempt, kept for the admin UI and brute-force detection
+    `CREATE TABLE IF NOT EXISTS login_attempts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      username TEXT NOT NULL, -- as typed, lowercased; may not match any user
+      user_id INTEGER,
+      ip_address TEXT,
+      user_agent TEXT,
+      success BOOLEAN NOT NULL,
+      reason TEXT, -- invalid_credentials, invalid_two_factor, locked, throttled, ...
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    // Failed-login counter and lockout state per username
+    `CREATE TABLE IF NOT EXISTS login_throttles (
+      username TEXT PRIMARY KEY,
+      failed_count INTEGER DEFAULT 0,
+      lockout_count INTEGER DEFAULT 0, -- lockouts since the last successful login
+      last_failed_at DATETIME,
+      next_attempt_at DATETIME, -- progressive delay between failed attempts
+      locked_until DATETIME,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    // Personal access tokens table (only the SHA-256 hash of a token is stored)
+    `CREATE TABLE IF NOT EXISTS api_tokens (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      token_prefix TEXT NOT NULL, -- first characters, shown to identify the token
+      token_hash TEXT UNIQUE NOT NULL,
+      scopes TEXT NOT NULL, -- JSON array, e.g. ["read"] or ["containers:write"]
+      expires_at DATETIME, -- NULL = never expires
+      last_used_at DATETIME,
+      last_used_ip TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+    )`,
+
+    // Container templates table
+    `CREATE TABLE IF NOT EXISTS container_templates (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT UNIQUE NOT NULL,
+      description TEXT,
+      image TEXT NOT NULL,
+      port_mappings TEXT, -- JSON string
+      environment_vars TEXT, -- JSON string
+      volumes TEXT, -- JSON string
+      memory TEXT,
+      cpu TEXT,
+      startup_script TEXT,
+      working_dir TEXT,
+      command TEXT,
+      is_shared BOOLEAN DEFAULT 0,
+      created_by INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (created_by) REFERENCES users (id)
+    )`,
+
+    // Compose stacks table
+    `CREATE TABLE IF NOT EXISTS stacks (
+      id TEXT PRIMARY KEY,
+      name TEXT UNIQUE NOT NULL,
+      status TEXT DEFAULT 'created',
+      compose_content TEXT NOT NULL,
+      networks TEXT, -- JSON string
+      volumes TEXT, -- JSON string
+      created_by INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (created_by) REFERENCES users (id)
+    )`,
+
+    // Stack services table (links compose services to containers)
+    `CREATE TABLE IF NOT EXISTS stack_services (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      stack_id TEXT NOT NULL,
+      service_name TEXT NOT NULL,
+      container_id TEXT NOT NULL,
+      start_order INTEGER DEFAULT 0,
+      depends_on TEXT, -- JSON string
+      FOREIGN KEY (stack_id) REFERENCES stacks (id) ON DELETE CASCADE,
+      FOREIGN KEY (container_id) REFERENCES containers (id) ON DELETE CASCADE,
+      UNIQUE (stack_id, service_name)
+    )`,
+
+    // Container metrics time-series table
+    `CREATE TABLE IF NOT EXISTS container_metrics (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      container_id TEXT NOT NULL,
+      cpu_percent REAL DEFAULT 0,
+      memory_usage INTEGER DEFAULT 0,
+      memory_limit INTEGER DEFAULT 0,
+      memory_percent REAL DEFAULT 0,
+      network_rx INTEGER DEFAULT 0, -- cumulative bytes
+      network_tx INTEGER DEFAULT 0, -- cumulative bytes
+      block_read INTEGER DEFAULT 0, -- cumulative bytes
+      block_write INTEGER DEFAULT 0, -- cumulative bytes
+      resolution INTEGER DEFAULT 0, -- bucket size in seconds, 0 for raw samples
+      sampled_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (container_id) REFERENCES containers (id) ON DELETE CASCADE
+    )`,
+
+    // Alert rules table
+    `CREATE TABLE IF NOT EXISTS alert_rules (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      container_id TEXT, -- NULL applies the rule to every container the owner can access
+      rule_type TEXT NOT NULL, -- container_stopped, metric_threshold, restart_loop, log_match
+      config TEXT, -- JSON string
+      channels TEXT, -- JSON string
+      severity TEXT DEFAULT 'warning',
+      enabled BOOLEAN DEFAULT 1,
+      created_by INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (container_id) REFERENCES containers (id) ON DELETE CASCADE,
+      FOREIGN KEY (created_by) REFERENCES users (id)
+    )`,
+
+    // Alert history table (one row per firing, resolved in place)
+    `CREATE TABLE IF NOT EXISTS alerts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      rule_id INTEGER NOT NULL,
+      container_id TEXT NOT NULL,
+      status TEXT DEFAULT 'firing', -- firing, resolved
+      severity TEXT DEFAULT 'warning',
+      message TEXT NOT NULL,
+      details TEXT, -- JSON string
+      fired_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      resolved_at DATETIME,
+      FOREIGN KEY (rule_id) REFERENCES alert_rules (id) ON DELETE CASCADE,
+      FOREIGN KEY (container_id) REFERENCES containers (id) ON DELETE CASCADE
+    )`,
+
+    // Outgoing webhooks table
+    `CREATE TABLE IF NOT EXISTS webhooks (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      url TEXT NOT NULL,
+      secret TEXT NOT NULL,
+      events TEXT NOT NULL, -- JSON array of event names
+      container_id TEXT, -- NULL = all containers of the owner
+      enabled BOOLEAN DEFAULT 1,
+      created_by INTEGER NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (container_id) REFERENCES containers (id) ON DELETE CASCADE,
+      FOREIGN KEY (created_by) REFERENCES users (id)
+    )`,
+
+    // Webhook delivery log table
+    `CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      webhook_id INTEGER NOT NULL,
+      delivery_id TEXT NOT NULL,
+      event TEXT NOT NULL,
+      container_id TEXT,
+      payload TEXT NOT NULL,
+      status TEXT NOT NULL, -- success, failed
+      attempts INTEGER DEFAULT 1,
+      response_code INTEGER,
+      response_body TEXT,
+      error TEXT,
+      duration_ms INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (webhook_id) REFERENCES webhooks (id) ON DELETE CASCADE
+    )`,
+
+    // System settings table
+    `CREATE TABLE IF NOT EXISTS system_settings (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      setting_key TEXT UNIQUE NOT NULL,
+      setting_value TEXT,
+      description TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`
+];
+
+// Columns added after the first release
+const ADDED_COLUMNS = [
+  ['users', 'disabled', 'INTEGER DEFAULT 0'],
+  ['users', 'totp_secret', 'TEXT'],
+  ['users', 'totp_enabled', 'INTEGER DEFAULT 0'],
+  ['users', 'totp_last_counter', 'INTEGER'],
+  ['users', 'totp_recovery_codes', 'TEXT'],
+  ['users', 'auth_provider', "TEXT DEFAULT 'local'"],
+  ['users', 'oidc_subject', 'TEXT'],
+  ['containers', 'team_id', 'INTEGER'],
+  ['containers', 'memory_limit', 'INTEGER'],
+  ['containers', 'cpu_limit', 'REAL'],
+  ['teams', 'max_memory', 'INTEGER'],
+  ['teams', 'max_cpu', 'REAL'],
+  ['teams', 'max_disk', 'INTEGER']
+];
+
+const INDEXES = [
+    'CREATE INDEX IF NOT EXISTS idx_containers_status ON containers(status)',
+    'CREATE INDEX IF NOT EXISTS idx_containers_created_by ON containers(created_by)',
+    'CREATE INDEX IF NOT EXISTS idx_containers_team_id ON containers(team_id)',
+    'CREATE INDEX IF NOT EXISTS idx_team_members_user_id ON team_members(user_id)',
+    'CREATE INDEX IF NOT EXISTS idx_audit_events_created_at ON audit_events(created_at)',
+    'CREATE INDEX IF NOT EXISTS idx_audit_events_actor_id ON audit_events(actor_id)',
+    'CREATE INDEX IF NOT EXISTS idx_audit_events_target ON audit_events(target_type, target_id)',
+    'CREATE INDEX IF NOT EXISTS idx_container_logs_container_id ON container_logs(container_id)',
+    'CREATE INDEX IF NOT EXISTS idx_container_logs_timestamp ON container_logs(timestamp)',
+    'CREATE INDEX IF NOT EXISTS idx_container_permissions_container ON container_permissions(container_id)',
+    'CREATE INDEX IF NOT EXISTS idx_container_permissions_user ON container_permissions(user_id)',
+    'CREATE INDEX IF NOT EXISTS idx_container_templates_created_by ON container_templates(created_by)',
+    'CREATE INDEX IF NOT EXISTS idx_stacks_created_by ON stacks(created_by)',
+    'CREATE INDEX IF NOT EXISTS idx_stack_services_stack_id ON stack_services(stack_id)',
+    'CREATE INDEX IF NOT EXISTS idx_container_metrics_container_time ON container_metrics(container_id, sampled_at)',
+    'CREATE INDEX IF NOT EXISTS idx_container_metrics_resolution ON container_metrics(resolution, sampled_at)',
+    'CREATE INDEX IF NOT EXISTS idx_alert_rules_created_by ON alert_rules(created_by)',
+    'CREATE INDEX IF NOT EXISTS idx_alerts_rule_container ON alerts(rule_id, container_id, status)',
+    'CREATE INDEX IF NOT EXISTS idx_alerts_fired_at ON alerts(fired_at)',
+    'CREATE INDEX IF NOT EXISTS idx_webhooks_created_by ON webhooks(created_by)',
+    'CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook_id ON webhook_deliveries(webhook_id, created_at)',
+    'CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id)',
+    'CREATE INDEX IF NOT EXISTS idx_sessions_expires_at ON sessions(expires_at)',
+    'CREATE INDEX IF NOT EXISTS idx_api_tokens_user_id ON api_tokens(user_id)',
+    'CREATE INDEX IF NOT EXISTS idx_login_sessions_user_id ON login_sessions(user_id)',
+    'CREATE INDEX IF NOT EXISTS idx_refresh_tokens_session_id ON refresh_tokens(session_id)',
+    'CREATE INDEX IF NOT EXISTS idx_login_attempts_username ON login_attempts(username, created_at)',
+    'CREATE INDEX IF NOT EXISTS idx_login_attempts_ip_address ON login_attempts(ip_address, created_at)',
+    'CREATE INDEX IF NOT EXISTS idx_login_attempts_created_at ON login_attempts(created_at)',
+    'CREATE UNIQUE INDEX IF NOT EXISTS idx_users_oidc_subject ON users(oidc_subject)'
+];
+
+export const description = 'Schema baseline';
+
+export async function up(schema) {
+  for (const table of TABLES) {
+    await schema.createTable(table, { indexes: INDEXES });
+  }
+
+  for (const [table, column, definition] of ADDED_COLUMNS) {
+    await schema.addColumn(table, column, definition, { indexes: INDEXES });
+  }
+
+  for (const index of INDEXES) {
+    await schema.createIndex(index);
+  }
+}
+
+export async function down(schema) {
+  const tables = TABLES.map(table => /CREATE TABLE IF NOT EXISTS (\w+)/.exec(table)[1]);
+
+  for (const table of tables.reverse()) {
+    await schema.dropTable(table);
+  }
+}
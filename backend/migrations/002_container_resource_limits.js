@@ -0,0 +1,20 @@
+// Limits applied with Docker's container update API next to memory_limit and cpu_limit
+const COLUMNS = [
+  ['containers', 'memory_swap', 'INTEGER'], // bytes of memory plus swap, -1 for unlimited
+  ['containers', 'cpu_shares', 'INTEGER'],
+  ['containers', 'pids_limit', 'INTEGER']
+];
+
+export const description = 'Container swap, CPU shares and pids limits';
+
+export async function up(schema) {
+  for (const [table, column, definition] of COLUMNS) {
+    await schema.addColumn(table, column, definition);
+  }
+}
+
+export async function down(schema) {
+  for (const [table, column] of [...COLUMNS].reverse()) {
+    await schema.dropColumn(table, column);
+  }
+}
@@ -0,0 +1,33 @@
+// Filesystem snapshots of containers, committed to tagged images
+const TABLE = `CREATE TABLE IF NOT EXISTS container_snapshots (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  container_id TEXT NOT NULL,
+  image_tag TEXT NOT NULL, -- repository:tag of the committed image
+  image_id TEXT,
+  source_image TEXT, -- image the container ran when the snapshot was taken
+  description TEXT,
+  size INTEGER, -- bytes
+  created_by INTEGER,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (container_id) REFERENCES containers (id) ON DELETE CASCADE,
+  FOREIGN KEY (created_by) REFERENCES users (id)
+)`;
+
+const INDEXES = [
+  'CREATE INDEX IF NOT EXISTS idx_container_snapshots_container ON container_snapshots(container_id, created_at)'
+];
+
+export const description = 'Container snapshots';
+
+export async function up(schema) {
+  await schema.createTable(TABLE, { indexes: INDEXES });
+
+  for (const index of INDEXES) {
+    await schema.createIndex(index);
+  }
+}
+
+export async function down(schema) {
+  await schema.dropIndex('idx_container_snapshots_container', 'container_snapshots');
+  await schema.dropTable('container_snapshots');
+}
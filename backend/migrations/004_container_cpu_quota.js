@@ -0,0 +1,19 @@
+// Hard CPU cap, kept apart from cpu_limit: containers that only got the default
+// cpu_limit keep a relative CPU weight and are not capped
+const COLUMNS = [
+  ['containers', 'cpu_quota', 'REAL'] // cores enforced as a CFS quota, NULL for no cap
+];
+
+export const description = 'Container CPU quota';
+
+export async function up(schema) {
+  for (const [table, column, definition] of COLUMNS) {
+    await schema.addColumn(table, column, definition);
+  }
+}
+
+export async function down(schema) {
+  for (const [table, column] of [...COLUMNS].reverse()) {
+    await schema.dropColumn(table, column);
+  }
+}
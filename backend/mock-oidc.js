@@ -0,0 +1,240 @@
+#!/usr/bin/env node
+
+// Minimal OpenID Connect provider for trying out SSO locally. It supports
+// discovery, the authorization code flow with PKCE, userinfo and JWKS, and
+// signs ID tokens with an RSA key generated at startup. Not for production.
+//
+//   npm run mock-oidc
+//   OIDC_ISSUER=http://localhost:9400 OIDC_CLIENT_ID=nexus-crate-flow \
+//   OIDC_ADMIN_VALUES=admins npm run dev
+
+import http from 'http';
+import crypto from 'crypto';
+
+const PORT = parseInt(process.env.MOCK_OIDC_PORT) || 9400;
+const ISSUER = process.env.MOCK_OIDC_ISSUER || `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.MOCK_OIDC_CLIENT_ID || 'nexus-crate-flow';
+const CLIENT_SECRET = process.env.MOCK_OIDC_CLIENT_SECRET || null;
+
+const USERS = {
+  alice: {
+    sub: 'mock-alice',
+    preferred_username: 'alice',
+    name: 'Alice Admin',
+    email: 'alice@example.com',
+    email_verified: true,
+    groups: ['admins', 'developers']
+  },
+  bob: {
+    sub: 'mock-bob',
+    preferred_username: 'bob',
+    name: 'Bob Developer',
+    email: 'bob@example.com',
+    email_verified: true,
+    groups: ['developers']
+  }
+};
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const KEY_ID = crypto.randomBytes(8).toString('hex');
+const JWK = { ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig', alg: 'RS256' };
+
+const codes = new Map();
+const accessTokens = new Map();
+
+const base64Url = (value) => Buffer.from(value).toString('base64')
+  .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+function signIdToken(claims) {
+  const header = base64Url(JSON.stringify({ alg: 'RS256', typ: 'JWT', kid: KEY_ID }));
+  const payload = base64Url(JSON.stringify(claims));
+  const signature = base64Url(crypto.sign('sha256', Buffer.from(`${header}.${payload}`), privateKey));
+
+  return `${header}.${payload}.${signature}`;
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => resolve(new URLSearchParams(data)));
+    req.on('error', reject);
+  });
+}
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+// Issue a code for the chosen user and send the browser back to the client
+function completeAuthorization(res, params, username) {
+  const code = crypto.randomBytes(16).toString('hex');
+  codes.set(code, {
+    username,
+    clientId: params.get('client_id'),
+    redirectUri: params.get('redirect_uri'),
+    nonce: params.get('nonce'),
+    scope: params.get('scope') || 'openid',
+    codeChallenge: params.get('code_challenge'),
+    codeChallengeMethod: params.get('code_challenge_method') || 'plain',
+    expiresAt: Date.now() + 60 * 1000
+  });
+
+  const redirect = new URL(params.get('redirect_uri'));
+  redirect.searchParams.set('code', code);
+  if (params.get('state')) redirect.searchParams.set('state', params.get('state'));
+
+  res.writeHead(302, { Location: redirect.toString() });
+  res.end();
+}
+
+function handleAuthorize(res, params) {
+  if (params.get('client_id') !== CLIENT_ID || !params.get('redirect_uri')) {
+    return sendJson(res, 400, { error: 'invalid_request', error_description: 'Unknown client_id or missing redirect_uri' });
+  }
+
+  if (params.get('response_type') !== 'code') {
+    return sendJson(res, 400, { error: 'unsupported_response_type' });
+  }
+
+  // login_hint skips the form, which keeps scripted logins with curl simple
+  const hint = params.get('login_hint');
+  if (hint && USERS[hint]) {
+    return completeAuthorization(res, params, hint);
+  }
+
+  const hidden = [...params.entries()]
+    .map(([key, value]) => `<input type="hidden" name="${escapeHtml(key)}" value="${escapeHtml(value)}">`)
+    .join('');
+  const buttons = Object.entries(USERS)
+    .map(([username, user]) => `<button name="username" value="${username}">${escapeHtml(user.name)} (${user.groups.join(', ')})</button>`)
+    .join('<br><br>');
+
+  res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+  res.end(`<!doctype html><title>Mock IdP</title><h1>Mock IdP</h1><p>Login as:</p><form method="post" action="/authorize">${hidden}${buttons}</form>`);
+}
+
+function authenticateClient(req, params) {
+  const header = req.headers.authorization || '';
+
+  if (header.startsWith('Basic ')) {
+    const [id, secret] = Buffer.from(header.slice(6), 'base64').toString().split(':').map(decodeURIComponent);
+    return id === CLIENT_ID && (!CLIENT_SECRET || secret === CLIENT_SECRET);
+  }
+
+  return params.get('client_id') === CLIENT_ID && (!CLIENT_SECRET || params.get('client_secret') === CLIENT_SECRET);
+}
+
+function handleToken(req, res, params) {
+  if (!authenticateClient(req, params)) {
+    return sendJson(res, 401, { error: 'invalid_client' });
+  }
+
+  const grant = codes.get(params.get('code'));
+  codes.delete(params.get('code'));
+
+  if (params.get('grant_type') !== 'authorization_code' || !grant || grant.expiresAt < Date.now()) {
+    return sendJson(res, 400, { error: 'invalid_grant', error_description: 'Unknown or expired code' });
+  }
+
+  if (grant.redirectUri !== params.get('redirect_uri')) {
+    return sendJson(res, 400, { error: 'invalid_grant', error_description: 'redirect_uri mismatch' });
+  }
+
+  if (grant.codeChallenge) {
+    const verifier = params.get('code_verifier') || '';
+    const challenge = grant.codeChallengeMethod === 'S256'
+      ? base64Url(crypto.createHash('sha256').update(verifier).digest())
+      : verifier;
+
+    if (challenge !== grant.codeChallenge) {
+      return sendJson(res, 400, { error: 'invalid_grant', error_description: 'PKCE verification failed' });
+    }
+  }
+
+  const user = USERS[grant.username];
+  const now = Math.floor(Date.now() / 1000);
+  const accessToken = crypto.randomBytes(24).toString('hex');
+  accessTokens.set(accessToken, grant.username);
+
+  sendJson(res, 200, {
+    access_token: accessToken,
+    token_type: 'Bearer',
+    expires_in: 3600,
+    scope: grant.scope,
+    id_token: signIdToken({
+      iss: ISSUER,
+      aud: CLIENT_ID,
+      iat: now,
+      exp: now + 300,
+      nonce: grant.nonce || undefined,
+      ...user
+    })
+  });
+}
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, ISSUER);
+
+  try {
+    if (req.method === 'GET' && url.pathname === '/.well-known/openid-configuration') {
+      return sendJson(res, 200, {
+        issuer: ISSUER,
+        authorization_endpoint: `${ISSUER}/authorize`,
+        token_endpoint: `${ISSUER}/token`,
+        userinfo_endpoint: `${ISSUER}/userinfo`,
+        jwks_uri: `${ISSUER}/jwks`,
+        response_types_supported: ['code'],
+        subject_types_supported: ['public'],
+        id_token_signing_alg_values_supported: ['RS256'],
+        scopes_supported: ['openid', 'profile', 'email', 'groups'],
+        token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post', 'none'],
+        code_challenge_methods_supported: ['S256', 'plain']
+      });
+    }
+
+    if (req.method === 'GET' && url.pathname === '/jwks') {
+      return sendJson(res, 200, { keys: [JWK] });
+    }
+
+    if (url.pathname === '/authorize') {
+      const params = req.method === 'POST' ? await readBody(req) : url.searchParams;
+      const username = params.get('username');
+
+      if (req.method === 'POST' && USERS[username]) {
+        return completeAuthorization(res, params, username);
+      }
+
+      return handleAuthorize(res, params);
+    }
+
+    if (req.method === 'POST' && url.pathname === '/token') {
+      return handleToken(req, res, await readBody(req));
+    }
+
+    if (url.pathname === '/userinfo') {
+      const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+      const username = accessTokens.get(token);
+
+      return username
+        ? sendJson(res, 200, USERS[username])
+        : sendJson(res, 401, { error: 'invalid_token' });
+    }
+
+    sendJson(res, 404, { error: 'not_found' });
+  } catch (error) {
+    console.error('Mock IdP error:', error);
+    sendJson(res, 500, { error: 'server_error' });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`🔑 Mock OIDC provider running at ${ISSUER}`);
+  console.log(`   client_id: ${CLIENT_ID}${CLIENT_SECRET ? ' (client secret required)' : ''}`);
+  console.log(`   users: ${Object.keys(USERS).join(', ')}`);
+});
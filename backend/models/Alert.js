@@ -0,0 +1,149 @@
+import { database } from '../config/database.js';
+
+export class Alert {
+  constructor(data) {
+    this.id = data.id;
+    this.rule_id = data.rule_id;
+    this.rule_name = data.rule_name;
+    this.container_id = data.container_id;
+    this.container_name = data.container_name;
+    this.status = data.status;
+    this.severity = data.severity;
+    this.message = data.message;
+    this.details = data.details ? JSON.parse(data.details) : {};
+    this.fired_at = data.fired_at;
+    this.resolved_at = data.resolved_at;
+  }
+
+  static async findById(id) {
+    try {
+      const alertData = await database.get(
+        `SELECT a.*, r.name AS rule_name, c.name AS container_name
+         FROM alerts a
+         LEFT JOIN alert_rules r ON r.id = a.rule_id
+         LEFT JOIN containers c ON c.id = a.container_id
+         WHERE a.id = ?`,
+        [id]
+      );
+
+      return alertData ? new Alert(alertData) : null;
+    } catch (error) {
+      console.error('Error finding alert by ID:', error);
+      throw error;
+    }
+  }
+
+  static async findFiring(ruleId, containerId) {
+    try {
+      const alertData = await database.get(
+        "SELECT * FROM alerts WHERE rule_id = ? AND container_id = ? AND status = 'firing'",
+        [ruleId, containerId]
+      );
+
+      return alertData ? new Alert(alertData) : null;
+    } catch (error) {
+      console.error('Error finding firing alert:', error);
+      throw error;
+    }
+  }
+
+  static async fire(rule, containerId, message, details = {}) {
+    try {
+      const result = await database.run(
+        `INSERT INTO alerts (rule_id, container_id, status, severity, message, details)
+         VALUES (?, ?, 'firing', ?, ?, ?)`,
+        [rule.id, containerId, rule.severity, message, JSON.stringify(details)]
+      );
+
+      return await Alert.findById(result.id);
+    } catch (error) {
+      console.error('Error firing alert:', error);
+      throw error;
+    }
+  }
+
+  async resolve() {
+    try {
+      await database.run(
+        "UPDATE alerts SET status = 'resolved', resolved_at = CURRENT_TIMESTAMP WHERE id = ?",
+        [this.id]
+      );
+
+      return await Alert.findById(this.id);
+    } catch (error) {
+      console.error('Error resolving alert:', error);
+      throw error;
+    }
+  }
+
+  static async list(options = {}) {
+    try {
+      const {
+        userId = null,
+        status = null,
+        ruleId = null,
+        containerId = null,
+        limit = 100
+      } = options;
+
+      const conditions = [];
+      const params = [];
+
+      if (userId) {
+        conditions.push('r.created_by = ?');
+        params.push(userId);
+      }
+
+      if (status) {
+        conditions.push('a.status = ?');
+        params.push(status);
+      }
+
+      if (ruleId) {
+        conditions.push('a.rule_id = ?');
+        params.push(ruleId);
+      }
+
+      if (containerId) {
+        conditions.push('a.container_id = ?');
+        params.push(containerId);
+      }
+
+      const whereClause = conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '';
+      params.push(limit);
+
+      const alerts = await database.all(
+        `SELECT a.*, r.name AS rule_name, c.name AS container_name
+         FROM alerts a
+         LEFT JOIN alert_rules r ON r.id = a.rule_id
+         LEFT JOIN containers c ON c.id = a.container_id${whereClause}
+         ORDER BY a.fired_at DESC
+         LIMIT ?`,
+        params
+      );
+
+      return alerts.map(alert => new Alert(alert));
+    } catch (error) {
+      console.error('Error listing alerts:', error);
+      throw error;
+    }
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      rule_id: this.rule_id,
+      rule_name: this.rule_name,
+      container_id: this.container_id,
+      container_name: this.container_name,
+      status: this.status,
+      severity: this.severity,
+      message: this.message,
+      details: this.details,
+      fired_at: this.fired_at,
+      resolved_at: this.resolved_at
+    };
+  }
+}
+
+export default Alert;
@@ -0,0 +1,170 @@
+import { database } from '../config/database.js';
+
+export const RULE_TYPES = ['container_stopped', 'metric_threshold', 'restart_loop', 'log_match'];
+export const CHANNEL_TYPES = ['webhook', 'email', 'in_app'];
+
+const RULE_FIELDS = ['name', 'container_id', 'rule_type', 'config', 'channels', 'severity', 'enabled'];
+const JSON_FIELDS = ['config', 'channels'];
+
+export class AlertRule {
+  constructor(data) {
+    this.id = data.id;
+    this.name = data.name;
+    this.container_id = data.container_id;
+    this.rule_type = data.rule_type;
+    this.config = data.config ? JSON.parse(data.config) : {};
+    this.channels = data.channels ? JSON.parse(data.channels) : [];
+    this.severity = data.severity || 'warning';
+    this.enabled = !!data.enabled;
+    this.created_by = data.created_by;
+    this.created_at = data.created_at;
+    this.updated_at = data.updated_at;
+  }
+
+  static async findById(id) {
+    try {
+      const ruleData = await database.get(
+        'SELECT * FROM alert_rules WHERE id = ?',
+        [id]
+      );
+
+      return ruleData ? new AlertRule(ruleData) : null;
+    } catch (error) {
+      console.error('Error finding alert rule by ID:', error);
+      throw error;
+    }
+  }
+
+  static async create(ruleData, userId) {
+    try {
+      const result = await database.run(
+        `INSERT INTO alert_rules (
+          name, container_id, rule_type, config, channels, severity, enabled, created_by
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          ruleData.name,
+          ruleData.container_id || null,
+          ruleData.rule_type,
+          JSON.stringify(ruleData.config || {}),
+          JSON.stringify(ruleData.channels || [{ type: 'in_app' }]),
+          ruleData.severity || 'warning',
+          ruleData.enabled === false ? 0 : 1,
+          userId
+        ]
+      );
+
+      if (result.id) {
+        return await AlertRule.findById(result.id);
+      }
+
+      throw new Error('Failed to create alert rule');
+    } catch (error) {
+      console.error('Error creating alert rule:', error);
+      throw error;
+    }
+  }
+
+  static async update(id, updateData) {
+    try {
+      const updates = [];
+      const values = [];
+
+      for (const [key, value] of Object.entries(updateData)) {
+        if (RULE_FIELDS.includes(key) && value !== undefined) {
+          updates.push(`${key} = ?`);
+
+          if (JSON_FIELDS.includes(key)) {
+            values.push(JSON.stringify(value));
+          } else if (key === 'enabled') {
+            values.push(value ? 1 : 0);
+          } else {
+            values.push(value);
+          }
+        }
+      }
+
+      if (updates.length === 0) {
+        throw new Error('No valid fields to update');
+      }
+
+      values.push(id);
+
+      const result = await database.run(
+        `UPDATE alert_rules SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        values
+      );
+
+      if (result.changes > 0) {
+        return await AlertRule.findById(id);
+      }
+
+      return null;
+    } catch (error) {
+      console.error('Error updating alert rule:', error);
+      throw error;
+    }
+  }
+
+  static async delete(id) {
+    try {
+      await database.run('DELETE FROM alerts WHERE rule_id = ?', [id]);
+      const result = await database.run('DELETE FROM alert_rules WHERE id = ?', [id]);
+      return result.changes > 0;
+    } catch (error) {
+      console.error('Error deleting alert rule:', error);
+      throw error;
+    }
+  }
+
+  static async list(options = {}) {
+    try {
+      const { userId = null, enabledOnly = false } = options;
+      const conditions = [];
+      const params = [];
+
+      if (userId) {
+        conditions.push('created_by = ?');
+        params.push(userId);
+      }
+
+      if (enabledOnly) {
+        conditions.push('enabled = 1');
+      }
+
+      const whereClause = conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '';
+
+      const rules = await database.all(
+        `SELECT * FROM alert_rules${whereClause} ORDER BY created_at DESC`,
+        params
+      );
+
+      return rules.map(rule => new AlertRule(rule));
+    } catch (error) {
+      console.error('Error listing alert rules:', error);
+      throw error;
+    }
+  }
+
+  // Instance methods
+  canModify(user) {
+    return user.role === 'admin' || this.created_by === user.id;
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      container_id: this.container_id,
+      rule_type: this.rule_type,
+      config: this.config,
+      channels: this.channels,
+      severity: this.severity,
+      enabled: this.enabled,
+      created_by: this.created_by,
+      created_at: this.created_at,
+      updated_at: this.updated_at
+    };
+  }
+}
+
+export default AlertRule;
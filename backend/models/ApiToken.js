@@ -0,0 +1,185 @@
+import crypto from 'crypto';
+import { database, timestampAgo, toTimestamp } from '../config/database.js';
+
+// Personal access tokens are recognised by this prefix, JWTs never start with it
+export const API_TOKEN_PREFIX = 'ncf_';
+
+// API prefixes a token can be scoped to, e.g. containers:read or containers:write.
+// users is left out on purpose: creating accounts, changing roles and
+// resetting passwords need a login session, like auth and token management.
+export const API_TOKEN_RESOURCES = [
+  'containers',
+  'files',
+  'settings',
+  'logs',
+  'templates',
+  'stacks',
+  'images',
+  'networks',
+  'volumes',
+  'snapshots',
+  'alerts',
+  'webhooks',
+  'teams',
+  'quotas',
+  'audit'
+];
+
+// "read" and "write" cover every resource; write implies read
+export const API_TOKEN_SCOPES = [
+  'read',
+  'write',
+  ...API_TOKEN_RESOURCES.flatMap(resource => [`${resource}:read`, `${resource}:write`])
+];
+
+export class ApiToken {
+  constructor(data) {
+    this.id = data.id;
+    this.user_id = data.user_id;
+    this.name = data.name;
+    this.token_prefix = data.token_prefix;
+    this.scopes = data.scopes ? JSON.parse(data.scopes) : [];
+    this.expires_at = data.expires_at;
+    this.last_used_at = data.last_used_at;
+    this.last_used_ip = data.last_used_ip;
+    this.created_at = data.created_at;
+  }
+
+  static hash(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  static isApiToken(token) {
+    return typeof token === 'string' && token.startsWith(API_TOKEN_PREFIX);
+  }
+
+  static async findById(id) {
+    try {
+      const tokenData = await database.get(
+        'SELECT * FROM api_tokens WHERE id = ?',
+        [id]
+      );
+
+      return tokenData ? new ApiToken(tokenData) : null;
+    } catch (error) {
+      console.error('Error finding API token by ID:', error);
+      throw error;
+    }
+  }
+
+  static async findByToken(token) {
+    try {
+      const tokenData = await database.get(
+        'SELECT * FROM api_tokens WHERE token_hash = ?',
+        [ApiToken.hash(token)]
+      );
+
+      return tokenData ? new ApiToken(tokenData) : null;
+    } catch (error) {
+      console.error('Error finding API token:', error);
+      throw error;
+    }
+  }
+
+  // Returns the stored token and the plain value, which is never persisted
+  static async create(tokenData, userId) {
+    try {
+      const token = API_TOKEN_PREFIX + crypto.randomBytes(24).toString('hex');
+      let expiresAt = null;
+
+      if (tokenData.expires_in_days) {
+        expiresAt = toTimestamp(new Date(Date.now() + tokenData.expires_in_days * 24 * 60 * 60 * 1000));
+      }
+
+      const result = await database.run(
+        `INSERT INTO api_tokens (user_id, name, token_prefix, token_hash, scopes, expires_at)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [
+          userId,
+          tokenData.name,
+          token.slice(0, API_TOKEN_PREFIX.length + 6),
+          ApiToken.hash(token),
+          JSON.stringify(tokenData.scopes),
+          expiresAt
+        ]
+      );
+
+      if (!result.id) {
+        throw new Error('Failed to create API token');
+      }
+
+      return { apiToken: await ApiToken.findById(result.id), token };
+    } catch (error) {
+      console.error('Error creating API token:', error);
+      throw error;
+    }
+  }
+
+  static async listForUser(userId) {
+    try {
+      const tokens = await database.all(
+        'SELECT * FROM api_tokens WHERE user_id = ? ORDER BY created_at DESC',
+        [userId]
+      );
+
+      return tokens.map(token => new ApiToken(token));
+    } catch (error) {
+      console.error('Error listing API tokens:', error);
+      throw error;
+    }
+  }
+
+  static async revoke(id) {
+    try {
+      const result = await database.run('DELETE FROM api_tokens WHERE id = ?', [id]);
+      return result.changes > 0;
+    } catch (error) {
+      console.error('Error revoking API token:', error);
+      throw error;
+    }
+  }
+
+  // Instance methods
+  isExpired() {
+    if (!this.expires_at) return false;
+    return new Date(`${this.expires_at.replace(' ', 'T')}Z`) <= new Date();
+  }
+
+  allows(resource, access) {
+    return this.scopes.some(scope =>
+      scope === 'write' ||
+      scope === `${resource}:write` ||
+      (access === 'read' && (scope === 'read' || scope === `${resource}:read`))
+    );
+  }
+
+  // Written at most once a minute so busy scripts don't turn every request into a write
+  async touch(ipAddress) {
+    try {
+      await database.run(
+        `UPDATE api_tokens SET last_used_at = CURRENT_TIMESTAMP, last_used_ip = ?
+         WHERE id = ? AND (last_used_at IS NULL OR last_used_at < ?)`,
+        [ipAddress || null, this.id, timestampAgo(60)]
+      );
+    } catch (error) {
+      console.error('Error updating API token usage:', error);
+    }
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      user_id: this.user_id,
+      name: this.name,
+      token_prefix: this.token_prefix,
+      scopes: this.scopes,
+      expires_at: this.expires_at,
+      expired: this.isExpired(),
+      last_used_at: this.last_used_at,
+      last_used_ip: this.last_used_ip,
+      created_at: this.created_at
+    };
+  }
+}
+
+export default ApiToken;
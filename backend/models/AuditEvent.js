@@ -0,0 +1,188 @@
+import { database, timestampAgo } from '../config/database.js';
+
+export class AuditEvent {
+  constructor(data) {
+    this.id = data.id;
+    this.actor_id = data.actor_id;
+    this.actor_username = data.actor_username;
+    this.ip_address = data.ip_address;
+    this.user_agent = data.user_agent;
+    this.action = data.action;
+    this.target_type = data.target_type;
+    this.target_id = data.target_id;
+    this.method = data.method;
+    this.path = data.path;
+    this.before = data.before_state ? JSON.parse(data.before_state) : null;
+    this.after = data.after_state ? JSON.parse(data.after_state) : null;
+    this.result = data.result;
+    this.status_code = data.status_code;
+    this.error = data.error;
+    this.created_at = data.created_at;
+  }
+
+  static async create(event) {
+    try {
+      const result = await database.run(
+        `INSERT INTO audit_events (
+          actor_id, actor_username, ip_address, user_agent, action, target_type, target_id,
+          method, path, before_state, after_state, result, status_code, error
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          event.actor_id || null,
+          event.actor_username || null,
+          event.ip_address || null,
+          event.user_agent || null,
+          event.action,
+          event.target_type || null,
+          event.target_id !== undefined && event.target_id !== null ? String(event.target_id) : null,
+          event.method || null,
+          event.path || null,
+          event.before ? JSON.stringify(event.before) : null,
+          event.after ? JSON.stringify(event.after) : null,
+          event.result,
+          event.status_code || null,
+          event.error || null
+        ]
+      );
+
+      return result.id;
+    } catch (error) {
+      console.error('Error creating audit event:', error);
+      throw error;
+    }
+  }
+
+  static async findById(id) {
+    try {
+      const eventData = await database.get('SELECT * FROM audit_events WHERE id = ?', [id]);
+      return eventData ? new AuditEvent(eventData) : null;
+    } catch (error) {
+      console.error('Error finding audit event by ID:', error);
+      throw error;
+    }
+  }
+
+  static buildWhereClause(filters = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (filters.actor_id) {
+      conditions.push('actor_id = ?');
+      params.push(filters.actor_id);
+    }
+
+    if (filters.actor) {
+      conditions.push('actor_username = ?');
+      params.push(filters.actor);
+    }
+
+    // "container" matches every container.* action
+    if (filters.action) {
+      conditions.push('(action = ? OR action LIKE ?)');
+      params.push(filters.action, `${filters.action}.%`);
+    }
+
+    if (filters.target_type) {
+      conditions.push('target_type = ?');
+      params.push(filters.target_type);
+    }
+
+    if (filters.target_id) {
+      conditions.push('target_id = ?');
+      params.push(String(filters.target_id));
+    }
+
+    if (filters.result) {
+      conditions.push('result = ?');
+      params.push(filters.result);
+    }
+
+    if (filters.ip) {
+      conditions.push('ip_address = ?');
+      params.push(filters.ip);
+    }
+
+    if (filters.from) {
+      conditions.push('created_at >= ?');
+      params.push(filters.from);
+    }
+
+    if (filters.to) {
+      conditions.push('created_at <= ?');
+      params.push(filters.to);
+    }
+
+    return {
+      whereClause: conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '',
+      params
+    };
+  }
+
+  static async list(filters = {}, options = {}) {
+    try {
+      const { page = 1, limit = 50 } = options;
+      const offset = (page - 1) * limit;
+      const { whereClause, params } = AuditEvent.buildWhereClause(filters);
+
+      const events = await database.all(
+        `SELECT * FROM audit_events${whereClause} ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+      );
+
+      const total = await database.get(
+        `SELECT COUNT(*) as count FROM audit_events${whereClause}`,
+        params
+      );
+
+      return {
+        events: events.map(event => new AuditEvent(event)),
+        pagination: {
+          page,
+          limit,
+          total: total.count,
+          pages: Math.ceil(total.count / limit)
+        }
+      };
+    } catch (error) {
+      console.error('Error listing audit events:', error);
+      throw error;
+    }
+  }
+
+  static async deleteOlderThan(days) {
+    try {
+      const result = await database.run(
+        'DELETE FROM audit_events WHERE created_at < ?',
+        [timestampAgo(days * 24 * 60 * 60)]
+      );
+
+      return result.changes;
+    } catch (error) {
+      console.error('Error cleaning up audit events:', error);
+      throw error;
+    }
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      actor_id: this.actor_id,
+      actor_username: this.actor_username,
+      ip_address: this.ip_address,
+      user_agent: this.user_agent,
+      action: this.action,
+      target_type: this.target_type,
+      target_id: this.target_id,
+      method: this.method,
+      path: this.path,
+      before: this.before,
+      after: this.after,
+      result: this.result,
+      status_code: this.status_code,
+      error: this.error,
+      created_at: this.created_at
+    };
+  }
+}
+
+export default AuditEvent;
@@ -1,5 +1,11 @@
 import { v4 as uuidv4 } from 'uuid';
-import { database } from '../config/database.js';
+import { database, timestampAgo } from '../config/database.js';
+
+// Tables whose rows reference a single container through container_id
+const DEPENDENT_TABLES = [
+  'alert_rules', 'webhooks', 'container_logs', 'container_settings', 'container_permissions',
+  'container_snapshots', 'container_metrics', 'stack_services'
+];
 
 export class Container {
   constructor(data) {
@@ -13,6 +19,13 @@ export class Container {
     this.port_mappings = data.port_mappings ? JSON.parse(data.port_mappings) : {};
     this.environment_vars = data.environment_vars ? JSON.parse(data.environment_vars) : [];
     this.created_by = data.created_by;
+    this.team_id = data.team_id || null;
+    this.memory_limit = data.memory_limit ?? null;
+    this.cpu_limit = data.cpu_limit ?? null;
+    this.cpu_quota = data.cpu_quota ?? null;
+    this.memory_swap = data.memory_swap ?? null;
+    this.cpu_shares = data.cpu_shares ?? null;
+    this.pids_limit = data.pids_limit ?? null;
     this.created_at = data.created_at;
     this.updated_at = data.updated_at;
   }
@@ -67,8 +80,9 @@ export class Container {
       const result = await database.run(
         `INSERT INTO containers (
           id, name, image, status, folder_path, startup_script, 
-          port_mappings, environment_vars, created_by
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          port_mappings, environment_vars, created_by, team_id,
+          memory_limit, cpu_limit, cpu_quota
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
         [
           id,
           containerData.name,
@@ -78,7 +92,11 @@ export class Container {
           containerData.startup_script || null,
           JSON.stringify(containerData.port_mappings || {}),
           JSON.stringify(containerData.environment_vars || []),
-          userId
+          userId,
+          containerData.team_id || null,
+          containerData.memory_limit ?? null,
+          containerData.cpu_limit ?? null,
+          containerData.cpu_quota ?? null
         ]
       );
 
@@ -97,7 +115,8 @@ export class Container {
     try {
       const allowedFields = [
         'name', 'status', 'docker_id', 'startup_script', 
-        'port_mappings', 'environment_vars', 'folder_path'
+        'port_mappings', 'environment_vars', 'folder_path',
+        'memory_limit', 'cpu_limit', 'cpu_quota', 'memory_swap', 'cpu_shares', 'pids_limit'
       ];
       const updates = [];
       const values = [];
@@ -136,8 +155,23 @@ export class Container {
     }
   }
 
+  // Foreign keys are not enforced, so everything that belongs to the container
+  // goes with it; rules and webhooks for all containers (container_id NULL) stay
   static async delete(id) {
     try {
+      await database.run(
+        'DELETE FROM alerts WHERE container_id = ? OR rule_id IN (SELECT id FROM alert_rules WHERE container_id = ?)',
+        [id, id]
+      );
+      await database.run(
+        'DELETE FROM webhook_deliveries WHERE webhook_id IN (SELECT id FROM webhooks WHERE container_id = ?)',
+        [id]
+      );
+
+      for (const table of DEPENDENT_TABLES) {
+        await database.run(`DELETE FROM ${table} WHERE container_id = ?`, [id]);
+      }
+
       const result = await database.run('DELETE FROM containers WHERE id = ?', [id]);
       return result.changes > 0;
     } catch (error) {
@@ -154,7 +188,9 @@ export class Container {
         sort = 'created_at', 
         order = 'desc',
         status = null,
-        userId = null 
+        userId = null,
+        teamId = null,
+        personalOnly = false
       } = options;
       
       const offset = (page - 1) * limit;
@@ -166,8 +202,23 @@ export class Container {
         params.push(status);
       }
 
+      // Owned containers, containers of the user's teams and the ones shared with the user
       if (userId) {
-        whereClause += whereClause ? ' AND created_by = ?' : ' WHERE created_by = ?';
+        const accessClause = `(created_by = ?
+          OR team_id IN (SELECT team_id FROM team_members WHERE user_id = ?)
+          OR id IN (SELECT container_id FROM container_permissions
+            WHERE user_id = ? OR team_id IN (SELECT team_id FROM team_members WHERE user_id = ?)))`;
+        whereClause += whereClause ? ` AND ${accessClause}` : ` WHERE ${accessClause}`;
+        params.push(userId, userId, userId, userId);
+      }
+
+      // The personal workspace leaves out containers of the user's own teams
+      if (teamId) {
+        whereClause += whereClause ? ' AND team_id = ?' : ' WHERE team_id = ?';
+        params.push(teamId);
+      } else if (personalOnly && userId) {
+        const personalClause = '(team_id IS NULL OR team_id NOT IN (SELECT team_id FROM team_members WHERE user_id = ?))';
+        whereClause += whereClause ? ` AND ${personalClause}` : ` WHERE ${personalClause}`;
         params.push(userId);
       }
 
@@ -219,9 +270,9 @@ export class Container {
           COUNT(CASE WHEN status = 'running' THEN 1 END) as running_containers,
           COUNT(CASE WHEN status = 'stopped' THEN 1 END) as stopped_containers,
           COUNT(CASE WHEN status = 'created' THEN 1 END) as created_containers,
-          COUNT(CASE WHEN created_at >= datetime('now', '-24 hours') THEN 1 END) as new_containers_24h
+          COUNT(CASE WHEN created_at >= ? THEN 1 END) as new_containers_24h
         FROM containers
-      `);
+      `, [timestampAgo(24 * 60 * 60)]);
 
       return stats;
     } catch (error) {
@@ -287,6 +338,25 @@ export class Container {
     }
   }
 
+  async updateTeam(teamId) {
+    try {
+      const result = await database.run(
+        'UPDATE containers SET team_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [teamId, this.id]
+      );
+
+      if (result.changes > 0) {
+        this.team_id = teamId;
+        this.updated_at = new Date().toISOString();
+      }
+
+      return result.changes > 0;
+    } catch (error) {
+      console.error('Error updating container team:', error);
+      throw error;
+    }
+  }
+
   async getLogs(options = {}) {
     try {
       const { limit = 100, since = null, logType = null } = options;
@@ -326,6 +396,16 @@ export class Container {
     }
   }
 
+  async clearLogs() {
+    try {
+      const result = await database.run('DELETE FROM container_logs WHERE container_id = ?', [this.id]);
+      return result.changes;
+    } catch (error) {
+      console.error('Error clearing container logs:', error);
+      throw error;
+    }
+  }
+
   async getSettings() {
     try {
       const settings = await database.get(
@@ -408,6 +488,13 @@ export class Container {
       port_mappings: this.port_mappings,
       environment_vars: this.environment_vars,
       created_by: this.created_by,
+      team_id: this.team_id,
+      memory_limit: this.memory_limit,
+      cpu_limit: this.cpu_limit,
+      cpu_quota: this.cpu_quota,
+      memory_swap: this.memory_swap,
+      cpu_shares: this.cpu_shares,
+      pids_limit: this.pids_limit,
       created_at: this.created_at,
       updated_at: this.updated_at
     };
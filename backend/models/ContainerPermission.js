@@ -0,0 +1,142 @@
+import { database } from '../config/database.js';
+
+// Ordered from least to most privileged
+export const CONTAINER_ROLES = ['viewer', 'operator', 'owner'];
+
+export class ContainerPermission {
+  constructor(data) {
+    this.id = data.id;
+    this.container_id = data.container_id;
+    this.user_id = data.user_id;
+    this.username = data.username;
+    this.team_id = data.team_id;
+    this.team_name = data.team_name;
+    this.role = data.role;
+    this.granted_by = data.granted_by;
+    this.created_at = data.created_at;
+    this.updated_at = data.updated_at;
+  }
+
+  static async findById(id) {
+    try {
+      const permissionData = await database.get(
+        `SELECT p.*, u.username, t.name AS team_name
+         FROM container_permissions p
+         LEFT JOIN users u ON u.id = p.user_id
+         LEFT JOIN teams t ON t.id = p.team_id
+         WHERE p.id = ?`,
+        [id]
+      );
+
+      return permissionData ? new ContainerPermission(permissionData) : null;
+    } catch (error) {
+      console.error('Error finding container permission by ID:', error);
+      throw error;
+    }
+  }
+
+  // Create or replace the grant for a user or a team on a container
+  static async grant(containerId, grantee, role, grantedBy) {
+    try {
+      const { userId = null, teamId = null } = grantee;
+      const column = userId ? 'user_id' : 'team_id';
+
+      const existing = await database.get(
+        `SELECT id FROM container_permissions WHERE container_id = ? AND ${column} = ?`,
+        [containerId, userId || teamId]
+      );
+
+      if (existing) {
+        await database.run(
+          'UPDATE container_permissions SET role = ?, granted_by = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+          [role, grantedBy, existing.id]
+        );
+        return await ContainerPermission.findById(existing.id);
+      }
+
+      const result = await database.run(
+        `INSERT INTO container_permissions (container_id, user_id, team_id, role, granted_by)
+         VALUES (?, ?, ?, ?, ?)`,
+        [containerId, userId, teamId, role, grantedBy]
+      );
+
+      return await ContainerPermission.findById(result.id);
+    } catch (error) {
+      console.error('Error granting container permission:', error);
+      throw error;
+    }
+  }
+
+  static async revoke(id) {
+    try {
+      const result = await database.run('DELETE FROM container_permissions WHERE id = ?', [id]);
+      return result.changes > 0;
+    } catch (error) {
+      console.error('Error revoking container permission:', error);
+      throw error;
+    }
+  }
+
+  static async deleteForContainer(containerId) {
+    try {
+      await database.run('DELETE FROM container_permissions WHERE container_id = ?', [containerId]);
+    } catch (error) {
+      console.error('Error deleting container permissions:', error);
+      throw error;
+    }
+  }
+
+  static async listForContainer(containerId) {
+    try {
+      const permissions = await database.all(
+        `SELECT p.*, u.username, t.name AS team_name
+         FROM container_permissions p
+         LEFT JOIN users u ON u.id = p.user_id
+         LEFT JOIN teams t ON t.id = p.team_id
+         WHERE p.container_id = ?
+         ORDER BY p.created_at ASC`,
+        [containerId]
+      );
+
+      return permissions.map(permission => new ContainerPermission(permission));
+    } catch (error) {
+      console.error('Error listing container permissions:', error);
+      throw error;
+    }
+  }
+
+  // Roles granted on a container to a user directly or to any of their teams
+  static async findRolesForUser(containerId, userId) {
+    try {
+      const rows = await database.all(
+        `SELECT role FROM container_permissions
+         WHERE container_id = ? AND (
+           user_id = ? OR team_id IN (SELECT team_id FROM team_members WHERE user_id = ?)
+         )`,
+        [containerId, userId, userId]
+      );
+
+      return rows.map(row => row.role);
+    } catch (error) {
+      console.error('Error finding container roles for user:', error);
+      throw error;
+    }
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      container_id: this.container_id,
+      user_id: this.user_id,
+      username: this.username,
+      team_id: this.team_id,
+      team_name: this.team_name,
+      role: this.role,
+      granted_by: this.granted_by,
+      created_at: this.created_at,
+      updated_at: this.updated_at
+    };
+  }
+}
+
+export default ContainerPermission;
@@ -0,0 +1,106 @@
+import { database } from '../config/database.js';
+
+export class ContainerSnapshot {
+  constructor(data) {
+    this.id = data.id;
+    this.container_id = data.container_id;
+    this.image_tag = data.image_tag;
+    this.image_id = data.image_id;
+    this.source_image = data.source_image;
+    this.description = data.description;
+    this.size = data.size;
+    this.created_by = data.created_by;
+    this.created_at = data.created_at;
+  }
+
+  static async findById(id) {
+    try {
+      const snapshotData = await database.get(
+        'SELECT * FROM container_snapshots WHERE id = ?',
+        [id]
+      );
+
+      return snapshotData ? new ContainerSnapshot(snapshotData) : null;
+    } catch (error) {
+      console.error('Error finding container snapshot by ID:', error);
+      throw error;
+    }
+  }
+
+  static async create(snapshotData, userId) {
+    try {
+      const result = await database.run(
+        `INSERT INTO container_snapshots (container_id, image_tag, image_id, source_image, description, size, created_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [
+          snapshotData.container_id,
+          snapshotData.image_tag,
+          snapshotData.image_id || null,
+          snapshotData.source_image || null,
+          snapshotData.description || null,
+          snapshotData.size ?? null,
+          userId || null
+        ]
+      );
+
+      if (result.id) {
+        return await ContainerSnapshot.findById(result.id);
+      }
+
+      throw new Error('Failed to create container snapshot');
+    } catch (error) {
+      console.error('Error creating container snapshot:', error);
+      throw error;
+    }
+  }
+
+  // Newest first
+  static async listForContainer(containerId) {
+    try {
+      const snapshots = await database.all(
+        'SELECT * FROM container_snapshots WHERE container_id = ? ORDER BY created_at DESC, id DESC',
+        [containerId]
+      );
+
+      return snapshots.map(snapshot => new ContainerSnapshot(snapshot));
+    } catch (error) {
+      console.error('Error listing container snapshots:', error);
+      throw error;
+    }
+  }
+
+  static async delete(id) {
+    try {
+      const result = await database.run('DELETE FROM container_snapshots WHERE id = ?', [id]);
+      return result.changes > 0;
+    } catch (error) {
+      console.error('Error deleting container snapshot:', error);
+      throw error;
+    }
+  }
+
+  static async deleteForContainer(containerId) {
+    try {
+      await database.run('DELETE FROM container_snapshots WHERE container_id = ?', [containerId]);
+    } catch (error) {
+      console.error('Error deleting container snapshots:', error);
+      throw error;
+    }
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      container_id: this.container_id,
+      image_tag: this.image_tag,
+      image_id: this.image_id,
+      source_image: this.source_image,
+      description: this.description,
+      size: this.size,
+      created_by: this.created_by,
+      created_at: this.created_at
+    };
+  }
+}
+
+export default ContainerSnapshot;
@@ -0,0 +1,176 @@
+import { database, timestampAgo, toTimestamp } from '../config/database.js';
+
+// Usernames are compared case-insensitively so "Admin" and "admin" share one counter
+export const normalizeUsername = (username) => String(username || '').trim().toLowerCase();
+
+export class LoginAttempt {
+  constructor(data) {
+    this.id = data.id;
+    this.username = data.username;
+    this.user_id = data.user_id;
+    this.ip_address = data.ip_address;
+    this.user_agent = data.user_agent;
+    this.success = !!data.success;
+    this.reason = data.reason;
+    this.created_at = data.created_at;
+  }
+
+  static async record(attempt) {
+    try {
+      await database.run(
+        `INSERT INTO login_attempts (username, user_id, ip_address, user_agent, success, reason)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [
+          normalizeUsername(attempt.username),
+          attempt.user_id || null,
+          attempt.ip_address || null,
+          attempt.user_agent || null,
+          attempt.success ? 1 : 0,
+          attempt.reason || null
+        ]
+      );
+    } catch (error) {
+      console.error('Error recording login attempt:', error);
+      throw error;
+    }
+  }
+
+  static async list(filters = {}, options = {}) {
+    try {
+      const conditions = [];
+      const params = [];
+
+      if (filters.username) {
+        conditions.push('username = ?');
+        params.push(normalizeUsername(filters.username));
+      }
+
+      if (filters.ip_address) {
+        conditions.push('ip_address = ?');
+        params.push(filters.ip_address);
+      }
+
+      if (filters.success !== undefined) {
+        conditions.push('success = ?');
+        params.push(filters.success ? 1 : 0);
+      }
+
+      const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+      const limit = parseInt(options.limit) || 100;
+
+      const attempts = await database.all(
+        `SELECT * FROM login_attempts ${where} ORDER BY created_at DESC, id DESC LIMIT ?`,
+        [...params, limit]
+      );
+
+      return attempts.map(attempt => new LoginAttempt(attempt));
+    } catch (error) {
+      console.error('Error listing login attempts:', error);
+      throw error;
+    }
+  }
+
+  // Distinct usernames that failed from one IP since a timestamp (password spraying)
+  static async countFailedUsernamesFromIp(ipAddress, since) {
+    try {
+      const result = await database.get(
+        `SELECT COUNT(DISTINCT username) as count FROM login_attempts
+         WHERE ip_address = ? AND success = 0 AND reason IN ('invalid_credentials', 'unknown_user') AND created_at >= ?`,
+        [ipAddress, since]
+      );
+
+      return result?.count || 0;
+    } catch (error) {
+      console.error('Error counting failed logins:', error);
+      throw error;
+    }
+  }
+
+  static async deleteOlderThan(days) {
+    try {
+      const result = await database.run(
+        'DELETE FROM login_attempts WHERE created_at < ?',
+        [timestampAgo(parseInt(days) * 24 * 60 * 60)]
+      );
+
+      return result.changes;
+    } catch (error) {
+      console.error('Error deleting old login attempts:', error);
+      throw error;
+    }
+  }
+
+  static async getThrottle(username) {
+    try {
+      return await database.get(
+        'SELECT * FROM login_throttles WHERE username = ?',
+        [normalizeUsername(username)]
+      );
+    } catch (error) {
+      console.error('Error reading login throttle:', error);
+      throw error;
+    }
+  }
+
+  static async saveThrottle(username, throttle) {
+    try {
+      await database.upsert('login_throttles', {
+        username: normalizeUsername(username),
+        failed_count: throttle.failed_count || 0,
+        lockout_count: throttle.lockout_count || 0,
+        last_failed_at: throttle.last_failed_at || null,
+        next_attempt_at: throttle.next_attempt_at || null,
+        locked_until: throttle.locked_until || null,
+        updated_at: toTimestamp()
+      }, ['username']);
+    } catch (error) {
+      console.error('Error saving login throttle:', error);
+      throw error;
+    }
+  }
+
+  static async clearThrottle(username) {
+    try {
+      const result = await database.run(
+        'DELETE FROM login_throttles WHERE username = ?',
+        [normalizeUsername(username)]
+      );
+
+      return result.changes > 0;
+    } catch (error) {
+      console.error('Error clearing login throttle:', error);
+      throw error;
+    }
+  }
+
+  // Usernames locked right now, with the matching account when there is one
+  static async listLocked() {
+    try {
+      return await database.all(
+        `SELECT t.*, u.id as user_id FROM login_throttles t
+         LEFT JOIN users u ON LOWER(u.username) = t.username
+         WHERE t.locked_until > ?
+         ORDER BY t.locked_until DESC`,
+        [toTimestamp()]
+      );
+    } catch (error) {
+      console.error('Error listing locked accounts:', error);
+      throw error;
+    }
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      username: this.username,
+      user_id: this.user_id,
+      ip_address: this.ip_address,
+      user_agent: this.user_agent,
+      success: this.success,
+      reason: this.reason,
+      created_at: this.created_at
+    };
+  }
+}
+
+export default LoginAttempt;
@@ -0,0 +1,251 @@
+import { database, timestampAgo, toTimestamp } from '../config/database.js';
+
+// Short "Browser on OS" label for the sessions list
+const describeDevice = (userAgent) => {
+  if (!userAgent) return 'Unknown device';
+
+  const browsers = [
+    [/Edg\//, 'Edge'],
+    [/OPR\/|Opera/, 'Opera'],
+    [/Firefox\//, 'Firefox'],
+    [/Chrome\//, 'Chrome'],
+    [/Safari\//, 'Safari'],
+    [/curl\//, 'curl'],
+    [/node|undici/i, 'Node.js']
+  ];
+  const systems = [
+    [/Windows/, 'Windows'],
+    [/Android/, 'Android'],
+    [/iPhone|iPad/, 'iOS'],
+    [/Mac OS X|Macintosh/, 'macOS'],
+    [/Linux/, 'Linux']
+  ];
+
+  const browser = browsers.find(([pattern]) => pattern.test(userAgent))?.[1] || 'Unknown browser';
+  const system = systems.find(([pattern]) => pattern.test(userAgent))?.[1];
+
+  return system ? `${browser} on ${system}` : browser;
+};
+
+export class LoginSession {
+  constructor(data) {
+    this.id = data.id;
+    this.user_id = data.user_id;
+    this.auth_method = data.auth_method;
+    this.user_agent = data.user_agent;
+    this.ip_address = data.ip_address;
+    this.last_used_at = data.last_used_at;
+    this.expires_at = data.expires_at;
+    this.revoked_at = data.revoked_at;
+    this.revoked_reason = data.revoked_reason;
+    this.created_at = data.created_at;
+  }
+
+  static async findById(id) {
+    try {
+      const sessionData = await database.get(
+        'SELECT * FROM login_sessions WHERE id = ?',
+        [id]
+      );
+
+      return sessionData ? new LoginSession(sessionData) : null;
+    } catch (error) {
+      console.error('Error finding login session by ID:', error);
+      throw error;
+    }
+  }
+
+  static async create(sessionData) {
+    try {
+      const result = await database.run(
+        `INSERT INTO login_sessions (user_id, auth_method, user_agent, ip_address, expires_at)
+         VALUES (?, ?, ?, ?, ?)`,
+        [
+          sessionData.user_id,
+          sessionData.auth_method || 'password',
+          sessionData.user_agent || null,
+          sessionData.ip_address || null,
+          toTimestamp(sessionData.expires_at)
+        ]
+      );
+
+      if (!result.id) {
+        throw new Error('Failed to create login session');
+      }
+
+      return await LoginSession.findById(result.id);
+    } catch (error) {
+      console.error('Error creating login session:', error);
+      throw error;
+    }
+  }
+
+  // Checked on every request made with an access token, so it stays a single indexed lookup
+  static async isActive(id, userId) {
+    try {
+      const session = await database.get(
+        `SELECT id FROM login_sessions
+         WHERE id = ? AND user_id = ? AND revoked_at IS NULL AND expires_at > ?`,
+        [id, userId, toTimestamp()]
+      );
+
+      return !!session;
+    } catch (error) {
+      console.error('Error checking login session:', error);
+      throw error;
+    }
+  }
+
+  static async listActiveForUser(userId) {
+    try {
+      const sessions = await database.all(
+        `SELECT * FROM login_sessions
+         WHERE user_id = ? AND revoked_at IS NULL AND expires_at > ?
+         ORDER BY last_used_at DESC`,
+        [userId, toTimestamp()]
+      );
+
+      return sessions.map(session => new LoginSession(session));
+    } catch (error) {
+      console.error('Error listing login sessions:', error);
+      throw error;
+    }
+  }
+
+  // Record activity and slide the expiry forward after a refresh
+  static async touch(id, { ip_address, user_agent, expires_at }) {
+    try {
+      await database.run(
+        `UPDATE login_sessions
+         SET last_used_at = CURRENT_TIMESTAMP, ip_address = ?, user_agent = COALESCE(?, user_agent), expires_at = ?
+         WHERE id = ?`,
+        [ip_address || null, user_agent || null, toTimestamp(expires_at), id]
+      );
+    } catch (error) {
+      console.error('Error updating login session:', error);
+      throw error;
+    }
+  }
+
+  static async revoke(id, reason = 'logout') {
+    try {
+      const result = await database.run(
+        `UPDATE login_sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = ?
+         WHERE id = ? AND revoked_at IS NULL`,
+        [reason, id]
+      );
+
+      return result.changes > 0;
+    } catch (error) {
+      console.error('Error revoking login session:', error);
+      throw error;
+    }
+  }
+
+  // Revoke every open session of a user, optionally keeping one (the caller's own)
+  static async revokeAllForUser(userId, reason, exceptId = null) {
+    try {
+      const result = await database.run(
+        `UPDATE login_sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = ?
+         WHERE user_id = ? AND revoked_at IS NULL AND id != ?`,
+        [reason, userId, exceptId || 0]
+      );
+
+      return result.changes;
+    } catch (error) {
+      console.error('Error revoking login sessions:', error);
+      throw error;
+    }
+  }
+
+  static async addRefreshToken(sessionId, salt, hash) {
+    try {
+      const result = await database.run(
+        'INSERT INTO refresh_tokens (session_id, token_salt, token_hash) VALUES (?, ?, ?)',
+        [sessionId, salt, hash]
+      );
+
+      if (!result.id) {
+        throw new Error('Failed to store refresh token');
+      }
+
+      return result.id;
+    } catch (error) {
+      console.error('Error storing refresh token:', error);
+      throw error;
+    }
+  }
+
+  static async findRefreshToken(id) {
+    try {
+      return await database.get('SELECT * FROM refresh_tokens WHERE id = ?', [id]);
+    } catch (error) {
+      console.error('Error finding refresh token:', error);
+      throw error;
+    }
+  }
+
+  // Only one caller can rotate a token; a second one sees false and is treated as reuse
+  static async markRefreshTokenRotated(id) {
+    try {
+      const result = await database.run(
+        'UPDATE refresh_tokens SET rotated_at = CURRENT_TIMESTAMP WHERE id = ? AND rotated_at IS NULL',
+        [id]
+      );
+
+      return result.changes > 0;
+    } catch (error) {
+      console.error('Error rotating refresh token:', error);
+      throw error;
+    }
+  }
+
+  // Drop sessions that expired or were revoked more than retentionDays ago
+  static async deleteStale(retentionDays = 30) {
+    try {
+      const cutoff = timestampAgo(parseInt(retentionDays) * 24 * 60 * 60);
+
+      // MySQL cannot delete from a table it selects from in a subquery (error 1093)
+      await database.run(
+        `DELETE FROM refresh_tokens WHERE session_id IN (
+          SELECT id FROM login_sessions WHERE expires_at <= ? OR revoked_at <= ?
+        )`,
+        [cutoff, cutoff]
+      );
+      const result = await database.run(
+        'DELETE FROM login_sessions WHERE expires_at <= ? OR revoked_at <= ?',
+        [cutoff, cutoff]
+      );
+
+      return result.changes;
+    } catch (error) {
+      console.error('Error deleting stale login sessions:', error);
+      throw error;
+    }
+  }
+
+  // Instance methods
+  isExpired() {
+    return new Date(`${this.expires_at.replace(' ', 'T')}Z`) <= new Date();
+  }
+
+  isRevoked() {
+    return !!this.revoked_at;
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      user_id: this.user_id,
+      auth_method: this.auth_method,
+      device: describeDevice(this.user_agent),
+      user_agent: this.user_agent,
+      ip_address: this.ip_address,
+      last_used_at: this.last_used_at,
+      expires_at: this.expires_at,
+      created_at: this.created_at
+    };
+  }
+}
+
+export default LoginSession;
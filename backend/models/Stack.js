@@ -0,0 +1,193 @@
+import { v4 as uuidv4 } from 'uuid';
+import { database } from '../config/database.js';
+
+export class Stack {
+  constructor(data) {
+    this.id = data.id;
+    this.name = data.name;
+    this.status = data.status || 'created';
+    this.compose_content = data.compose_content;
+    this.networks = data.networks ? JSON.parse(data.networks) : [];
+    this.volumes = data.volumes ? JSON.parse(data.volumes) : [];
+    this.created_by = data.created_by;
+    this.created_at = data.created_at;
+    this.updated_at = data.updated_at;
+  }
+
+  static async findById(id) {
+    try {
+      const stackData = await database.get(
+        'SELECT * FROM stacks WHERE id = ?',
+        [id]
+      );
+
+      return stackData ? new Stack(stackData) : null;
+    } catch (error) {
+      console.error('Error finding stack by ID:', error);
+      throw error;
+    }
+  }
+
+  static async findByName(name) {
+    try {
+      const stackData = await database.get(
+        'SELECT * FROM stacks WHERE name = ?',
+        [name]
+      );
+
+      return stackData ? new Stack(stackData) : null;
+    } catch (error) {
+      console.error('Error finding stack by name:', error);
+      throw error;
+    }
+  }
+
+  static async create(stackData, userId) {
+    try {
+      const id = uuidv4().replace(/-/g, '').substring(0, 12);
+
+      const result = await database.run(
+        `INSERT INTO stacks (
+          id, name, status, compose_content, networks, volumes, created_by
+        ) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [
+          id,
+          stackData.name,
+          'created',
+          stackData.compose_content,
+          JSON.stringify(stackData.networks || []),
+          JSON.stringify(stackData.volumes || []),
+          userId
+        ]
+      );
+
+      if (result.changes > 0) {
+        return await Stack.findById(id);
+      }
+
+      throw new Error('Failed to create stack');
+    } catch (error) {
+      console.error('Error creating stack:', error);
+      throw error;
+    }
+  }
+
+  static async delete(id) {
+    try {
+      await database.run('DELETE FROM stack_services WHERE stack_id = ?', [id]);
+      const result = await database.run('DELETE FROM stacks WHERE id = ?', [id]);
+      return result.changes > 0;
+    } catch (error) {
+      console.error('Error deleting stack:', error);
+      throw error;
+    }
+  }
+
+  static async list(options = {}) {
+    try {
+      const { userId = null } = options;
+      let whereClause = '';
+      const params = [];
+
+      if (userId) {
+        whereClause = ' WHERE created_by = ?';
+        params.push(userId);
+      }
+
+      const stacks = await database.all(
+        `SELECT * FROM stacks${whereClause} ORDER BY created_at DESC`,
+        params
+      );
+
+      return stacks.map(stack => new Stack(stack));
+    } catch (error) {
+      console.error('Error listing stacks:', error);
+      throw error;
+    }
+  }
+
+  static async exists(name) {
+    try {
+      const stack = await database.get('SELECT id FROM stacks WHERE name = ?', [name]);
+      return !!stack;
+    } catch (error) {
+      console.error('Error checking stack existence:', error);
+      throw error;
+    }
+  }
+
+  // Instance methods
+  async updateStatus(status) {
+    try {
+      const result = await database.run(
+        'UPDATE stacks SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [status, this.id]
+      );
+
+      if (result.changes > 0) {
+        this.status = status;
+        return true;
+      }
+
+      return false;
+    } catch (error) {
+      console.error('Error updating stack status:', error);
+      throw error;
+    }
+  }
+
+  async addService(serviceName, containerId, startOrder, dependsOn = []) {
+    try {
+      await database.run(
+        `INSERT INTO stack_services (stack_id, service_name, container_id, start_order, depends_on)
+         VALUES (?, ?, ?, ?, ?)`,
+        [this.id, serviceName, containerId, startOrder, JSON.stringify(dependsOn)]
+      );
+    } catch (error) {
+      console.error('Error adding stack service:', error);
+      throw error;
+    }
+  }
+
+  // Services joined with their containers, in dependency (start) order
+  async getServices() {
+    try {
+      const services = await database.all(
+        `SELECT s.service_name, s.start_order, s.depends_on, c.id AS container_id,
+                c.name AS container_name, c.docker_id, c.image, c.status
+         FROM stack_services s
+         JOIN containers c ON c.id = s.container_id
+         WHERE s.stack_id = ?
+         ORDER BY s.start_order ASC`,
+        [this.id]
+      );
+
+      return services.map(service => ({
+        ...service,
+        depends_on: service.depends_on ? JSON.parse(service.depends_on) : []
+      }));
+    } catch (error) {
+      console.error('Error getting stack services:', error);
+      throw error;
+    }
+  }
+
+  canAccess(user) {
+    return user.role === 'admin' || this.created_by === user.id;
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      status: this.status,
+      networks: this.networks,
+      volumes: this.volumes,
+      created_by: this.created_by,
+      created_at: this.created_at,
+      updated_at: this.updated_at
+    };
+  }
+}
+
+export default Stack;
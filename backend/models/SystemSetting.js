@@ -0,0 +1,71 @@
+import { database } from '../config/database.js';
+
+export class SystemSetting {
+  static async get(key, defaultValue = null) {
+    try {
+      const setting = await database.get(
+        'SELECT setting_value FROM system_settings WHERE setting_key = ?',
+        [key]
+      );
+
+      return setting ? setting.setting_value : defaultValue;
+    } catch (error) {
+      console.error('Error getting system setting:', error);
+      throw error;
+    }
+  }
+
+  static async getAll() {
+    try {
+      const settings = await database.all(
+        'SELECT setting_key, setting_value, description, updated_at FROM system_settings ORDER BY setting_key ASC'
+      );
+
+      return settings;
+    } catch (error) {
+      console.error('Error listing system settings:', error);
+      throw error;
+    }
+  }
+
+  // Key/value map of the given settings, keeping only the ones that exist
+  static async getMany(keys) {
+    try {
+      const settings = await database.all(
+        `SELECT setting_key, setting_value FROM system_settings WHERE setting_key IN (${keys.map(() => '?').join(', ')})`,
+        keys
+      );
+
+      return Object.fromEntries(settings.map(setting => [setting.setting_key, setting.setting_value]));
+    } catch (error) {
+      console.error('Error getting system settings:', error);
+      throw error;
+    }
+  }
+
+  static async set(key, value, description = null) {
+    try {
+      const existing = await database.get(
+        'SELECT id FROM system_settings WHERE setting_key = ?',
+        [key]
+      );
+
+      if (existing) {
+        await database.run(
+          'UPDATE system_settings SET setting_value = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+          [String(value), existing.id]
+        );
+      } else {
+        await database.run(
+          'INSERT INTO system_settings (setting_key, setting_value, description) VALUES (?, ?, ?)',
+          [key, String(value), description]
+        );
+      }
+    } catch (error) {
+      console.error('Error setting system setting:', error);
+      throw error;
+    }
+  }
+}
+
+export default SystemSetting;
@@ -0,0 +1,263 @@
+import { database } from '../config/database.js';
+
+export class Team {
+  constructor(data) {
+    this.id = data.id;
+    this.name = data.name;
+    this.description = data.description;
+    this.max_containers = data.max_containers;
+    this.max_memory = data.max_memory;
+    this.max_cpu = data.max_cpu;
+    this.max_disk = data.max_disk;
+    this.created_by = data.created_by;
+    this.created_at = data.created_at;
+    this.updated_at = data.updated_at;
+    this.member_count = data.member_count;
+    this.container_count = data.container_count;
+    this.role = data.role;
+  }
+
+  static async findById(id) {
+    try {
+      const teamData = await database.get(
+        'SELECT * FROM teams WHERE id = ?',
+        [id]
+      );
+
+      return teamData ? new Team(teamData) : null;
+    } catch (error) {
+      console.error('Error finding team by ID:', error);
+      throw error;
+    }
+  }
+
+  static async findByName(name) {
+    try {
+      const teamData = await database.get(
+        'SELECT * FROM teams WHERE name = ?',
+        [name]
+      );
+
+      return teamData ? new Team(teamData) : null;
+    } catch (error) {
+      console.error('Error finding team by name:', error);
+      throw error;
+    }
+  }
+
+  // The creator becomes the first owner of the team
+  static async create(teamData, userId) {
+    try {
+      const result = await database.run(
+        `INSERT INTO teams (name, description, max_containers, max_memory, max_cpu, max_disk, created_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [
+          teamData.name,
+          teamData.description || null,
+          teamData.max_containers ?? null,
+          teamData.max_memory ?? null,
+          teamData.max_cpu ?? null,
+          teamData.max_disk ?? null,
+          userId
+        ]
+      );
+
+      if (!result.id) {
+        throw new Error('Failed to create team');
+      }
+
+      await database.run(
+        "INSERT INTO team_members (team_id, user_id, role) VALUES (?, ?, 'owner')",
+        [result.id, userId]
+      );
+
+      return await Team.findById(result.id);
+    } catch (error) {
+      console.error('Error creating team:', error);
+      throw error;
+    }
+  }
+
+  static async update(id, updateData) {
+    try {
+      const allowedFields = ['name', 'description', 'max_containers', 'max_memory', 'max_cpu', 'max_disk'];
+      const updates = [];
+      const values = [];
+
+      for (const [key, value] of Object.entries(updateData)) {
+        if (allowedFields.includes(key) && value !== undefined) {
+          updates.push(`${key} = ?`);
+          values.push(value);
+        }
+      }
+
+      if (updates.length === 0) {
+        throw new Error('No valid fields to update');
+      }
+
+      values.push(id);
+
+      const result = await database.run(
+        `UPDATE teams SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        values
+      );
+
+      if (result.changes > 0) {
+        return await Team.findById(id);
+      }
+
+      return null;
+    } catch (error) {
+      console.error('Error updating team:', error);
+      throw error;
+    }
+  }
+
+  static async delete(id) {
+    try {
+      await database.run('DELETE FROM team_members WHERE team_id = ?', [id]);
+      await database.run('DELETE FROM container_permissions WHERE team_id = ?', [id]);
+      const result = await database.run('DELETE FROM teams WHERE id = ?', [id]);
+      return result.changes > 0;
+    } catch (error) {
+      console.error('Error deleting team:', error);
+      throw error;
+    }
+  }
+
+  // Teams the user belongs to (or every team when memberOnly is false), with the user's role
+  static async list(options = {}) {
+    try {
+      const { userId, memberOnly = true } = options;
+
+      const teams = await database.all(
+        `SELECT t.*,
+          (SELECT COUNT(*) FROM team_members m WHERE m.team_id = t.id) AS member_count,
+          (SELECT COUNT(*) FROM containers c WHERE c.team_id = t.id) AS container_count,
+          me.role AS role
+         FROM teams t
+         ${memberOnly ? 'JOIN' : 'LEFT JOIN'} team_members me ON me.team_id = t.id AND me.user_id = ?
+         ORDER BY t.name ASC`,
+        [userId]
+      );
+
+      return teams.map(team => new Team(team));
+    } catch (error) {
+      console.error('Error listing teams:', error);
+      throw error;
+    }
+  }
+
+  static async getMemberRole(teamId, userId) {
+    try {
+      const member = await database.get(
+        'SELECT role FROM team_members WHERE team_id = ? AND user_id = ?',
+        [teamId, userId]
+      );
+
+      return member ? member.role : null;
+    } catch (error) {
+      console.error('Error getting team member role:', error);
+      throw error;
+    }
+  }
+
+  // Instance methods
+  async getMembers() {
+    try {
+      return await database.all(
+        `SELECT m.user_id, u.username, u.email, m.role, m.created_at
+         FROM team_members m
+         JOIN users u ON u.id = m.user_id
+         WHERE m.team_id = ?
+         ORDER BY m.created_at ASC`,
+        [this.id]
+      );
+    } catch (error) {
+      console.error('Error getting team members:', error);
+      throw error;
+    }
+  }
+
+  async setMember(userId, role) {
+    try {
+      const existing = await Team.getMemberRole(this.id, userId);
+
+      if (existing) {
+        await database.run(
+          'UPDATE team_members SET role = ?, updated_at = CURRENT_TIMESTAMP WHERE team_id = ? AND user_id = ?',
+          [role, this.id, userId]
+        );
+      } else {
+        await database.run(
+          'INSERT INTO team_members (team_id, user_id, role) VALUES (?, ?, ?)',
+          [this.id, userId, role]
+        );
+      }
+
+      return !existing;
+    } catch (error) {
+      console.error('Error setting team member:', error);
+      throw error;
+    }
+  }
+
+  async removeMember(userId) {
+    try {
+      const result = await database.run(
+        'DELETE FROM team_members WHERE team_id = ? AND user_id = ?',
+        [this.id, userId]
+      );
+      return result.changes > 0;
+    } catch (error) {
+      console.error('Error removing team member:', error);
+      throw error;
+    }
+  }
+
+  async countOwners() {
+    try {
+      const result = await database.get(
+        "SELECT COUNT(*) AS count FROM team_members WHERE team_id = ? AND role = 'owner'",
+        [this.id]
+      );
+      return result.count;
+    } catch (error) {
+      console.error('Error counting team owners:', error);
+      throw error;
+    }
+  }
+
+  async countContainers() {
+    try {
+      const result = await database.get(
+        'SELECT COUNT(*) AS count FROM containers WHERE team_id = ?',
+        [this.id]
+      );
+      return result.count;
+    } catch (error) {
+      console.error('Error counting team containers:', error);
+      throw error;
+    }
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      description: this.description,
+      max_containers: this.max_containers,
+      max_memory: this.max_memory,
+      max_cpu: this.max_cpu,
+      max_disk: this.max_disk,
+      created_by: this.created_by,
+      created_at: this.created_at,
+      updated_at: this.updated_at,
+      member_count: this.member_count,
+      container_count: this.container_count,
+      role: this.role
+    };
+  }
+}
+
+export default Team;
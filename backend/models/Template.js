@@ -0,0 +1,261 @@
+import { database } from '../config/database.js';
+
+// Fields that can be exported, imported and used as container defaults
+const TEMPLATE_FIELDS = [
+  'name', 'description', 'image', 'port_mappings', 'environment_vars',
+  'volumes', 'memory', 'cpu', 'startup_script', 'working_dir', 'command', 'is_shared'
+];
+
+const JSON_FIELDS = ['port_mappings', 'environment_vars', 'volumes'];
+
+export class Template {
+  constructor(data) {
+    this.id = data.id;
+    this.name = data.name;
+    this.description = data.description;
+    this.image = data.image;
+    this.port_mappings = data.port_mappings ? JSON.parse(data.port_mappings) : {};
+    this.environment_vars = data.environment_vars ? JSON.parse(data.environment_vars) : [];
+    this.volumes = data.volumes ? JSON.parse(data.volumes) : [];
+    this.memory = data.memory;
+    this.cpu = data.cpu;
+    this.startup_script = data.startup_script;
+    this.working_dir = data.working_dir;
+    this.command = data.command;
+    this.is_shared = !!data.is_shared;
+    this.created_by = data.created_by;
+    this.created_at = data.created_at;
+    this.updated_at = data.updated_at;
+  }
+
+  static async findById(id) {
+    try {
+      const templateData = await database.get(
+        'SELECT * FROM container_templates WHERE id = ?',
+        [id]
+      );
+
+      return templateData ? new Template(templateData) : null;
+    } catch (error) {
+      console.error('Error finding template by ID:', error);
+      throw error;
+    }
+  }
+
+  static async findByName(name) {
+    try {
+      const templateData = await database.get(
+        'SELECT * FROM container_templates WHERE name = ?',
+        [name]
+      );
+
+      return templateData ? new Template(templateData) : null;
+    } catch (error) {
+      console.error('Error finding template by name:', error);
+      throw error;
+    }
+  }
+
+  static async create(templateData, userId) {
+    try {
+      const result = await database.run(
+        `INSERT INTO container_templates (
+          name, description, image, port_mappings, environment_vars, volumes,
+          memory, cpu, startup_script, working_dir, command, is_shared, created_by
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          templateData.name,
+          templateData.description || null,
+          templateData.image,
+          JSON.stringify(templateData.port_mappings || {}),
+          JSON.stringify(templateData.environment_vars || []),
+          JSON.stringify(templateData.volumes || []),
+          templateData.memory || null,
+          templateData.cpu !== undefined && templateData.cpu !== null ? String(templateData.cpu) : null,
+          templateData.startup_script || null,
+          templateData.working_dir || null,
+          templateData.command || null,
+          templateData.is_shared ? 1 : 0,
+          userId
+        ]
+      );
+
+      if (result.id) {
+        return await Template.findById(result.id);
+      }
+
+      throw new Error('Failed to create template');
+    } catch (error) {
+      console.error('Error creating template:', error);
+      throw error;
+    }
+  }
+
+  static async update(id, updateData) {
+    try {
+      const updates = [];
+      const values = [];
+
+      for (const [key, value] of Object.entries(updateData)) {
+        if (TEMPLATE_FIELDS.includes(key) && value !== undefined) {
+          updates.push(`${key} = ?`);
+
+          if (JSON_FIELDS.includes(key)) {
+            values.push(JSON.stringify(value));
+          } else if (key === 'is_shared') {
+            values.push(value ? 1 : 0);
+          } else {
+            values.push(value);
+          }
+        }
+      }
+
+      if (updates.length === 0) {
+        throw new Error('No valid fields to update');
+      }
+
+      values.push(id);
+
+      const result = await database.run(
+        `UPDATE container_templates SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        values
+      );
+
+      if (result.changes > 0) {
+        return await Template.findById(id);
+      }
+
+      return null;
+    } catch (error) {
+      console.error('Error updating template:', error);
+      throw error;
+    }
+  }
+
+  static async delete(id) {
+    try {
+      const result = await database.run('DELETE FROM container_templates WHERE id = ?', [id]);
+      return result.changes > 0;
+    } catch (error) {
+      console.error('Error deleting template:', error);
+      throw error;
+    }
+  }
+
+  // List templates visible to a user: their own plus shared ones (admins see all)
+  static async list(options = {}) {
+    try {
+      const { userId = null } = options;
+      let whereClause = '';
+      const params = [];
+
+      if (userId) {
+        whereClause = ' WHERE created_by = ? OR is_shared = 1';
+        params.push(userId);
+      }
+
+      const templates = await database.all(
+        `SELECT * FROM container_templates${whereClause} ORDER BY name ASC`,
+        params
+      );
+
+      return templates.map(template => new Template(template));
+    } catch (error) {
+      console.error('Error listing templates:', error);
+      throw error;
+    }
+  }
+
+  static async exists(name, excludeId = null) {
+    try {
+      let query = 'SELECT id FROM container_templates WHERE name = ?';
+      const params = [name];
+
+      if (excludeId) {
+        query += ' AND id != ?';
+        params.push(excludeId);
+      }
+
+      const template = await database.get(query, params);
+      return !!template;
+    } catch (error) {
+      console.error('Error checking template existence:', error);
+      throw error;
+    }
+  }
+
+  // Normalize a template definition coming from an import file
+  static fromDefinition(definition) {
+    const data = {};
+
+    for (const field of TEMPLATE_FIELDS) {
+      if (definition[field] !== undefined) {
+        data[field] = definition[field];
+      }
+    }
+
+    return data;
+  }
+
+  // Instance methods
+  canView(user) {
+    return user.role === 'admin' || this.created_by === user.id || this.is_shared;
+  }
+
+  canModify(user) {
+    return user.role === 'admin' || this.created_by === user.id;
+  }
+
+  // Merge template defaults with per-field overrides into container create options
+  toContainerOptions(overrides = {}) {
+    const pick = (override, fallback) => (override !== undefined && override !== null && override !== '' ? override : fallback);
+
+    return {
+      image: pick(overrides.image, this.image),
+      ports: pick(overrides.ports, this.port_mappings),
+      environment: pick(overrides.environment, this.environment_vars),
+      volumes: pick(overrides.volumes, this.volumes.length > 0 ? this.volumes : undefined),
+      memory: pick(overrides.memory, this.memory || undefined),
+      cpu: pick(overrides.cpu, this.cpu || undefined),
+      startupScript: pick(overrides.startupScript, this.startup_script || undefined),
+      workingDir: pick(overrides.workingDir, this.working_dir || undefined),
+      command: pick(overrides.command, this.command || undefined)
+    };
+  }
+
+  // Portable representation used by export (no IDs or ownership)
+  toDefinition() {
+    const definition = {};
+
+    for (const field of TEMPLATE_FIELDS) {
+      if (field !== 'is_shared' && this[field] !== null && this[field] !== undefined) {
+        definition[field] = this[field];
+      }
+    }
+
+    return definition;
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      description: this.description,
+      image: this.image,
+      port_mappings: this.port_mappings,
+      environment_vars: this.environment_vars,
+      volumes: this.volumes,
+      memory: this.memory,
+      cpu: this.cpu,
+      startup_script: this.startup_script,
+      working_dir: this.working_dir,
+      command: this.command,
+      is_shared: this.is_shared,
+      created_by: this.created_by,
+      created_at: this.created_at,
+      updated_at: this.updated_at
+    };
+  }
+}
+
+export default Template;
@@ -1,5 +1,8 @@
 import bcrypt from 'bcryptjs';
-import { database } from '../config/database.js';
+import crypto from 'crypto';
+import { database, timestampAgo } from '../config/database.js';
+
+export const USER_ROLES = ['admin', 'user'];
 
 export class User {
   constructor(data) {
@@ -7,6 +10,10 @@ export class User {
     this.username = data.username;
     this.email = data.email;
     this.role = data.role || 'user';
+    this.disabled = !!data.disabled;
+    this.two_factor_enabled = !!data.totp_enabled;
+    this.auth_provider = data.auth_provider || 'local';
+    this.container_count = data.container_count;
     this.created_at = data.created_at;
     this.updated_at = data.updated_at;
   }
@@ -14,7 +21,7 @@ export class User {
   static async findById(id) {
     try {
       const userData = await database.get(
-        'SELECT id, username, email, role, created_at, updated_at FROM users WHERE id = ?',
+        'SELECT id, username, email, role, disabled, totp_enabled, auth_provider, created_at, updated_at FROM users WHERE id = ?',
         [id]
       );
       
@@ -28,7 +35,7 @@ export class User {
   static async findByUsername(username) {
     try {
       const userData = await database.get(
-        'SELECT id, username, email, role, created_at, updated_at FROM users WHERE username = ?',
+        'SELECT id, username, email, role, disabled, totp_enabled, auth_provider, created_at, updated_at FROM users WHERE username = ?',
         [username]
       );
       
@@ -74,6 +81,79 @@ export class User {
     }
   }
 
+  static async findByOidcSubject(subject) {
+    try {
+      const userData = await database.get(
+        'SELECT id, username, email, role, disabled, totp_enabled, auth_provider, created_at, updated_at FROM users WHERE oidc_subject = ?',
+        [subject]
+      );
+
+      return userData ? new User(userData) : null;
+    } catch (error) {
+      console.error('Error finding user by OIDC subject:', error);
+      throw error;
+    }
+  }
+
+  static async findByEmail(email) {
+    try {
+      const userData = await database.get(
+        'SELECT id, username, email, role, disabled, totp_enabled, auth_provider, created_at, updated_at FROM users WHERE email = ?',
+        [email]
+      );
+
+      return userData ? new User(userData) : null;
+    } catch (error) {
+      console.error('Error finding user by email:', error);
+      throw error;
+    }
+  }
+
+  // Single sign-on accounts get a random password nobody knows, so they can
+  // only log in through the identity provider unless an admin resets it
+  static async createExternal(userData) {
+    try {
+      const randomPassword = crypto.randomBytes(32).toString('hex');
+      const hashedPassword = await bcrypt.hash(randomPassword, parseInt(process.env.BCRYPT_ROUNDS) || 12);
+
+      const result = await database.run(
+        `INSERT INTO users (username, password_hash, email, role, auth_provider, oidc_subject)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [
+          userData.username,
+          hashedPassword,
+          userData.email || null,
+          userData.role || 'user',
+          userData.auth_provider,
+          userData.oidc_subject
+        ]
+      );
+
+      if (result.id) {
+        return await User.findById(result.id);
+      }
+
+      throw new Error('Failed to create user');
+    } catch (error) {
+      console.error('Error creating external user:', error);
+      throw error;
+    }
+  }
+
+  static async linkOidcSubject(userId, subject) {
+    try {
+      const result = await database.run(
+        "UPDATE users SET oidc_subject = ?, auth_provider = 'oidc', updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+        [subject, userId]
+      );
+
+      return result.changes > 0;
+    } catch (error) {
+      console.error('Error linking OIDC subject:', error);
+      throw error;
+    }
+  }
+
   static async validatePassword(plainPassword, hashedPassword) {
     try {
       return await bcrypt.compare(plainPassword, hashedPassword);
@@ -134,8 +214,114 @@ export class User {
     }
   }
 
+  static async setDisabled(userId, disabled) {
+    try {
+      const result = await database.run(
+        'UPDATE users SET disabled = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [disabled ? 1 : 0, userId]
+      );
+
+      return result.changes > 0;
+    } catch (error) {
+      console.error('Error updating user status:', error);
+      throw error;
+    }
+  }
+
+  // TOTP secret, replay counter and hashed recovery codes of a user
+  static async getTwoFactor(userId) {
+    try {
+      const data = await database.get(
+        'SELECT totp_secret, totp_enabled, totp_last_counter, totp_recovery_codes FROM users WHERE id = ?',
+        [userId]
+      );
+
+      if (!data) return null;
+
+      return {
+        secret: data.totp_secret,
+        enabled: !!data.totp_enabled,
+        last_counter: data.totp_last_counter,
+        recovery_codes: data.totp_recovery_codes ? JSON.parse(data.totp_recovery_codes) : []
+      };
+    } catch (error) {
+      console.error('Error getting two-factor settings:', error);
+      throw error;
+    }
+  }
+
+  static async setTwoFactor(userId, fields) {
+    try {
+      const allowedFields = ['totp_secret', 'totp_enabled', 'totp_last_counter', 'totp_recovery_codes'];
+      const updates = [];
+      const values = [];
+
+      for (const [key, value] of Object.entries(fields)) {
+        if (allowedFields.includes(key) && value !== undefined) {
+          updates.push(`${key} = ?`);
+
+          if (key === 'totp_recovery_codes') {
+            values.push(value ? JSON.stringify(value) : null);
+          } else if (key === 'totp_enabled') {
+            values.push(value ? 1 : 0);
+          } else {
+            values.push(value);
+          }
+        }
+      }
+
+      if (updates.length === 0) {
+        throw new Error('No valid fields to update');
+      }
+
+      values.push(userId);
+
+      const result = await database.run(
+        `UPDATE users SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        values
+      );
+
+      return result.changes > 0;
+    } catch (error) {
+      console.error('Error updating two-factor settings:', error);
+      throw error;
+    }
+  }
+
+  static async disableTwoFactor(userId) {
+    return await User.setTwoFactor(userId, {
+      totp_secret: null,
+      totp_enabled: false,
+      totp_last_counter: null,
+      totp_recovery_codes: null
+    });
+  }
+
+  static async countActiveAdmins() {
+    try {
+      const result = await database.get(
+        "SELECT COUNT(*) AS count FROM users WHERE role = 'admin' AND (disabled IS NULL OR disabled = 0)"
+      );
+
+      return result.count;
+    } catch (error) {
+      console.error('Error counting admins:', error);
+      throw error;
+    }
+  }
+
+  // Memberships, grants and quota overrides of the user are removed with it
   static async delete(userId) {
     try {
+      await database.run('DELETE FROM team_members WHERE user_id = ?', [userId]);
+      await database.run('DELETE FROM container_permissions WHERE user_id = ?', [userId]);
+      await database.run('DELETE FROM user_quotas WHERE user_id = ?', [userId]);
+      await database.run('DELETE FROM api_tokens WHERE user_id = ?', [userId]);
+      await database.run(
+        'DELETE FROM refresh_tokens WHERE session_id IN (SELECT id FROM login_sessions WHERE user_id = ?)',
+        [userId]
+      );
+      await database.run('DELETE FROM login_sessions WHERE user_id = ?', [userId]);
       const result = await database.run('DELETE FROM users WHERE id = ?', [userId]);
       return result.changes > 0;
     } catch (error) {
@@ -146,18 +332,34 @@ export class User {
 
   static async list(options = {}) {
     try {
-      const { page = 1, limit = 10, sort = 'created_at', order = 'desc' } = options;
+      const { page = 1, limit = 10, sort = 'created_at', order = 'desc', search = null, role = null } = options;
       const offset = (page - 1) * limit;
+      const conditions = [];
+      const params = [];
+
+      if (search) {
+        // LOWER() keeps the search case-insensitive on every database
+        conditions.push('(LOWER(username) LIKE ? OR LOWER(email) LIKE ?)');
+        params.push(`%${search.toLowerCase()}%`, `%${search.toLowerCase()}%`);
+      }
+
+      if (role) {
+        conditions.push('role = ?');
+        params.push(role);
+      }
+
+      const whereClause = conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '';
 
       const users = await database.all(
-        `SELECT id, username, email, role, created_at, updated_at 
-         FROM users 
+        `SELECT id, username, email, role, disabled, totp_enabled, auth_provider, created_at, updated_at,
+          (SELECT COUNT(*) FROM containers c WHERE c.created_by = users.id) AS container_count
+         FROM users${whereClause}
          ORDER BY ${sort} ${order.toUpperCase()} 
          LIMIT ? OFFSET ?`,
-        [limit, offset]
+        [...params, limit, offset]
       );
 
-      const total = await database.get('SELECT COUNT(*) as count FROM users');
+      const total = await database.get(`SELECT COUNT(*) as count FROM users${whereClause}`, params);
 
       return {
         users: users.map(user => new User(user)),
@@ -199,9 +401,10 @@ export class User {
           COUNT(*) as total_users,
           COUNT(CASE WHEN role = 'admin' THEN 1 END) as admin_users,
           COUNT(CASE WHEN role = 'user' THEN 1 END) as regular_users,
-          COUNT(CASE WHEN created_at >= datetime('now', '-30 days') THEN 1 END) as new_users_30d
+          COUNT(CASE WHEN disabled = 1 THEN 1 END) as disabled_users,
+          COUNT(CASE WHEN created_at >= ? THEN 1 END) as new_users_30d
         FROM users
-      `);
+      `, [timestampAgo(30 * 24 * 60 * 60)]);
 
       return stats;
     } catch (error) {
@@ -242,6 +445,10 @@ export class User {
       username: this.username,
       email: this.email,
       role: this.role,
+      disabled: this.disabled,
+      two_factor_enabled: this.two_factor_enabled,
+      auth_provider: this.auth_provider,
+      container_count: this.container_count,
       created_at: this.created_at,
       updated_at: this.updated_at
     };
@@ -0,0 +1,83 @@
+import { database } from '../config/database.js';
+
+export const QUOTA_FIELDS = ['max_containers', 'max_memory', 'max_cpu', 'max_disk'];
+
+export class UserQuota {
+  constructor(data) {
+    this.user_id = data.user_id;
+    this.max_containers = data.max_containers ?? null;
+    this.max_memory = data.max_memory ?? null;
+    this.max_cpu = data.max_cpu ?? null;
+    this.max_disk = data.max_disk ?? null;
+    this.updated_by = data.updated_by;
+    this.created_at = data.created_at;
+    this.updated_at = data.updated_at;
+  }
+
+  static async findByUserId(userId) {
+    try {
+      const quotaData = await database.get(
+        'SELECT * FROM user_quotas WHERE user_id = ?',
+        [userId]
+      );
+
+      return quotaData ? new UserQuota(quotaData) : null;
+    } catch (error) {
+      console.error('Error finding user quota:', error);
+      throw error;
+    }
+  }
+
+  // Fields left undefined keep their current value; null resets them to the system default
+  static async set(userId, quotaData, updatedBy) {
+    try {
+      const existing = await UserQuota.findByUserId(userId);
+      const values = QUOTA_FIELDS.map(field =>
+        quotaData[field] !== undefined ? quotaData[field] : existing?.[field] ?? null
+      );
+
+      if (existing) {
+        await database.run(
+          `UPDATE user_quotas SET ${QUOTA_FIELDS.map(field => `${field} = ?`).join(', ')},
+           updated_by = ?, updated_at = CURRENT_TIMESTAMP WHERE user_id = ?`,
+          [...values, updatedBy, userId]
+        );
+      } else {
+        await database.run(
+          `INSERT INTO user_quotas (user_id, ${QUOTA_FIELDS.join(', ')}, updated_by)
+           VALUES (?, ?, ?, ?, ?, ?)`,
+          [userId, ...values, updatedBy]
+        );
+      }
+
+      return await UserQuota.findByUserId(userId);
+    } catch (error) {
+      console.error('Error setting user quota:', error);
+      throw error;
+    }
+  }
+
+  static async delete(userId) {
+    try {
+      const result = await database.run('DELETE FROM user_quotas WHERE user_id = ?', [userId]);
+      return result.changes > 0;
+    } catch (error) {
+      console.error('Error deleting user quota:', error);
+      throw error;
+    }
+  }
+
+  toJSON() {
+    return {
+      user_id: this.user_id,
+      max_containers: this.max_containers,
+      max_memory: this.max_memory,
+      max_cpu: this.max_cpu,
+      max_disk: this.max_disk,
+      updated_by: this.updated_by,
+      updated_at: this.updated_at
+    };
+  }
+}
+
+export default UserQuota;
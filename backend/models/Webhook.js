@@ -0,0 +1,248 @@
+import { database } from '../config/database.js';
+
+export const WEBHOOK_EVENTS = [
+  'container.created',
+  'container.started',
+  'container.stopped',
+  'container.restarted',
+  'container.restart_failed',
+  'container.deleted'
+];
+
+const WEBHOOK_FIELDS = ['name', 'url', 'secret', 'events', 'container_id', 'enabled'];
+
+export class Webhook {
+  constructor(data) {
+    this.id = data.id;
+    this.name = data.name;
+    this.url = data.url;
+    this.secret = data.secret;
+    this.events = data.events ? JSON.parse(data.events) : [];
+    this.container_id = data.container_id;
+    this.enabled = !!data.enabled;
+    this.created_by = data.created_by;
+    this.created_at = data.created_at;
+    this.updated_at = data.updated_at;
+  }
+
+  static async findById(id) {
+    try {
+      const webhookData = await database.get(
+        'SELECT * FROM webhooks WHERE id = ?',
+        [id]
+      );
+
+      return webhookData ? new Webhook(webhookData) : null;
+    } catch (error) {
+      console.error('Error finding webhook by ID:', error);
+      throw error;
+    }
+  }
+
+  static async create(webhookData, userId) {
+    try {
+      const result = await database.run(
+        `INSERT INTO webhooks (name, url, secret, events, container_id, enabled, created_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [
+          webhookData.name,
+          webhookData.url,
+          webhookData.secret,
+          JSON.stringify(webhookData.events || WEBHOOK_EVENTS),
+          webhookData.container_id || null,
+          webhookData.enabled === false ? 0 : 1,
+          userId
+        ]
+      );
+
+      if (result.id) {
+        return await Webhook.findById(result.id);
+      }
+
+      throw new Error('Failed to create webhook');
+    } catch (error) {
+      console.error('Error creating webhook:', error);
+      throw error;
+    }
+  }
+
+  static async update(id, updateData) {
+    try {
+      const updates = [];
+      const values = [];
+
+      for (const [key, value] of Object.entries(updateData)) {
+        if (WEBHOOK_FIELDS.includes(key) && value !== undefined) {
+          updates.push(`${key} = ?`);
+
+          if (key === 'events') {
+            values.push(JSON.stringify(value));
+          } else if (key === 'enabled') {
+            values.push(value ? 1 : 0);
+          } else {
+            values.push(value);
+          }
+        }
+      }
+
+      if (updates.length === 0) {
+        throw new Error('No valid fields to update');
+      }
+
+      values.push(id);
+
+      const result = await database.run(
+        `UPDATE webhooks SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        values
+      );
+
+      if (result.changes > 0) {
+        return await Webhook.findById(id);
+      }
+
+      return null;
+    } catch (error) {
+      console.error('Error updating webhook:', error);
+      throw error;
+    }
+  }
+
+  static async delete(id) {
+    try {
+      await database.run('DELETE FROM webhook_deliveries WHERE webhook_id = ?', [id]);
+      const result = await database.run('DELETE FROM webhooks WHERE id = ?', [id]);
+      return result.changes > 0;
+    } catch (error) {
+      console.error('Error deleting webhook:', error);
+      throw error;
+    }
+  }
+
+  static async list(options = {}) {
+    try {
+      const { userId = null, containerId = null } = options;
+      const conditions = [];
+      const params = [];
+
+      if (userId) {
+        conditions.push('created_by = ?');
+        params.push(userId);
+      }
+
+      if (containerId) {
+        conditions.push('container_id = ?');
+        params.push(containerId);
+      }
+
+      const whereClause = conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '';
+
+      const webhooks = await database.all(
+        `SELECT * FROM webhooks${whereClause} ORDER BY created_at DESC`,
+        params
+      );
+
+      return webhooks.map(webhook => new Webhook(webhook));
+    } catch (error) {
+      console.error('Error listing webhooks:', error);
+      throw error;
+    }
+  }
+
+  // Enabled webhooks subscribed to an event for a container: hooks bound to the
+  // container itself, plus unbound hooks of its owner and of admins
+  static async findForEvent(event, container) {
+    try {
+      const webhooks = await database.all(
+        `SELECT w.* FROM webhooks w
+         JOIN users u ON u.id = w.created_by
+         WHERE w.enabled = 1 AND (
+           w.container_id = ? OR
+           (w.container_id IS NULL AND (w.created_by = ? OR u.role = 'admin'))
+         )`,
+        [container.id, container.created_by]
+      );
+
+      return webhooks
+        .map(webhook => new Webhook(webhook))
+        .filter(webhook => webhook.events.includes(event));
+    } catch (error) {
+      console.error('Error finding webhooks for event:', error);
+      throw error;
+    }
+  }
+
+  // Instance methods
+  async addDelivery(delivery) {
+    try {
+      await database.run(
+        `INSERT INTO webhook_deliveries (
+          webhook_id, delivery_id, event, container_id, payload, status,
+          attempts, response_code, response_body, error, duration_ms
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          this.id,
+          delivery.delivery_id,
+          delivery.event,
+          delivery.container_id || null,
+          delivery.payload,
+          delivery.status,
+          delivery.attempts,
+          delivery.response_code || null,
+          delivery.response_body || null,
+          delivery.error || null,
+          delivery.duration_ms
+        ]
+      );
+    } catch (error) {
+      console.error('Error recording webhook delivery:', error);
+      throw error;
+    }
+  }
+
+  async getDeliveries(options = {}) {
+    try {
+      const { limit = 50, status = null } = options;
+      let query = 'SELECT * FROM webhook_deliveries WHERE webhook_id = ?';
+      const params = [this.id];
+
+      if (status) {
+        query += ' AND status = ?';
+        params.push(status);
+      }
+
+      query += ' ORDER BY created_at DESC, id DESC LIMIT ?';
+      params.push(limit);
+
+      const deliveries = await database.all(query, params);
+
+      return deliveries.map(delivery => ({
+        ...delivery,
+        payload: JSON.parse(delivery.payload)
+      }));
+    } catch (error) {
+      console.error('Error getting webhook deliveries:', error);
+      throw error;
+    }
+  }
+
+  canModify(user) {
+    return user.role === 'admin' || this.created_by === user.id;
+  }
+
+  // The secret is only returned when the webhook is created
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      url: this.url,
+      events: this.events,
+      container_id: this.container_id,
+      enabled: this.enabled,
+      created_by: this.created_by,
+      created_at: this.created_at,
+      updated_at: this.updated_at
+    };
+  }
+}
+
+export default Webhook;
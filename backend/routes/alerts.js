@@ -0,0 +1,155 @@
+import express from 'express';
+import { AlertRule } from '../models/AlertRule.js';
+import { Alert } from '../models/Alert.js';
+import { Container } from '../models/Container.js';
+import { PermissionService } from '../services/permissionService.js';
+import {
+  validateCreateAlertRule,
+  validateUpdateAlertRule,
+  validateAlertRuleId,
+  validateAlertQuery
+} from '../middleware/validation.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { setAudit } from '../middleware/audit.js';
+
+const router = express.Router();
+
+// Rules may target a single container the user can access, or all of theirs
+async function checkContainerAccess(req, res, containerId) {
+  if (!containerId) return true;
+
+  const container = await Container.findById(containerId);
+  if (!container) {
+    res.status(404).json({
+      error: 'Container not found',
+      code: 'CONTAINER_NOT_FOUND'
+    });
+    return false;
+  }
+
+  if (!await PermissionService.canAccessContainer(req.user, container, 'viewer')) {
+    res.status(403).json({
+      error: 'Access denied',
+      code: 'ACCESS_DENIED'
+    });
+    return false;
+  }
+
+  return true;
+}
+
+async function loadRule(req, res) {
+  const rule = await AlertRule.findById(req.params.id);
+
+  if (!rule) {
+    res.status(404).json({
+      error: 'Alert rule not found',
+      code: 'ALERT_RULE_NOT_FOUND'
+    });
+    return null;
+  }
+
+  if (!rule.canModify(req.user)) {
+    res.status(403).json({
+      error: 'Access denied',
+      code: 'ACCESS_DENIED'
+    });
+    return null;
+  }
+
+  return rule;
+}
+
+// GET /api/alerts - Alert history
+router.get('/', validateAlertQuery, asyncHandler(async (req, res) => {
+  const { status, rule_id, container_id, limit = 100 } = req.query;
+
+  const alerts = await Alert.list({
+    userId: req.user.role === 'admin' ? null : req.user.id,
+    status,
+    ruleId: rule_id ? parseInt(rule_id) : null,
+    containerId: container_id,
+    limit: parseInt(limit)
+  });
+
+  res.json({
+    alerts: alerts.map(alert => alert.toJSON()),
+    total: alerts.length
+  });
+}));
+
+// GET /api/alerts/rules - List alert rules
+router.get('/rules', asyncHandler(async (req, res) => {
+  const rules = await AlertRule.list({
+    userId: req.user.role === 'admin' ? null : req.user.id
+  });
+
+  res.json({
+    rules: rules.map(rule => rule.toJSON()),
+    total: rules.length
+  });
+}));
+
+// POST /api/alerts/rules - Create alert rule
+router.post('/rules', validateCreateAlertRule, asyncHandler(async (req, res) => {
+  if (!await checkContainerAccess(req, res, req.body.container_id)) return;
+
+  const rule = await AlertRule.create(req.body, req.user.id);
+
+  res.status(201).json({
+    message: 'Alert rule created successfully',
+    rule: rule.toJSON()
+  });
+}));
+
+// PUT /api/alerts/rules/:id - Update alert rule
+router.put('/rules/:id', validateUpdateAlertRule, asyncHandler(async (req, res) => {
+  const rule = await loadRule(req, res);
+  if (!rule) return;
+
+  if (!await checkContainerAccess(req, res, req.body.container_id)) return;
+
+  const updated = await AlertRule.update(rule.id, req.body);
+  setAudit(req, { before: rule.toJSON(), after: updated.toJSON() });
+
+  res.json({
+    message: 'Alert rule updated successfully',
+    rule: updated.toJSON()
+  });
+}));
+
+// DELETE /api/alerts/rules/:id - Delete alert rule and its history
+router.delete('/rules/:id', validateAlertRuleId, asyncHandler(async (req, res) => {
+  const rule = await loadRule(req, res);
+  if (!rule) return;
+
+  await AlertRule.delete(rule.id);
+  setAudit(req, { before: rule.toJSON() });
+
+  res.json({
+    message: 'Alert rule deleted successfully'
+  });
+}));
+
+// POST /api/alerts/rules/:id/test - Send a test notification through the rule's channels
+router.post('/rules/:id/test', validateAlertRuleId, asyncHandler(async (req, res) => {
+  const rule = await loadRule(req, res);
+  if (!rule) return;
+
+  const alertService = req.app.get('alertService');
+  if (!alertService) {
+    return res.status(503).json({
+      error: 'Alert service not available',
+      code: 'ALERT_SERVICE_UNAVAILABLE'
+    });
+  }
+
+  const results = await alertService.testRule(rule);
+
+  res.json({
+    message: 'Test notification sent',
+    results
+  });
+}));
+
+export default router;
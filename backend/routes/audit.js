@@ -0,0 +1,73 @@
+import express from 'express';
+import { AuditEvent } from '../models/AuditEvent.js';
+import { AuditService } from '../services/auditService.js';
+import { requireRole } from '../middleware/auth.js';
+import { validateAuditQuery, validateAuditExport } from '../middleware/validation.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+
+const router = express.Router();
+
+router.use(requireRole('admin'));
+
+function filtersFrom(query) {
+  return {
+    actor_id: query.actor_id,
+    actor: query.actor,
+    action: query.action,
+    target_type: query.target_type,
+    target_id: query.target_id,
+    result: query.result,
+    ip: query.ip,
+    from: AuditService.toTimestamp(query.from),
+    to: AuditService.toTimestamp(query.to)
+  };
+}
+
+// GET /api/audit - Search audit events
+router.get('/', validateAuditQuery, asyncHandler(async (req, res) => {
+  const result = await AuditEvent.list(filtersFrom(req.query), {
+    page: parseInt(req.query.page) || 1,
+    limit: parseInt(req.query.limit) || 50
+  });
+
+  res.json({
+    events: result.events.map(event => event.toJSON()),
+    pagination: result.pagination
+  });
+}));
+
+// GET /api/audit/export?format=csv|json - Download matching audit events
+router.get('/export', validateAuditExport, asyncHandler(async (req, res) => {
+  const format = req.query.format || 'csv';
+  const limit = parseInt(req.query.limit) || 10000;
+  const { events } = await AuditEvent.list(filtersFrom(req.query), { page: 1, limit });
+  const filename = `audit-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+  if (format === 'json') {
+    res.setHeader('Content-Type', 'application/json');
+    return res.send(JSON.stringify(events.map(event => event.toJSON()), null, 2));
+  }
+
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.send(AuditService.toCSV(events));
+}));
+
+// GET /api/audit/:id - Single audit event
+router.get('/:id', asyncHandler(async (req, res) => {
+  const event = await AuditEvent.findById(req.params.id);
+
+  if (!event) {
+    return res.status(404).json({
+      error: 'Audit event not found',
+      code: 'AUDIT_EVENT_NOT_FOUND'
+    });
+  }
+
+  res.json({
+    event: event.toJSON()
+  });
+}));
+
+export default router;
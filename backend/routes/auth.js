@@ -1,18 +1,113 @@
 import express from 'express';
 import { User } from '../models/User.js';
-import { generateToken, blacklistToken, authenticateToken } from '../middleware/auth.js';
-import { validateLogin, validateRegister } from '../middleware/validation.js';
+import { blacklistToken, authenticateToken } from '../middleware/auth.js';
+import {
+  validateLogin,
+  validateRegister,
+  validateTwoFactorLogin,
+  validateTwoFactorCode,
+  validateDisableTwoFactor,
+  validateRefreshToken,
+  validateSessionId
+} from '../middleware/validation.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
+import { setAudit } from '../middleware/audit.js';
+import { TwoFactorService, CHALLENGE_EXPIRES_IN } from '../services/twoFactorService.js';
+import { OidcService, OIDC_STATE_COOKIE, LOGIN_TTL_MS } from '../services/oidcService.js';
+import { AuditService } from '../services/auditService.js';
+import { SessionService, SessionError } from '../services/sessionService.js';
+import { LoginSession } from '../models/LoginSession.js';
+import { LoginProtectionService } from '../services/loginProtectionService.js';
 
 const router = express.Router();
 
+// Send the browser back to the frontend. The result travels in the URL
+// fragment so the token never reaches server logs or Referer headers.
+function redirectToFrontend(res, params) {
+  const url = new URL(OidcService.getConfig().postLoginRedirect);
+  url.hash = new URLSearchParams(params).toString();
+  res.redirect(302, url.toString());
+}
+
+// Value of a request cookie, or null
+function readCookie(req, name) {
+  for (const part of (req.get('Cookie') || '').split(';')) {
+    const separator = part.indexOf('=');
+    if (separator !== -1 && part.slice(0, separator).trim() === name) {
+      return decodeURIComponent(part.slice(separator + 1).trim());
+    }
+  }
+  return null;
+}
+
+// Answer an attempt on a locked or throttled username
+function rejectBlockedLogin(res, check) {
+  res.set('Retry-After', String(check.retry_after));
+
+  return res.status(check.code === 'ACCOUNT_LOCKED' ? 423 : 429).json({
+    error: check.code === 'ACCOUNT_LOCKED'
+      ? 'Account is temporarily locked after too many failed logins'
+      : 'Too many failed logins, please wait before trying again',
+    code: check.code,
+    retry_after: check.retry_after,
+    ...(check.locked_until && { locked_until: check.locked_until })
+  });
+}
+
+// Open a login session once every login step has passed
+async function completeLogin(req, res, user, extra = {}) {
+  await user.updateLastLogin();
+  await LoginProtectionService.recordSuccess(user, req);
+
+  res.json({
+    message: 'Login successful',
+    user: user.toJSON(),
+    ...SessionService.tokenResponse(await SessionService.start(user, req)),
+    ...extra
+  });
+}
+
+// 2FA enrollment is open to logged-in users and to users holding a setup
+// challenge, which login hands out when the policy requires 2FA
+const authenticateEnrollment = asyncHandler(async (req, res, next) => {
+  if (!req.body.challenge_token) {
+    return authenticateToken(req, res, next);
+  }
+
+  const userId = TwoFactorService.readChallenge(req.body.challenge_token, 'setup');
+  const user = userId ? await User.findById(userId) : null;
+
+  if (!user || user.disabled) {
+    return res.status(401).json({
+      error: 'Invalid or expired challenge',
+      code: 'CHALLENGE_INVALID'
+    });
+  }
+
+  req.user = user;
+  req.enrollmentChallenge = true;
+  next();
+});
+
 // POST /api/auth/login
 router.post('/login', validateLogin, asyncHandler(async (req, res) => {
   const { username, password } = req.body;
 
+  // Failed attempts are audited under the username that was tried
+  setAudit(req, { actor: { username }, target_type: 'user', after: { username } });
+
+  // Locked and throttled usernames are refused before the password is even checked
+  const check = await LoginProtectionService.check(username, req);
+  if (!check.allowed) {
+    return rejectBlockedLogin(res, check);
+  }
+
   // Find user with password
   const userData = await User.findByUsernameWithPassword(username);
+  setAudit(req, { actor: { id: userData?.id, username }, target_id: userData?.id });
+
   if (!userData) {
+    await LoginProtectionService.recordFailure(username, req, { reason: 'unknown_user' });
     return res.status(401).json({
       error: 'Invalid credentials',
       code: 'INVALID_CREDENTIALS'
@@ -22,27 +117,173 @@ router.post('/login', validateLogin, asyncHandler(async (req, res) => {
   // Validate password
   const isValidPassword = await User.validatePassword(password, userData.password_hash);
   if (!isValidPassword) {
+    await LoginProtectionService.recordFailure(username, req, { userId: userData.id });
     return res.status(401).json({
       error: 'Invalid credentials',
       code: 'INVALID_CREDENTIALS'
     });
   }
 
+  if (userData.disabled) {
+    await LoginProtectionService.recordAttempt(username, req, { userId: userData.id, reason: 'account_disabled' });
+    return res.status(403).json({
+      error: 'Account is disabled',
+      code: 'ACCOUNT_DISABLED'
+    });
+  }
+
   // Create user instance (without password)
   const user = new User(userData);
-  
-  // Update last login
-  await user.updateLastLogin();
 
-  // Generate JWT token
-  const token = generateToken(user);
+  // The password step passed; a second factor may still be needed
+  if (user.two_factor_enabled) {
+    setAudit(req, { after: { username, two_factor: 'pending' } });
+
+    return res.json({
+      message: 'Two-factor authentication required',
+      two_factor_required: true,
+      challenge_token: TwoFactorService.issueChallenge(user, 'login'),
+      expires_in: CHALLENGE_EXPIRES_IN
+    });
+  }
+
+  if (await TwoFactorService.isRequired(user)) {
+    setAudit(req, { after: { username, two_factor: 'setup_required' } });
+
+    return res.json({
+      message: 'Two-factor authentication must be set up before logging in',
+      two_factor_setup_required: true,
+      challenge_token: TwoFactorService.issueChallenge(user, 'setup'),
+      expires_in: CHALLENGE_EXPIRES_IN
+    });
+  }
+
+  await completeLogin(req, res, user);
+}));
+
+// POST /api/auth/login/2fa - Second login step with a TOTP or recovery code
+router.post('/login/2fa', validateTwoFactorLogin, asyncHandler(async (req, res) => {
+  const { challenge_token, code, recovery_code } = req.body;
+  const userId = TwoFactorService.readChallenge(challenge_token, 'login');
+  const user = userId ? await User.findById(userId) : null;
+
+  if (!user) {
+    return res.status(401).json({
+      error: 'Invalid or expired challenge',
+      code: 'CHALLENGE_INVALID'
+    });
+  }
+
+  setAudit(req, {
+    actor: user,
+    target_type: 'user',
+    target_id: user.id,
+    after: { method: recovery_code ? 'recovery_code' : 'totp' }
+  });
+
+  if (user.disabled) {
+    return res.status(403).json({
+      error: 'Account is disabled',
+      code: 'ACCOUNT_DISABLED'
+    });
+  }
+
+  // Guessing codes counts against the same lockout as guessing passwords
+  const check = await LoginProtectionService.check(user.username, req);
+  if (!check.allowed) {
+    return rejectBlockedLogin(res, check);
+  }
+
+  const result = await TwoFactorService.verify(user.id, { code, recovery_code });
+  if (!result.valid) {
+    await LoginProtectionService.recordFailure(user.username, req, { userId: user.id, reason: 'invalid_two_factor' });
+    return res.status(401).json({
+      error: 'Invalid two-factor code',
+      code: 'INVALID_TWO_FACTOR_CODE'
+    });
+  }
+
+  await completeLogin(req, res, user, { recovery_codes_remaining: result.recovery_codes_remaining });
+}));
 
+// GET /api/auth/oidc/config - Tell the login page whether SSO is available
+router.get('/oidc/config', (req, res) => {
   res.json({
-    message: 'Login successful',
-    user: user.toJSON(),
-    token,
-    expires_in: process.env.JWT_EXPIRES_IN || '24h'
+    enabled: OidcService.isEnabled(),
+    name: OidcService.getConfig().providerName
   });
+});
+
+// GET /api/auth/oidc/login - Start the authorization code flow
+router.get('/oidc/login', asyncHandler(async (req, res) => {
+  if (!OidcService.isEnabled()) {
+    return res.status(404).json({
+      error: 'Single sign-on is not configured',
+      code: 'OIDC_NOT_CONFIGURED'
+    });
+  }
+
+  const { url, state } = await OidcService.createAuthorizationUrl();
+
+  res.cookie(OIDC_STATE_COOKIE, OidcService.stateHash(state), {
+    ...OidcService.stateCookieOptions(),
+    maxAge: LOGIN_TTL_MS
+  });
+  res.redirect(302, url);
+}));
+
+// GET /api/auth/oidc/callback - Identity provider redirects here after login.
+// Local 2FA is not asked for; the identity provider owns the login policy.
+router.get('/oidc/callback', asyncHandler(async (req, res) => {
+  const event = {
+    ip_address: req.ip,
+    user_agent: req.get('User-Agent'),
+    action: 'auth.oidc.login',
+    target_type: 'user',
+    method: req.method,
+    path: req.originalUrl.split('?')[0]
+  };
+
+  if (!OidcService.isEnabled()) {
+    return redirectToFrontend(res, { oidc_error: 'OIDC_NOT_CONFIGURED' });
+  }
+
+  // The state cookie is single-use, whatever the outcome
+  const stateHash = readCookie(req, OIDC_STATE_COOKIE);
+  res.clearCookie(OIDC_STATE_COOKIE, OidcService.stateCookieOptions());
+
+  try {
+    const { user, created, claims } = await OidcService.handleCallback(req.query, stateHash);
+    const audited = {
+      ...event,
+      actor_id: user.id,
+      actor_username: user.username,
+      target_id: user.id,
+      after: { subject: claims.sub, role: user.role, provisioned: created }
+    };
+
+    if (user.disabled) {
+      await AuditService.record({ ...audited, result: 'failure', status_code: 403, error: 'Account is disabled' });
+      return redirectToFrontend(res, { oidc_error: 'ACCOUNT_DISABLED' });
+    }
+
+    await user.updateLastLogin();
+    const { token, refresh_token, expires_in } = SessionService.tokenResponse(
+      await SessionService.start(user, req, 'oidc')
+    );
+    await AuditService.record({ ...audited, result: 'success', status_code: 302 });
+
+    redirectToFrontend(res, {
+      oidc_token: token,
+      oidc_refresh_token: refresh_token,
+      expires_in
+    });
+  } catch (error) {
+    console.error('OIDC login failed:', error.message);
+    await AuditService.record({ ...event, result: 'failure', status_code: error.statusCode || 500, error: error.message });
+
+    redirectToFrontend(res, { oidc_error: error.code || 'OIDC_LOGIN_FAILED' });
+  }
 }));
 
 // POST /api/auth/register
@@ -65,26 +306,33 @@ router.post('/register', validateRegister, asyncHandler(async (req, res) => {
     email,
     role: 'user' // Default role
   });
-
-  // Generate JWT token
-  const token = generateToken(user);
+  setAudit(req, { actor: user, target_type: 'user', target_id: user.id, after: user.toJSON() });
+
+  // Same as login: no session until a required second factor is enrolled
+  if (await TwoFactorService.isRequired(user)) {
+    return res.status(201).json({
+      message: 'User created; two-factor authentication must be set up before logging in',
+      user: user.toJSON(),
+      two_factor_setup_required: true,
+      challenge_token: TwoFactorService.issueChallenge(user, 'setup'),
+      expires_in: CHALLENGE_EXPIRES_IN
+    });
+  }
 
   res.status(201).json({
     message: 'User created successfully',
     user: user.toJSON(),
-    token,
-    expires_in: process.env.JWT_EXPIRES_IN || '24h'
+    ...SessionService.tokenResponse(await SessionService.start(user, req))
   });
 }));
 
-// POST /api/auth/logout
+// POST /api/auth/logout - End the current session (tokens without one are blacklisted)
 router.post('/logout', authenticateToken, asyncHandler(async (req, res) => {
-  const token = req.token;
-
-  // Blacklist the token
-  const blacklisted = await blacklistToken(token);
+  const loggedOut = req.sessionId
+    ? await LoginSession.revoke(req.sessionId, 'logout')
+    : await blacklistToken(req.token);
   
-  if (blacklisted) {
+  if (loggedOut) {
     res.json({
       message: 'Logout successful'
     });
@@ -192,8 +440,153 @@ router.put('/password', authenticateToken, asyncHandler(async (req, res) => {
     });
   }
 
+  // Sign out every other device that may have used the old password
+  const revokedSessions = await LoginSession.revokeAllForUser(userId, 'password_changed', req.sessionId);
+
   res.json({
-    message: 'Password updated successfully'
+    message: 'Password updated successfully',
+    revoked_sessions: revokedSessions
+  });
+}));
+
+// GET /api/auth/2fa - Two-factor status of the current user
+router.get('/2fa', authenticateToken, asyncHandler(async (req, res) => {
+  const twoFactor = await User.getTwoFactor(req.user.id);
+
+  res.json({
+    enabled: twoFactor.enabled,
+    required: await TwoFactorService.isRequired(req.user),
+    policy: await TwoFactorService.getPolicy(),
+    recovery_codes_remaining: twoFactor.enabled ? twoFactor.recovery_codes.length : 0
+  });
+}));
+
+// POST /api/auth/2fa/setup - Start enrollment with a new secret
+router.post('/2fa/setup', authenticateEnrollment, asyncHandler(async (req, res) => {
+  const twoFactor = await User.getTwoFactor(req.user.id);
+
+  if (twoFactor.enabled) {
+    return res.status(409).json({
+      error: 'Two-factor authentication is already enabled',
+      code: 'TWO_FACTOR_ALREADY_ENABLED'
+    });
+  }
+
+  const secret = TwoFactorService.generateSecret();
+  await User.setTwoFactor(req.user.id, {
+    totp_secret: secret,
+    totp_enabled: false,
+    totp_last_counter: null
+  });
+
+  setAudit(req, { actor: req.user, target_type: 'user', target_id: req.user.id, after: { two_factor: 'setup' } });
+
+  res.json({
+    secret,
+    otpauth_uri: TwoFactorService.getOtpauthUri(secret, req.user.username)
+  });
+}));
+
+// POST /api/auth/2fa/enable - Confirm enrollment with a code; returns recovery codes once
+router.post('/2fa/enable', authenticateEnrollment, validateTwoFactorCode, asyncHandler(async (req, res) => {
+  const twoFactor = await User.getTwoFactor(req.user.id);
+
+  if (twoFactor.enabled) {
+    return res.status(409).json({
+      error: 'Two-factor authentication is already enabled',
+      code: 'TWO_FACTOR_ALREADY_ENABLED'
+    });
+  }
+
+  if (!twoFactor.secret) {
+    return res.status(400).json({
+      error: 'Two-factor setup has not been started',
+      code: 'TWO_FACTOR_NOT_SETUP'
+    });
+  }
+
+  setAudit(req, { actor: req.user, target_type: 'user', target_id: req.user.id });
+
+  const counter = TwoFactorService.verifyCode(twoFactor.secret, req.body.code);
+  if (counter === null) {
+    return res.status(400).json({
+      error: 'Invalid two-factor code',
+      code: 'INVALID_TWO_FACTOR_CODE'
+    });
+  }
+
+  setAudit(req, { after: { two_factor_enabled: true } });
+
+  const { codes, hashes } = TwoFactorService.generateRecoveryCodes();
+  await User.setTwoFactor(req.user.id, {
+    totp_enabled: true,
+    totp_last_counter: counter,
+    totp_recovery_codes: hashes
+  });
+
+  // Enrollment forced at login finishes the login as well
+  if (req.enrollmentChallenge) {
+    return await completeLogin(req, res, req.user, { recovery_codes: codes });
+  }
+
+  res.json({
+    message: 'Two-factor authentication enabled',
+    recovery_codes: codes
+  });
+}));
+
+// POST /api/auth/2fa/disable - Turn 2FA off (needs the password and a code)
+router.post('/2fa/disable', authenticateToken, validateDisableTwoFactor, asyncHandler(async (req, res) => {
+  const { password, code, recovery_code } = req.body;
+
+  if (await TwoFactorService.isRequired(req.user)) {
+    return res.status(403).json({
+      error: 'Two-factor authentication is required by policy',
+      code: 'TWO_FACTOR_REQUIRED'
+    });
+  }
+
+  const userData = await User.findByUsernameWithPassword(req.user.username);
+  if (!userData || !await User.validatePassword(password, userData.password_hash)) {
+    return res.status(401).json({
+      error: 'Password is incorrect',
+      code: 'INVALID_PASSWORD'
+    });
+  }
+
+  const result = await TwoFactorService.verify(req.user.id, { code, recovery_code });
+  if (!result.valid) {
+    return res.status(401).json({
+      error: 'Invalid two-factor code',
+      code: 'INVALID_TWO_FACTOR_CODE'
+    });
+  }
+
+  await User.disableTwoFactor(req.user.id);
+  setAudit(req, { target_type: 'user', target_id: req.user.id, after: { two_factor_enabled: false } });
+
+  res.json({
+    message: 'Two-factor authentication disabled'
+  });
+}));
+
+// POST /api/auth/2fa/recovery-codes - Replace all recovery codes
+router.post('/2fa/recovery-codes', authenticateToken, validateTwoFactorCode, asyncHandler(async (req, res) => {
+  const result = await TwoFactorService.verify(req.user.id, { code: req.body.code });
+  if (!result.valid) {
+    return res.status(401).json({
+      error: 'Invalid two-factor code',
+      code: 'INVALID_TWO_FACTOR_CODE'
+    });
+  }
+
+  const { codes, hashes } = TwoFactorService.generateRecoveryCodes();
+  await User.setTwoFactor(req.user.id, { totp_recovery_codes: hashes });
+  setAudit(req, { target_type: 'user', target_id: req.user.id, after: { recovery_codes: 'regenerated' } });
+
+  res.json({
+    message: 'Recovery codes regenerated',
+    recovery_codes: codes
   });
 }));
 
@@ -206,27 +599,79 @@ router.get('/verify', authenticateToken, asyncHandler(async (req, res) => {
   });
 }));
 
-// POST /api/auth/refresh
-router.post('/refresh', authenticateToken, asyncHandler(async (req, res) => {
-  const user = await User.findById(req.user.id);
-  
-  if (!user) {
-    return res.status(404).json({
-      error: 'User not found',
-      code: 'USER_NOT_FOUND'
+// POST /api/auth/refresh - Trade a refresh token for new tokens. The refresh
+// token is single use; presenting a used one revokes its whole session.
+router.post('/refresh', validateRefreshToken, asyncHandler(async (req, res) => {
+  try {
+    const result = await SessionService.refresh(req.body.refresh_token, req);
+
+    // Routine refreshes would flood the audit log
+    setAudit(req, { skip: true });
+
+    res.json({
+      message: 'Token refreshed successfully',
+      ...SessionService.tokenResponse(result)
+    });
+  } catch (error) {
+    if (!(error instanceof SessionError)) throw error;
+
+    if (error.session) {
+      setAudit(req, {
+        action: 'auth.session.reuse_detected',
+        actor: { id: error.session.user_id },
+        target_type: 'session',
+        target_id: error.session.id,
+        after: { revoked_reason: 'refresh_token_reused' }
+      });
+    }
+
+    res.status(error.statusCode).json({
+      error: error.message,
+      code: error.code
     });
   }
+}));
+
+// GET /api/auth/sessions - Active sessions of the current user
+router.get('/sessions', authenticateToken, asyncHandler(async (req, res) => {
+  const sessions = await LoginSession.listActiveForUser(req.user.id);
 
-  // Generate new token
-  const newToken = generateToken(user);
+  res.json({
+    sessions: sessions.map(session => ({
+      ...session.toJSON(),
+      current: session.id === req.sessionId
+    })),
+    total: sessions.length
+  });
+}));
+
+// DELETE /api/auth/sessions - Sign out every session except the current one
+router.delete('/sessions', authenticateToken, asyncHandler(async (req, res) => {
+  const revoked = await LoginSession.revokeAllForUser(req.user.id, 'revoked', req.sessionId);
+  setAudit(req, { target_type: 'session', target_id: null, after: { revoked_sessions: revoked } });
+
+  res.json({
+    message: 'Other sessions revoked successfully',
+    revoked
+  });
+}));
+
+// DELETE /api/auth/sessions/:id - Sign out one session
+router.delete('/sessions/:id', authenticateToken, validateSessionId, asyncHandler(async (req, res) => {
+  const session = await LoginSession.findById(req.params.id);
+
+  if (!session || session.user_id !== req.user.id || session.isRevoked()) {
+    return res.status(404).json({
+      error: 'Session not found',
+      code: 'SESSION_NOT_FOUND'
+    });
+  }
 
-  // Optionally blacklist old token
-  await blacklistToken(req.token);
+  await LoginSession.revoke(session.id, 'revoked');
+  setAudit(req, { target_type: 'session', before: session.toJSON() });
 
   res.json({
-    message: 'Token refreshed successfully',
-    token: newToken,
-    expires_in: process.env.JWT_EXPIRES_IN || '24h'
+    message: 'Session revoked successfully'
   });
 }));
 
@@ -0,0 +1,136 @@
+import express from 'express';
+import multer from 'multer';
+import os from 'os';
+import fs from 'fs/promises';
+import { requireRole } from '../middleware/auth.js';
+import { setAudit } from '../middleware/audit.js';
+import { validateCreateBackup, validateBackupName, validateRestoreBackup } from '../middleware/validation.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { BackupService } from '../services/backupService.js';
+
+const router = express.Router();
+
+router.use(requireRole('admin'));
+
+// Uploaded archives are only needed until the restore finishes
+const upload = multer({
+  dest: os.tmpdir(),
+  limits: {
+    fileSize: 500 * 1024 * 1024 // 500MB limit
+  }
+});
+
+async function findBackup(res, name) {
+  const filePath = BackupService.resolvePath(name);
+
+  try {
+    await fs.access(filePath);
+    return filePath;
+  } catch {
+    res.status(404).json({
+      error: 'Backup not found',
+      code: 'BACKUP_NOT_FOUND'
+    });
+    return null;
+  }
+}
+
+// GET /api/backups - List platform backups
+router.get('/', asyncHandler(async (req, res) => {
+  const backups = await BackupService.list();
+
+  res.json({
+    backups,
+    total: backups.length
+  });
+}));
+
+// POST /api/backups - Create a platform backup
+router.post('/', validateCreateBackup, asyncHandler(async (req, res) => {
+  const backup = await BackupService.create({
+    sections: req.body.sections,
+    createdBy: req.user.username
+  });
+
+  setAudit(req, { target_id: backup.name, after: { sections: backup.manifest.sections, tables: backup.manifest.tables } });
+
+  res.status(201).json({
+    message: 'Backup created successfully',
+    backup: {
+      name: backup.name,
+      size: backup.size,
+      created_at: backup.manifest.created_at,
+      sections: backup.manifest.sections,
+      tables: backup.manifest.tables
+    }
+  });
+}));
+
+// POST /api/backups/restore - Restore from an uploaded archive ("archive") or a stored backup ("name")
+router.post('/restore', upload.single('archive'), validateRestoreBackup, asyncHandler(async (req, res) => {
+  const { name, sections, dry_run: dryRun = false, relink = true } = req.body;
+
+  try {
+    let archivePath = req.file?.path;
+
+    if (!archivePath) {
+      if (!name) {
+        return res.status(400).json({
+          error: 'Upload an archive or give the name of a stored backup',
+          code: 'MISSING_BACKUP'
+        });
+      }
+
+      archivePath = await findBackup(res, name);
+      if (!archivePath) return;
+    }
+
+    const result = await BackupService.restore(archivePath, {
+      sections,
+      relink,
+      dryRun,
+      restoredBy: req.user.username
+    });
+
+    setAudit(req, { target_id: name || req.file.originalname, after: { sections: result.sections, dry_run: dryRun, tables: result.tables } });
+
+    if (!result.valid) {
+      return res.status(422).json({
+        error: 'Backup archive failed validation',
+        code: 'INVALID_BACKUP_ARCHIVE',
+        errors: result.errors
+      });
+    }
+
+    res.json({
+      message: dryRun ? 'Backup archive is valid' : 'Backup restored successfully',
+      restore: result
+    });
+  } finally {
+    if (req.file) {
+      await fs.rm(req.file.path, { force: true });
+    }
+  }
+}));
+
+// GET /api/backups/:name/download - Download a platform backup
+router.get('/:name/download', validateBackupName, asyncHandler(async (req, res) => {
+  const filePath = await findBackup(res, req.params.name);
+  if (!filePath) return;
+
+  res.download(filePath, req.params.name);
+}));
+
+// DELETE /api/backups/:name - Delete a platform backup
+router.delete('/:name', validateBackupName, asyncHandler(async (req, res) => {
+  const filePath = await findBackup(res, req.params.name);
+  if (!filePath) return;
+
+  await fs.rm(filePath);
+
+  res.json({
+    message: 'Backup deleted successfully'
+  });
+}));
+
+export default router;
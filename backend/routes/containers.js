@@ -1,21 +1,160 @@
 import express from 'express';
 import { Container } from '../models/Container.js';
+import { Template } from '../models/Template.js';
+import { User } from '../models/User.js';
+import { ContainerPermission } from '../models/ContainerPermission.js';
+import { Team } from '../models/Team.js';
 import { dockerManager } from '../config/docker.js';
-import { requireRole } from '../middleware/auth.js';
+import { MetricsService } from '../services/metricsService.js';
+import { WebhookService } from '../services/webhookService.js';
+import { PermissionService } from '../services/permissionService.js';
+import { QuotaService } from '../services/quotaService.js';
+import { ReconcileService } from '../services/reconcileService.js';
+import { ResourceService } from '../services/resourceService.js';
+import { SnapshotService } from '../services/snapshotService.js';
+import { requireRole, authorizeContainer } from '../middleware/auth.js';
+import { setAudit } from '../middleware/audit.js';
 import { 
   validateCreateContainer, 
   validateUpdateContainer, 
+  validateContainerResources,
   validateContainerId,
+  validateTransferContainer,
+  validateGrantPermission,
+  validatePermissionId,
   validatePagination 
 } from '../middleware/validation.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
 
 const router = express.Router();
 
-// GET /api/containers - List all containers
+// Networks a Docker container is attached to, from its inspect data
+function containerNetworks(dockerInfo) {
+  return Object.entries(dockerInfo?.networkSettings?.Networks || {}).map(([name, endpoint]) => ({
+    name,
+    ip_address: endpoint.IPAddress || null,
+    aliases: (endpoint.Aliases || []).filter(alias => !dockerInfo.dockerId.startsWith(alias))
+  }));
+}
+
+// Named volumes mounted into a Docker container, from its inspect data
+function containerVolumes(dockerInfo) {
+  return (dockerInfo?.mounts || [])
+    .filter(mount => mount.Type === 'volume')
+    .map(mount => ({
+      name: mount.Name,
+      mount_path: mount.Destination,
+      read_only: mount.RW === false
+    }));
+}
+
+// Named volumes to mount at creation must exist and be usable by the user
+async function checkVolumeMounts(req, res, volumeMounts) {
+  const mountPaths = volumeMounts.map(mount => mount.mountPath);
+  if (new Set(mountPaths).size !== mountPaths.length) {
+    res.status(400).json({
+      error: 'Each volume needs its own mount path',
+      code: 'MOUNT_PATH_IN_USE'
+    });
+    return false;
+  }
+
+  for (const mount of volumeMounts) {
+    let volume;
+
+    try {
+      volume = await dockerManager.getVolume(mount.name);
+    } catch (error) {
+      if (error.statusCode !== 404) throw error;
+    }
+
+    if (!volume) {
+      res.status(404).json({
+        error: `Volume not found: ${mount.name}`,
+        code: 'VOLUME_NOT_FOUND'
+      });
+      return false;
+    }
+
+    if (!PermissionService.canUseVolume(req.user, volume)) {
+      res.status(403).json({
+        error: `Access denied to volume ${mount.name}`,
+        code: 'ACCESS_DENIED'
+      });
+      return false;
+    }
+  }
+
+  return true;
+}
+
+// Reconcile needs an existing Docker container to compare against
+async function planReconcile(res, container) {
+  if (!container.docker_id) {
+    res.status(400).json({
+      error: 'Container has no Docker ID',
+      code: 'NO_DOCKER_ID'
+    });
+    return null;
+  }
+
+  try {
+    return await ReconcileService.plan(container);
+  } catch (error) {
+    if (error.statusCode !== 404) throw error;
+
+    res.status(404).json({
+      error: 'Docker container not found',
+      code: 'DOCKER_CONTAINER_NOT_FOUND'
+    });
+    return null;
+  }
+}
+
+// Containers can only be placed in a team by its operators
+async function checkTeamPlacement(req, res, teamId) {
+  const team = await Team.findById(teamId);
+  if (!team) {
+    res.status(404).json({
+      error: 'Team not found',
+      code: 'TEAM_NOT_FOUND'
+    });
+    return null;
+  }
+
+  const role = await PermissionService.getTeamRole(req.user, team);
+  if (!PermissionService.hasRole(role, 'operator')) {
+    res.status(403).json({
+      error: 'Access denied',
+      code: 'ACCESS_DENIED',
+      required: 'operator',
+      current: role
+    });
+    return null;
+  }
+
+  return team;
+}
+
+// GET /api/containers - List containers of the personal workspace or of a team
 router.get('/', validatePagination, asyncHandler(async (req, res) => {
-  const { page, limit, sort, order, status } = req.query;
-  const userId = req.user.role === 'admin' ? null : req.user.id;
+  const { page, limit, sort, order, status, team_id } = req.query;
+  const isAdmin = req.user.role === 'admin';
+  let scope = { userId: isAdmin ? null : req.user.id, personalOnly: true };
+
+  if (team_id) {
+    const team = await Team.findById(team_id);
+    const role = await PermissionService.getTeamRole(req.user, team);
+
+    if (!team || !role) {
+      return res.status(404).json({
+        error: 'Team not found',
+        code: 'TEAM_NOT_FOUND'
+      });
+    }
+
+    scope = { teamId: team.id };
+  }
 
   const result = await Container.list({
     page: parseInt(page) || 1,
@@ -23,24 +162,30 @@ router.get('/', validatePagination, asyncHandler(async (req, res) => {
     sort: sort || 'created_at',
     order: order || 'desc',
     status,
-    userId
+    ...scope
   });
 
-  // Get Docker status for each container
+  // Get Docker status and networks for each container
   const containersWithStatus = await Promise.all(
     result.containers.map(async (container) => {
+      const data = container.toJSON();
+
       try {
         if (container.docker_id) {
           const dockerContainer = await dockerManager.getContainer(container.docker_id);
-          container.docker_status = dockerContainer.status;
-          container.docker_running = dockerContainer.running;
+          data.docker_status = dockerContainer.status;
+          data.docker_running = dockerContainer.running;
+          data.networks = containerNetworks(dockerContainer);
+          data.volumes = containerVolumes(dockerContainer);
         }
       } catch (error) {
         // Container might not exist in Docker anymore
-        container.docker_status = 'not_found';
-        container.docker_running = false;
+        data.docker_status = 'not_found';
+        data.docker_running = false;
+        data.networks = [];
+        data.volumes = [];
       }
-      return container;
+      return data;
     })
   );
 
@@ -51,24 +196,8 @@ router.get('/', validatePagination, asyncHandler(async (req, res) => {
 }));
 
 // GET /api/containers/:id - Get specific container
-router.get('/:id', validateContainerId, asyncHandler(async (req, res) => {
-  const { id } = req.params;
-  const container = await Container.findById(id);
-
-  if (!container) {
-    return res.status(404).json({
-      error: 'Container not found',
-      code: 'CONTAINER_NOT_FOUND'
-    });
-  }
-
-  // Check ownership (non-admin users can only see their own containers)
-  if (req.user.role !== 'admin' && container.created_by !== req.user.id) {
-    return res.status(403).json({
-      error: 'Access denied',
-      code: 'ACCESS_DENIED'
-    });
-  }
+router.get('/:id', validateContainerId, authorizeContainer('viewer'), asyncHandler(async (req, res) => {
+  const container = req.container;
 
   // Get Docker status
   let dockerInfo = null;
@@ -81,8 +210,9 @@ router.get('/:id', validateContainerId, asyncHandler(async (req, res) => {
   }
 
   res.json({
-    container: container.toJSON(),
-    docker_info: dockerInfo
+    container: { ...container.toJSON(), networks: containerNetworks(dockerInfo), volumes: containerVolumes(dockerInfo) },
+    docker_info: dockerInfo,
+    access_role: req.containerRole
   });
 }));
 
@@ -90,16 +220,44 @@ router.get('/:id', validateContainerId, asyncHandler(async (req, res) => {
 router.post('/', validateCreateContainer, asyncHandler(async (req, res) => {
   const {
     name,
+    templateId,
+    teamId,
+    network,
+    networkAliases = [],
+    volumeMounts = [],
+    pullImage = process.env.AUTO_PULL_IMAGES === 'true'
+  } = req.body;
+  let containerOptions = req.body;
+  let team = null;
+
+  if (teamId) {
+    team = await checkTeamPlacement(req, res, teamId);
+    if (!team) return;
+  }
+
+  // Fill in missing fields from the template; request fields act as overrides
+  if (templateId) {
+    const template = await Template.findById(templateId);
+
+    if (!template || !template.canView(req.user)) {
+      return res.status(404).json({
+        error: 'Template not found',
+        code: 'TEMPLATE_NOT_FOUND'
+      });
+    }
+
+    containerOptions = template.toContainerOptions(req.body);
+  }
+
+  const {
     image,
     ports,
     environment,
     volumes,
-    memory,
-    cpu,
     startupScript,
     workingDir,
     command
-  } = req.body;
+  } = containerOptions;
 
   // Check if container name already exists
   const existingContainer = await Container.exists(name);
@@ -110,6 +268,36 @@ router.post('/', validateCreateContainer, asyncHandler(async (req, res) => {
     });
   }
 
+  if (network) {
+    let dockerNetwork;
+
+    try {
+      dockerNetwork = await dockerManager.getNetwork(network);
+    } catch (error) {
+      if (error.statusCode !== 404) throw error;
+
+      return res.status(404).json({
+        error: `Network not found: ${network}`,
+        code: 'NETWORK_NOT_FOUND'
+      });
+    }
+
+    if (!(await PermissionService.canUseNetwork(req.user, dockerNetwork))) {
+      return res.status(403).json({
+        error: `Access denied to network ${network}`,
+        code: 'ACCESS_DENIED'
+      });
+    }
+  }
+
+  if (!(await checkVolumeMounts(req, res, volumeMounts))) return;
+
+  // Apply the default limits and make sure the container fits in the quota.
+  // Only a cpu given in the request or template caps the container.
+  const limits = await QuotaService.resolveLimits(containerOptions);
+  await QuotaService.checkCreate(req.user, { team, ...limits });
+  const cpuQuota = containerOptions.cpu ? limits.cpu_limit : null;
+
   // Create container in database
   const container = await Container.create({
     name,
@@ -117,7 +305,11 @@ router.post('/', validateCreateContainer, asyncHandler(async (req, res) => {
     startup_script: startupScript,
     port_mappings: ports,
     environment_vars: environment,
-    folder_path: `/home/containers/${name}`
+    folder_path: `/home/containers/${name}`,
+    team_id: teamId || null,
+    memory_limit: limits.memory_limit,
+    cpu_limit: limits.cpu_limit,
+    cpu_quota: cpuQuota
   }, req.user.id);
 
   // Create Docker container
@@ -127,11 +319,18 @@ router.post('/', validateCreateContainer, asyncHandler(async (req, res) => {
       image,
       ports,
       environment,
-      volumes: volumes || [`${container.folder_path}:/app`],
-      memory,
-      cpu,
+      volumes: [
+        ...(volumes || [`${container.folder_path}:/app`]),
+        ...volumeMounts.map(mount => `${mount.name}:${mount.mountPath}${mount.readOnly ? ':ro' : ''}`)
+      ],
+      memory: limits.memory,
+      cpu: limits.cpu,
+      cpuQuota,
       workingDir: workingDir || '/app',
-      command
+      command,
+      pullImage,
+      network,
+      networkAliases
     });
 
     // Update container with Docker ID
@@ -139,12 +338,19 @@ router.post('/', validateCreateContainer, asyncHandler(async (req, res) => {
     await container.updateStatus('created');
 
     // Add creation log
-    await container.addLog(`Container created with image ${image}`, 'info');
+    await container.addLog(
+      templateId ? `Container created with image ${image} from template ${templateId}` : `Container created with image ${image}`,
+      'info'
+    );
+
+    WebhookService.dispatch('container.created', container, { template_id: templateId || null });
 
     res.status(201).json({
       message: 'Container created successfully',
       container: container.toJSON(),
-      docker_id: dockerContainer.dockerId
+      docker_id: dockerContainer.dockerId,
+      network: network || 'bridge',
+      volumes: volumeMounts.map(mount => mount.name)
     });
   } catch (error) {
     // If Docker creation fails, remove from database
@@ -156,56 +362,59 @@ router.post('/', validateCreateContainer, asyncHandler(async (req, res) => {
 }));
 
 // PUT /api/containers/:id - Update container
-router.put('/:id', validateUpdateContainer, asyncHandler(async (req, res) => {
+router.put('/:id', validateUpdateContainer, authorizeContainer('owner'), asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const container = await Container.findById(id);
-
-  if (!container) {
-    return res.status(404).json({
-      error: 'Container not found',
-      code: 'CONTAINER_NOT_FOUND'
-    });
+  const container = req.container;
+  const { name, memory, cpu, ports } = req.body;
+  const startupScript = req.body.startupScript ?? req.body.startup_script;
+  const environment = req.body.environment ?? req.body.environment_vars;
+
+  // Only the documented fields; other resource limits go through PUT /:id/resources
+  const updateData = {};
+  if (name !== undefined) updateData.name = name;
+  if (startupScript !== undefined) updateData.startup_script = startupScript;
+  if (ports !== undefined) updateData.port_mappings = ports;
+  if (environment !== undefined) updateData.environment_vars = environment;
+  if (memory !== undefined || cpu !== undefined) {
+    const limits = ResourceService.resolve(container, { memory, cpu });
+    updateData.memory_limit = limits.memory_limit;
+    updateData.cpu_limit = limits.cpu_limit;
+    updateData.cpu_quota = limits.cpu_quota;
   }
 
-  // Check ownership
-  if (req.user.role !== 'admin' && container.created_by !== req.user.id) {
-    return res.status(403).json({
-      error: 'Access denied',
-      code: 'ACCESS_DENIED'
+  if (Object.keys(updateData).length === 0) {
+    return res.status(400).json({
+      error: 'No valid fields to update',
+      code: 'NO_UPDATES'
     });
   }
 
-  const updatedContainer = await Container.update(id, req.body);
+  await QuotaService.checkUpdate(container, updateData);
+
+  const updatedContainer = await Container.update(id, updateData);
 
-  if (updatedContainer) {
-    await updatedContainer.addLog('Container configuration updated', 'info');
+  if (!updatedContainer) {
+    return res.status(404).json({
+      error: 'Container not found',
+      code: 'CONTAINER_NOT_FOUND'
+    });
   }
 
+  setAudit(req, { before: container.toJSON(), after: updatedContainer.toJSON() });
+  await updatedContainer.addLog('Container configuration updated', 'info');
+
+  // Docker keeps the old configuration until the container is reconciled
   res.json({
     message: 'Container updated successfully',
-    container: updatedContainer.toJSON()
+    container: updatedContainer.toJSON(),
+    pending_changes: await ReconcileService.pendingChanges(updatedContainer)
   });
 }));
 
 // DELETE /api/containers/:id - Delete container
-router.delete('/:id', validateContainerId, asyncHandler(async (req, res) => {
+router.delete('/:id', validateContainerId, authorizeContainer('owner'), asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const container = await Container.findById(id);
-
-  if (!container) {
-    return res.status(404).json({
-      error: 'Container not found',
-      code: 'CONTAINER_NOT_FOUND'
-    });
-  }
-
-  // Check ownership
-  if (req.user.role !== 'admin' && container.created_by !== req.user.id) {
-    return res.status(403).json({
-      error: 'Access denied',
-      code: 'ACCESS_DENIED'
-    });
-  }
+  const container = req.container;
 
   // Stop and remove Docker container if it exists
   if (container.docker_id) {
@@ -217,10 +426,20 @@ router.delete('/:id', validateContainerId, asyncHandler(async (req, res) => {
     }
   }
 
+  // Snapshot images are only useful to this container
+  try {
+    await SnapshotService.removeAll(id);
+  } catch (error) {
+    console.warn(`Failed to remove snapshots of container ${id}:`, error.message);
+  }
+
   // Remove from database
   const deleted = await Container.delete(id);
 
   if (deleted) {
+    setAudit(req, { before: container.toJSON() });
+    WebhookService.dispatch('container.deleted', container);
+
     res.json({
       message: 'Container deleted successfully'
     });
@@ -233,24 +452,8 @@ router.delete('/:id', validateContainerId, asyncHandler(async (req, res) => {
 }));
 
 // POST /api/containers/:id/start - Start container
-router.post('/:id/start', validateContainerId, asyncHandler(async (req, res) => {
-  const { id } = req.params;
-  const container = await Container.findById(id);
-
-  if (!container) {
-    return res.status(404).json({
-      error: 'Container not found',
-      code: 'CONTAINER_NOT_FOUND'
-    });
-  }
-
-  // Check ownership
-  if (req.user.role !== 'admin' && container.created_by !== req.user.id) {
-    return res.status(403).json({
-      error: 'Access denied',
-      code: 'ACCESS_DENIED'
-    });
-  }
+router.post('/:id/start', validateContainerId, authorizeContainer('operator'), asyncHandler(async (req, res) => {
+  const container = req.container;
 
   if (!container.docker_id) {
     return res.status(400).json({
@@ -263,6 +466,7 @@ router.post('/:id/start', validateContainerId, asyncHandler(async (req, res) =>
     await dockerManager.startContainer(container.docker_id);
     await container.updateStatus('running');
     await container.addLog('Container started', 'info');
+    WebhookService.dispatch('container.started', container);
 
     res.json({
       message: 'Container started successfully',
@@ -275,24 +479,8 @@ router.post('/:id/start', validateContainerId, asyncHandler(async (req, res) =>
 }));
 
 // POST /api/containers/:id/stop - Stop container
-router.post('/:id/stop', validateContainerId, asyncHandler(async (req, res) => {
-  const { id } = req.params;
-  const container = await Container.findById(id);
-
-  if (!container) {
-    return res.status(404).json({
-      error: 'Container not found',
-      code: 'CONTAINER_NOT_FOUND'
-    });
-  }
-
-  // Check ownership
-  if (req.user.role !== 'admin' && container.created_by !== req.user.id) {
-    return res.status(403).json({
-      error: 'Access denied',
-      code: 'ACCESS_DENIED'
-    });
-  }
+router.post('/:id/stop', validateContainerId, authorizeContainer('operator'), asyncHandler(async (req, res) => {
+  const container = req.container;
 
   if (!container.docker_id) {
     return res.status(400).json({
@@ -305,6 +493,7 @@ router.post('/:id/stop', validateContainerId, asyncHandler(async (req, res) => {
     await dockerManager.stopContainer(container.docker_id);
     await container.updateStatus('stopped');
     await container.addLog('Container stopped', 'info');
+    WebhookService.dispatch('container.stopped', container, { reason: 'user' });
 
     res.json({
       message: 'Container stopped successfully',
@@ -317,24 +506,8 @@ router.post('/:id/stop', validateContainerId, asyncHandler(async (req, res) => {
 }));
 
 // POST /api/containers/:id/restart - Restart container
-router.post('/:id/restart', validateContainerId, asyncHandler(async (req, res) => {
-  const { id } = req.params;
-  const container = await Container.findById(id);
-
-  if (!container) {
-    return res.status(404).json({
-      error: 'Container not found',
-      code: 'CONTAINER_NOT_FOUND'
-    });
-  }
-
-  // Check ownership
-  if (req.user.role !== 'admin' && container.created_by !== req.user.id) {
-    return res.status(403).json({
-      error: 'Access denied',
-      code: 'ACCESS_DENIED'
-    });
-  }
+router.post('/:id/restart', validateContainerId, authorizeContainer('operator'), asyncHandler(async (req, res) => {
+  const container = req.container;
 
   if (!container.docker_id) {
     return res.status(400).json({
@@ -347,6 +520,7 @@ router.post('/:id/restart', validateContainerId, asyncHandler(async (req, res) =
     await dockerManager.restartContainer(container.docker_id);
     await container.updateStatus('running');
     await container.addLog('Container restarted', 'info');
+    WebhookService.dispatch('container.restarted', container);
 
     res.json({
       message: 'Container restarted successfully',
@@ -354,30 +528,180 @@ router.post('/:id/restart', validateContainerId, asyncHandler(async (req, res) =
     });
   } catch (error) {
     await container.addLog(`Failed to restart container: ${error.message}`, 'error');
+    WebhookService.dispatch('container.restart_failed', container, { error: error.message });
     throw error;
   }
 }));
 
-// GET /api/containers/:id/stats - Get container statistics
-router.get('/:id/stats', validateContainerId, asyncHandler(async (req, res) => {
-  const { id } = req.params;
-  const container = await Container.findById(id);
+// GET /api/containers/:id/reconcile - Preview how the Docker container differs from the stored configuration
+router.get('/:id/reconcile', validateContainerId, authorizeContainer('operator'), asyncHandler(async (req, res) => {
+  const plan = await planReconcile(res, req.container);
+  if (!plan) return;
+
+  const { recreate, ...preview } = plan;
+  res.json({
+    container_id: req.container.id,
+    ...preview
+  });
+}));
+
+// POST /api/containers/:id/reconcile - Recreate the Docker container from the stored configuration
+router.post('/:id/reconcile', validateContainerId, authorizeContainer('owner'), asyncHandler(async (req, res) => {
+  const container = req.container;
+
+  if (!(await planReconcile(res, container))) return;
+
+  try {
+    const result = await ReconcileService.apply(container);
+
+    if (result.applied) {
+      setAudit(req, { after: { docker_id: result.docker_id, changes: result.changes } });
+    }
+
+    res.json({
+      message: result.applied ? 'Container recreated with the stored configuration' : 'Container is already in sync',
+      container_id: container.id,
+      ...result
+    });
+  } catch (error) {
+    await container.addLog(`Failed to reconcile container: ${error.message}`, 'error');
+    throw error;
+  }
+}));
+
+// PUT /api/containers/:id/resources - Change resource limits in place, without a restart
+router.put('/:id/resources', validateContainerResources, authorizeContainer('owner'), asyncHandler(async (req, res) => {
+  const container = req.container;
+
+  const result = await ResourceService.update(container, req.body);
+  setAudit(req, { before: ResourceService.limitsOf(container), after: result.limits });
+
+  await result.container.addLog(
+    result.applied ? 'Resource limits updated' : 'Resource limits saved; Docker container not updated',
+    'info'
+  );
+
+  res.json({
+    message: result.applied ? 'Resource limits updated' : 'Resource limits saved, apply them with reconcile',
+    container: result.container.toJSON(),
+    applied: result.applied
+  });
+}));
+
+// POST /api/containers/:id/transfer - Move container into a team or back to its creator
+router.post('/:id/transfer', validateTransferContainer, authorizeContainer('owner'), asyncHandler(async (req, res) => {
+  const container = req.container;
+  const teamId = req.body.team_id || null;
+
+  if (teamId === container.team_id) {
+    return res.json({
+      message: 'Container is already in this workspace',
+      container: container.toJSON()
+    });
+  }
 
-  if (!container) {
+  let team = null;
+  if (teamId) {
+    team = await checkTeamPlacement(req, res, teamId);
+    if (!team) return;
+  }
+
+  await QuotaService.checkTransfer(container, team);
+  setAudit(req, { before: { team_id: container.team_id }, after: { team_id: teamId } });
+  await container.updateTeam(teamId);
+  await container.addLog(team ? `Container transferred to team ${team.name}` : 'Container moved to personal workspace', 'info');
+
+  res.json({
+    message: 'Container transferred successfully',
+    container: container.toJSON()
+  });
+}));
+
+// GET /api/containers/:id/permissions - List users and teams the container is shared with
+router.get('/:id/permissions', validateContainerId, authorizeContainer('owner'), asyncHandler(async (req, res) => {
+  const permissions = await ContainerPermission.listForContainer(req.container.id);
+
+  res.json({
+    owner_id: req.container.created_by,
+    permissions: permissions.map(permission => permission.toJSON())
+  });
+}));
+
+// POST /api/containers/:id/permissions - Grant or change a user's or team's role on the container
+router.post('/:id/permissions', validateGrantPermission, authorizeContainer('owner'), asyncHandler(async (req, res) => {
+  const { user_id, username, team_id, role } = req.body;
+  const container = req.container;
+
+  if (team_id) {
+    const team = await Team.findById(team_id);
+    if (!team) {
+      return res.status(404).json({
+        error: 'Team not found',
+        code: 'TEAM_NOT_FOUND'
+      });
+    }
+
+    const permission = await ContainerPermission.grant(container.id, { teamId: team.id }, role, req.user.id);
+    setAudit(req, { action: 'container.permission.grant', after: permission.toJSON() });
+    await container.addLog(`Access granted to team ${team.name} as ${role}`, 'info');
+
+    return res.status(201).json({
+      message: 'Permission granted successfully',
+      permission: permission.toJSON()
+    });
+  }
+
+  const user = user_id ? await User.findById(user_id) : await User.findByUsername(username);
+  if (!user) {
     return res.status(404).json({
-      error: 'Container not found',
-      code: 'CONTAINER_NOT_FOUND'
+      error: 'User not found',
+      code: 'USER_NOT_FOUND'
     });
   }
 
-  // Check ownership
-  if (req.user.role !== 'admin' && container.created_by !== req.user.id) {
-    return res.status(403).json({
-      error: 'Access denied',
-      code: 'ACCESS_DENIED'
+  if (user.id === container.created_by) {
+    return res.status(400).json({
+      error: 'User already owns this container',
+      code: 'ALREADY_OWNER'
+    });
+  }
+
+  const permission = await ContainerPermission.grant(container.id, { userId: user.id }, role, req.user.id);
+  setAudit(req, { action: 'container.permission.grant', after: permission.toJSON() });
+  await container.addLog(`Access granted to ${user.username} as ${role}`, 'info');
+
+  res.status(201).json({
+    message: 'Permission granted successfully',
+    permission: permission.toJSON()
+  });
+}));
+
+// DELETE /api/containers/:id/permissions/:permissionId - Revoke a grant
+router.delete('/:id/permissions/:permissionId', validatePermissionId, authorizeContainer('owner'), asyncHandler(async (req, res) => {
+  const container = req.container;
+  const permission = await ContainerPermission.findById(req.params.permissionId);
+
+  if (!permission || permission.container_id !== container.id) {
+    return res.status(404).json({
+      error: 'Permission not found',
+      code: 'PERMISSION_NOT_FOUND'
     });
   }
 
+  await ContainerPermission.revoke(permission.id);
+  setAudit(req, { action: 'container.permission.revoke', before: permission.toJSON() });
+  await container.addLog(`Access revoked for ${permission.team_name ? `team ${permission.team_name}` : permission.username || `user ${permission.user_id}`}`, 'info');
+
+  res.json({
+    message: 'Permission revoked successfully'
+  });
+}));
+
+// GET /api/containers/:id/stats - Get container statistics
+router.get('/:id/stats', validateContainerId, authorizeContainer('viewer'), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const container = req.container;
+
   if (!container.docker_id) {
     return res.status(400).json({
       error: 'Container has no Docker ID',
@@ -403,6 +727,36 @@ router.get('/:id/stats', validateContainerId, asyncHandler(async (req, res) => {
   }
 }));
 
+// GET /api/containers/:id/metrics?range=6h&step=5m - Get metrics history
+router.get('/:id/metrics', validateContainerId, authorizeContainer('viewer'), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const container = req.container;
+
+  const range = MetricsService.parseDuration(req.query.range, 3600);
+  const step = MetricsService.parseDuration(req.query.step, null);
+
+  if (!range || (req.query.step && !step)) {
+    return res.status(400).json({
+      error: 'Range and step must be durations like 90, 15m, 6h or 7d',
+      code: 'INVALID_RANGE'
+    });
+  }
+
+  if (step && range / step > 2000) {
+    return res.status(400).json({
+      error: 'Step is too small for the requested range (max 2000 points)',
+      code: 'TOO_MANY_POINTS'
+    });
+  }
+
+  const metrics = await MetricsService.query(container.id, { range, step });
+
+  res.json({
+    container_id: container.id,
+    ...metrics
+  });
+}));
+
 // GET /api/containers/stats - Get all containers stats (admin only)
 router.get('/system/stats', requireRole('admin'), asyncHandler(async (req, res) => {
   const containerStats = await Container.getStats();
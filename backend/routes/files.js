@@ -2,8 +2,8 @@ import express from 'express';
 import multer from 'multer';
 import path from 'path';
 import fs from 'fs/promises';
-import { Container } from '../models/Container.js';
 import { dockerManager } from '../config/docker.js';
+import { authorizeContainer } from '../middleware/auth.js';
 import { validateContainerId, validateFilePath, validateFileUpload } from '../middleware/validation.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
 
@@ -12,12 +12,8 @@ const router = express.Router();
 // Configure multer for file uploads
 const storage = multer.diskStorage({
   destination: async (req, file, cb) => {
-    const { id } = req.params;
-    const container = await Container.findById(id);
-    
-    if (!container) {
-      return cb(new Error('Container not found'));
-    }
+    // Loaded by authorizeContainer before multer runs
+    const container = req.container;
 
     const uploadPath = path.join(process.cwd(), 'uploads', container.id);
     
@@ -47,25 +43,11 @@ const upload = multer({
 });
 
 // GET /api/files/:id - List files in container
-router.get('/:id', validateContainerId, validateFilePath, asyncHandler(async (req, res) => {
+router.get('/:id', validateContainerId, validateFilePath, authorizeContainer('viewer'), asyncHandler(async (req, res) => {
   const { id } = req.params;
   const { path: filePath = '/' } = req.query;
 
-  const container = await Container.findById(id);
-  if (!container) {
-    return res.status(404).json({
-      error: 'Container not found',
-      code: 'CONTAINER_NOT_FOUND'
-    });
-  }
-
-  // Check ownership
-  if (req.user.role !== 'admin' && container.created_by !== req.user.id) {
-    return res.status(403).json({
-      error: 'Access denied',
-      code: 'ACCESS_DENIED'
-    });
-  }
+  const container = req.container;
 
   if (!container.docker_id) {
     return res.status(400).json({
@@ -152,8 +134,7 @@ router.get('/:id', validateContainerId, validateFilePath, asyncHandler(async (re
 }));
 
 // GET /api/files/:id/download - Download file from container
-router.get('/:id/download', validateContainerId, asyncHandler(async (req, res) => {
-  const { id } = req.params;
+router.get('/:id/download', validateContainerId, authorizeContainer('viewer'), asyncHandler(async (req, res) => {
   const { path: filePath } = req.query;
 
   if (!filePath) {
@@ -163,21 +144,7 @@ router.get('/:id/download', validateContainerId, asyncHandler(async (req, res) =
     });
   }
 
-  const container = await Container.findById(id);
-  if (!container) {
-    return res.status(404).json({
-      error: 'Container not found',
-      code: 'CONTAINER_NOT_FOUND'
-    });
-  }
-
-  // Check ownership
-  if (req.user.role !== 'admin' && container.created_by !== req.user.id) {
-    return res.status(403).json({
-      error: 'Access denied',
-      code: 'ACCESS_DENIED'
-    });
-  }
+  const container = req.container;
 
   if (!container.docker_id) {
     return res.status(400).json({
@@ -212,25 +179,11 @@ router.get('/:id/download', validateContainerId, asyncHandler(async (req, res) =
 }));
 
 // POST /api/files/:id/upload - Upload files to container
-router.post('/:id/upload', upload.array('files'), validateContainerId, asyncHandler(async (req, res) => {
+router.post('/:id/upload', validateContainerId, authorizeContainer('operator'), upload.array('files'), asyncHandler(async (req, res) => {
   const { id } = req.params;
   const { path: targetPath = '/app' } = req.body;
 
-  const container = await Container.findById(id);
-  if (!container) {
-    return res.status(404).json({
-      error: 'Container not found',
-      code: 'CONTAINER_NOT_FOUND'
-    });
-  }
-
-  // Check ownership
-  if (req.user.role !== 'admin' && container.created_by !== req.user.id) {
-    return res.status(403).json({
-      error: 'Access denied',
-      code: 'ACCESS_DENIED'
-    });
-  }
+  const container = req.container;
 
   if (!container.docker_id) {
     return res.status(400).json({
@@ -314,7 +267,7 @@ router.post('/:id/upload', upload.array('files'), validateContainerId, asyncHand
 }));
 
 // DELETE /api/files/:id - Delete file from container
-router.delete('/:id', validateContainerId, asyncHandler(async (req, res) => {
+router.delete('/:id', validateContainerId, authorizeContainer('operator'), asyncHandler(async (req, res) => {
   const { id } = req.params;
   const { path: filePath } = req.body;
 
@@ -325,21 +278,7 @@ router.delete('/:id', validateContainerId, asyncHandler(async (req, res) => {
     });
   }
 
-  const container = await Container.findById(id);
-  if (!container) {
-    return res.status(404).json({
-      error: 'Container not found',
-      code: 'CONTAINER_NOT_FOUND'
-    });
-  }
-
-  // Check ownership
-  if (req.user.role !== 'admin' && container.created_by !== req.user.id) {
-    return res.status(403).json({
-      error: 'Access denied',
-      code: 'ACCESS_DENIED'
-    });
-  }
+  const container = req.container;
 
   if (!container.docker_id) {
     return res.status(400).json({
@@ -392,7 +331,7 @@ router.delete('/:id', validateContainerId, asyncHandler(async (req, res) => {
 }));
 
 // POST /api/files/:id/create - Create new file or directory
-router.post('/:id/create', validateContainerId, asyncHandler(async (req, res) => {
+router.post('/:id/create', validateContainerId, authorizeContainer('operator'), asyncHandler(async (req, res) => {
   const { id } = req.params;
   const { path: filePath, type = 'file', content = '' } = req.body;
 
@@ -403,21 +342,7 @@ router.post('/:id/create', validateContainerId, asyncHandler(async (req, res) =>
     });
   }
 
-  const container = await Container.findById(id);
-  if (!container) {
-    return res.status(404).json({
-      error: 'Container not found',
-      code: 'CONTAINER_NOT_FOUND'
-    });
-  }
-
-  // Check ownership
-  if (req.user.role !== 'admin' && container.created_by !== req.user.id) {
-    return res.status(403).json({
-      error: 'Access denied',
-      code: 'ACCESS_DENIED'
-    });
-  }
+  const container = req.container;
 
   if (!container.docker_id) {
     return res.status(400).json({
@@ -479,7 +404,7 @@ router.post('/:id/create', validateContainerId, asyncHandler(async (req, res) =>
 }));
 
 // PUT /api/files/:id/edit - Edit file content
-router.put('/:id/edit', validateContainerId, asyncHandler(async (req, res) => {
+router.put('/:id/edit', validateContainerId, authorizeContainer('operator'), asyncHandler(async (req, res) => {
   const { id } = req.params;
   const { path: filePath, content } = req.body;
 
@@ -497,21 +422,7 @@ router.put('/:id/edit', validateContainerId, asyncHandler(async (req, res) => {
     });
   }
 
-  const container = await Container.findById(id);
-  if (!container) {
-    return res.status(404).json({
-      error: 'Container not found',
-      code: 'CONTAINER_NOT_FOUND'
-    });
-  }
-
-  // Check ownership
-  if (req.user.role !== 'admin' && container.created_by !== req.user.id) {
-    return res.status(403).json({
-      error: 'Access denied',
-      code: 'ACCESS_DENIED'
-    });
-  }
+  const container = req.container;
 
   if (!container.docker_id) {
     return res.status(400).json({
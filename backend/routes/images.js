@@ -0,0 +1,100 @@
+import express from 'express';
+import { dockerManager } from '../config/docker.js';
+import { requireRole } from '../middleware/auth.js';
+import { validateImageName, validatePullImage, validateTagImage } from '../middleware/validation.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+
+const router = express.Router();
+
+// Translate Docker daemon errors into API responses
+function sendImageError(res, error, name) {
+  if (error.statusCode === 404) {
+    return res.status(404).json({
+      error: `Image not found: ${name}`,
+      code: 'IMAGE_NOT_FOUND'
+    });
+  }
+
+  if (error.statusCode === 409) {
+    return res.status(409).json({
+      error: `Image ${name} is in use by a container`,
+      code: 'IMAGE_IN_USE'
+    });
+  }
+
+  throw error;
+}
+
+// GET /api/images - List local images
+router.get('/', asyncHandler(async (req, res) => {
+  const images = await dockerManager.listImages();
+
+  res.json({
+    images,
+    total: images.length
+  });
+}));
+
+// POST /api/images/pull - Pull an image (progress is available over WebSocket via pull_image)
+router.post('/pull', validatePullImage, asyncHandler(async (req, res) => {
+  const { image } = req.body;
+
+  try {
+    await dockerManager.pullImage(image);
+  } catch (error) {
+    return sendImageError(res, error, image);
+  }
+
+  res.status(201).json({
+    message: 'Image pulled successfully',
+    image: await dockerManager.getImage(image)
+  });
+}));
+
+// GET /api/images/:name - Inspect image
+router.get('/:name', validateImageName, asyncHandler(async (req, res) => {
+  const { name } = req.params;
+
+  try {
+    const image = await dockerManager.getImage(name);
+    res.json({ image });
+  } catch (error) {
+    return sendImageError(res, error, name);
+  }
+}));
+
+// POST /api/images/:name/tag - Tag image (admin only)
+router.post('/:name/tag', requireRole('admin'), validateTagImage, asyncHandler(async (req, res) => {
+  const { name } = req.params;
+  const { repo, tag = 'latest' } = req.body;
+
+  try {
+    const reference = await dockerManager.tagImage(name, repo, tag);
+
+    res.json({
+      message: 'Image tagged successfully',
+      tag: reference
+    });
+  } catch (error) {
+    return sendImageError(res, error, name);
+  }
+}));
+
+// DELETE /api/images/:name - Remove image (admin only)
+router.delete('/:name', requireRole('admin'), validateImageName, asyncHandler(async (req, res) => {
+  const { name } = req.params;
+  const force = req.query.force === 'true';
+
+  try {
+    const result = await dockerManager.removeImage(name, force);
+
+    res.json({
+      message: 'Image removed successfully',
+      removed: result
+    });
+  } catch (error) {
+    return sendImageError(res, error, name);
+  }
+}));
+
+export default router;
@@ -1,31 +1,17 @@
 import express from 'express';
-import { Container } from '../models/Container.js';
 import { dockerManager } from '../config/docker.js';
+import { authorizeContainer } from '../middleware/auth.js';
 import { validateContainerId, validateLogQuery } from '../middleware/validation.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
 
 const router = express.Router();
 
 // GET /api/logs/:id - Get container logs
-router.get('/:id', validateContainerId, validateLogQuery, asyncHandler(async (req, res) => {
+router.get('/:id', validateContainerId, validateLogQuery, authorizeContainer('viewer'), asyncHandler(async (req, res) => {
   const { id } = req.params;
   const { tail = 100, since, until, follow = false } = req.query;
 
-  const container = await Container.findById(id);
-  if (!container) {
-    return res.status(404).json({
-      error: 'Container not found',
-      code: 'CONTAINER_NOT_FOUND'
-    });
-  }
-
-  // Check ownership
-  if (req.user.role !== 'admin' && container.created_by !== req.user.id) {
-    return res.status(403).json({
-      error: 'Access denied',
-      code: 'ACCESS_DENIED'
-    });
-  }
+  const container = req.container;
 
   try {
     // Get logs from database (application logs)
@@ -115,24 +101,9 @@ router.get('/:id', validateContainerId, validateLogQuery, asyncHandler(async (re
 
 // GET /api/logs/:id/stream - Stream container logs via WebSocket
 // This endpoint returns connection info for WebSocket streaming
-router.get('/:id/stream', validateContainerId, asyncHandler(async (req, res) => {
+router.get('/:id/stream', validateContainerId, authorizeContainer('viewer'), asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const container = await Container.findById(id);
-
-  if (!container) {
-    return res.status(404).json({
-      error: 'Container not found',
-      code: 'CONTAINER_NOT_FOUND'
-    });
-  }
-
-  // Check ownership
-  if (req.user.role !== 'admin' && container.created_by !== req.user.id) {
-    return res.status(403).json({
-      error: 'Access denied',
-      code: 'ACCESS_DENIED'
-    });
-  }
+  const container = req.container;
 
   // Return WebSocket connection information
   res.json({
@@ -149,7 +120,7 @@ router.get('/:id/stream', validateContainerId, asyncHandler(async (req, res) =>
 }));
 
 // POST /api/logs/:id - Add custom log entry
-router.post('/:id', validateContainerId, asyncHandler(async (req, res) => {
+router.post('/:id', validateContainerId, authorizeContainer('operator'), asyncHandler(async (req, res) => {
   const { id } = req.params;
   const { content, type = 'info' } = req.body;
 
@@ -160,21 +131,7 @@ router.post('/:id', validateContainerId, asyncHandler(async (req, res) => {
     });
   }
 
-  const container = await Container.findById(id);
-  if (!container) {
-    return res.status(404).json({
-      error: 'Container not found',
-      code: 'CONTAINER_NOT_FOUND'
-    });
-  }
-
-  // Check ownership
-  if (req.user.role !== 'admin' && container.created_by !== req.user.id) {
-    return res.status(403).json({
-      error: 'Access denied',
-      code: 'ACCESS_DENIED'
-    });
-  }
+  const container = req.container;
 
   // Validate log type
   const validTypes = ['info', 'warning', 'error', 'debug'];
@@ -200,30 +157,16 @@ router.post('/:id', validateContainerId, asyncHandler(async (req, res) => {
 }));
 
 // DELETE /api/logs/:id - Clear container logs
-router.delete('/:id', validateContainerId, asyncHandler(async (req, res) => {
+router.delete('/:id', validateContainerId, authorizeContainer('owner'), asyncHandler(async (req, res) => {
   const { id } = req.params;
   const { source = 'application' } = req.query;
 
-  const container = await Container.findById(id);
-  if (!container) {
-    return res.status(404).json({
-      error: 'Container not found',
-      code: 'CONTAINER_NOT_FOUND'
-    });
-  }
-
-  // Check ownership
-  if (req.user.role !== 'admin' && container.created_by !== req.user.id) {
-    return res.status(403).json({
-      error: 'Access denied',
-      code: 'ACCESS_DENIED'
-    });
-  }
+  const container = req.container;
 
   try {
     if (source === 'application' || source === 'all') {
       // Clear application logs from database
-      await database.run('DELETE FROM container_logs WHERE container_id = ?', [container.id]);
+      await container.clearLogs();
       await container.addLog('Application logs cleared', 'info');
     }
 
@@ -245,25 +188,11 @@ router.delete('/:id', validateContainerId, asyncHandler(async (req, res) => {
 }));
 
 // GET /api/logs/:id/download - Download container logs as file
-router.get('/:id/download', validateContainerId, asyncHandler(async (req, res) => {
+router.get('/:id/download', validateContainerId, authorizeContainer('viewer'), asyncHandler(async (req, res) => {
   const { id } = req.params;
   const { format = 'txt', source = 'all' } = req.query;
 
-  const container = await Container.findById(id);
-  if (!container) {
-    return res.status(404).json({
-      error: 'Container not found',
-      code: 'CONTAINER_NOT_FOUND'
-    });
-  }
-
-  // Check ownership
-  if (req.user.role !== 'admin' && container.created_by !== req.user.id) {
-    return res.status(403).json({
-      error: 'Access denied',
-      code: 'ACCESS_DENIED'
-    });
-  }
+  const container = req.container;
 
   try {
     let logs = [];
@@ -0,0 +1,262 @@
+import express from 'express';
+import { dockerManager } from '../config/docker.js';
+import { Container } from '../models/Container.js';
+import { authorizeContainer } from '../middleware/auth.js';
+import { PermissionService } from '../services/permissionService.js';
+import { setAudit } from '../middleware/audit.js';
+import {
+  validateCreateNetwork,
+  validateNetworkId,
+  validateNetworkAttachment
+} from '../middleware/validation.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+
+const router = express.Router();
+
+// Docker's own networks; containers land on "bridge" when no network is chosen
+const BUILTIN_NETWORKS = ['bridge', 'host', 'none'];
+
+const CREATED_BY_LABEL = 'nexus-crate-flow.created-by';
+const STACK_LABEL = 'nexus-crate-flow.stack';
+
+// Translate Docker daemon errors into API responses
+function sendNetworkError(res, error, name) {
+  if (error.statusCode === 404) {
+    return res.status(404).json({
+      error: `Network not found: ${name}`,
+      code: 'NETWORK_NOT_FOUND'
+    });
+  }
+
+  if (error.statusCode === 409) {
+    return res.status(409).json({
+      error: error.json?.message || `Network ${name} conflicts with an existing network`,
+      code: 'NETWORK_CONFLICT'
+    });
+  }
+
+  if (error.statusCode === 403) {
+    return res.status(409).json({
+      error: error.json?.message || `Network ${name} is in use`,
+      code: 'NETWORK_IN_USE'
+    });
+  }
+
+  throw error;
+}
+
+async function findNetwork(req, res) {
+  try {
+    return await dockerManager.getNetwork(req.params.id);
+  } catch (error) {
+    sendNetworkError(res, error, req.params.id);
+    return null;
+  }
+}
+
+// Built-in and stack networks are managed by Docker and stacks respectively;
+// other networks can be changed by an admin or the user who created them
+function checkNetworkOwnership(req, res, network) {
+  if (BUILTIN_NETWORKS.includes(network.name)) {
+    res.status(403).json({
+      error: `Built-in network ${network.name} cannot be changed`,
+      code: 'NETWORK_BUILTIN'
+    });
+    return false;
+  }
+
+  if (network.labels[STACK_LABEL]) {
+    res.status(409).json({
+      error: `Network ${network.name} belongs to stack ${network.labels[STACK_LABEL]}`,
+      code: 'NETWORK_MANAGED_BY_STACK'
+    });
+    return false;
+  }
+
+  if (req.user.role !== 'admin' && network.labels[CREATED_BY_LABEL] !== String(req.user.id)) {
+    res.status(403).json({
+      error: 'Access denied',
+      code: 'ACCESS_DENIED'
+    });
+    return false;
+  }
+
+  return true;
+}
+
+// Attached containers, with our container ID when the container is managed here
+async function describeContainers(network) {
+  return Promise.all(network.containers.map(async (attached) => {
+    const container = await Container.findByDockerId(attached.dockerId);
+
+    return {
+      ...attached,
+      container_id: container?.id || null,
+      container_name: container?.name || null
+    };
+  }));
+}
+
+// GET /api/networks - List Docker networks
+router.get('/', asyncHandler(async (req, res) => {
+  const networks = await dockerManager.listNetworks();
+
+  res.json({
+    networks: networks.map(network => ({
+      ...network,
+      builtin: BUILTIN_NETWORKS.includes(network.name)
+    })),
+    total: networks.length
+  });
+}));
+
+// POST /api/networks - Create a user-defined network
+router.post('/', validateCreateNetwork, asyncHandler(async (req, res) => {
+  const { name, driver = 'bridge', internal = false, subnet, gateway } = req.body;
+
+  try {
+    await dockerManager.createNetwork({
+      name,
+      driver,
+      internal,
+      subnet,
+      gateway,
+      labels: {
+        'nexus-crate-flow': 'true',
+        [CREATED_BY_LABEL]: req.user.id.toString()
+      }
+    });
+  } catch (error) {
+    return sendNetworkError(res, error, name);
+  }
+
+  const network = await dockerManager.getNetwork(name);
+  setAudit(req, { target_id: network.name, after: { name, driver, internal, subnet: network.subnet } });
+
+  res.status(201).json({
+    message: 'Network created successfully',
+    network
+  });
+}));
+
+// GET /api/networks/:id - Inspect a network and its containers
+router.get('/:id', validateNetworkId, asyncHandler(async (req, res) => {
+  const network = await findNetwork(req, res);
+  if (!network) return;
+
+  res.json({
+    network: {
+      ...network,
+      builtin: BUILTIN_NETWORKS.includes(network.name),
+      containers: await describeContainers(network)
+    }
+  });
+}));
+
+// DELETE /api/networks/:id - Remove a network (containers must be detached first)
+router.delete('/:id', validateNetworkId, asyncHandler(async (req, res) => {
+  const network = await findNetwork(req, res);
+  if (!network) return;
+  if (!checkNetworkOwnership(req, res, network)) return;
+
+  if (network.containers.length > 0) {
+    return res.status(409).json({
+      error: `Network ${network.name} still has ${network.containers.length} container(s) attached`,
+      code: 'NETWORK_IN_USE',
+      containers: (await describeContainers(network)).map(attached => attached.container_name || attached.name)
+    });
+  }
+
+  try {
+    await dockerManager.removeNetwork(network.dockerId);
+  } catch (error) {
+    return sendNetworkError(res, error, network.name);
+  }
+
+  setAudit(req, { target_id: network.name, before: { name: network.name, driver: network.driver } });
+
+  res.json({
+    message: 'Network removed successfully'
+  });
+}));
+
+// POST /api/networks/:id/containers/:containerId - Attach a container, optionally with aliases
+router.post('/:id/containers/:containerId', validateNetworkAttachment, authorizeContainer('operator', 'containerId'), asyncHandler(async (req, res) => {
+  const container = req.container;
+  const { aliases = [] } = req.body;
+
+  const network = await findNetwork(req, res);
+  if (!network) return;
+
+  if (!(await PermissionService.canUseNetwork(req.user, network))) {
+    return res.status(403).json({
+      error: 'Access denied',
+      code: 'ACCESS_DENIED'
+    });
+  }
+
+  if (!container.docker_id) {
+    return res.status(409).json({
+      error: 'Container has no Docker container',
+      code: 'CONTAINER_NOT_CREATED'
+    });
+  }
+
+  if (network.containers.some(attached => attached.dockerId === container.docker_id)) {
+    return res.status(409).json({
+      error: `Container is already attached to ${network.name}`,
+      code: 'NETWORK_ALREADY_ATTACHED'
+    });
+  }
+
+  try {
+    await dockerManager.connectNetwork(network.dockerId, container.docker_id, aliases);
+  } catch (error) {
+    return sendNetworkError(res, error, network.name);
+  }
+
+  await container.addLog(
+    `Attached to network ${network.name}${aliases.length ? ` as ${aliases.join(', ')}` : ''}`,
+    'info'
+  );
+  setAudit(req, { target_type: 'container', target_id: container.id, after: { network: network.name, aliases } });
+
+  res.json({
+    message: 'Container attached to network',
+    network: network.name,
+    container_id: container.id,
+    aliases
+  });
+}));
+
+// DELETE /api/networks/:id/containers/:containerId - Detach a container
+router.delete('/:id/containers/:containerId', validateNetworkAttachment, authorizeContainer('operator', 'containerId'), asyncHandler(async (req, res) => {
+  const container = req.container;
+
+  const network = await findNetwork(req, res);
+  if (!network) return;
+
+  if (!network.containers.some(attached => attached.dockerId === container.docker_id)) {
+    return res.status(404).json({
+      error: `Container is not attached to ${network.name}`,
+      code: 'NETWORK_NOT_ATTACHED'
+    });
+  }
+
+  try {
+    await dockerManager.disconnectNetwork(network.dockerId, container.docker_id, req.query.force === 'true');
+  } catch (error) {
+    return sendNetworkError(res, error, network.name);
+  }
+
+  await container.addLog(`Detached from network ${network.name}`, 'info');
+  setAudit(req, { target_type: 'container', target_id: container.id, before: { network: network.name } });
+
+  res.json({
+    message: 'Container detached from network',
+    network: network.name,
+    container_id: container.id
+  });
+}));
+
+export default router;
@@ -0,0 +1,106 @@
+import express from 'express';
+import { User } from '../models/User.js';
+import { UserQuota } from '../models/UserQuota.js';
+import { QuotaService } from '../services/quotaService.js';
+import { requireRole } from '../middleware/auth.js';
+import { setAudit } from '../middleware/audit.js';
+import {
+  validateUserQuota,
+  validateUserId,
+  validateQuotaDefaults
+} from '../middleware/validation.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+
+const router = express.Router();
+
+async function loadUser(req, res) {
+  const user = await User.findById(req.params.userId);
+
+  if (!user) {
+    res.status(404).json({
+      error: 'User not found',
+      code: 'USER_NOT_FOUND'
+    });
+    return null;
+  }
+
+  return user;
+}
+
+async function buildUserQuota(user) {
+  const override = await UserQuota.findByUserId(user.id);
+  const { limits, usage } = await QuotaService.getUserQuota(user);
+
+  return {
+    user: { id: user.id, username: user.username, role: user.role },
+    override: override ? override.toJSON() : null,
+    limits,
+    usage
+  };
+}
+
+// GET /api/quotas/me - Personal limits and usage of the current user
+router.get('/me', asyncHandler(async (req, res) => {
+  const { limits, usage } = await QuotaService.getUserQuota(req.user);
+
+  res.json({ limits, usage });
+}));
+
+// GET /api/quotas/defaults - System-wide defaults
+router.get('/defaults', requireRole('admin'), asyncHandler(async (req, res) => {
+  res.json({
+    defaults: await QuotaService.getDefaults()
+  });
+}));
+
+// PUT /api/quotas/defaults - Change system-wide defaults
+router.put('/defaults', requireRole('admin'), validateQuotaDefaults, asyncHandler(async (req, res) => {
+  const previous = await QuotaService.getDefaults();
+  const defaults = await QuotaService.updateDefaults(req.body);
+  setAudit(req, { target_id: 'defaults', before: previous, after: defaults });
+
+  res.json({
+    message: 'Quota defaults updated successfully',
+    defaults
+  });
+}));
+
+// GET /api/quotas/users/:userId - Effective quota of a user
+router.get('/users/:userId', requireRole('admin'), validateUserId, asyncHandler(async (req, res) => {
+  const user = await loadUser(req, res);
+  if (!user) return;
+
+  res.json(await buildUserQuota(user));
+}));
+
+// PUT /api/quotas/users/:userId - Override quota fields of a user (null resets a field)
+router.put('/users/:userId', requireRole('admin'), validateUserQuota, asyncHandler(async (req, res) => {
+  const user = await loadUser(req, res);
+  if (!user) return;
+
+  const previous = await UserQuota.findByUserId(user.id);
+  const updated = await UserQuota.set(user.id, req.body, req.user.id);
+  setAudit(req, { before: previous ? previous.toJSON() : {}, after: updated.toJSON() });
+
+  res.json({
+    message: 'User quota updated successfully',
+    ...await buildUserQuota(user)
+  });
+}));
+
+// DELETE /api/quotas/users/:userId - Drop all overrides of a user
+router.delete('/users/:userId', requireRole('admin'), validateUserId, asyncHandler(async (req, res) => {
+  const user = await loadUser(req, res);
+  if (!user) return;
+
+  const previous = await UserQuota.findByUserId(user.id);
+  await UserQuota.delete(user.id);
+  setAudit(req, { before: previous ? previous.toJSON() : null });
+
+  res.json({
+    message: 'User quota reset to defaults',
+    ...await buildUserQuota(user)
+  });
+}));
+
+export default router;
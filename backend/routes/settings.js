@@ -1,29 +1,18 @@
 import express from 'express';
 import { Container } from '../models/Container.js';
+import { ReconcileService } from '../services/reconcileService.js';
+import { ResourceService } from '../services/resourceService.js';
+import { authorizeContainer } from '../middleware/auth.js';
+import { setAudit } from '../middleware/audit.js';
 import { validateContainerId, validateContainerSettings } from '../middleware/validation.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
 
 const router = express.Router();
 
 // GET /api/settings/:id - Get container settings
-router.get('/:id', validateContainerId, asyncHandler(async (req, res) => {
+router.get('/:id', validateContainerId, authorizeContainer('viewer'), asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const container = await Container.findById(id);
-
-  if (!container) {
-    return res.status(404).json({
-      error: 'Container not found',
-      code: 'CONTAINER_NOT_FOUND'
-    });
-  }
-
-  // Check ownership
-  if (req.user.role !== 'admin' && container.created_by !== req.user.id) {
-    return res.status(403).json({
-      error: 'Access denied',
-      code: 'ACCESS_DENIED'
-    });
-  }
+  const container = req.container;
 
   const settings = await container.getSettings();
 
@@ -43,7 +32,7 @@ router.get('/:id', validateContainerId, asyncHandler(async (req, res) => {
 }));
 
 // PUT /api/settings/:id - Update container settings
-router.put('/:id', validateContainerSettings, asyncHandler(async (req, res) => {
+router.put('/:id', validateContainerSettings, authorizeContainer('owner'), asyncHandler(async (req, res) => {
   const { id } = req.params;
   const {
     cloudflareToken,
@@ -55,21 +44,7 @@ router.put('/:id', validateContainerSettings, asyncHandler(async (req, res) => {
     customSettings
   } = req.body;
 
-  const container = await Container.findById(id);
-  if (!container) {
-    return res.status(404).json({
-      error: 'Container not found',
-      code: 'CONTAINER_NOT_FOUND'
-    });
-  }
-
-  // Check ownership
-  if (req.user.role !== 'admin' && container.created_by !== req.user.id) {
-    return res.status(403).json({
-      error: 'Access denied',
-      code: 'ACCESS_DENIED'
-    });
-  }
+  const container = req.container;
 
   const settingsData = {};
 
@@ -81,19 +56,28 @@ router.put('/:id', validateContainerSettings, asyncHandler(async (req, res) => {
   if (maxCpu !== undefined) settingsData.max_cpu = maxCpu;
   if (customSettings !== undefined) settingsData.settings_json = customSettings;
 
+  // max_memory and max_cpu are the container's memory and cpu limits
+  let resources = null;
+  if (maxMemory !== undefined || maxCpu !== undefined) {
+    resources = await ResourceService.update(container, { memory: maxMemory, cpu: maxCpu });
+  }
+
+  const previousSettings = await container.getSettings();
   const updatedSettings = await container.updateSettings(settingsData);
+  setAudit(req, { before: previousSettings || {}, after: settingsData });
 
   await container.addLog('Container settings updated', 'info');
 
   res.json({
     message: 'Settings updated successfully',
     container_id: container.id,
-    settings: updatedSettings
+    settings: updatedSettings,
+    resources_applied: resources ? resources.applied : null
   });
 }));
 
 // POST /api/settings/:id/startup-script - Update startup script
-router.post('/:id/startup-script', validateContainerId, asyncHandler(async (req, res) => {
+router.post('/:id/startup-script', validateContainerId, authorizeContainer('owner'), asyncHandler(async (req, res) => {
   const { id } = req.params;
   const { script } = req.body;
 
@@ -104,24 +88,14 @@ router.post('/:id/startup-script', validateContainerId, asyncHandler(async (req,
     });
   }
 
-  const container = await Container.findById(id);
-  if (!container) {
-    return res.status(404).json({
-      error: 'Container not found',
-      code: 'CONTAINER_NOT_FOUND'
-    });
-  }
-
-  // Check ownership
-  if (req.user.role !== 'admin' && container.created_by !== req.user.id) {
-    return res.status(403).json({
-      error: 'Access denied',
-      code: 'ACCESS_DENIED'
-    });
-  }
+  const container = req.container;
 
   // Update startup script
   const updatedContainer = await Container.update(id, { startup_script: script });
+  setAudit(req, {
+    before: { startup_script: container.startup_script },
+    after: { startup_script: script }
+  });
 
   if (updatedContainer) {
     await updatedContainer.addLog(`Startup script updated: ${script}`, 'info');
@@ -135,25 +109,11 @@ router.post('/:id/startup-script', validateContainerId, asyncHandler(async (req,
 }));
 
 // POST /api/settings/:id/execute-script - Execute startup script
-router.post('/:id/execute-script', validateContainerId, asyncHandler(async (req, res) => {
+router.post('/:id/execute-script', validateContainerId, authorizeContainer('operator'), asyncHandler(async (req, res) => {
   const { id } = req.params;
   const { script: customScript } = req.body;
 
-  const container = await Container.findById(id);
-  if (!container) {
-    return res.status(404).json({
-      error: 'Container not found',
-      code: 'CONTAINER_NOT_FOUND'
-    });
-  }
-
-  // Check ownership
-  if (req.user.role !== 'admin' && container.created_by !== req.user.id) {
-    return res.status(403).json({
-      error: 'Access denied',
-      code: 'ACCESS_DENIED'
-    });
-  }
+  const container = req.container;
 
   if (!container.docker_id) {
     return res.status(400).json({
@@ -223,24 +183,9 @@ router.post('/:id/execute-script', validateContainerId, asyncHandler(async (req,
 }));
 
 // POST /api/settings/:id/tunnel/start - Start Cloudflare tunnel
-router.post('/:id/tunnel/start', validateContainerId, asyncHandler(async (req, res) => {
+router.post('/:id/tunnel/start', validateContainerId, authorizeContainer('operator'), asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const container = await Container.findById(id);
-
-  if (!container) {
-    return res.status(404).json({
-      error: 'Container not found',
-      code: 'CONTAINER_NOT_FOUND'
-    });
-  }
-
-  // Check ownership
-  if (req.user.role !== 'admin' && container.created_by !== req.user.id) {
-    return res.status(403).json({
-      error: 'Access denied',
-      code: 'ACCESS_DENIED'
-    });
-  }
+  const container = req.container;
 
   const settings = await container.getSettings();
   
@@ -296,24 +241,9 @@ router.post('/:id/tunnel/start', validateContainerId, asyncHandler(async (req, r
 }));
 
 // POST /api/settings/:id/tunnel/stop - Stop Cloudflare tunnel
-router.post('/:id/tunnel/stop', validateContainerId, asyncHandler(async (req, res) => {
+router.post('/:id/tunnel/stop', validateContainerId, authorizeContainer('operator'), asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const container = await Container.findById(id);
-
-  if (!container) {
-    return res.status(404).json({
-      error: 'Container not found',
-      code: 'CONTAINER_NOT_FOUND'
-    });
-  }
-
-  // Check ownership
-  if (req.user.role !== 'admin' && container.created_by !== req.user.id) {
-    return res.status(403).json({
-      error: 'Access denied',
-      code: 'ACCESS_DENIED'
-    });
-  }
+  const container = req.container;
 
   if (!container.docker_id) {
     return res.status(400).json({
@@ -357,24 +287,9 @@ router.post('/:id/tunnel/stop', validateContainerId, asyncHandler(async (req, re
 }));
 
 // GET /api/settings/:id/tunnel/status - Get tunnel status
-router.get('/:id/tunnel/status', validateContainerId, asyncHandler(async (req, res) => {
+router.get('/:id/tunnel/status', validateContainerId, authorizeContainer('viewer'), asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const container = await Container.findById(id);
-
-  if (!container) {
-    return res.status(404).json({
-      error: 'Container not found',
-      code: 'CONTAINER_NOT_FOUND'
-    });
-  }
-
-  // Check ownership
-  if (req.user.role !== 'admin' && container.created_by !== req.user.id) {
-    return res.status(403).json({
-      error: 'Access denied',
-      code: 'ACCESS_DENIED'
-    });
-  }
+  const container = req.container;
 
   const settings = await container.getSettings();
   
@@ -418,24 +333,9 @@ router.get('/:id/tunnel/status', validateContainerId, asyncHandler(async (req, r
 }));
 
 // GET /api/settings/:id/environment - Get container environment variables
-router.get('/:id/environment', validateContainerId, asyncHandler(async (req, res) => {
+router.get('/:id/environment', validateContainerId, authorizeContainer('operator'), asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const container = await Container.findById(id);
-
-  if (!container) {
-    return res.status(404).json({
-      error: 'Container not found',
-      code: 'CONTAINER_NOT_FOUND'
-    });
-  }
-
-  // Check ownership
-  if (req.user.role !== 'admin' && container.created_by !== req.user.id) {
-    return res.status(403).json({
-      error: 'Access denied',
-      code: 'ACCESS_DENIED'
-    });
-  }
+  const container = req.container;
 
   res.json({
     container_id: container.id,
@@ -444,7 +344,7 @@ router.get('/:id/environment', validateContainerId, asyncHandler(async (req, res
 }));
 
 // PUT /api/settings/:id/environment - Update container environment variables
-router.put('/:id/environment', validateContainerId, asyncHandler(async (req, res) => {
+router.put('/:id/environment', validateContainerId, authorizeContainer('owner'), asyncHandler(async (req, res) => {
   const { id } = req.params;
   const { environment } = req.body;
 
@@ -455,21 +355,7 @@ router.put('/:id/environment', validateContainerId, asyncHandler(async (req, res
     });
   }
 
-  const container = await Container.findById(id);
-  if (!container) {
-    return res.status(404).json({
-      error: 'Container not found',
-      code: 'CONTAINER_NOT_FOUND'
-    });
-  }
-
-  // Check ownership
-  if (req.user.role !== 'admin' && container.created_by !== req.user.id) {
-    return res.status(403).json({
-      error: 'Access denied',
-      code: 'ACCESS_DENIED'
-    });
-  }
+  const container = req.container;
 
   // Validate environment variables format
   for (const env of environment) {
@@ -482,6 +368,10 @@ router.put('/:id/environment', validateContainerId, asyncHandler(async (req, res
   }
 
   const updatedContainer = await Container.update(id, { environment_vars: environment });
+  setAudit(req, {
+    before: { environment_vars: container.environment_vars },
+    after: { environment_vars: environment }
+  });
 
   if (updatedContainer) {
     await updatedContainer.addLog(`Environment variables updated (${environment.length} variables)`, 'info');
@@ -490,7 +380,8 @@ router.put('/:id/environment', validateContainerId, asyncHandler(async (req, res
   res.json({
     message: 'Environment variables updated successfully',
     container_id: container.id,
-    environment_vars: environment
+    environment_vars: environment,
+    pending_changes: await ReconcileService.pendingChanges(updatedContainer)
   });
 }));
 
@@ -0,0 +1,122 @@
+import express from 'express';
+import { ContainerSnapshot } from '../models/ContainerSnapshot.js';
+import { SnapshotService } from '../services/snapshotService.js';
+import { authorizeContainer } from '../middleware/auth.js';
+import { setAudit } from '../middleware/audit.js';
+import {
+  validateContainerId,
+  validateCreateSnapshot,
+  validateSnapshotId,
+  validatePruneSnapshots
+} from '../middleware/validation.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+
+const router = express.Router();
+
+// Snapshot of the container in the URL
+async function findSnapshot(req, res) {
+  const snapshot = await ContainerSnapshot.findById(req.params.snapshotId);
+
+  if (!snapshot || snapshot.container_id !== req.container.id) {
+    res.status(404).json({
+      error: 'Snapshot not found',
+      code: 'SNAPSHOT_NOT_FOUND'
+    });
+    return null;
+  }
+
+  return snapshot;
+}
+
+// GET /api/snapshots/:id - List snapshots of a container, newest first
+router.get('/:id', validateContainerId, authorizeContainer('viewer'), asyncHandler(async (req, res) => {
+  const snapshots = await ContainerSnapshot.listForContainer(req.container.id);
+
+  res.json({
+    snapshots: snapshots.map(snapshot => snapshot.toJSON()),
+    total: snapshots.length,
+    retention: SnapshotService.getRetention()
+  });
+}));
+
+// POST /api/snapshots/:id - Commit the container's filesystem to a snapshot image.
+// The container is paused while committing unless pause is false.
+router.post('/:id', validateCreateSnapshot, authorizeContainer('operator'), asyncHandler(async (req, res) => {
+  const container = req.container;
+  const { description, pause = true } = req.body;
+
+  const { snapshot, pruned } = await SnapshotService.create(container, {
+    description,
+    pause,
+    userId: req.user.id
+  });
+
+  await container.addLog(`Snapshot ${snapshot.image_tag} created`, 'info');
+  setAudit(req, { target_id: snapshot.id, after: { container_id: container.id, image: snapshot.image_tag, pruned } });
+
+  res.status(201).json({
+    message: 'Snapshot created successfully',
+    snapshot: snapshot.toJSON(),
+    pruned
+  });
+}));
+
+// POST /api/snapshots/:id/prune - Remove all but the newest `keep` snapshots
+// (defaults to SNAPSHOT_RETENTION)
+router.post('/:id/prune', validatePruneSnapshots, authorizeContainer('owner'), asyncHandler(async (req, res) => {
+  const container = req.container;
+  const keep = req.body.keep ?? SnapshotService.getRetention();
+
+  // A retention of 0 keeps every snapshot; an explicit keep of 0 removes them all
+  const pruned = req.body.keep === undefined && keep === 0 ? [] : await SnapshotService.prune(container, keep);
+
+  if (pruned.length > 0) {
+    await container.addLog(`Pruned ${pruned.length} snapshot(s)`, 'info');
+  }
+  setAudit(req, { after: { keep, pruned } });
+
+  res.json({
+    message: 'Snapshots pruned',
+    keep,
+    pruned
+  });
+}));
+
+// POST /api/snapshots/:id/:snapshotId/restore - Recreate the container from a snapshot.
+// Name, settings, mounts and networks are kept; volume data is not rolled back.
+router.post('/:id/:snapshotId/restore', validateSnapshotId, authorizeContainer('owner'), asyncHandler(async (req, res) => {
+  const container = req.container;
+
+  const snapshot = await findSnapshot(req, res);
+  if (!snapshot) return;
+
+  const before = { docker_id: container.docker_id };
+  const restored = await SnapshotService.restore(container, snapshot);
+
+  await container.addLog(`Restored from snapshot ${snapshot.image_tag}`, 'info');
+  setAudit(req, { target_id: snapshot.id, before, after: { container_id: container.id, ...restored } });
+
+  res.json({
+    message: 'Container restored from snapshot',
+    container_id: container.id,
+    snapshot: snapshot.toJSON(),
+    docker_id: restored.docker_id
+  });
+}));
+
+// DELETE /api/snapshots/:id/:snapshotId - Remove a snapshot and its image
+router.delete('/:id/:snapshotId', validateSnapshotId, authorizeContainer('owner'), asyncHandler(async (req, res) => {
+  const snapshot = await findSnapshot(req, res);
+  if (!snapshot) return;
+
+  await SnapshotService.remove(snapshot);
+
+  await req.container.addLog(`Snapshot ${snapshot.image_tag} removed`, 'info');
+  setAudit(req, { target_id: snapshot.id, before: snapshot.toJSON() });
+
+  res.json({
+    message: 'Snapshot removed successfully'
+  });
+}));
+
+export default router;
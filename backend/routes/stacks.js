@@ -0,0 +1,135 @@
+import express from 'express';
+import multer from 'multer';
+import { Stack } from '../models/Stack.js';
+import { StackService } from '../services/stackService.js';
+import { validateCreateStack, validateStackId } from '../middleware/validation.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+
+const router = express.Router();
+
+// Compose files are small; keep them in memory instead of writing to disk
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 1024 * 1024 // 1MB limit
+  }
+});
+
+async function findAccessibleStack(req, res) {
+  const stack = await Stack.findById(req.params.id);
+
+  if (!stack) {
+    res.status(404).json({
+      error: 'Stack not found',
+      code: 'STACK_NOT_FOUND'
+    });
+    return null;
+  }
+
+  if (!stack.canAccess(req.user)) {
+    res.status(403).json({
+      error: 'Access denied',
+      code: 'ACCESS_DENIED'
+    });
+    return null;
+  }
+
+  return stack;
+}
+
+// GET /api/stacks - List stacks
+router.get('/', asyncHandler(async (req, res) => {
+  const userId = req.user.role === 'admin' ? null : req.user.id;
+  const stacks = await Stack.list({ userId });
+
+  res.json({
+    stacks: stacks.map(stack => stack.toJSON()),
+    total: stacks.length
+  });
+}));
+
+// GET /api/stacks/:id - Get stack with its services
+router.get('/:id', validateStackId, asyncHandler(async (req, res) => {
+  const stack = await findAccessibleStack(req, res);
+  if (!stack) return;
+
+  res.json({
+    stack: {
+      ...stack.toJSON(),
+      compose_content: stack.compose_content,
+      services: await stack.getServices()
+    }
+  });
+}));
+
+// POST /api/stacks - Import a docker-compose.yml (JSON body or multipart "file" upload)
+router.post('/', upload.single('file'), validateCreateStack, asyncHandler(async (req, res) => {
+  const { name } = req.body;
+  const compose = req.file ? req.file.buffer.toString('utf8') : req.body.compose;
+  const start = req.body.start === true || req.body.start === 'true';
+
+  if (!compose || !compose.trim()) {
+    return res.status(400).json({
+      error: 'Compose file content is required',
+      code: 'MISSING_CONTENT'
+    });
+  }
+
+  if (await Stack.exists(name)) {
+    return res.status(409).json({
+      error: 'Stack name already exists',
+      code: 'STACK_NAME_EXISTS'
+    });
+  }
+
+  const stack = await StackService.deploy(name, compose, req.user, { start });
+
+  res.status(201).json({
+    message: 'Stack created successfully',
+    stack: {
+      ...stack.toJSON(),
+      services: await stack.getServices()
+    }
+  });
+}));
+
+// POST /api/stacks/:id/start - Start all services in dependency order
+router.post('/:id/start', validateStackId, asyncHandler(async (req, res) => {
+  const stack = await findAccessibleStack(req, res);
+  if (!stack) return;
+
+  await StackService.start(stack);
+
+  res.json({
+    message: 'Stack started successfully',
+    status: stack.status
+  });
+}));
+
+// POST /api/stacks/:id/stop - Stop all services in reverse dependency order
+router.post('/:id/stop', validateStackId, asyncHandler(async (req, res) => {
+  const stack = await findAccessibleStack(req, res);
+  if (!stack) return;
+
+  await StackService.stop(stack);
+
+  res.json({
+    message: 'Stack stopped successfully',
+    status: stack.status
+  });
+}));
+
+// DELETE /api/stacks/:id - Remove stack containers and networks (volumes with ?remove_volumes=true)
+router.delete('/:id', validateStackId, asyncHandler(async (req, res) => {
+  const stack = await findAccessibleStack(req, res);
+  if (!stack) return;
+
+  const removeVolumes = req.query.remove_volumes === 'true';
+  await StackService.remove(stack, { removeVolumes });
+
+  res.json({
+    message: 'Stack deleted successfully'
+  });
+}));
+
+export default router;
@@ -0,0 +1,247 @@
+import express from 'express';
+import { Team } from '../models/Team.js';
+import { User } from '../models/User.js';
+import { QuotaService } from '../services/quotaService.js';
+import { authorizeTeam } from '../middleware/auth.js';
+import { setAudit } from '../middleware/audit.js';
+import {
+  validateCreateTeam,
+  validateUpdateTeam,
+  validateTeamId,
+  validateAddTeamMember,
+  validateUpdateTeamMember,
+  validateTeamMemberId
+} from '../middleware/validation.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+
+const router = express.Router();
+
+const QUOTA_FIELDS = ['max_containers', 'max_memory', 'max_cpu', 'max_disk'];
+
+// Team quotas can only be changed by administrators
+function rejectQuotaChange(req, res) {
+  if (req.user.role === 'admin' || !QUOTA_FIELDS.some(field => req.body[field] !== undefined)) {
+    return false;
+  }
+
+  res.status(403).json({
+    error: 'Only administrators can set team quotas',
+    code: 'ACCESS_DENIED'
+  });
+  return true;
+}
+
+// A team must always keep at least one owner
+async function isLastOwner(team, userId) {
+  const role = await Team.getMemberRole(team.id, userId);
+  return role === 'owner' && await team.countOwners() <= 1;
+}
+
+// GET /api/teams - List teams of the current user (admins see every team)
+router.get('/', asyncHandler(async (req, res) => {
+  const teams = await Team.list({
+    userId: req.user.id,
+    memberOnly: req.user.role !== 'admin'
+  });
+
+  res.json({
+    teams: teams.map(team => team.toJSON()),
+    total: teams.length
+  });
+}));
+
+// POST /api/teams - Create team
+router.post('/', validateCreateTeam, asyncHandler(async (req, res) => {
+  const { name } = req.body;
+
+  if (await Team.findByName(name)) {
+    return res.status(409).json({
+      error: 'Team name already exists',
+      code: 'TEAM_NAME_EXISTS'
+    });
+  }
+
+  if (rejectQuotaChange(req, res)) return;
+
+  const team = await Team.create(req.body, req.user.id);
+
+  res.status(201).json({
+    message: 'Team created successfully',
+    team: { ...team.toJSON(), role: 'owner' }
+  });
+}));
+
+// GET /api/teams/:id - Get team with its members
+router.get('/:id', validateTeamId, authorizeTeam('viewer'), asyncHandler(async (req, res) => {
+  const team = req.team;
+  const members = await team.getMembers();
+
+  res.json({
+    team: {
+      ...team.toJSON(),
+      role: req.teamRole,
+      member_count: members.length,
+      container_count: await team.countContainers()
+    },
+    members
+  });
+}));
+
+// PUT /api/teams/:id - Update team
+router.put('/:id', validateUpdateTeam, authorizeTeam('owner'), asyncHandler(async (req, res) => {
+  const team = req.team;
+  const { name, description } = req.body;
+
+  if (rejectQuotaChange(req, res)) return;
+
+  if (name && name !== team.name && await Team.findByName(name)) {
+    return res.status(409).json({
+      error: 'Team name already exists',
+      code: 'TEAM_NAME_EXISTS'
+    });
+  }
+
+  const quota = Object.fromEntries(QUOTA_FIELDS.map(field => [field, req.body[field]]));
+  const updated = await Team.update(team.id, { name, description, ...quota });
+  setAudit(req, { before: team.toJSON(), after: updated.toJSON() });
+
+  res.json({
+    message: 'Team updated successfully',
+    team: updated.toJSON()
+  });
+}));
+
+// DELETE /api/teams/:id - Delete team (containers must be transferred first)
+router.delete('/:id', validateTeamId, authorizeTeam('owner'), asyncHandler(async (req, res) => {
+  const team = req.team;
+
+  if (await team.countContainers() > 0) {
+    return res.status(409).json({
+      error: 'Team still owns containers. Transfer or delete them first',
+      code: 'TEAM_NOT_EMPTY'
+    });
+  }
+
+  await Team.delete(team.id);
+  setAudit(req, { before: team.toJSON() });
+
+  res.json({
+    message: 'Team deleted successfully'
+  });
+}));
+
+// GET /api/teams/:id/quota - Team limits and current usage
+router.get('/:id/quota', validateTeamId, authorizeTeam('viewer'), asyncHandler(async (req, res) => {
+  res.json(await QuotaService.getTeamQuota(req.team));
+}));
+
+// GET /api/teams/:id/members - List members
+router.get('/:id/members', validateTeamId, authorizeTeam('viewer'), asyncHandler(async (req, res) => {
+  const members = await req.team.getMembers();
+
+  res.json({
+    members,
+    total: members.length
+  });
+}));
+
+// POST /api/teams/:id/members - Add member (or change the role of an existing one)
+router.post('/:id/members', validateAddTeamMember, authorizeTeam('owner'), asyncHandler(async (req, res) => {
+  const team = req.team;
+  const { user_id, username, role } = req.body;
+
+  const user = user_id !== undefined
+    ? await User.findById(user_id)
+    : await User.findByUsername(username);
+
+  if (!user) {
+    return res.status(404).json({
+      error: 'User not found',
+      code: 'USER_NOT_FOUND'
+    });
+  }
+
+  if (role !== 'owner' && await isLastOwner(team, user.id)) {
+    return res.status(409).json({
+      error: 'A team must have at least one owner',
+      code: 'LAST_OWNER'
+    });
+  }
+
+  const added = await team.setMember(user.id, role);
+
+  res.status(added ? 201 : 200).json({
+    message: added ? 'Member added successfully' : 'Member updated successfully',
+    members: await team.getMembers()
+  });
+}));
+
+// PUT /api/teams/:id/members/:userId - Change member role
+router.put('/:id/members/:userId', validateUpdateTeamMember, authorizeTeam('owner'), asyncHandler(async (req, res) => {
+  const team = req.team;
+  const userId = parseInt(req.params.userId);
+  const { role } = req.body;
+  const currentRole = await Team.getMemberRole(team.id, userId);
+
+  if (!currentRole) {
+    return res.status(404).json({
+      error: 'Member not found',
+      code: 'MEMBER_NOT_FOUND'
+    });
+  }
+
+  if (role !== 'owner' && await isLastOwner(team, userId)) {
+    return res.status(409).json({
+      error: 'A team must have at least one owner',
+      code: 'LAST_OWNER'
+    });
+  }
+
+  await team.setMember(userId, role);
+  setAudit(req, { before: { role: currentRole }, after: { role } });
+
+  res.json({
+    message: 'Member updated successfully',
+    members: await team.getMembers()
+  });
+}));
+
+// DELETE /api/teams/:id/members/:userId - Remove member (members may remove themselves)
+router.delete('/:id/members/:userId', validateTeamMemberId, authorizeTeam('viewer'), asyncHandler(async (req, res) => {
+  const team = req.team;
+  const userId = parseInt(req.params.userId);
+
+  if (userId !== req.user.id && req.teamRole !== 'owner') {
+    return res.status(403).json({
+      error: 'Access denied',
+      code: 'ACCESS_DENIED',
+      required: 'owner',
+      current: req.teamRole
+    });
+  }
+
+  if (await isLastOwner(team, userId)) {
+    return res.status(409).json({
+      error: 'A team must have at least one owner',
+      code: 'LAST_OWNER'
+    });
+  }
+
+  const currentRole = await Team.getMemberRole(team.id, userId);
+  const removed = await team.removeMember(userId);
+
+  if (!removed) {
+    return res.status(404).json({
+      error: 'Member not found',
+      code: 'MEMBER_NOT_FOUND'
+    });
+  }
+
+  setAudit(req, { before: { user_id: userId, role: currentRole } });
+
+  res.json({
+    message: 'Member removed successfully'
+  });
+}));
+
+export default router;
@@ -0,0 +1,294 @@
+import express from 'express';
+import yaml from 'js-yaml';
+import { Template } from '../models/Template.js';
+import {
+  validateCreateTemplate,
+  validateUpdateTemplate,
+  validateTemplateId,
+  validateTemplateDefinition
+} from '../middleware/validation.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { setAudit } from '../middleware/audit.js';
+
+const router = express.Router();
+
+const EXPORT_FORMATS = ['json', 'yaml'];
+
+// Names are unique across all users; the conflict message is the same whether
+// or not the caller can see the other template, so private names stay private
+const NAME_UNAVAILABLE = 'Template name is not available';
+
+// Serialize templates into the shareable export document
+function serializeTemplates(templates, format) {
+  const document = {
+    version: 1,
+    exported_at: new Date().toISOString(),
+    templates: templates.map(template => template.toDefinition())
+  };
+
+  return format === 'yaml'
+    ? yaml.dump(document, { noRefs: true })
+    : JSON.stringify(document, null, 2);
+}
+
+// Parse an import payload into a list of template definitions
+function parseTemplateDocument(content, format) {
+  const document = format === 'json' ? JSON.parse(content) : yaml.load(content);
+
+  if (Array.isArray(document)) {
+    return document;
+  }
+
+  if (document && Array.isArray(document.templates)) {
+    return document.templates;
+  }
+
+  if (document && typeof document === 'object') {
+    return [document];
+  }
+
+  throw new Error('Template document must contain a template or a "templates" list');
+}
+
+function sendExport(res, templates, format, basename) {
+  const extension = format === 'yaml' ? 'yaml' : 'json';
+
+  res.setHeader('Content-Disposition', `attachment; filename="${basename}.${extension}"`);
+  res.setHeader('Content-Type', format === 'yaml' ? 'application/x-yaml' : 'application/json');
+  res.send(serializeTemplates(templates, format));
+}
+
+// GET /api/templates - List templates visible to the user
+router.get('/', asyncHandler(async (req, res) => {
+  const userId = req.user.role === 'admin' ? null : req.user.id;
+  const templates = await Template.list({ userId });
+
+  res.json({
+    templates: templates.map(template => template.toJSON()),
+    total: templates.length
+  });
+}));
+
+// GET /api/templates/export - Export all visible templates
+router.get('/export', asyncHandler(async (req, res) => {
+  const { format = 'json', ids } = req.query;
+
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({
+      error: 'Invalid export format',
+      code: 'INVALID_FORMAT',
+      valid_formats: EXPORT_FORMATS
+    });
+  }
+
+  const userId = req.user.role === 'admin' ? null : req.user.id;
+  let templates = await Template.list({ userId });
+
+  if (ids) {
+    const wanted = String(ids).split(',').map(id => parseInt(id));
+    templates = templates.filter(template => wanted.includes(template.id));
+  }
+
+  sendExport(res, templates, format, 'container-templates');
+}));
+
+// POST /api/templates/import - Import templates from JSON or YAML
+router.post('/import', asyncHandler(async (req, res) => {
+  const { content, format, on_conflict = 'skip' } = req.body;
+
+  if (!content || typeof content !== 'string') {
+    return res.status(400).json({
+      error: 'Template document content is required',
+      code: 'MISSING_CONTENT'
+    });
+  }
+
+  if (!['skip', 'overwrite'].includes(on_conflict)) {
+    return res.status(400).json({
+      error: 'Conflict strategy must be either skip or overwrite',
+      code: 'INVALID_CONFLICT_STRATEGY'
+    });
+  }
+
+  const detectedFormat = format || (content.trim().startsWith('{') || content.trim().startsWith('[') ? 'json' : 'yaml');
+
+  let definitions;
+  try {
+    definitions = parseTemplateDocument(content, detectedFormat);
+  } catch (error) {
+    return res.status(400).json({
+      error: `Failed to parse template document: ${error.message}`,
+      code: 'INVALID_TEMPLATE_DOCUMENT'
+    });
+  }
+
+  const imported = [];
+  const skipped = [];
+  const failed = [];
+
+  for (const item of definitions) {
+    const definition = item && typeof item === 'object' && !Array.isArray(item) ? { ...item } : {};
+    const details = await validateTemplateDefinition(definition);
+
+    if (details.length > 0) {
+      failed.push({
+        name: typeof definition.name === 'string' ? definition.name : null,
+        error: 'Validation failed',
+        details
+      });
+      continue;
+    }
+
+    const data = Template.fromDefinition(definition);
+
+    try {
+      const existing = await Template.findByName(data.name);
+
+      if (existing) {
+        if (on_conflict === 'overwrite' && existing.canModify(req.user)) {
+          const updated = await Template.update(existing.id, data);
+          imported.push(updated.toJSON());
+        } else {
+          skipped.push({ name: data.name, reason: NAME_UNAVAILABLE });
+        }
+        continue;
+      }
+
+      const template = await Template.create(data, req.user.id);
+      imported.push(template.toJSON());
+    } catch (error) {
+      failed.push({ name: data.name, error: error.message });
+    }
+  }
+
+  res.status(imported.length > 0 ? 201 : 200).json({
+    message: `Imported ${imported.length} template(s)`,
+    imported,
+    skipped,
+    failed
+  });
+}));
+
+// GET /api/templates/:id - Get specific template
+router.get('/:id', validateTemplateId, asyncHandler(async (req, res) => {
+  const template = await Template.findById(req.params.id);
+
+  if (!template || !template.canView(req.user)) {
+    return res.status(404).json({
+      error: 'Template not found',
+      code: 'TEMPLATE_NOT_FOUND'
+    });
+  }
+
+  res.json({
+    template: template.toJSON()
+  });
+}));
+
+// GET /api/templates/:id/export - Export a single template
+router.get('/:id/export', validateTemplateId, asyncHandler(async (req, res) => {
+  const { format = 'json' } = req.query;
+
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({
+      error: 'Invalid export format',
+      code: 'INVALID_FORMAT',
+      valid_formats: EXPORT_FORMATS
+    });
+  }
+
+  const template = await Template.findById(req.params.id);
+
+  if (!template || !template.canView(req.user)) {
+    return res.status(404).json({
+      error: 'Template not found',
+      code: 'TEMPLATE_NOT_FOUND'
+    });
+  }
+
+  sendExport(res, [template], format, `template-${template.name}`);
+}));
+
+// POST /api/templates - Create new template
+router.post('/', validateCreateTemplate, asyncHandler(async (req, res) => {
+  const data = Template.fromDefinition(req.body);
+
+  if (await Template.exists(data.name)) {
+    return res.status(409).json({
+      error: NAME_UNAVAILABLE,
+      code: 'TEMPLATE_NAME_EXISTS'
+    });
+  }
+
+  const template = await Template.create(data, req.user.id);
+
+  res.status(201).json({
+    message: 'Template created successfully',
+    template: template.toJSON()
+  });
+}));
+
+// PUT /api/templates/:id - Update template
+router.put('/:id', validateUpdateTemplate, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const template = await Template.findById(id);
+
+  if (!template || !template.canView(req.user)) {
+    return res.status(404).json({
+      error: 'Template not found',
+      code: 'TEMPLATE_NOT_FOUND'
+    });
+  }
+
+  if (!template.canModify(req.user)) {
+    return res.status(403).json({
+      error: 'Access denied',
+      code: 'ACCESS_DENIED'
+    });
+  }
+
+  const data = Template.fromDefinition(req.body);
+
+  if (data.name && await Template.exists(data.name, template.id)) {
+    return res.status(409).json({
+      error: NAME_UNAVAILABLE,
+      code: 'TEMPLATE_NAME_EXISTS'
+    });
+  }
+
+  const updatedTemplate = await Template.update(id, data);
+  setAudit(req, { before: template.toJSON(), after: updatedTemplate.toJSON() });
+
+  res.json({
+    message: 'Template updated successfully',
+    template: updatedTemplate.toJSON()
+  });
+}));
+
+// DELETE /api/templates/:id - Delete template
+router.delete('/:id', validateTemplateId, asyncHandler(async (req, res) => {
+  const template = await Template.findById(req.params.id);
+
+  if (!template || !template.canView(req.user)) {
+    return res.status(404).json({
+      error: 'Template not found',
+      code: 'TEMPLATE_NOT_FOUND'
+    });
+  }
+
+  if (!template.canModify(req.user)) {
+    return res.status(403).json({
+      error: 'Access denied',
+      code: 'ACCESS_DENIED'
+    });
+  }
+
+  await Template.delete(template.id);
+  setAudit(req, { before: template.toJSON() });
+
+  res.json({
+    message: 'Template deleted successfully'
+  });
+}));
+
+export default router;
@@ -0,0 +1,79 @@
+import express from 'express';
+import { ApiToken, API_TOKEN_SCOPES } from '../models/ApiToken.js';
+import { User } from '../models/User.js';
+import { setAudit } from '../middleware/audit.js';
+import {
+  validateCreateApiToken,
+  validateApiTokenId,
+  validateApiTokenQuery
+} from '../middleware/validation.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+
+const router = express.Router();
+
+// GET /api/tokens - List own tokens (admins may pass ?user_id=)
+router.get('/', validateApiTokenQuery, asyncHandler(async (req, res) => {
+  let userId = req.user.id;
+
+  if (req.query.user_id && parseInt(req.query.user_id) !== req.user.id) {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        error: 'Access denied',
+        code: 'ACCESS_DENIED'
+      });
+    }
+
+    const user = await User.findById(req.query.user_id);
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found',
+        code: 'USER_NOT_FOUND'
+      });
+    }
+
+    userId = user.id;
+  }
+
+  const tokens = await ApiToken.listForUser(userId);
+
+  res.json({
+    tokens: tokens.map(token => token.toJSON()),
+    total: tokens.length,
+    scopes: API_TOKEN_SCOPES
+  });
+}));
+
+// POST /api/tokens - Create a token; the plain value is only returned here
+router.post('/', validateCreateApiToken, asyncHandler(async (req, res) => {
+  const { name, scopes, expires_in_days } = req.body;
+  const { apiToken, token } = await ApiToken.create({ name, scopes, expires_in_days }, req.user.id);
+
+  setAudit(req, { target_id: apiToken.id });
+
+  res.status(201).json({
+    message: 'API token created successfully',
+    api_token: apiToken.toJSON(),
+    token
+  });
+}));
+
+// DELETE /api/tokens/:id - Revoke a token (admins may revoke any token)
+router.delete('/:id', validateApiTokenId, asyncHandler(async (req, res) => {
+  const apiToken = await ApiToken.findById(req.params.id);
+
+  if (!apiToken || (apiToken.user_id !== req.user.id && req.user.role !== 'admin')) {
+    return res.status(404).json({
+      error: 'API token not found',
+      code: 'API_TOKEN_NOT_FOUND'
+    });
+  }
+
+  await ApiToken.revoke(apiToken.id);
+  setAudit(req, { before: apiToken.toJSON() });
+
+  res.json({
+    message: 'API token revoked successfully'
+  });
+}));
+
+export default router;
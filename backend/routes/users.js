@@ -0,0 +1,304 @@
+import express from 'express';
+import { User } from '../models/User.js';
+import { LoginSession } from '../models/LoginSession.js';
+import { LoginAttempt } from '../models/LoginAttempt.js';
+import { requireRole } from '../middleware/auth.js';
+import { setAudit } from '../middleware/audit.js';
+import {
+  validateCreateUser,
+  validateUpdateUser,
+  validateResetPassword,
+  validateUserQuery,
+  validateUserId,
+  validateTwoFactorPolicy,
+  validateLoginAttemptQuery
+} from '../middleware/validation.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { TwoFactorService } from '../services/twoFactorService.js';
+import { LoginProtectionService } from '../services/loginProtectionService.js';
+import { Helpers } from '../utils/helpers.js';
+
+const router = express.Router();
+
+router.use(requireRole('admin'));
+
+async function loadUser(req, res) {
+  const user = await User.findById(req.params.userId);
+
+  if (!user) {
+    res.status(404).json({
+      error: 'User not found',
+      code: 'USER_NOT_FOUND'
+    });
+    return null;
+  }
+
+  return user;
+}
+
+// Admins cannot lock themselves out, and at least one active admin has to remain
+async function checkAdminChange(req, res, user, message) {
+  if (user.id === req.user.id) {
+    res.status(400).json({
+      error: `You cannot ${message} your own account`,
+      code: 'CANNOT_MODIFY_SELF'
+    });
+    return false;
+  }
+
+  if (user.role === 'admin' && !user.disabled && await User.countActiveAdmins() <= 1) {
+    res.status(409).json({
+      error: 'At least one active administrator is required',
+      code: 'LAST_ADMIN'
+    });
+    return false;
+  }
+
+  return true;
+}
+
+// GET /api/users - List users
+router.get('/', validateUserQuery, asyncHandler(async (req, res) => {
+  const { page, limit, sort, order, search, role } = req.query;
+
+  const result = await User.list({
+    page: parseInt(page) || 1,
+    limit: parseInt(limit) || 20,
+    sort: sort || 'created_at',
+    order: order || 'desc',
+    search: search ? String(search).trim() : null,
+    role
+  });
+
+  res.json({
+    users: result.users.map(user => user.toJSON()),
+    pagination: result.pagination
+  });
+}));
+
+// GET /api/users/stats - User statistics
+router.get('/stats', asyncHandler(async (req, res) => {
+  res.json({
+    stats: await User.getStats()
+  });
+}));
+
+// GET /api/users/two-factor-policy - Who must use two-factor authentication
+router.get('/two-factor-policy', asyncHandler(async (req, res) => {
+  res.json({
+    policy: await TwoFactorService.getPolicy()
+  });
+}));
+
+// PUT /api/users/two-factor-policy - Change the policy (applies from the next login)
+router.put('/two-factor-policy', validateTwoFactorPolicy, asyncHandler(async (req, res) => {
+  const previous = await TwoFactorService.getPolicy();
+  const policy = await TwoFactorService.setPolicy(req.body.policy);
+  setAudit(req, { target_type: 'settings', target_id: 'two_factor_policy', before: { policy: previous }, after: { policy } });
+
+  res.json({
+    message: 'Two-factor policy updated successfully',
+    policy
+  });
+}));
+
+// GET /api/users/lockouts - Usernames locked after failed logins, and the lockout policy
+router.get('/lockouts', asyncHandler(async (req, res) => {
+  const lockouts = await LoginAttempt.listLocked();
+
+  res.json({
+    lockouts,
+    total: lockouts.length,
+    policy: LoginProtectionService.getConfig()
+  });
+}));
+
+// GET /api/users/login-attempts - Recent login attempts (?username=, ?ip_address=, ?success=)
+router.get('/login-attempts', validateLoginAttemptQuery, asyncHandler(async (req, res) => {
+  const { username, ip_address, success, limit } = req.query;
+  const attempts = await LoginAttempt.list(
+    { username, ip_address, success: success === undefined ? undefined : success === 'true' },
+    { limit }
+  );
+
+  res.json({
+    attempts: attempts.map(attempt => attempt.toJSON()),
+    total: attempts.length
+  });
+}));
+
+// GET /api/users/:userId - Get user with owned containers
+router.get('/:userId', validateUserId, asyncHandler(async (req, res) => {
+  const user = await loadUser(req, res);
+  if (!user) return;
+
+  const containers = await user.getContainers();
+
+  res.json({
+    user: { ...user.toJSON(), container_count: containers.length },
+    containers: containers.map(({ id, name, image, status, team_id, created_at }) => ({
+      id, name, image, status, team_id, created_at
+    }))
+  });
+}));
+
+// POST /api/users - Create user
+router.post('/', validateCreateUser, asyncHandler(async (req, res) => {
+  const { username, password, email, role = 'user' } = req.body;
+
+  if (await User.exists(username, email || null)) {
+    return res.status(409).json({
+      error: 'User already exists',
+      code: 'USER_EXISTS'
+    });
+  }
+
+  const user = await User.create({ username, password, email: email || null, role });
+  setAudit(req, { target_id: user.id, after: user.toJSON() });
+
+  res.status(201).json({
+    message: 'User created successfully',
+    user: user.toJSON()
+  });
+}));
+
+// PUT /api/users/:userId - Update username, email or role
+router.put('/:userId', validateUpdateUser, asyncHandler(async (req, res) => {
+  const user = await loadUser(req, res);
+  if (!user) return;
+
+  const { username, email, role } = req.body;
+
+  if (role && role !== user.role && !await checkAdminChange(req, res, user, 'change the role of')) return;
+
+  if (username && username !== user.username && await User.findByUsername(username)) {
+    return res.status(409).json({
+      error: 'Username already taken',
+      code: 'USERNAME_TAKEN'
+    });
+  }
+
+  const updated = await User.update(user.id, { username, email, role });
+  setAudit(req, { before: user.toJSON(), after: updated.toJSON() });
+
+  res.json({
+    message: 'User updated successfully',
+    user: updated.toJSON()
+  });
+}));
+
+// POST /api/users/:userId/disable - Block login and API access
+router.post('/:userId/disable', validateUserId, asyncHandler(async (req, res) => {
+  const user = await loadUser(req, res);
+  if (!user) return;
+
+  if (!user.disabled && !await checkAdminChange(req, res, user, 'disable')) return;
+
+  await User.setDisabled(user.id, true);
+  await LoginSession.revokeAllForUser(user.id, 'account_disabled');
+  setAudit(req, { before: { disabled: user.disabled }, after: { disabled: true } });
+
+  res.json({
+    message: 'User disabled successfully',
+    user: (await User.findById(user.id)).toJSON()
+  });
+}));
+
+// POST /api/users/:userId/enable - Restore access
+router.post('/:userId/enable', validateUserId, asyncHandler(async (req, res) => {
+  const user = await loadUser(req, res);
+  if (!user) return;
+
+  await User.setDisabled(user.id, false);
+  setAudit(req, { before: { disabled: user.disabled }, after: { disabled: false } });
+
+  res.json({
+    message: 'User enabled successfully',
+    user: (await User.findById(user.id)).toJSON()
+  });
+}));
+
+// POST /api/users/:userId/reset-password - Set a new password, or generate a temporary one
+router.post('/:userId/reset-password', validateResetPassword, asyncHandler(async (req, res) => {
+  const user = await loadUser(req, res);
+  if (!user) return;
+
+  const temporaryPassword = req.body.password ? null : await Helpers.generateRandomString(16);
+  await User.updatePassword(user.id, req.body.password || temporaryPassword);
+  await LoginSession.revokeAllForUser(user.id, 'password_reset');
+  setAudit(req, { after: { username: user.username, generated: !!temporaryPassword } });
+
+  res.json({
+    message: 'Password reset successfully',
+    ...(temporaryPassword && { temporary_password: temporaryPassword })
+  });
+}));
+
+// POST /api/users/:userId/unlock - Lift a lockout and reset the failed-login counter
+router.post('/:userId/unlock', validateUserId, asyncHandler(async (req, res) => {
+  const user = await loadUser(req, res);
+  if (!user) return;
+
+  const throttle = await LoginAttempt.getThrottle(user.username);
+  if (!throttle) {
+    return res.status(400).json({
+      error: 'User has no failed logins to reset',
+      code: 'USER_NOT_LOCKED'
+    });
+  }
+
+  await LoginProtectionService.unlock(user.username, req.user);
+  setAudit(req, {
+    before: { locked_until: throttle.locked_until, failed_count: throttle.failed_count },
+    after: { locked_until: null, failed_count: 0 }
+  });
+
+  res.json({
+    message: 'User unlocked successfully'
+  });
+}));
+
+// POST /api/users/:userId/reset-2fa - Remove 2FA from a user who lost their device
+router.post('/:userId/reset-2fa', validateUserId, asyncHandler(async (req, res) => {
+  const user = await loadUser(req, res);
+  if (!user) return;
+
+  if (!user.two_factor_enabled) {
+    return res.status(400).json({
+      error: 'Two-factor authentication is not enabled for this user',
+      code: 'TWO_FACTOR_NOT_ENABLED'
+    });
+  }
+
+  await User.disableTwoFactor(user.id);
+  setAudit(req, { before: { two_factor_enabled: true }, after: { two_factor_enabled: false } });
+
+  res.json({
+    message: 'Two-factor authentication reset successfully'
+  });
+}));
+
+// DELETE /api/users/:userId - Delete user (owned containers must be removed first)
+router.delete('/:userId', validateUserId, asyncHandler(async (req, res) => {
+  const user = await loadUser(req, res);
+  if (!user) return;
+
+  if (!await checkAdminChange(req, res, user, 'delete')) return;
+
+  const containers = await user.getContainers();
+  if (containers.length > 0) {
+    return res.status(409).json({
+      error: `User still owns ${containers.length} container(s). Delete them first`,
+      code: 'USER_HAS_CONTAINERS'
+    });
+  }
+
+  await User.delete(user.id);
+  setAudit(req, { before: user.toJSON() });
+
+  res.json({
+    message: 'User deleted successfully'
+  });
+}));
+
+export default router;
@@ -0,0 +1,280 @@
+import express from 'express';
+import { dockerManager } from '../config/docker.js';
+import { Container } from '../models/Container.js';
+import { PermissionService } from '../services/permissionService.js';
+import { authorizeContainer } from '../middleware/auth.js';
+import { setAudit } from '../middleware/audit.js';
+import {
+  validateCreateVolume,
+  validateVolumeName,
+  validateVolumeAttachment,
+  validateVolumeMount
+} from '../middleware/validation.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+
+const router = express.Router();
+
+const CREATED_BY_LABEL = 'nexus-crate-flow.created-by';
+const STACK_LABEL = 'nexus-crate-flow.stack';
+
+// Translate Docker daemon errors into API responses
+function sendVolumeError(res, error, name) {
+  if (error.statusCode === 404) {
+    return res.status(404).json({
+      error: `Volume not found: ${name}`,
+      code: 'VOLUME_NOT_FOUND'
+    });
+  }
+
+  if (error.statusCode === 409) {
+    return res.status(409).json({
+      error: error.json?.message || `Volume ${name} is in use`,
+      code: 'VOLUME_IN_USE'
+    });
+  }
+
+  throw error;
+}
+
+async function findVolume(req, res) {
+  try {
+    return await dockerManager.getVolume(req.params.name);
+  } catch (error) {
+    sendVolumeError(res, error, req.params.name);
+    return null;
+  }
+}
+
+// Stack volumes are removed with their stack; other volumes can be removed
+// by an admin or the user who created them
+function checkVolumeOwnership(req, res, volume) {
+  if (volume.labels[STACK_LABEL]) {
+    res.status(409).json({
+      error: `Volume ${volume.name} belongs to stack ${volume.labels[STACK_LABEL]}`,
+      code: 'VOLUME_MANAGED_BY_STACK'
+    });
+    return false;
+  }
+
+  if (req.user.role !== 'admin' && volume.labels[CREATED_BY_LABEL] !== String(req.user.id)) {
+    res.status(403).json({
+      error: 'Access denied',
+      code: 'ACCESS_DENIED'
+    });
+    return false;
+  }
+
+  return true;
+}
+
+// Containers using the volume, with our container ID when the container is managed here
+async function describeContainers(volume) {
+  return Promise.all(volume.containers.map(async (attached) => {
+    const container = await Container.findByDockerId(attached.dockerId);
+
+    return {
+      ...attached,
+      container_id: container?.id || null,
+      container_name: container?.name || null
+    };
+  }));
+}
+
+// Current binds and mount points of a container's Docker container
+async function findContainerBinds(res, container) {
+  let info = null;
+
+  try {
+    info = container.docker_id ? await dockerManager.getContainer(container.docker_id) : null;
+  } catch (error) {
+    if (error.statusCode !== 404) throw error;
+  }
+
+  if (!info) {
+    res.status(409).json({
+      error: 'Container has no Docker container',
+      code: 'CONTAINER_NOT_CREATED'
+    });
+    return null;
+  }
+
+  return {
+    binds: info.hostConfig.Binds || [],
+    mountPaths: info.mounts.map(mount => mount.Destination)
+  };
+}
+
+// GET /api/volumes - List Docker volumes with their size and usage
+router.get('/', asyncHandler(async (req, res) => {
+  const [volumes, usage] = await Promise.all([
+    dockerManager.listVolumes(),
+    dockerManager.getVolumeUsage()
+  ]);
+
+  res.json({
+    volumes: volumes.map(volume => ({
+      ...volume,
+      size: usage.get(volume.name)?.size ?? null,
+      in_use: usage.has(volume.name) ? usage.get(volume.name).refCount > 0 : null
+    })),
+    total: volumes.length
+  });
+}));
+
+// POST /api/volumes - Create a named volume
+router.post('/', validateCreateVolume, asyncHandler(async (req, res) => {
+  const { name, driver = 'local' } = req.body;
+
+  // Docker returns the existing volume instead of failing on a duplicate name
+  try {
+    await dockerManager.getVolume(name);
+    return res.status(409).json({
+      error: `Volume ${name} already exists`,
+      code: 'VOLUME_EXISTS'
+    });
+  } catch (error) {
+    if (error.statusCode !== 404) throw error;
+  }
+
+  await dockerManager.createVolume({
+    name,
+    driver,
+    labels: {
+      'nexus-crate-flow': 'true',
+      [CREATED_BY_LABEL]: req.user.id.toString()
+    }
+  });
+
+  const volume = await dockerManager.getVolume(name);
+  setAudit(req, { target_id: volume.name, after: { name, driver } });
+
+  res.status(201).json({
+    message: 'Volume created successfully',
+    volume
+  });
+}));
+
+// GET /api/volumes/:name - Inspect a volume, its size and the containers using it
+router.get('/:name', validateVolumeName, asyncHandler(async (req, res) => {
+  const volume = await findVolume(req, res);
+  if (!volume) return;
+
+  const usage = await dockerManager.getVolumeUsage();
+
+  res.json({
+    volume: {
+      ...volume,
+      size: usage.get(volume.name)?.size ?? null,
+      containers: await describeContainers(volume)
+    }
+  });
+}));
+
+// DELETE /api/volumes/:name - Remove a volume (no container may still use it)
+router.delete('/:name', validateVolumeName, asyncHandler(async (req, res) => {
+  const volume = await findVolume(req, res);
+  if (!volume) return;
+  if (!checkVolumeOwnership(req, res, volume)) return;
+
+  if (volume.containers.length > 0) {
+    return res.status(409).json({
+      error: `Volume ${volume.name} is still used by ${volume.containers.length} container(s)`,
+      code: 'VOLUME_IN_USE',
+      containers: (await describeContainers(volume)).map(attached => attached.container_name || attached.name)
+    });
+  }
+
+  try {
+    await dockerManager.removeVolume(volume.name);
+  } catch (error) {
+    return sendVolumeError(res, error, volume.name);
+  }
+
+  setAudit(req, { target_id: volume.name, before: { name: volume.name, driver: volume.driver } });
+
+  res.json({
+    message: 'Volume removed successfully'
+  });
+}));
+
+// POST /api/volumes/:name/containers/:containerId - Mount a volume into a container.
+// Docker cannot add mounts to an existing container, so it is recreated.
+router.post('/:name/containers/:containerId', validateVolumeMount, authorizeContainer('owner', 'containerId'), asyncHandler(async (req, res) => {
+  const container = req.container;
+  const { mountPath, readOnly = false } = req.body;
+
+  const volume = await findVolume(req, res);
+  if (!volume) return;
+
+  if (!PermissionService.canUseVolume(req.user, volume)) {
+    return res.status(403).json({
+      error: 'Access denied',
+      code: 'ACCESS_DENIED'
+    });
+  }
+
+  const current = await findContainerBinds(res, container);
+  if (!current) return;
+
+  if (volume.containers.some(attached => attached.dockerId === container.docker_id)) {
+    return res.status(409).json({
+      error: `Volume ${volume.name} is already mounted in this container`,
+      code: 'VOLUME_ALREADY_ATTACHED'
+    });
+  }
+
+  if (current.mountPaths.includes(mountPath)) {
+    return res.status(409).json({
+      error: `Something is already mounted at ${mountPath}`,
+      code: 'MOUNT_PATH_IN_USE'
+    });
+  }
+
+  const recreated = await dockerManager.recreateContainer(container.docker_id, {
+    binds: [...current.binds, `${volume.name}:${mountPath}${readOnly ? ':ro' : ''}`]
+  });
+  await container.updateDockerId(recreated.dockerId);
+
+  await container.addLog(`Mounted volume ${volume.name} at ${mountPath}${readOnly ? ' (read-only)' : ''}`, 'info');
+  setAudit(req, { target_type: 'container', target_id: container.id, after: { volume: volume.name, mount_path: mountPath, read_only: readOnly } });
+
+  res.json({
+    message: 'Volume mounted into container',
+    volume: volume.name,
+    container_id: container.id,
+    docker_id: recreated.dockerId,
+    mount_path: mountPath,
+    read_only: readOnly
+  });
+}));
+
+// DELETE /api/volumes/:name/containers/:containerId - Unmount a volume (recreates the container)
+router.delete('/:name/containers/:containerId', validateVolumeAttachment, authorizeContainer('owner', 'containerId'), asyncHandler(async (req, res) => {
+  const container = req.container;
+
+  const current = await findContainerBinds(res, container);
+  if (!current) return;
+
+  const binds = current.binds.filter(bind => dockerManager.parseBind(bind).source !== req.params.name);
+  if (binds.length === current.binds.length) {
+    return res.status(404).json({
+      error: `Volume ${req.params.name} is not mounted in this container`,
+      code: 'VOLUME_NOT_ATTACHED'
+    });
+  }
+
+  const recreated = await dockerManager.recreateContainer(container.docker_id, { binds });
+  await container.updateDockerId(recreated.dockerId);
+
+  await container.addLog(`Unmounted volume ${req.params.name}`, 'info');
+  setAudit(req, { target_type: 'container', target_id: container.id, before: { volume: req.params.name } });
+
+  res.json({
+    message: 'Volume unmounted from container',
+    volume: req.params.name,
+    container_id: container.id,
+    docker_id: recreated.dockerId
+  });
+}));
+
+export default router;
@@ -0,0 +1,180 @@
+import express from 'express';
+import { Webhook, WEBHOOK_EVENTS } from '../models/Webhook.js';
+import { Container } from '../models/Container.js';
+import { PermissionService } from '../services/permissionService.js';
+import { WebhookService } from '../services/webhookService.js';
+import { Helpers } from '../utils/helpers.js';
+import {
+  validateCreateWebhook,
+  validateUpdateWebhook,
+  validateWebhookId
+} from '../middleware/validation.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { setAudit } from '../middleware/audit.js';
+
+const router = express.Router();
+
+// Webhooks may be bound to a single container the user can access
+async function checkContainerAccess(req, res, containerId) {
+  if (!containerId) return true;
+
+  const container = await Container.findById(containerId);
+  if (!container) {
+    res.status(404).json({
+      error: 'Container not found',
+      code: 'CONTAINER_NOT_FOUND'
+    });
+    return false;
+  }
+
+  if (!await PermissionService.canAccessContainer(req.user, container, 'viewer')) {
+    res.status(403).json({
+      error: 'Access denied',
+      code: 'ACCESS_DENIED'
+    });
+    return false;
+  }
+
+  return true;
+}
+
+async function loadWebhook(req, res) {
+  const webhook = await Webhook.findById(req.params.id);
+
+  if (!webhook) {
+    res.status(404).json({
+      error: 'Webhook not found',
+      code: 'WEBHOOK_NOT_FOUND'
+    });
+    return null;
+  }
+
+  if (!webhook.canModify(req.user)) {
+    res.status(403).json({
+      error: 'Access denied',
+      code: 'ACCESS_DENIED'
+    });
+    return null;
+  }
+
+  return webhook;
+}
+
+// GET /api/webhooks - List webhooks
+router.get('/', asyncHandler(async (req, res) => {
+  const webhooks = await Webhook.list({
+    userId: req.user.role === 'admin' ? null : req.user.id,
+    containerId: req.query.container_id
+  });
+
+  res.json({
+    webhooks: webhooks.map(webhook => webhook.toJSON()),
+    total: webhooks.length,
+    events: WEBHOOK_EVENTS
+  });
+}));
+
+// POST /api/webhooks - Register webhook
+router.post('/', validateCreateWebhook, asyncHandler(async (req, res) => {
+  if (!await checkContainerAccess(req, res, req.body.container_id)) return;
+
+  const secret = req.body.secret || await Helpers.generateRandomString(40);
+  const webhook = await Webhook.create({ ...req.body, secret }, req.user.id);
+
+  res.status(201).json({
+    message: 'Webhook created successfully',
+    webhook: webhook.toJSON(),
+    secret
+  });
+}));
+
+// GET /api/webhooks/:id - Get webhook
+router.get('/:id', validateWebhookId, asyncHandler(async (req, res) => {
+  const webhook = await loadWebhook(req, res);
+  if (!webhook) return;
+
+  res.json({
+    webhook: webhook.toJSON()
+  });
+}));
+
+// PUT /api/webhooks/:id - Update webhook
+router.put('/:id', validateUpdateWebhook, asyncHandler(async (req, res) => {
+  const webhook = await loadWebhook(req, res);
+  if (!webhook) return;
+
+  if (!await checkContainerAccess(req, res, req.body.container_id)) return;
+
+  const updated = await Webhook.update(webhook.id, req.body);
+  setAudit(req, { before: webhook.toJSON(), after: updated.toJSON() });
+
+  res.json({
+    message: 'Webhook updated successfully',
+    webhook: updated.toJSON()
+  });
+}));
+
+// DELETE /api/webhooks/:id - Delete webhook and its delivery log
+router.delete('/:id', validateWebhookId, asyncHandler(async (req, res) => {
+  const webhook = await loadWebhook(req, res);
+  if (!webhook) return;
+
+  await Webhook.delete(webhook.id);
+  setAudit(req, { before: webhook.toJSON() });
+
+  res.json({
+    message: 'Webhook deleted successfully'
+  });
+}));
+
+// POST /api/webhooks/:id/rotate-secret - Generate a new signing secret
+router.post('/:id/rotate-secret', validateWebhookId, asyncHandler(async (req, res) => {
+  const webhook = await loadWebhook(req, res);
+  if (!webhook) return;
+
+  const secret = await Helpers.generateRandomString(40);
+  await Webhook.update(webhook.id, { secret });
+
+  res.json({
+    message: 'Webhook secret rotated successfully',
+    secret
+  });
+}));
+
+// GET /api/webhooks/:id/deliveries - Delivery log
+router.get('/:id/deliveries', validateWebhookId, asyncHandler(async (req, res) => {
+  const webhook = await loadWebhook(req, res);
+  if (!webhook) return;
+
+  const { status, limit = 50 } = req.query;
+  const deliveries = await webhook.getDeliveries({
+    status,
+    limit: Math.min(parseInt(limit) || 50, 500)
+  });
+
+  res.json({
+    deliveries,
+    total: deliveries.length
+  });
+}));
+
+// POST /api/webhooks/:id/test - Send a ping event and wait for the result
+router.post('/:id/test', validateWebhookId, asyncHandler(async (req, res) => {
+  const webhook = await loadWebhook(req, res);
+  if (!webhook) return;
+
+  const delivery = await WebhookService.deliver(webhook, 'ping', null, {
+    webhook_id: webhook.id,
+    message: 'Test delivery'
+  });
+
+  res.json({
+    message: delivery.status === 'success' ? 'Test delivery succeeded' : 'Test delivery failed',
+    delivery: {
+      ...delivery,
+      payload: JSON.parse(delivery.payload)
+    }
+  });
+}));
+
+export default router;
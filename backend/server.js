@@ -13,8 +13,9 @@ import { initializeDatabase } from './config/database.js';
 import { initializeDocker } from './config/docker.js';
 
 // Import middleware
-import { authenticateToken } from './middleware/auth.js';
+import { authenticateToken, cleanupExpiredTokens } from './middleware/auth.js';
 import { errorHandler } from './middleware/errorHandler.js';
+import { auditTrail } from './middleware/audit.js';
 
 // Import routes
 import authRoutes from './routes/auth.js';
@@ -22,11 +23,30 @@ import containerRoutes from './routes/containers.js';
 import fileRoutes from './routes/files.js';
 import settingsRoutes from './routes/settings.js';
 import logRoutes from './routes/logs.js';
+import templateRoutes from './routes/templates.js';
+import stackRoutes from './routes/stacks.js';
+import imageRoutes from './routes/images.js';
+import alertRoutes from './routes/alerts.js';
+import webhookRoutes from './routes/webhooks.js';
+import teamRoutes from './routes/teams.js';
+import quotaRoutes from './routes/quotas.js';
+import userRoutes from './routes/users.js';
+import auditRoutes from './routes/audit.js';
+import tokenRoutes from './routes/tokens.js';
+import backupRoutes from './routes/backups.js';
+import networkRoutes from './routes/networks.js';
+import volumeRoutes from './routes/volumes.js';
+import snapshotRoutes from './routes/snapshots.js';
 
 // Import services
 import { LogService } from './services/logService.js';
 import { WebSocketService } from './services/websocketService.js';
 import { DockerService } from './services/dockerService.js';
+import { MetricsService } from './services/metricsService.js';
+import { AlertService } from './services/alertService.js';
+import { AuditService } from './services/auditService.js';
+import { SessionService } from './services/sessionService.js';
+import { LoginProtectionService } from './services/loginProtectionService.js';
 
 // Import utilities
 import logger from './utils/logger.js';
@@ -70,12 +90,29 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Audit trail for every mutating API request
+app.use('/api', auditTrail);
+
 // API Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/containers', authenticateToken, containerRoutes);
 app.use('/api/files', authenticateToken, fileRoutes);
 app.use('/api/settings', authenticateToken, settingsRoutes);
 app.use('/api/logs', authenticateToken, logRoutes);
+app.use('/api/templates', authenticateToken, templateRoutes);
+app.use('/api/stacks', authenticateToken, stackRoutes);
+app.use('/api/images', authenticateToken, imageRoutes);
+app.use('/api/networks', authenticateToken, networkRoutes);
+app.use('/api/volumes', authenticateToken, volumeRoutes);
+app.use('/api/snapshots', authenticateToken, snapshotRoutes);
+app.use('/api/alerts', authenticateToken, alertRoutes);
+app.use('/api/webhooks', authenticateToken, webhookRoutes);
+app.use('/api/teams', authenticateToken, teamRoutes);
+app.use('/api/quotas', authenticateToken, quotaRoutes);
+app.use('/api/users', authenticateToken, userRoutes);
+app.use('/api/audit', authenticateToken, auditRoutes);
+app.use('/api/tokens', authenticateToken, tokenRoutes);
+app.use('/api/backups', authenticateToken, backupRoutes);
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -107,9 +144,18 @@ async function initializeServices() {
     
     console.log('🔌 Initializing WebSocket service...');
     wsService.initialize();
+
+    console.log('📈 Initializing metrics sampler...');
+    const metricsService = await MetricsService.initialize();
+
+    console.log('🔔 Initializing alert service...');
+    const alertService = await AlertService.initialize(wsService);
+    app.set('alertService', alertService);
+
+    LoginProtectionService.initialize(wsService);
     
     // Setup scheduled tasks
-    setupScheduledTasks(logService);
+    setupScheduledTasks(logService, metricsService, alertService);
     
     console.log('✅ All services initialized successfully');
   } catch (error) {
@@ -120,7 +166,7 @@ async function initializeServices() {
 }
 
 // Setup scheduled tasks
-function setupScheduledTasks(logService) {
+function setupScheduledTasks(logService, metricsService, alertService) {
   // Sync containers with Docker every 5 minutes
   cron.schedule('*/5 * * * *', async () => {
     try {
@@ -149,6 +195,26 @@ function setupScheduledTasks(logService) {
     }
   });
 
+  // Remove audit events past the retention period daily at 3 AM
+  cron.schedule('0 3 * * *', async () => {
+    try {
+      await AuditService.cleanup();
+    } catch (error) {
+      await logger.error('Audit cleanup failed', { error: error.message });
+    }
+  });
+
+  // Drop expired token blacklist entries, old login sessions and old login attempts every hour
+  cron.schedule('30 * * * *', async () => {
+    try {
+      await cleanupExpiredTokens();
+      await SessionService.cleanup();
+      await LoginProtectionService.cleanup();
+    } catch (error) {
+      await logger.error('Session cleanup failed', { error: error.message });
+    }
+  });
+
   // Rotate logs daily at 1 AM
   cron.schedule('0 1 * * *', async () => {
     try {
@@ -167,6 +233,25 @@ function setupScheduledTasks(logService) {
     }
   });
 
+  // Downsample old metric samples and apply retention every hour
+  cron.schedule('15 * * * *', async () => {
+    try {
+      await metricsService.downsample();
+      await metricsService.cleanupOldMetrics();
+    } catch (error) {
+      await logger.error('Metrics downsampling failed', { error: error.message });
+    }
+  });
+
+  // Evaluate alert rules every minute
+  cron.schedule('* * * * *', async () => {
+    try {
+      await alertService.evaluateAll();
+    } catch (error) {
+      await logger.error('Alert evaluation failed', { error: error.message });
+    }
+  });
+
   // WebSocket cleanup every 10 minutes
   cron.schedule('*/10 * * * *', () => {
     try {
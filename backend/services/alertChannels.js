@@ -0,0 +1,114 @@
+import nodemailer from 'nodemailer';
+
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+let mailTransport = null;
+
+function getMailTransport() {
+  if (!process.env.SMTP_HOST) {
+    throw new Error('SMTP is not configured (SMTP_HOST missing)');
+  }
+
+  if (!mailTransport) {
+    mailTransport = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+  }
+
+  return mailTransport;
+}
+
+function describe(notification) {
+  const { alert, rule } = notification;
+  const state = alert.status === 'resolved' ? 'RESOLVED' : 'FIRING';
+  return `[${state}] ${rule.name} - ${alert.container_name || alert.container_id}`;
+}
+
+// Delivery handlers keyed by channel type. Each receives the channel config
+// from the rule, the notification payload and shared context (e.g. wsService).
+export class AlertChannels {
+  static handlers = new Map();
+
+  static register(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  static has(type) {
+    return this.handlers.has(type);
+  }
+
+  static async deliver(channel, notification, context = {}) {
+    const handler = this.handlers.get(channel.type);
+
+    if (!handler) {
+      throw new Error(`Unknown alert channel: ${channel.type}`);
+    }
+
+    return await handler(channel, notification, context);
+  }
+}
+
+AlertChannels.register('webhook', async (channel, notification) => {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), WEBHOOK_TIMEOUT_MS);
+
+  try {
+    const response = await fetch(channel.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'User-Agent': 'nexus-crate-flow-alerts' },
+      body: JSON.stringify(notification),
+      signal: controller.signal
+    });
+
+    if (!response.ok) {
+      throw new Error(`Webhook responded with HTTP ${response.status}`);
+    }
+
+    return { status: response.status };
+  } finally {
+    clearTimeout(timeout);
+  }
+});
+
+AlertChannels.register('email', async (channel, notification) => {
+  const { alert } = notification;
+  const transport = getMailTransport();
+
+  const info = await transport.sendMail({
+    from: process.env.SMTP_FROM || process.env.SMTP_USER,
+    to: Array.isArray(channel.to) ? channel.to.join(', ') : channel.to,
+    subject: describe(notification),
+    text: [
+      alert.message,
+      '',
+      `Severity: ${alert.severity}`,
+      `Container: ${alert.container_name || alert.container_id}`,
+      `Fired at: ${alert.fired_at}`,
+      alert.resolved_at ? `Resolved at: ${alert.resolved_at}` : null
+    ].filter(line => line !== null).join('\n')
+  });
+
+  return { messageId: info.messageId };
+});
+
+AlertChannels.register('in_app', async (channel, notification, context) => {
+  if (!context.wsService) {
+    throw new Error('WebSocket service not available');
+  }
+
+  const delivered = context.wsService.sendAlert(notification.rule.created_by, {
+    type: notification.event === 'alert.resolved' ? 'alert_resolved' : 'alert_fired',
+    title: describe(notification),
+    alert: notification.alert,
+    timestamp: new Date().toISOString()
+  });
+
+  return { delivered };
+});
+
+export default AlertChannels;
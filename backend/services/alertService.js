@@ -0,0 +1,286 @@
+import vm from 'vm';
+import { database, timestampAgo, toTimestamp } from '../config/database.js';
+import { dockerManager } from '../config/docker.js';
+import { Container } from '../models/Container.js';
+import { User } from '../models/User.js';
+import { AlertRule } from '../models/AlertRule.js';
+import { Alert } from '../models/Alert.js';
+import { AlertChannels } from './alertChannels.js';
+
+const METRIC_COLUMNS = {
+  cpu_percent: 'CPU',
+  memory_percent: 'Memory'
+};
+
+const COMPARATORS = {
+  '>': (value, threshold) => value > threshold,
+  '>=': (value, threshold) => value >= threshold,
+  '<': (value, threshold) => value < threshold,
+  '<=': (value, threshold) => value <= threshold
+};
+
+// Upper bounds for running a user-supplied log_match pattern over the logs
+const LOG_MATCH_TIMEOUT_MS = 250;
+const LOG_MATCH_MAX_LINE_LENGTH = 2000;
+
+export class AlertService {
+  constructor(wsService = null) {
+    this.wsService = wsService;
+    // Restart counts observed per rule/container, used by restart_loop rules
+    this.restartHistory = new Map();
+    this.isEvaluating = false;
+  }
+
+  static async initialize(wsService) {
+    const instance = new AlertService(wsService);
+    console.log('🔔 Alert service initialized');
+    return instance;
+  }
+
+  async evaluateAll() {
+    if (this.isEvaluating) return { evaluated: 0, fired: 0, resolved: 0 };
+    this.isEvaluating = true;
+
+    const summary = { evaluated: 0, fired: 0, resolved: 0 };
+
+    try {
+      const rules = await AlertRule.list({ enabledOnly: true });
+
+      for (const rule of rules) {
+        const containers = await this.getTargetContainers(rule);
+
+        for (const container of containers) {
+          try {
+            const result = await this.evaluate(rule, container);
+            summary.evaluated++;
+
+            if (!result) continue;
+
+            const transition = await this.applyResult(rule, container, result);
+            if (transition === 'fired') summary.fired++;
+            if (transition === 'resolved') summary.resolved++;
+          } catch (error) {
+            console.warn(`Failed to evaluate alert rule ${rule.id} for ${container.id}:`, error.message);
+          }
+        }
+      }
+
+      return summary;
+    } finally {
+      this.isEvaluating = false;
+    }
+  }
+
+  async getTargetContainers(rule) {
+    if (rule.container_id) {
+      const container = await Container.findById(rule.container_id);
+      return container ? [container] : [];
+    }
+
+    // Rules without a container apply to everything the owner can see
+    const owner = await User.findById(rule.created_by);
+    if (!owner) return [];
+
+    const result = await Container.list({
+      limit: 1000,
+      userId: owner.role === 'admin' ? null : owner.id
+    });
+
+    return result.containers;
+  }
+
+  // Returns { firing, message, details } or null when the rule can't be evaluated
+  async evaluate(rule, container) {
+    switch (rule.rule_type) {
+      case 'container_stopped':
+        return await this.evaluateContainerStopped(rule, container);
+      case 'metric_threshold':
+        return await this.evaluateMetricThreshold(rule, container);
+      case 'restart_loop':
+        return await this.evaluateRestartLoop(rule, container);
+      case 'log_match':
+        return await this.evaluateLogMatch(rule, container);
+      default:
+        return null;
+    }
+  }
+
+  async evaluateContainerStopped(rule, container) {
+    if (!container.docker_id || !dockerManager.isConnected) return null;
+
+    let status;
+    try {
+      const dockerInfo = await dockerManager.getContainer(container.docker_id);
+      if (dockerInfo.running) {
+        return { firing: false };
+      }
+      status = dockerInfo.status;
+    } catch (error) {
+      if (error.statusCode !== 404) throw error;
+      status = 'missing';
+    }
+
+    return {
+      firing: true,
+      message: `Container ${container.name} is not running (${status})`,
+      details: { status }
+    };
+  }
+
+  async evaluateMetricThreshold(rule, container) {
+    const { metric = 'memory_percent', operator = '>', threshold, duration_minutes = 5 } = rule.config;
+    const compare = COMPARATORS[operator];
+
+    if (!METRIC_COLUMNS[metric] || !compare || typeof threshold !== 'number') return null;
+
+    const samples = await database.all(
+      `SELECT ${metric} AS value FROM container_metrics
+       WHERE container_id = ? AND resolution = 0 AND sampled_at >= ?`,
+      [container.id, timestampAgo(duration_minutes * 60)]
+    );
+
+    // A single sample isn't enough to say the condition held for the whole window
+    if (samples.length < 2) {
+      return { firing: false };
+    }
+
+    const breaching = samples.every(sample => compare(sample.value, threshold));
+    const average = samples.reduce((sum, sample) => sum + sample.value, 0) / samples.length;
+
+    return {
+      firing: breaching,
+      message: `${METRIC_COLUMNS[metric]} ${operator} ${threshold}% for ${duration_minutes}m on ${container.name} (avg ${average.toFixed(1)}%)`,
+      details: { metric, operator, threshold, duration_minutes, average: Number(average.toFixed(2)), samples: samples.length }
+    };
+  }
+
+  async evaluateRestartLoop(rule, container) {
+    if (!container.docker_id || !dockerManager.isConnected) return null;
+
+    const { count = 3, window_minutes = 10 } = rule.config;
+    const dockerInfo = await dockerManager.getContainer(container.docker_id);
+
+    const key = `${rule.id}:${container.id}`;
+    const now = Date.now();
+    const windowStart = now - window_minutes * 60 * 1000;
+
+    const history = (this.restartHistory.get(key) || []).filter(entry => entry.at >= windowStart);
+    history.push({ at: now, restartCount: dockerInfo.restartCount });
+    this.restartHistory.set(key, history);
+
+    // RestartCount resets when the container is recreated
+    const restarts = Math.max(dockerInfo.restartCount - history[0].restartCount, 0);
+
+    return {
+      firing: restarts >= count,
+      message: `Container ${container.name} restarted ${restarts} times in ${window_minutes}m`,
+      details: { restarts, count, window_minutes, restart_count: dockerInfo.restartCount }
+    };
+  }
+
+  async evaluateLogMatch(rule, container) {
+    const { pattern, flags = '', log_type = null, window_minutes = 5 } = rule.config;
+    if (!pattern) return null;
+
+    const regex = new RegExp(pattern, flags.replace(/[gy]/g, ''));
+    const since = timestampAgo(window_minutes * 60);
+
+    const logs = await container.getLogs({ since, logType: log_type, limit: 500 });
+    // Skip the lines this service writes itself so a rule can't keep re-triggering on them
+    const candidates = logs.filter(log => !log.log_content.startsWith('Alert '));
+
+    // Rules are validated on save, but run the pattern with a time limit so a
+    // slow one cannot block the event loop
+    let results;
+    try {
+      results = vm.runInNewContext('lines.map(line => regex.test(line))', {
+        lines: candidates.map(log => log.log_content.slice(0, LOG_MATCH_MAX_LINE_LENGTH)),
+        regex
+      }, { timeout: LOG_MATCH_TIMEOUT_MS });
+    } catch (error) {
+      if (error.code !== 'ERR_SCRIPT_EXECUTION_TIMEOUT') throw error;
+      console.warn(`Alert rule ${rule.id}: pattern /${pattern}/ timed out on ${container.name}, skipping`);
+      return null;
+    }
+
+    const matches = candidates.filter((log, index) => results[index]);
+
+    return {
+      firing: matches.length > 0,
+      message: `${matches.length} log line(s) on ${container.name} matched /${pattern}/${flags}`,
+      details: {
+        pattern,
+        matches: matches.length,
+        samples: matches.slice(-5).map(log => ({ timestamp: log.timestamp, content: log.log_content }))
+      }
+    };
+  }
+
+  async applyResult(rule, container, result) {
+    const existing = await Alert.findFiring(rule.id, container.id);
+
+    if (result.firing && !existing) {
+      const alert = await Alert.fire(rule, container.id, result.message, result.details);
+      await container.addLog(`Alert fired: ${rule.name} - ${result.message}`, 'warning');
+      await this.notify(rule, alert, 'alert.firing');
+      return 'fired';
+    }
+
+    if (!result.firing && existing) {
+      const alert = await existing.resolve();
+      await container.addLog(`Alert resolved: ${rule.name}`, 'info');
+      await this.notify(rule, alert, 'alert.resolved');
+      return 'resolved';
+    }
+
+    return null;
+  }
+
+  // Deliver to every channel of the rule; a failing channel never blocks the others
+  async notify(rule, alert, event) {
+    const notification = {
+      event,
+      alert: alert.toJSON(),
+      rule: {
+        id: rule.id,
+        name: rule.name,
+        rule_type: rule.rule_type,
+        severity: rule.severity,
+        created_by: rule.created_by
+      }
+    };
+
+    const results = [];
+
+    for (const channel of rule.channels) {
+      try {
+        const result = await AlertChannels.deliver(channel, notification, { wsService: this.wsService });
+        results.push({ type: channel.type, success: true, result });
+      } catch (error) {
+        console.error(`❌ Alert delivery via ${channel.type} failed for rule ${rule.id}:`, error.message);
+        results.push({ type: channel.type, success: false, error: error.message });
+      }
+    }
+
+    return results;
+  }
+
+  // Send a synthetic notification through the rule's channels without storing it
+  async testRule(rule) {
+    const alert = new Alert({
+      id: null,
+      rule_id: rule.id,
+      rule_name: rule.name,
+      container_id: rule.container_id,
+      status: 'firing',
+      severity: rule.severity,
+      message: `Test notification for alert rule "${rule.name}"`,
+      details: JSON.stringify({ test: true }),
+      fired_at: toTimestamp()
+    });
+
+    return await this.notify(rule, alert, 'alert.firing');
+  }
+}
+
+export default AlertService;
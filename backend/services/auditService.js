@@ -0,0 +1,203 @@
+import { AuditEvent } from '../models/AuditEvent.js';
+import logger from '../utils/logger.js';
+
+// Route prefixes under /api and the target type their actions are recorded with
+const RESOURCES = {
+  auth: 'auth',
+  containers: 'container',
+  files: 'file',
+  settings: 'settings',
+  logs: 'log',
+  templates: 'template',
+  stacks: 'stack',
+  images: 'image',
+  networks: 'network',
+  volumes: 'volume',
+  snapshots: 'snapshot',
+  alerts: 'alert',
+  webhooks: 'webhook',
+  teams: 'team',
+  quotas: 'quota',
+  users: 'user',
+  audit: 'audit',
+  tokens: 'api_token',
+  backups: 'backup'
+};
+
+const METHOD_VERBS = { POST: 'create', PUT: 'update', PATCH: 'update', DELETE: 'delete' };
+
+const SENSITIVE_PATTERN = /password|token|secret/i;
+
+const CSV_COLUMNS = [
+  'id', 'created_at', 'actor_id', 'actor_username', 'ip_address', 'action', 'target_type',
+  'target_id', 'method', 'path', 'result', 'status_code', 'error', 'before', 'after'
+];
+
+export class AuditService {
+  static resourceFor(baseUrl = '') {
+    const prefix = baseUrl.replace(/^\/api\/?/, '').split('/')[0];
+    return RESOURCES[prefix] || prefix || 'api';
+  }
+
+  // Derive an action name from the matched route, e.g. POST /api/containers/:id/start
+  // becomes container.start and PUT /api/teams/:id becomes team.update
+  static actionFor(method, baseUrl, routePath = '') {
+    const resource = this.resourceFor(baseUrl);
+    const parts = routePath.split('/').filter(part => part && !part.startsWith(':'));
+
+    if (method === 'POST' && parts.length > 0) {
+      return [resource, ...parts].join('.');
+    }
+
+    return [resource, ...parts, METHOD_VERBS[method] || method.toLowerCase()].join('.');
+  }
+
+  // Mask credentials in recorded state, including KEY=VALUE environment entries
+  static sanitize(value) {
+    if (Array.isArray(value)) {
+      return value.map(item => {
+        if (typeof item === 'string' && item.includes('=')) {
+          const [key] = item.split('=');
+          return SENSITIVE_PATTERN.test(key) ? `${key}=***MASKED***` : item;
+        }
+        return this.sanitize(item);
+      });
+    }
+
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+        key,
+        SENSITIVE_PATTERN.test(key) && item !== null && item !== undefined ? '***MASKED***' : this.sanitize(item)
+      ]));
+    }
+
+    return value;
+  }
+
+  // Keep only the fields that changed between two snapshots
+  static diff(before, after) {
+    if (!before || !after || typeof before !== 'object' || typeof after !== 'object') {
+      return { before, after };
+    }
+
+    const changedBefore = {};
+    const changedAfter = {};
+
+    for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+      if (after[key] === undefined) continue;
+
+      if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+        changedBefore[key] = before[key] ?? null;
+        changedAfter[key] = after[key];
+      }
+    }
+
+    return { before: changedBefore, after: changedAfter };
+  }
+
+  // Audit failures are logged but never fail the request being audited
+  static async record(event) {
+    try {
+      const before = event.before ? this.sanitize(event.before) : null;
+      const after = event.after ? this.sanitize(event.after) : null;
+      const id = await AuditEvent.create({ ...event, before, after });
+
+      await logger.logAudit(
+        event.action,
+        { id: event.actor_id, username: event.actor_username },
+        `${event.target_type || 'unknown'}:${event.target_id ?? '-'}`,
+        { result: event.result, ip: event.ip_address }
+      );
+
+      return id;
+    } catch (error) {
+      console.error('Failed to record audit event:', error);
+      return null;
+    }
+  }
+
+  // Build an event from a finished request and the context the route attached to it
+  static async recordRequest(req, res) {
+    const audit = req.audit || {};
+    if (audit.skip) return null;
+
+    const context = res.locals.auditContext || {
+      baseUrl: req.baseUrl || req.originalUrl,
+      routePath: req.route?.path,
+      params: req.params || {}
+    };
+    const response = res.locals.auditResponse;
+    const failed = res.statusCode >= 400;
+    const actor = audit.actor || req.user || {};
+
+    let targetId = audit.target_id ?? Object.values(context.params)[0] ?? null;
+    const resource = this.resourceFor(context.baseUrl);
+
+    // Newly created records are identified from the response body
+    if (targetId === null && res.statusCode === 201 && response && typeof response === 'object') {
+      targetId = response[resource]?.id ?? response.id ?? null;
+    }
+
+    let { before = null, after = null } = audit;
+    if (!audit.before && !audit.after && req.body && Object.keys(req.body).length > 0) {
+      after = req.body;
+    } else if (before && after) {
+      ({ before, after } = this.diff(before, after));
+    }
+
+    return await this.record({
+      actor_id: actor.id,
+      actor_username: actor.username,
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent'),
+      action: audit.action || this.actionFor(req.method, context.baseUrl, context.routePath),
+      target_type: audit.target_type || resource,
+      target_id: targetId,
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      before,
+      after,
+      result: failed ? 'failure' : 'success',
+      status_code: res.statusCode,
+      error: failed ? response?.error || res.statusMessage || null : null
+    });
+  }
+
+  // SQLite stores CURRENT_TIMESTAMP as "YYYY-MM-DD HH:MM:SS" in UTC
+  static toTimestamp(value) {
+    if (!value) return null;
+
+    const date = new Date(value);
+    if (isNaN(date.getTime())) return null;
+
+    return date.toISOString().replace('T', ' ').slice(0, 19);
+  }
+
+  static toCSV(events) {
+    const escape = (value) => {
+      if (value === null || value === undefined) return '';
+      const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const rows = events.map(event => {
+      const data = event.toJSON();
+      return CSV_COLUMNS.map(column => escape(data[column])).join(',');
+    });
+
+    return [CSV_COLUMNS.join(','), ...rows].join('\r\n');
+  }
+
+  static async cleanup() {
+    const retentionDays = parseInt(process.env.AUDIT_RETENTION_DAYS) || 365;
+    const deleted = await AuditEvent.deleteOlderThan(retentionDays);
+
+    if (deleted > 0) {
+      console.log(`🧹 Removed ${deleted} audit events older than ${retentionDays} days`);
+    }
+
+    return deleted;
+  }
+}
+
+export default AuditService;
@@ -0,0 +1,348 @@
+import archiver from 'archiver';
+import crypto from 'crypto';
+import { createReadStream, createWriteStream } from 'fs';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+import zlib from 'zlib';
+import tar from 'tar-fs';
+import { database } from '../config/database.js';
+import { Migrator } from '../config/database-migrations.js';
+import { LoginSession } from '../models/LoginSession.js';
+import { DockerService } from './dockerService.js';
+
+const FORMAT = 'nexus-crate-flow-backup';
+const FORMAT_VERSION = 1;
+
+// Tables in each section, in insert order (referenced rows first)
+export const BACKUP_SECTIONS = {
+  users: ['users', 'teams', 'team_members', 'user_quotas'],
+  containers: ['containers', 'container_permissions'],
+  settings: ['container_settings', 'system_settings'],
+  templates: ['container_templates'],
+  logs: ['container_logs']
+};
+
+const BACKUP_FILE = /^[\w.-]+\.tar\.gz$/;
+
+// Rows per INSERT; keeps every statement under SQLite's 999 parameter limit
+const INSERT_BATCH = 50;
+
+export class BackupError extends Error {
+  constructor(message, code, statusCode = 400) {
+    super(message);
+    this.name = 'BackupError';
+    this.statusCode = statusCode;
+    this.code = code;
+  }
+}
+
+const sha256 = (content) => crypto.createHash('sha256').update(content).digest('hex');
+
+// Platform (control plane) backups: the rows behind users, containers,
+// settings, templates and logs in one .tar.gz with a manifest and checksums.
+// Container files are backed up per container by FileService.createBackup.
+export class BackupService {
+  static getBackupDir() {
+    return process.env.BACKUP_DIR || path.join(process.cwd(), 'backups');
+  }
+
+  // "all", ["users", "logs"] or "users,logs"
+  static parseSections(sections) {
+    if (!sections || sections === 'all') {
+      return Object.keys(BACKUP_SECTIONS);
+    }
+
+    const list = (Array.isArray(sections) ? sections : String(sections).split(','))
+      .map(section => section.trim())
+      .filter(Boolean);
+
+    const unknown = list.filter(section => !BACKUP_SECTIONS[section]);
+    if (unknown.length > 0) {
+      throw new BackupError(
+        `Unknown backup section: ${unknown.join(', ')} (use ${Object.keys(BACKUP_SECTIONS).join(', ')})`,
+        'INVALID_BACKUP_SECTION'
+      );
+    }
+
+    return [...new Set(list)];
+  }
+
+  static resolvePath(name) {
+    if (!BACKUP_FILE.test(name) || path.basename(name) !== name) {
+      throw new BackupError('Invalid backup name', 'INVALID_BACKUP_NAME');
+    }
+    return path.join(this.getBackupDir(), name);
+  }
+
+  static async schemaVersion() {
+    const applied = await new Migrator(database).applied();
+    return applied.length > 0 ? applied[applied.length - 1].version : 0;
+  }
+
+  static async list() {
+    const dir = this.getBackupDir();
+    let files;
+
+    try {
+      files = await fs.readdir(dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const backups = [];
+    for (const name of files.filter(file => BACKUP_FILE.test(file))) {
+      const stats = await fs.stat(path.join(dir, name));
+      backups.push({ name, size: stats.size, created_at: stats.mtime.toISOString() });
+    }
+
+    return backups.sort((a, b) => b.created_at.localeCompare(a.created_at));
+  }
+
+  static async create({ sections, createdBy = null, prefix = 'platform-backup' } = {}) {
+    try {
+      const selected = this.parseSections(sections);
+      const dir = this.getBackupDir();
+      await fs.mkdir(dir, { recursive: true });
+
+      const files = {};
+      const counts = {};
+
+      for (const section of selected) {
+        for (const table of BACKUP_SECTIONS[section]) {
+          const rows = await database.all(`SELECT * FROM ${table}`);
+          files[`data/${table}.json`] = JSON.stringify(rows);
+          counts[table] = rows.length;
+        }
+      }
+
+      const manifest = {
+        format: FORMAT,
+        format_version: FORMAT_VERSION,
+        created_at: new Date().toISOString(),
+        created_by: createdBy,
+        database_type: database.type,
+        schema_version: await this.schemaVersion(),
+        sections: selected,
+        tables: counts,
+        checksums: Object.fromEntries(Object.entries(files).map(([file, content]) => [file, sha256(content)]))
+      };
+
+      const name = `${prefix}-${manifest.created_at.replace(/[:.]/g, '-')}.tar.gz`;
+      const filePath = path.join(dir, name);
+
+      // Password hashes and TOTP secrets are inside: owner-only permissions
+      const output = createWriteStream(filePath, { mode: 0o600 });
+      const archive = archiver('tar', { gzip: true });
+      archive.append(JSON.stringify(manifest, null, 2), { name: 'manifest.json' });
+      for (const [file, content] of Object.entries(files)) {
+        archive.append(content, { name: file });
+      }
+
+      await Promise.all([pipeline(archive, output), archive.finalize()]);
+
+      const stats = await fs.stat(filePath);
+      return { name, path: filePath, size: stats.size, manifest };
+    } catch (error) {
+      console.error('Error creating platform backup:', error);
+      throw error;
+    }
+  }
+
+  // Only manifest.json and data/*.json are extracted; anything else in the
+  // archive is ignored
+  static async extract(archivePath) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ncf-restore-'));
+
+    try {
+      await pipeline(
+        createReadStream(archivePath),
+        zlib.createGunzip(),
+        tar.extract(dir, {
+          ignore: (name, header) => {
+            const relative = path.relative(dir, name).split(path.sep).join('/');
+            return header?.type !== 'file' || !/^(manifest|data\/\w+)\.json$/.test(relative);
+          }
+        })
+      );
+
+      const manifest = JSON.parse(await fs.readFile(path.join(dir, 'manifest.json'), 'utf8'));
+      const files = {};
+
+      for (const file of Object.keys(manifest.checksums || {})) {
+        if (!/^data\/\w+\.json$/.test(file)) continue;
+        files[file] = await fs.readFile(path.join(dir, file), 'utf8').catch(() => null);
+      }
+
+      return { manifest, files };
+    } catch (error) {
+      if (error instanceof SyntaxError || ['ENOENT', 'Z_DATA_ERROR', 'Z_BUF_ERROR'].includes(error.code) || /tar header/i.test(error.message)) {
+        throw new BackupError('Archive is not a platform backup or is corrupted', 'INVALID_BACKUP_ARCHIVE');
+      }
+      throw error;
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  }
+
+  // Check the archive against this installation without changing anything.
+  // Returns the rows to restore per table plus any problems found.
+  static async inspect(archivePath, sections) {
+    const { manifest, files } = await this.extract(archivePath);
+    const errors = [];
+
+    if (manifest.format !== FORMAT) {
+      throw new BackupError('Archive is not a platform backup', 'INVALID_BACKUP_ARCHIVE');
+    }
+    if (manifest.format_version > FORMAT_VERSION) {
+      errors.push(`Backup format ${manifest.format_version} is newer than supported (${FORMAT_VERSION})`);
+    }
+
+    const currentSchema = await this.schemaVersion();
+    if (manifest.schema_version > currentSchema) {
+      errors.push(`Backup schema version ${manifest.schema_version} is newer than this database (${currentSchema}); upgrade first`);
+    }
+
+    const selected = sections ? this.parseSections(sections) : manifest.sections || [];
+    const missing = selected.filter(section => !(manifest.sections || []).includes(section));
+    if (missing.length > 0) {
+      errors.push(`Sections not in backup: ${missing.join(', ')}`);
+    }
+
+    const tables = {};
+    for (const section of selected.filter(section => !missing.includes(section))) {
+      for (const table of BACKUP_SECTIONS[section]) {
+        const file = `data/${table}.json`;
+        const content = files[file];
+
+        if (content == null) {
+          errors.push(`${file} is missing`);
+          continue;
+        }
+        if (sha256(content) !== manifest.checksums[file]) {
+          errors.push(`${file} checksum does not match`);
+          continue;
+        }
+
+        const rows = JSON.parse(content);
+        if (!Array.isArray(rows) || rows.some(row => !row || typeof row !== 'object' || Array.isArray(row))) {
+          errors.push(`${file} does not contain table rows`);
+          continue;
+        }
+
+        const columns = await database.adapter.listColumns(table);
+        const unknown = [...new Set(rows.flatMap(Object.keys))].filter(column => !columns.includes(column));
+        if (unknown.length > 0) {
+          errors.push(`${table} has columns this database does not know: ${unknown.join(', ')}`);
+          continue;
+        }
+
+        tables[table] = rows;
+      }
+    }
+
+    return {
+      manifest: {
+        created_at: manifest.created_at,
+        created_by: manifest.created_by,
+        database_type: manifest.database_type,
+        schema_version: manifest.schema_version,
+        sections: manifest.sections,
+        tables: manifest.tables
+      },
+      sections: selected,
+      tables,
+      valid: errors.length === 0,
+      errors
+    };
+  }
+
+  static async insertRows(table, rows, db = database) {
+    for (let i = 0; i < rows.length; i += INSERT_BATCH) {
+      const batch = rows.slice(i, i + INSERT_BATCH);
+      const columns = [...new Set(batch.flatMap(Object.keys))];
+      const placeholders = `(${columns.map(() => '?').join(', ')})`;
+
+      await db.run(
+        `INSERT INTO ${table} (${columns.join(', ')}) VALUES ${batch.map(() => placeholders).join(', ')}`,
+        batch.flatMap(row => columns.map(column => row[column]))
+      );
+    }
+
+    // Explicit ids do not advance PostgreSQL sequences
+    if (typeof rows[0]?.id === 'number') {
+      await db.resetSequence(table);
+    }
+  }
+
+  // Replace the selected sections with the archive's contents. The current
+  // state of those sections is saved as a pre-restore backup first.
+  static async restore(archivePath, { sections, relink = true, dryRun = false, restoredBy = null } = {}) {
+    try {
+      const inspection = await this.inspect(archivePath, sections);
+      const summary = {
+        manifest: inspection.manifest,
+        sections: inspection.sections,
+        tables: Object.fromEntries(Object.entries(inspection.tables).map(([table, rows]) => [table, rows.length])),
+        valid: inspection.valid,
+        errors: inspection.errors,
+        dry_run: dryRun
+      };
+
+      // Nothing is changed unless the whole archive checks out
+      if (!inspection.valid || dryRun) {
+        return summary;
+      }
+
+      const safety = await this.create({ sections: inspection.sections, createdBy: restoredBy, prefix: 'pre-restore' });
+      summary.pre_restore_backup = safety.name;
+
+      const previousUsers = inspection.tables.users
+        ? await database.all('SELECT id, username FROM users')
+        : [];
+
+      // Children first when deleting, parents first when inserting. A failed
+      // insert rolls everything back, so the live data is never half replaced.
+      const tables = inspection.sections.flatMap(section => BACKUP_SECTIONS[section]);
+      await database.transaction(async (db) => {
+        for (const table of [...tables].reverse()) {
+          await db.run(`DELETE FROM ${table}`);
+        }
+        for (const table of tables) {
+          await this.insertRows(table, inspection.tables[table], db);
+        }
+      });
+
+      if (inspection.tables.users) {
+        summary.sessions_revoked = await this.revokeReassignedUsers(previousUsers, inspection.tables.users);
+      }
+
+      if (inspection.tables.containers && relink) {
+        summary.relink = await DockerService.relinkContainers(inspection.tables.containers.map(row => row.id));
+      }
+
+      return summary;
+    } catch (error) {
+      console.error('Error restoring platform backup:', error);
+      throw error;
+    }
+  }
+
+  // A restored user id may now belong to someone else: end the sessions and
+  // API tokens issued for ids whose username changed or disappeared
+  static async revokeReassignedUsers(previousUsers, restoredUsers) {
+    const restored = new Map(restoredUsers.map(user => [user.id, user.username]));
+    const reassigned = previousUsers.filter(user => restored.get(user.id) !== user.username);
+
+    for (const user of reassigned) {
+      await LoginSession.revokeAllForUser(user.id, 'restore');
+      await database.run('DELETE FROM api_tokens WHERE user_id = ?', [user.id]);
+    }
+
+    return reassigned.length;
+  }
+}
+
+export default BackupService;
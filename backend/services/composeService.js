@@ -0,0 +1,271 @@
+import path from 'path';
+import yaml from 'js-yaml';
+
+const NAME_PATTERN = /^[a-zA-Z0-9_-]+$/;
+
+export class ComposeError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ComposeError';
+    this.statusCode = 400;
+    this.code = 'INVALID_COMPOSE_FILE';
+  }
+}
+
+export class ComposeService {
+  // Parse a docker-compose.yml document into a normalized deployment plan
+  static parse(content, stackName) {
+    let document;
+    try {
+      document = yaml.load(content);
+    } catch (error) {
+      throw new ComposeError(`Invalid YAML: ${error.message}`);
+    }
+
+    if (!document || typeof document !== 'object' || !document.services || typeof document.services !== 'object') {
+      throw new ComposeError('Compose file must define a "services" section');
+    }
+
+    const basePath = path.posix.join('/home/containers', stackName);
+
+    const networks = this.parseTopLevelResources(document.networks, stackName);
+    const volumes = this.parseTopLevelResources(document.volumes, stackName);
+
+    // Compose puts services without explicit networks on a project default network
+    const defaultNetwork = { key: 'default', name: `${stackName}_default`, external: false };
+
+    const services = Object.entries(document.services).map(([serviceName, definition]) =>
+      this.parseService(serviceName, definition || {}, { stackName, basePath, networks, volumes, defaultNetwork })
+    );
+
+    const usesDefaultNetwork = services.some(service => service.networks.some(n => n.key === 'default'));
+    if (usesDefaultNetwork && !networks.find(n => n.key === 'default')) {
+      networks.push(defaultNetwork);
+    }
+
+    return {
+      services: this.orderServices(services),
+      networks,
+      volumes
+    };
+  }
+
+  static parseTopLevelResources(section, stackName) {
+    if (!section) return [];
+
+    return Object.entries(section).map(([key, definition]) => {
+      const config = definition || {};
+      const external = config.external === true || (config.external && typeof config.external === 'object');
+
+      return {
+        key,
+        name: config.name || (external ? key : `${stackName}_${key}`),
+        external: !!external,
+        driver: config.driver
+      };
+    });
+  }
+
+  static parseService(serviceName, definition, context) {
+    const { stackName, basePath, networks, volumes, defaultNetwork } = context;
+
+    if (!NAME_PATTERN.test(serviceName)) {
+      throw new ComposeError(`Service name "${serviceName}" can only contain letters, numbers, underscores, and hyphens`);
+    }
+
+    if (definition.build) {
+      throw new ComposeError(`Service "${serviceName}" uses "build", which is not supported; use a prebuilt image`);
+    }
+
+    if (!definition.image) {
+      throw new ComposeError(`Service "${serviceName}" must specify an image`);
+    }
+
+    const containerName = definition.container_name || `${stackName}_${serviceName}`;
+    if (!NAME_PATTERN.test(containerName)) {
+      throw new ComposeError(`Container name "${containerName}" can only contain letters, numbers, underscores, and hyphens`);
+    }
+
+    const limits = definition.deploy?.resources?.limits || {};
+
+    return {
+      service: serviceName,
+      name: containerName,
+      image: definition.image,
+      command: this.parseCommand(definition.command),
+      workingDir: definition.working_dir,
+      environment: this.parseEnvironment(definition.environment),
+      ports: this.parsePorts(serviceName, definition.ports),
+      volumes: this.parseVolumes(serviceName, definition.volumes, { basePath, volumes }),
+      networks: this.parseServiceNetworks(serviceName, definition.networks, networks, defaultNetwork),
+      dependsOn: this.parseDependsOn(definition.depends_on),
+      memory: this.normalizeMemory(definition.mem_limit || limits.memory),
+      cpu: definition.cpus || limits.cpus ? String(definition.cpus || limits.cpus) : undefined,
+      restartPolicy: this.parseRestartPolicy(definition.restart),
+      labels: definition.labels && !Array.isArray(definition.labels) ? definition.labels : {}
+    };
+  }
+
+  static parseCommand(command) {
+    if (!command) return undefined;
+    if (Array.isArray(command)) return command.map(String);
+    return ['sh', '-c', String(command)];
+  }
+
+  static parseEnvironment(environment) {
+    if (!environment) return [];
+
+    if (Array.isArray(environment)) {
+      return environment.map(String);
+    }
+
+    return Object.entries(environment).map(([key, value]) => `${key}=${value === null || value === undefined ? '' : value}`);
+  }
+
+  // Returns { containerPort: hostPort }, the format dockerManager.createContainer expects
+  static parsePorts(serviceName, ports) {
+    const mappings = {};
+    if (!ports) return mappings;
+
+    for (const port of ports) {
+      if (typeof port === 'object') {
+        if (port.target) {
+          mappings[String(port.target)] = port.published ? String(port.published) : '';
+        }
+        continue;
+      }
+
+      const spec = String(port).replace(/\/(tcp|udp)$/, '');
+      const parts = spec.split(':');
+
+      if (parts.length === 1) {
+        // Container-only port: Docker publishes it on a random host port
+        mappings[parts[0]] = '';
+      } else if (parts.length === 2 || parts.length === 3) {
+        const containerPort = parts[parts.length - 1];
+        const hostPort = parts[parts.length - 2];
+        mappings[containerPort] = hostPort;
+      } else {
+        throw new ComposeError(`Service "${serviceName}" has an invalid port mapping: ${port}`);
+      }
+    }
+
+    return mappings;
+  }
+
+  static parseVolumes(serviceName, serviceVolumes, context) {
+    const { basePath, volumes } = context;
+    if (!serviceVolumes) return [];
+
+    return serviceVolumes.map(entry => {
+      let source;
+      let target;
+      let mode;
+
+      if (typeof entry === 'object') {
+        source = entry.source;
+        target = entry.target;
+        mode = entry.read_only ? 'ro' : null;
+      } else {
+        [source, target, mode] = String(entry).split(':');
+      }
+
+      if (!target) {
+        throw new ComposeError(`Service "${serviceName}" has an anonymous volume "${source}"; please name it`);
+      }
+
+      let hostSource;
+      if (source.startsWith('.') || source.startsWith('/') || source.startsWith('~')) {
+        // Relative bind mounts resolve against the stack folder
+        hostSource = source.startsWith('/') ? source : path.posix.join(basePath, source.replace(/^~\//, ''));
+      } else {
+        const volume = volumes.find(v => v.key === source);
+        if (!volume) {
+          throw new ComposeError(`Service "${serviceName}" uses undefined volume "${source}"`);
+        }
+        hostSource = volume.name;
+      }
+
+      return mode ? `${hostSource}:${target}:${mode}` : `${hostSource}:${target}`;
+    });
+  }
+
+  static parseServiceNetworks(serviceName, serviceNetworks, networks, defaultNetwork) {
+    if (!serviceNetworks) {
+      return [{ ...defaultNetwork, aliases: [serviceName] }];
+    }
+
+    const entries = Array.isArray(serviceNetworks)
+      ? serviceNetworks.map(key => [key, {}])
+      : Object.entries(serviceNetworks);
+
+    return entries.map(([key, config]) => {
+      const network = key === 'default'
+        ? networks.find(n => n.key === 'default') || defaultNetwork
+        : networks.find(n => n.key === key);
+
+      if (!network) {
+        throw new ComposeError(`Service "${serviceName}" uses undefined network "${key}"`);
+      }
+
+      return {
+        ...network,
+        aliases: [serviceName, ...((config && config.aliases) || [])]
+      };
+    });
+  }
+
+  static parseDependsOn(dependsOn) {
+    if (!dependsOn) return [];
+    return Array.isArray(dependsOn) ? dependsOn : Object.keys(dependsOn);
+  }
+
+  static parseRestartPolicy(restart) {
+    if (!restart) return undefined;
+    // "on-failure:3" carries a retry count Docker's RestartPolicy.Name does not accept
+    return String(restart).split(':')[0];
+  }
+
+  static normalizeMemory(memory) {
+    if (!memory) return undefined;
+    return String(memory).toLowerCase().replace(/b$/, '').replace(/i$/, '');
+  }
+
+  // Topologically sort services so dependencies start first
+  static orderServices(services) {
+    const byName = new Map(services.map(service => [service.service, service]));
+    const ordered = [];
+    const visiting = new Set();
+    const visited = new Set();
+
+    const visit = (service, trail) => {
+      if (visited.has(service.service)) return;
+
+      if (visiting.has(service.service)) {
+        throw new ComposeError(`Circular dependency detected: ${[...trail, service.service].join(' -> ')}`);
+      }
+
+      visiting.add(service.service);
+
+      for (const dependency of service.dependsOn) {
+        const target = byName.get(dependency);
+        if (!target) {
+          throw new ComposeError(`Service "${service.service}" depends on undefined service "${dependency}"`);
+        }
+        visit(target, [...trail, service.service]);
+      }
+
+      visiting.delete(service.service);
+      visited.add(service.service);
+      ordered.push(service);
+    };
+
+    for (const service of services) {
+      visit(service, []);
+    }
+
+    return ordered.map((service, index) => ({ ...service, order: index }));
+  }
+}
+
+export default ComposeService;
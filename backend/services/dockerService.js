@@ -1,5 +1,6 @@
 import { dockerManager } from '../config/docker.js';
 import { Container } from '../models/Container.js';
+import { WebhookService } from './webhookService.js';
 
 export class DockerService {
   static async syncContainers() {
@@ -90,6 +91,65 @@ export class DockerService {
     }
   }
 
+  // After a platform restore the stored Docker IDs may belong to another host
+  // or be stale. Match each container to Docker by our container-id label,
+  // then by Docker ID, then by name; unmatched containers are unlinked.
+  static async relinkContainers(containerIds) {
+    try {
+      if (!dockerManager.isConnected) {
+        return { skipped: true, reason: 'Docker not connected' };
+      }
+
+      const dockerContainers = await dockerManager.listContainers(true);
+      const result = { linked: 0, relinked: 0, unlinked: 0, skipped: false };
+      const updates = [];
+
+      for (const id of containerIds) {
+        const container = await Container.findById(id);
+        if (!container) continue;
+
+        const dockerContainer =
+          dockerContainers.find(dc => dc.labels['nexus-crate-flow.container-id'] === container.id) ||
+          dockerContainers.find(dc => container.docker_id && dc.dockerId === container.docker_id) ||
+          dockerContainers.find(dc => dc.name === container.name);
+
+        updates.push({ container, dockerContainer });
+      }
+
+      // Clear changed links first so two containers never hold the same Docker ID
+      for (const { container, dockerContainer } of updates) {
+        if (container.docker_id && container.docker_id !== dockerContainer?.dockerId) {
+          await container.updateDockerId(null);
+        }
+      }
+
+      for (const { container, dockerContainer } of updates) {
+        if (!dockerContainer) {
+          await container.updateStatus('stopped');
+          await container.addLog('Restored from backup; no matching Docker container found', 'warning');
+          result.unlinked++;
+          continue;
+        }
+
+        if (container.docker_id !== dockerContainer.dockerId) {
+          await container.updateDockerId(dockerContainer.dockerId);
+          await container.addLog(`Restored from backup; linked to Docker container ${dockerContainer.id}`, 'info');
+          result.relinked++;
+        } else {
+          result.linked++;
+        }
+
+        await container.updateStatus(dockerContainer.status);
+      }
+
+      return result;
+
+    } catch (error) {
+      console.error('❌ Error relinking containers:', error);
+      throw error;
+    }
+  }
+
   static async createAndStartContainer(containerData, userId) {
     try {
       console.log(`🚀 Creating container: ${containerData.name}`);
@@ -114,12 +174,14 @@ export class DockerService {
       await container.updateDockerId(dockerContainer.dockerId);
       await container.updateStatus('created');
       await container.addLog(`Container created with image ${containerData.image}`, 'info');
+      WebhookService.dispatch('container.created', container);
 
       // Start container if requested
       if (containerData.autoStart) {
         await dockerManager.startContainer(dockerContainer.dockerId);
         await container.updateStatus('running');
         await container.addLog('Container started automatically', 'info');
+        WebhookService.dispatch('container.started', container);
       }
 
       console.log(`✅ Container created successfully: ${container.name} (${container.id})`);
@@ -236,6 +298,7 @@ export class DockerService {
           cpu_percent: stats.cpu,
           memory: stats.memory,
           network: stats.network,
+          block_io: stats.blockIO,
           timestamp: stats.timestamp
         },
         uptime: dockerInfo.running ? new Date() - new Date(dockerInfo.created) : 0
@@ -296,6 +359,7 @@ export class DockerService {
       await dockerManager.restartContainer(container.docker_id, timeout);
       await container.updateStatus('running');
       await container.addLog('Container restarted successfully', 'info');
+      WebhookService.dispatch('container.restarted', container);
 
       // Execute startup script if configured
       if (container.startup_script) {
@@ -314,6 +378,7 @@ export class DockerService {
       const container = await Container.findById(containerId);
       if (container) {
         await container.addLog(`Container restart failed: ${error.message}`, 'error');
+        WebhookService.dispatch('container.restart_failed', container, { error: error.message });
       }
       console.error('❌ Error restarting container:', error);
       throw error;
@@ -334,6 +399,7 @@ export class DockerService {
               // Container should be running but isn't
               await container.updateStatus('stopped');
               await container.addLog('Container health check: status updated to stopped', 'warning');
+              WebhookService.dispatch('container.stopped', container, { reason: 'health_check', docker_status: dockerInfo.status });
               
               // Auto-restart if enabled
               const settings = await container.getSettings();
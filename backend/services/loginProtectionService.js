@@ -0,0 +1,259 @@
+import { toTimestamp } from '../config/database.js';
+import { LoginAttempt } from '../models/LoginAttempt.js';
+import { AuditService } from './auditService.js';
+import { AlertChannels } from './alertChannels.js';
+import logger from '../utils/logger.js';
+
+const parseTimestamp = (value) => (value ? new Date(`${value.replace(' ', 'T')}Z`) : null);
+
+const MAX_DELAY_SECONDS = 30;
+
+const ALERT_TITLES = {
+  account_locked: 'Account locked after repeated failed logins',
+  password_spraying: 'Failed logins for many accounts from one IP',
+  login_after_lockout: 'Successful login on an account that was locked'
+};
+
+// Per-account brute-force protection. Counters are kept per username, whether or
+// not the account exists, so responses never reveal which usernames are real.
+// After the first failure every further attempt has to wait a little longer
+// (1s, 2s, 4s, ... up to 30s); reaching the limit locks the username, and each
+// repeated lockout lasts twice as long as the previous one.
+export class LoginProtectionService {
+  static wsService = null;
+  static sprayAlerts = new Map(); // IP -> time of the last spraying alert
+
+  static initialize(wsService) {
+    this.wsService = wsService;
+    console.log('🛡️ Login protection initialized');
+  }
+
+  static getConfig() {
+    return {
+      maxAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5,
+      lockoutMinutes: parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15,
+      maxLockoutMinutes: parseInt(process.env.LOGIN_MAX_LOCKOUT_MINUTES) || 24 * 60,
+      failureWindowMinutes: parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES) || 15,
+      sprayThreshold: parseInt(process.env.LOGIN_SPRAY_THRESHOLD) || 10,
+      retentionDays: parseInt(process.env.LOGIN_ATTEMPT_RETENTION_DAYS) || 30
+    };
+  }
+
+  static delaySeconds(failedCount) {
+    return failedCount < 2 ? 0 : Math.min(2 ** (failedCount - 2), MAX_DELAY_SECONDS);
+  }
+
+  static lockoutMinutes(previousLockouts) {
+    const { lockoutMinutes, maxLockoutMinutes } = this.getConfig();
+    return Math.min(lockoutMinutes * 2 ** previousLockouts, maxLockoutMinutes);
+  }
+
+  static async recordAttempt(username, req, { userId = null, success = false, reason = null } = {}) {
+    await LoginAttempt.record({
+      username,
+      user_id: userId,
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent'),
+      success,
+      reason
+    });
+
+    await logger.logAuth(
+      success ? 'login' : 'login_failed',
+      username,
+      success,
+      req.ip,
+      reason ? { message: reason } : null
+    );
+  }
+
+  // Returns { allowed: true }, or the error code and wait time for a blocked username
+  static async check(username, req) {
+    const throttle = await LoginAttempt.getThrottle(username);
+    const now = Date.now();
+
+    const lockedUntil = parseTimestamp(throttle?.locked_until);
+    const nextAttemptAt = parseTimestamp(throttle?.next_attempt_at);
+
+    let blocked = null;
+    if (lockedUntil && lockedUntil > now) {
+      blocked = { code: 'ACCOUNT_LOCKED', reason: 'locked', until: lockedUntil };
+    } else if (nextAttemptAt && nextAttemptAt > now) {
+      blocked = { code: 'LOGIN_THROTTLED', reason: 'throttled', until: nextAttemptAt };
+    }
+
+    if (!blocked) {
+      return { allowed: true };
+    }
+
+    await this.recordAttempt(username, req, { reason: blocked.reason });
+
+    return {
+      allowed: false,
+      code: blocked.code,
+      retry_after: Math.ceil((blocked.until - now) / 1000),
+      ...(blocked.code === 'ACCOUNT_LOCKED' && { locked_until: toTimestamp(blocked.until) })
+    };
+  }
+
+  static async recordFailure(username, req, { userId = null, reason = 'invalid_credentials' } = {}) {
+    const config = this.getConfig();
+    const now = new Date();
+    const throttle = await LoginAttempt.getThrottle(username) || {};
+
+    // Failures older than the window no longer count towards a lockout
+    const lastFailedAt = parseTimestamp(throttle.last_failed_at);
+    const recent = lastFailedAt && now - lastFailedAt < config.failureWindowMinutes * 60 * 1000;
+
+    let failedCount = (recent ? throttle.failed_count : 0) + 1;
+    let lockoutCount = throttle.lockout_count || 0;
+    let lockedUntil = null;
+    let nextAttemptAt = null;
+
+    if (failedCount >= config.maxAttempts) {
+      lockedUntil = new Date(now.getTime() + this.lockoutMinutes(lockoutCount) * 60 * 1000);
+      lockoutCount++;
+      failedCount = 0;
+    } else if (this.delaySeconds(failedCount) > 0) {
+      nextAttemptAt = new Date(now.getTime() + this.delaySeconds(failedCount) * 1000);
+    }
+
+    await LoginAttempt.saveThrottle(username, {
+      failed_count: failedCount,
+      lockout_count: lockoutCount,
+      last_failed_at: toTimestamp(now),
+      next_attempt_at: nextAttemptAt ? toTimestamp(nextAttemptAt) : null,
+      locked_until: lockedUntil ? toTimestamp(lockedUntil) : null
+    });
+
+    await this.recordAttempt(username, req, { userId, reason });
+
+    if (lockedUntil) {
+      await logger.logAuth('account_locked', username, false, req.ip, { message: `locked until ${toTimestamp(lockedUntil)}` });
+      await this.raiseAlert('account_locked', {
+        username,
+        user_id: userId,
+        ip_address: req.ip,
+        message: `Account "${username}" locked until ${toTimestamp(lockedUntil)} UTC after ${config.maxAttempts} failed logins`,
+        details: { locked_until: toTimestamp(lockedUntil), lockout_count: lockoutCount }
+      });
+    }
+
+    await this.detectSpraying(req);
+  }
+
+  static async recordSuccess(user, req) {
+    const throttle = await LoginAttempt.getThrottle(user.username);
+
+    await this.recordAttempt(user.username, req, { userId: user.id, success: true });
+
+    if (!throttle) return;
+
+    if (throttle.lockout_count > 0) {
+      await this.raiseAlert('login_after_lockout', {
+        username: user.username,
+        user_id: user.id,
+        ip_address: req.ip,
+        message: `"${user.username}" logged in after ${throttle.lockout_count} lockout(s); verify this was the account owner`,
+        details: { lockout_count: throttle.lockout_count }
+      });
+    }
+
+    await LoginAttempt.clearThrottle(user.username);
+  }
+
+  static async unlock(username, admin) {
+    const cleared = await LoginAttempt.clearThrottle(username);
+
+    if (cleared) {
+      await logger.logAuth('account_unlocked', username, true, null, { message: `unlocked by ${admin.username}` });
+    }
+
+    return cleared;
+  }
+
+  // One IP failing for many different usernames is password spraying
+  static async detectSpraying(req) {
+    const { sprayThreshold, failureWindowMinutes } = this.getConfig();
+    const windowMs = failureWindowMinutes * 60 * 1000;
+
+    const lastAlert = this.sprayAlerts.get(req.ip);
+    if (lastAlert && Date.now() - lastAlert < windowMs) return;
+
+    const since = toTimestamp(new Date(Date.now() - windowMs));
+    const usernames = await LoginAttempt.countFailedUsernamesFromIp(req.ip, since);
+    if (usernames < sprayThreshold) return;
+
+    this.sprayAlerts.set(req.ip, Date.now());
+    await this.raiseAlert('password_spraying', {
+      ip_address: req.ip,
+      message: `${usernames} different usernames failed to log in from ${req.ip} in the last ${failureWindowMinutes} minutes`,
+      details: { usernames, window_minutes: failureWindowMinutes }
+    });
+  }
+
+  // Security alerts go to the auth log, the audit log, admins in the app and
+  // SECURITY_ALERT_WEBHOOK_URL when set. Delivery problems never fail a login.
+  static async raiseAlert(type, { username = null, user_id = null, ip_address = null, message, details = {} }) {
+    const alert = {
+      type,
+      title: ALERT_TITLES[type],
+      severity: 'warning',
+      message,
+      username,
+      ip_address,
+      details,
+      fired_at: new Date().toISOString()
+    };
+
+    try {
+      await logger.logAuth('suspicious_activity', username || '-', false, ip_address, { message });
+
+      await AuditService.record({
+        actor_username: username,
+        ip_address,
+        action: `security.${type}`,
+        target_type: 'user',
+        target_id: user_id,
+        method: 'POST',
+        path: '/api/auth/login',
+        after: { message, ...details },
+        result: 'failure'
+      });
+
+      this.wsService?.sendAlert(null, {
+        type: 'security_alert',
+        title: alert.title,
+        alert,
+        timestamp: alert.fired_at
+      });
+
+      if (process.env.SECURITY_ALERT_WEBHOOK_URL) {
+        await AlertChannels.deliver(
+          { type: 'webhook', url: process.env.SECURITY_ALERT_WEBHOOK_URL },
+          { event: 'security.alert', alert }
+        );
+      }
+    } catch (error) {
+      console.error(`❌ Security alert delivery failed (${type}):`, error.message);
+    }
+  }
+
+  static async cleanup() {
+    const deleted = await LoginAttempt.deleteOlderThan(this.getConfig().retentionDays);
+
+    if (deleted > 0) {
+      console.log(`🧹 Removed ${deleted} old login attempts`);
+    }
+
+    for (const [ip, alertedAt] of this.sprayAlerts) {
+      if (Date.now() - alertedAt > 24 * 60 * 60 * 1000) {
+        this.sprayAlerts.delete(ip);
+      }
+    }
+
+    return deleted;
+  }
+}
+
+export default LoginProtectionService;
@@ -0,0 +1,216 @@
+import { database, timestampAgo, toTimestamp } from '../config/database.js';
+import { dockerManager } from '../config/docker.js';
+
+const DURATION_UNITS = { s: 1, m: 60, h: 3600, d: 86400 };
+
+// Charts look best with roughly this many points regardless of range
+const TARGET_POINTS = 120;
+
+export class MetricsService {
+  constructor() {
+    this.intervalSeconds = parseInt(process.env.METRICS_INTERVAL_SECONDS) || 30;
+    this.rawRetentionHours = parseInt(process.env.METRICS_RAW_RETENTION_HOURS) || 24;
+    this.downsampleSeconds = parseInt(process.env.METRICS_DOWNSAMPLE_SECONDS) || 300;
+    this.retentionDays = parseInt(process.env.METRICS_RETENTION_DAYS) || 30;
+    this.timer = null;
+    this.isSampling = false;
+  }
+
+  static async initialize() {
+    const instance = new MetricsService();
+    instance.start();
+    return instance;
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.sampleAll().catch(error => console.error('Metrics sampling failed:', error));
+    }, this.intervalSeconds * 1000);
+
+    // Don't keep the process alive just for sampling
+    this.timer.unref();
+
+    console.log(`📈 Metrics sampler started (every ${this.intervalSeconds}s)`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Record one raw sample for every running container
+  async sampleAll() {
+    if (this.isSampling || !dockerManager.isConnected) return 0;
+    this.isSampling = true;
+
+    try {
+      const containers = await database.all(
+        "SELECT id, docker_id FROM containers WHERE status = 'running' AND docker_id IS NOT NULL"
+      );
+
+      let sampled = 0;
+
+      for (const container of containers) {
+        try {
+          const stats = await dockerManager.getContainerStats(container.docker_id);
+          await MetricsService.record(container.id, stats);
+          sampled++;
+        } catch (error) {
+          // Container may have stopped between the query and the stats call
+          console.warn(`Failed to sample metrics for ${container.id}:`, error.message);
+        }
+      }
+
+      return sampled;
+    } finally {
+      this.isSampling = false;
+    }
+  }
+
+  static async record(containerId, stats) {
+    await database.run(
+      `INSERT INTO container_metrics (
+        container_id, cpu_percent, memory_usage, memory_limit, memory_percent,
+        network_rx, network_tx, block_read, block_write, resolution, sampled_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 0, ?)`,
+      [
+        containerId,
+        stats.cpu || 0,
+        stats.memory?.usage || 0,
+        stats.memory?.limit || 0,
+        stats.memory?.percent || 0,
+        stats.network?.rxBytes || 0,
+        stats.network?.txBytes || 0,
+        stats.blockIO?.readBytes || 0,
+        stats.blockIO?.writeBytes || 0,
+        toTimestamp()
+      ]
+    );
+  }
+
+  // Collapse raw samples older than the raw retention window into fixed buckets
+  async downsample() {
+    try {
+      const bucket = this.downsampleSeconds;
+      const now = Math.floor(Date.now() / 1000);
+      // Align the cutoff to a bucket boundary so no bucket is split across runs
+      const cutoff = Math.floor((now - this.rawRetentionHours * 3600) / bucket) * bucket;
+      const sampledAt = database.epoch('sampled_at');
+      // The bucket size is an integer from the config, inlined so grouping works on every database
+      const bucketIndex = database.intDiv(sampledAt, bucket);
+
+      await database.run(
+        `INSERT INTO container_metrics (
+          container_id, cpu_percent, memory_usage, memory_limit, memory_percent,
+          network_rx, network_tx, block_read, block_write, resolution, sampled_at
+        )
+        SELECT
+          container_id, AVG(cpu_percent), ROUND(AVG(memory_usage)), MAX(memory_limit),
+          AVG(memory_percent), MAX(network_rx), MAX(network_tx), MAX(block_read), MAX(block_write),
+          ?, ${database.fromEpoch(`${bucketIndex} * ${bucket}`)}
+        FROM container_metrics
+        WHERE resolution = 0 AND ${sampledAt} < ?
+        GROUP BY container_id, ${bucketIndex}`,
+        [bucket, cutoff]
+      );
+
+      const result = await database.run(
+        `DELETE FROM container_metrics WHERE resolution = 0 AND ${sampledAt} < ?`,
+        [cutoff]
+      );
+
+      console.log(`📉 Downsampled ${result.changes} raw metric samples`);
+      return result.changes;
+    } catch (error) {
+      console.error('Error downsampling metrics:', error);
+      throw error;
+    }
+  }
+
+  async cleanupOldMetrics() {
+    try {
+      const result = await database.run(
+        'DELETE FROM container_metrics WHERE sampled_at < ?',
+        [timestampAgo(this.retentionDays * 24 * 60 * 60)]
+      );
+
+      console.log(`🧹 Cleaned up ${result.changes} old metric samples`);
+      return result.changes;
+    } catch (error) {
+      console.error('Error cleaning up old metrics:', error);
+      throw error;
+    }
+  }
+
+  // Parse "90", "15m", "6h", "7d" into seconds
+  static parseDuration(value, fallback) {
+    if (value === undefined || value === null || value === '') return fallback;
+
+    const match = String(value).trim().match(/^(\d+)([smhd]?)$/);
+    if (!match) return null;
+
+    return parseInt(match[1]) * DURATION_UNITS[match[2] || 's'];
+  }
+
+  // Aggregate samples into step-sized buckets and derive per-second IO rates
+  static async query(containerId, options = {}) {
+    try {
+      const { range = 3600, step = null } = options;
+      const bucket = parseInt(step || Math.max(Math.ceil(range / TARGET_POINTS), 1));
+      const since = Math.floor(Date.now() / 1000) - range;
+      const sampledAt = database.epoch('sampled_at');
+
+      const rows = await database.all(
+        `SELECT
+          ${database.intDiv(sampledAt, bucket)} * ${bucket} AS bucket,
+          AVG(cpu_percent) AS cpu_percent,
+          AVG(memory_usage) AS memory_usage,
+          MAX(memory_limit) AS memory_limit,
+          AVG(memory_percent) AS memory_percent,
+          MAX(network_rx) AS network_rx,
+          MAX(network_tx) AS network_tx,
+          MAX(block_read) AS block_read,
+          MAX(block_write) AS block_write,
+          COUNT(*) AS samples
+        FROM container_metrics
+        WHERE container_id = ? AND ${sampledAt} >= ?
+        GROUP BY bucket
+        ORDER BY bucket ASC`,
+        [containerId, since]
+      );
+
+      // Counters are cumulative and reset when the container restarts
+      const rate = (current, previous, seconds) =>
+        previous === undefined || current < previous ? 0 : (current - previous) / seconds;
+
+      const points = rows.map((row, index) => {
+        const previous = rows[index - 1];
+        const seconds = previous ? row.bucket - previous.bucket : bucket;
+
+        return {
+          timestamp: new Date(row.bucket * 1000).toISOString(),
+          cpu_percent: Number(row.cpu_percent.toFixed(2)),
+          memory_usage: Math.round(row.memory_usage),
+          memory_limit: row.memory_limit,
+          memory_percent: Number(row.memory_percent.toFixed(2)),
+          network_rx_rate: rate(row.network_rx, previous?.network_rx, seconds),
+          network_tx_rate: rate(row.network_tx, previous?.network_tx, seconds),
+          block_read_rate: rate(row.block_read, previous?.block_read, seconds),
+          block_write_rate: rate(row.block_write, previous?.block_write, seconds),
+          samples: row.samples
+        };
+      });
+
+      return { range, step: bucket, points };
+    } catch (error) {
+      console.error('Error querying container metrics:', error);
+      throw error;
+    }
+  }
+}
+
+export default MetricsService;
@@ -0,0 +1,361 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { User, USER_ROLES } from '../models/User.js';
+
+const DISCOVERY_TTL_MS = 60 * 60 * 1000;
+export const LOGIN_TTL_MS = 10 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = 10000;
+
+// Holds a hash of the pending login's state so only the browser that started
+// the login can finish it (an attacker cannot hand their callback URL to a victim)
+export const OIDC_STATE_COOKIE = 'oidc_state';
+
+const SIGNING_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+export class OidcError extends Error {
+  constructor(message, code, statusCode = 400) {
+    super(message);
+    this.name = 'OidcError';
+    this.statusCode = statusCode;
+    this.code = code;
+  }
+}
+
+// Generic OpenID Connect authorization code flow with PKCE. Pending logins
+// (state, nonce, code verifier) live in memory for ten minutes.
+export class OidcService {
+  static metadata = null;
+  static metadataFetchedAt = 0;
+  static jwks = null;
+  static pendingLogins = new Map();
+
+  static getConfig() {
+    const list = (value) => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+    return {
+      issuer: (process.env.OIDC_ISSUER || '').replace(/\/+$/, ''),
+      clientId: process.env.OIDC_CLIENT_ID,
+      clientSecret: process.env.OIDC_CLIENT_SECRET || null,
+      redirectUri: process.env.OIDC_REDIRECT_URI || `http://localhost:${process.env.PORT || 3001}/api/auth/oidc/callback`,
+      scopes: process.env.OIDC_SCOPES || 'openid profile email',
+      providerName: process.env.OIDC_PROVIDER_NAME || 'SSO',
+      usernameClaim: process.env.OIDC_USERNAME_CLAIM || 'preferred_username',
+      roleClaim: process.env.OIDC_ROLE_CLAIM || 'groups',
+      adminValues: list(process.env.OIDC_ADMIN_VALUES),
+      defaultRole: USER_ROLES.includes(process.env.OIDC_DEFAULT_ROLE) ? process.env.OIDC_DEFAULT_ROLE : 'user',
+      autoProvision: process.env.OIDC_AUTO_PROVISION !== 'false',
+      linkByEmail: process.env.OIDC_LINK_BY_EMAIL === 'true',
+      postLoginRedirect: process.env.OIDC_POST_LOGIN_REDIRECT || 'http://localhost:5173/'
+    };
+  }
+
+  static isEnabled() {
+    const config = this.getConfig();
+    return !!(config.issuer && config.clientId);
+  }
+
+  static async fetchJson(url, options = {}) {
+    const response = await fetch(url, {
+      ...options,
+      headers: { Accept: 'application/json', ...options.headers },
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+
+    const body = await response.json().catch(() => null);
+
+    if (!response.ok) {
+      const detail = body?.error_description || body?.error || `HTTP ${response.status}`;
+      throw new OidcError(`Identity provider request failed: ${detail}`, 'OIDC_PROVIDER_ERROR', 502);
+    }
+
+    return body;
+  }
+
+  static async discover() {
+    if (this.metadata && Date.now() - this.metadataFetchedAt < DISCOVERY_TTL_MS) {
+      return this.metadata;
+    }
+
+    const { issuer } = this.getConfig();
+    const metadata = await this.fetchJson(`${issuer}/.well-known/openid-configuration`);
+
+    if (metadata.issuer?.replace(/\/+$/, '') !== issuer) {
+      throw new OidcError('Discovery document issuer does not match OIDC_ISSUER', 'OIDC_ISSUER_MISMATCH', 502);
+    }
+
+    this.metadata = metadata;
+    this.metadataFetchedAt = Date.now();
+    this.jwks = null;
+
+    return metadata;
+  }
+
+  // Keys are cached until a token names a kid we don't know, which usually means the IdP rotated them
+  static async getSigningKey(kid) {
+    const findKey = () => this.jwks?.keys?.find(key =>
+      (!kid || key.kid === kid) && (!key.use || key.use === 'sig')
+    );
+
+    let jwk = findKey();
+    if (!jwk) {
+      const metadata = await this.discover();
+      this.jwks = await this.fetchJson(metadata.jwks_uri);
+      jwk = findKey();
+    }
+
+    if (!jwk) {
+      throw new OidcError('No matching signing key found for ID token', 'OIDC_INVALID_TOKEN', 401);
+    }
+
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+  }
+
+  static base64Url(buffer) {
+    return buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  static cleanupPendingLogins() {
+    const now = Date.now();
+    for (const [state, login] of this.pendingLogins) {
+      if (now - login.createdAt > LOGIN_TTL_MS) {
+        this.pendingLogins.delete(state);
+      }
+    }
+  }
+
+  static stateHash(state) {
+    return this.base64Url(crypto.createHash('sha256').update(state).digest());
+  }
+
+  // Sent only to the callback, and along with the identity provider's redirect (Lax)
+  static stateCookieOptions() {
+    const redirectUri = new URL(this.getConfig().redirectUri);
+
+    return {
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: redirectUri.protocol === 'https:',
+      path: redirectUri.pathname
+    };
+  }
+
+  // The URL to send the browser to and the state to bind to that browser
+  static async createAuthorizationUrl() {
+    const config = this.getConfig();
+    const metadata = await this.discover();
+
+    const state = this.base64Url(crypto.randomBytes(24));
+    const nonce = this.base64Url(crypto.randomBytes(24));
+    const codeVerifier = this.base64Url(crypto.randomBytes(48));
+    const codeChallenge = this.base64Url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+    this.cleanupPendingLogins();
+    this.pendingLogins.set(state, { nonce, codeVerifier, createdAt: Date.now() });
+
+    const params = new URLSearchParams({
+      response_type: 'code',
+      client_id: config.clientId,
+      redirect_uri: config.redirectUri,
+      scope: config.scopes,
+      state,
+      nonce,
+      code_challenge: codeChallenge,
+      code_challenge_method: 'S256'
+    });
+
+    return { url: `${metadata.authorization_endpoint}?${params.toString()}`, state };
+  }
+
+  static async exchangeCode(code, codeVerifier) {
+    const config = this.getConfig();
+    const metadata = await this.discover();
+
+    const params = new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: config.redirectUri,
+      client_id: config.clientId,
+      code_verifier: codeVerifier
+    });
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+
+    // Confidential clients authenticate with basic auth unless the IdP only supports client_secret_post
+    if (config.clientSecret) {
+      const methods = metadata.token_endpoint_auth_methods_supported || ['client_secret_basic'];
+
+      if (methods.includes('client_secret_basic')) {
+        const credentials = `${encodeURIComponent(config.clientId)}:${encodeURIComponent(config.clientSecret)}`;
+        headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+      } else {
+        params.append('client_secret', config.clientSecret);
+      }
+    }
+
+    return await this.fetchJson(metadata.token_endpoint, {
+      method: 'POST',
+      headers,
+      body: params.toString()
+    });
+  }
+
+  static async verifyIdToken(idToken, nonce) {
+    const config = this.getConfig();
+    const decoded = jwt.decode(idToken, { complete: true });
+
+    if (!decoded) {
+      throw new OidcError('ID token is malformed', 'OIDC_INVALID_TOKEN', 401);
+    }
+
+    const { alg, kid } = decoded.header;
+    let key;
+    let algorithms;
+
+    if (alg?.startsWith('HS') && config.clientSecret) {
+      key = config.clientSecret;
+      algorithms = ['HS256', 'HS384', 'HS512'];
+    } else {
+      key = await this.getSigningKey(kid);
+      algorithms = SIGNING_ALGORITHMS;
+    }
+
+    let claims;
+    try {
+      claims = jwt.verify(idToken, key, {
+        algorithms,
+        audience: config.clientId,
+        issuer: [config.issuer, `${config.issuer}/`],
+        clockTolerance: 60
+      });
+    } catch (error) {
+      throw new OidcError(`ID token validation failed: ${error.message}`, 'OIDC_INVALID_TOKEN', 401);
+    }
+
+    if (claims.nonce !== nonce) {
+      throw new OidcError('ID token nonce does not match', 'OIDC_INVALID_TOKEN', 401);
+    }
+
+    return claims;
+  }
+
+  // Userinfo fills in claims some IdPs leave out of the ID token (often groups)
+  static async fetchUserInfo(accessToken, subject) {
+    const metadata = await this.discover();
+    if (!metadata.userinfo_endpoint || !accessToken) return {};
+
+    try {
+      const userInfo = await this.fetchJson(metadata.userinfo_endpoint, {
+        headers: { Authorization: `Bearer ${accessToken}` }
+      });
+
+      return userInfo?.sub === subject ? userInfo : {};
+    } catch (error) {
+      console.warn('OIDC userinfo request failed:', error.message);
+      return {};
+    }
+  }
+
+  // Read a claim by name or dotted path, e.g. realm_access.roles
+  static getClaim(claims, claimPath) {
+    return claimPath.split('.').reduce((value, key) => value?.[key], claims);
+  }
+
+  static mapRole(claims) {
+    const config = this.getConfig();
+    if (config.adminValues.length === 0) return config.defaultRole;
+
+    const value = this.getClaim(claims, config.roleClaim);
+    const values = Array.isArray(value) ? value : (value ? String(value).split(/[\s,]+/) : []);
+
+    return values.some(item => config.adminValues.includes(String(item))) ? 'admin' : config.defaultRole;
+  }
+
+  static async uniqueUsername(claims) {
+    const config = this.getConfig();
+    const candidate = this.getClaim(claims, config.usernameClaim) || claims.email?.split('@')[0] || claims.sub;
+    const base = String(candidate).replace(/[^a-zA-Z0-9_-]/g, '_').slice(0, 40).padEnd(3, '_');
+
+    let username = base;
+    for (let suffix = 2; await User.findByUsername(username); suffix++) {
+      username = `${base}-${suffix}`;
+    }
+
+    return username;
+  }
+
+  // Find the account for an IdP subject, linking or creating it when allowed.
+  // Roles follow the IdP on every login when admin values are configured.
+  static async provisionUser(claims) {
+    const config = this.getConfig();
+    const subject = `${config.issuer}|${claims.sub}`;
+    const role = this.mapRole(claims);
+
+    let user = await User.findByOidcSubject(subject);
+
+    if (!user && config.linkByEmail && claims.email && claims.email_verified) {
+      const existing = await User.findByEmail(claims.email);
+      if (existing) {
+        await User.linkOidcSubject(existing.id, subject);
+        user = await User.findById(existing.id);
+      }
+    }
+
+    if (!user) {
+      if (!config.autoProvision) {
+        throw new OidcError('No account exists for this identity', 'OIDC_USER_NOT_PROVISIONED', 403);
+      }
+
+      return {
+        user: await User.createExternal({
+          username: await this.uniqueUsername(claims),
+          email: claims.email,
+          role,
+          auth_provider: 'oidc',
+          oidc_subject: subject
+        }),
+        created: true
+      };
+    }
+
+    if (config.adminValues.length > 0 && user.role !== role) {
+      user = await User.update(user.id, { role });
+    }
+
+    return { user, created: false };
+  }
+
+  // Complete a login from the callback parameters and the state hash from the
+  // browser's cookie, and return the local user
+  static async handleCallback({ code, state, error, error_description }, stateHash) {
+    if (error) {
+      throw new OidcError(`Identity provider returned an error: ${error_description || error}`, 'OIDC_PROVIDER_ERROR', 401);
+    }
+
+    const pending = state ? this.pendingLogins.get(state) : null;
+    if (!pending || Date.now() - pending.createdAt > LOGIN_TTL_MS) {
+      throw new OidcError('Login request expired or is unknown. Please try again', 'OIDC_INVALID_STATE', 400);
+    }
+    this.pendingLogins.delete(state);
+
+    const expected = Buffer.from(this.stateHash(state));
+    const received = Buffer.from(stateHash || '');
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      throw new OidcError('Login was started in another browser. Please try again', 'OIDC_STATE_MISMATCH', 400);
+    }
+
+    if (!code) {
+      throw new OidcError('Authorization code missing', 'OIDC_PROVIDER_ERROR', 400);
+    }
+
+    const tokens = await this.exchangeCode(code, pending.codeVerifier);
+    if (!tokens.id_token) {
+      throw new OidcError('Identity provider did not return an ID token', 'OIDC_INVALID_TOKEN', 502);
+    }
+
+    const idClaims = await this.verifyIdToken(tokens.id_token, pending.nonce);
+    const claims = { ...(await this.fetchUserInfo(tokens.access_token, idClaims.sub)), ...idClaims };
+
+    return { ...(await this.provisionUser(claims)), claims };
+  }
+}
+
+export default OidcService;
@@ -0,0 +1,72 @@
+import { ContainerPermission, CONTAINER_ROLES } from '../models/ContainerPermission.js';
+import { Team } from '../models/Team.js';
+import { Stack } from '../models/Stack.js';
+
+export class PermissionService {
+  static roleLevel(role) {
+    return CONTAINER_ROLES.indexOf(role);
+  }
+
+  static hasRole(role, requiredRole) {
+    return !!role && this.roleLevel(role) >= this.roleLevel(requiredRole);
+  }
+
+  // Effective role of a user on a container, or null when they have no access.
+  // Admins and the creator are always owners; everyone else needs team
+  // membership or a grant.
+  static async getContainerRole(user, container) {
+    if (!user || !container) return null;
+
+    if (user.role === 'admin' || container.created_by === user.id) {
+      return 'owner';
+    }
+
+    const roles = await ContainerPermission.findRolesForUser(container.id, user.id);
+
+    if (container.team_id) {
+      roles.push(await Team.getMemberRole(container.team_id, user.id));
+    }
+
+    return roles.reduce((best, role) =>
+      this.roleLevel(role) > this.roleLevel(best) ? role : best, null);
+  }
+
+  // Effective role of a user on a team; admins act as owners of every team
+  static async getTeamRole(user, team) {
+    if (!user || !team) return null;
+    if (user.role === 'admin') return 'owner';
+
+    return await Team.getMemberRole(team.id, user.id);
+  }
+
+  static async canAccessContainer(user, container, requiredRole = 'viewer') {
+    const role = await this.getContainerRole(user, container);
+    return this.hasRole(role, requiredRole);
+  }
+
+  // Mounting a volume exposes its data, so only admins and the user who
+  // created it may mount it
+  static canUseVolume(user, volume) {
+    if (!user || !volume) return false;
+    return user.role === 'admin' || volume.labels['nexus-crate-flow.created-by'] === String(user.id);
+  }
+
+  // Joining a network reaches every container on it, so only admins and the
+  // user who created it may attach to it; stack networks belong to the
+  // stack's creator. "bridge" is open to everyone, while "host" and "none"
+  // (the host's network namespace, no network) are left to admins.
+  static async canUseNetwork(user, network) {
+    if (!user || !network) return false;
+    if (user.role === 'admin' || network.name === 'bridge') return true;
+
+    const stackName = network.labels['nexus-crate-flow.stack'];
+    if (stackName) {
+      const stack = await Stack.findByName(stackName);
+      return stack?.created_by === user.id;
+    }
+
+    return network.labels['nexus-crate-flow.created-by'] === String(user.id);
+  }
+}
+
+export default PermissionService;
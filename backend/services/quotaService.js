@@ -0,0 +1,289 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { database } from '../config/database.js';
+import { SystemSetting } from '../models/SystemSetting.js';
+import { UserQuota } from '../models/UserQuota.js';
+import { User } from '../models/User.js';
+import { Team } from '../models/Team.js';
+import { Helpers } from '../utils/helpers.js';
+
+const UNLIMITED = { max_containers: 0, max_memory: 0, max_cpu: 0, max_disk: 0 };
+
+export class QuotaError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'QuotaError';
+    this.statusCode = 403;
+    this.code = code;
+  }
+}
+
+// A limit of 0 (or null) means unlimited for every resource
+export class QuotaService {
+  static async getDefaults() {
+    const settings = await SystemSetting.getMany([
+      'max_containers',
+      'max_total_memory',
+      'max_total_cpu',
+      'max_disk_usage',
+      'default_memory_limit',
+      'default_cpu_limit'
+    ]);
+
+    return {
+      max_containers: parseInt(settings.max_containers) || 0,
+      max_memory: Helpers.parseMemoryToBytes(settings.max_total_memory || '0'),
+      max_cpu: parseFloat(settings.max_total_cpu) || 0,
+      max_disk: Helpers.parseMemoryToBytes(settings.max_disk_usage || '0'),
+      default_memory: settings.default_memory_limit || null,
+      default_cpu: settings.default_cpu_limit || null
+    };
+  }
+
+  static async updateDefaults(values) {
+    const keys = {
+      max_containers: 'max_containers',
+      max_memory: 'max_total_memory',
+      max_cpu: 'max_total_cpu',
+      max_disk: 'max_disk_usage',
+      default_memory: 'default_memory_limit',
+      default_cpu: 'default_cpu_limit'
+    };
+
+    for (const [field, key] of Object.entries(keys)) {
+      if (values[field] !== undefined) {
+        await SystemSetting.set(key, values[field]);
+      }
+    }
+
+    return await this.getDefaults();
+  }
+
+  // Personal limits: the user's overrides on top of the system defaults. Admins are not limited.
+  static async getUserLimits(user) {
+    if (user.role === 'admin') {
+      return { ...UNLIMITED, exempt: true };
+    }
+
+    const defaults = await this.getDefaults();
+    const override = await UserQuota.findByUserId(user.id);
+    const limits = {};
+
+    for (const field of Object.keys(UNLIMITED)) {
+      limits[field] = override?.[field] ?? defaults[field];
+    }
+
+    return { ...limits, exempt: false };
+  }
+
+  static getTeamLimits(team) {
+    return {
+      max_containers: team.max_containers || 0,
+      max_memory: team.max_memory || 0,
+      max_cpu: team.max_cpu || 0,
+      max_disk: team.max_disk || 0,
+      exempt: false
+    };
+  }
+
+  // Resources held by personal containers of a user or by the containers of a team.
+  // Containers without a stored limit count with the default limits.
+  static async getUsage(scope, options = {}) {
+    const { excludeContainerId = null, includeDisk = true } = options;
+    const defaults = await this.getDefaults();
+
+    let query = scope.teamId
+      ? 'SELECT id, folder_path, memory_limit, cpu_limit FROM containers WHERE team_id = ?'
+      : 'SELECT id, folder_path, memory_limit, cpu_limit FROM containers WHERE created_by = ? AND team_id IS NULL';
+    const params = [scope.teamId || scope.userId];
+
+    if (excludeContainerId) {
+      query += ' AND id != ?';
+      params.push(excludeContainerId);
+    }
+
+    const containers = await database.all(query, params);
+    const defaultMemory = Helpers.parseMemoryToBytes(defaults.default_memory || '0');
+    const defaultCpu = parseFloat(defaults.default_cpu) || 0;
+
+    const usage = {
+      containers: containers.length,
+      memory: containers.reduce((sum, c) => sum + (c.memory_limit ?? defaultMemory), 0),
+      cpu: containers.reduce((sum, c) => sum + (c.cpu_limit ?? defaultCpu), 0),
+      disk: 0
+    };
+
+    if (includeDisk) {
+      for (const container of containers) {
+        usage.disk += await this.getDirectorySize(container.folder_path);
+      }
+    }
+
+    return usage;
+  }
+
+  static async getDirectorySize(dirPath) {
+    if (!dirPath) return 0;
+
+    let size = 0;
+    let entries;
+
+    try {
+      entries = await fs.readdir(dirPath, { withFileTypes: true });
+    } catch (error) {
+      // Folder not created yet or not readable from the host
+      return 0;
+    }
+
+    for (const entry of entries) {
+      const entryPath = path.join(dirPath, entry.name);
+
+      if (entry.isDirectory()) {
+        size += await this.getDirectorySize(entryPath);
+      } else if (entry.isFile()) {
+        try {
+          size += (await fs.stat(entryPath)).size;
+        } catch (error) {
+          // File removed while scanning
+        }
+      }
+    }
+
+    return size;
+  }
+
+  // Limits and usage of the workspace a container lives in (its team or its creator)
+  static async getScope(container) {
+    if (container.team_id) {
+      const team = await Team.findById(container.team_id);
+      return { team, limits: this.getTeamLimits(team), usageScope: { teamId: team.id } };
+    }
+
+    const owner = await User.findById(container.created_by);
+    const limits = owner ? await this.getUserLimits(owner) : { ...UNLIMITED, exempt: true };
+    return { team: null, limits, usageScope: { userId: container.created_by } };
+  }
+
+  // Resolve the memory and CPU limits of a new container, falling back to the system defaults
+  static async resolveLimits({ memory, cpu }) {
+    const defaults = await this.getDefaults();
+    const memoryValue = memory || defaults.default_memory;
+    const cpuValue = cpu !== undefined && cpu !== null && cpu !== '' ? cpu : defaults.default_cpu;
+
+    return {
+      memory: memoryValue || null,
+      cpu: cpuValue !== null ? String(cpuValue) : null,
+      memory_limit: memoryValue ? Helpers.parseMemoryToBytes(String(memoryValue)) : null,
+      cpu_limit: cpuValue !== null ? parseFloat(cpuValue) : null
+    };
+  }
+
+  static enforce(limits, usage, request, label) {
+    if (limits.exempt) return;
+
+    if (request.containers && limits.max_containers > 0 && usage.containers + request.containers > limits.max_containers) {
+      throw new QuotaError(
+        `${label} container limit reached (${usage.containers}/${limits.max_containers})`,
+        'CONTAINER_QUOTA_EXCEEDED'
+      );
+    }
+
+    if (request.memory && limits.max_memory > 0 && usage.memory + request.memory > limits.max_memory) {
+      throw new QuotaError(
+        `${label} memory quota exceeded: ${Helpers.formatBytes(usage.memory)} in use, ` +
+        `${Helpers.formatBytes(request.memory)} requested, limit ${Helpers.formatBytes(limits.max_memory)}`,
+        'MEMORY_QUOTA_EXCEEDED'
+      );
+    }
+
+    if (request.cpu && limits.max_cpu > 0 && usage.cpu + request.cpu > limits.max_cpu) {
+      throw new QuotaError(
+        `${label} CPU quota exceeded: ${usage.cpu} in use, ${request.cpu} requested, limit ${limits.max_cpu}`,
+        'CPU_QUOTA_EXCEEDED'
+      );
+    }
+
+    if (limits.max_disk > 0 && usage.disk >= limits.max_disk) {
+      throw new QuotaError(
+        `${label} disk quota exceeded: ${Helpers.formatBytes(usage.disk)} used, limit ${Helpers.formatBytes(limits.max_disk)}`,
+        'DISK_QUOTA_EXCEEDED'
+      );
+    }
+  }
+
+  // Throws a QuotaError when new containers do not fit in the user's or team's quota
+  static async checkCreate(user, { team = null, memory_limit = null, cpu_limit = null, count = 1 }) {
+    const limits = team ? this.getTeamLimits(team) : await this.getUserLimits(user);
+    if (limits.exempt) return;
+
+    const usage = await this.getUsage(team ? { teamId: team.id } : { userId: user.id }, {
+      includeDisk: limits.max_disk > 0
+    });
+
+    this.enforce(limits, usage, { containers: count, memory: memory_limit, cpu: cpu_limit },
+      team ? `Team ${team.name}` : 'User');
+  }
+
+  // Throws a QuotaError when raising a container's limits would exceed its workspace quota
+  static async checkUpdate(container, { memory_limit, cpu_limit }) {
+    const { team, limits, usageScope } = await this.getScope(container);
+    if (limits.exempt) return;
+
+    const raisesMemory = memory_limit !== undefined && memory_limit > (container.memory_limit ?? 0);
+    const raisesCpu = cpu_limit !== undefined && cpu_limit > (container.cpu_limit ?? 0);
+    if (!raisesMemory && !raisesCpu) return;
+
+    const usage = await this.getUsage(usageScope, {
+      excludeContainerId: container.id,
+      includeDisk: limits.max_disk > 0
+    });
+
+    this.enforce(limits, usage, {
+      memory: raisesMemory ? memory_limit : 0,
+      cpu: raisesCpu ? cpu_limit : 0
+    }, team ? `Team ${team.name}` : 'User');
+  }
+
+  // Throws a QuotaError when a container does not fit in the quota of the workspace it moves to
+  static async checkTransfer(container, team) {
+    let limits = { ...UNLIMITED, exempt: true };
+
+    if (team) {
+      limits = this.getTeamLimits(team);
+    } else {
+      const owner = await User.findById(container.created_by);
+      if (owner) limits = await this.getUserLimits(owner);
+    }
+
+    if (limits.exempt) return;
+
+    const usage = await this.getUsage(team ? { teamId: team.id } : { userId: container.created_by }, {
+      excludeContainerId: container.id,
+      includeDisk: limits.max_disk > 0
+    });
+    const { memory_limit, cpu_limit } = await this.resolveLimits({
+      memory: container.memory_limit,
+      cpu: container.cpu_limit
+    });
+
+    this.enforce(limits, usage, {
+      containers: 1,
+      memory: memory_limit,
+      cpu: cpu_limit
+    }, team ? `Team ${team.name}` : 'User');
+  }
+
+  static async getUserQuota(user) {
+    const limits = await this.getUserLimits(user);
+    const usage = await this.getUsage({ userId: user.id });
+    return { limits, usage };
+  }
+
+  static async getTeamQuota(team) {
+    const limits = this.getTeamLimits(team);
+    const usage = await this.getUsage({ teamId: team.id });
+    return { limits, usage };
+  }
+}
+
+export default QuotaService;
@@ -0,0 +1,147 @@
+import { dockerManager } from '../config/docker.js';
+import { ResourceService } from './resourceService.js';
+
+// createContainer publishes ports without a protocol as TCP
+const portKey = (port) => (String(port).includes('/') ? String(port) : `${port}/tcp`);
+
+const envMap = (env) => new Map((env || []).map(entry => {
+  const index = entry.indexOf('=');
+  return index === -1 ? [entry, ''] : [entry.slice(0, index), entry.slice(index + 1)];
+}));
+
+// Resource limits compared with Docker, normalized so that every way Docker
+// reports "unlimited" or "default" compares equal
+const RESOURCE_FIELDS = [
+  { field: 'memory', value: config => (config.Memory > 0 ? config.Memory : 0) },
+  { field: 'memory_swap', value: config => (config.MemorySwap > 0 ? config.MemorySwap : -1) },
+  { field: 'cpu', value: config => (config.CpuQuota > 0 ? config.CpuQuota / (config.CpuPeriod || 100000) : null) },
+  { field: 'cpu_shares', value: config => config.CpuShares || 0 },
+  { field: 'pids_limit', value: config => (config.PidsLimit > 0 ? config.PidsLimit : null) }
+];
+
+// Compares a container's stored configuration (name, environment, ports and
+// resource limits) with its Docker container and recreates the Docker
+// container when they have drifted apart. Mounts and networks are kept.
+export class ReconcileService {
+  // Differences between the database and Docker, plus the recreate options
+  // that would remove them. Throws the Docker error when the container is gone.
+  static async plan(container) {
+    try {
+      const info = await dockerManager.getContainer(container.docker_id);
+      const changes = [];
+      const recreate = {};
+
+      if (info.name !== container.name) {
+        changes.push({ field: 'name', current: info.name, desired: container.name });
+        recreate.name = container.name;
+      }
+
+      // Variables that come from the image are not drift
+      let imageEnv = [];
+      try {
+        imageEnv = (await dockerManager.getImage(info.image)).config.env;
+      } catch (error) {
+        if (error.statusCode !== 404) throw error;
+      }
+
+      const desiredEnv = envMap(container.environment_vars);
+      const currentEnv = envMap(info.config.Env);
+      const defaultEnv = envMap(imageEnv);
+      const envChanges = [];
+
+      for (const [key, value] of desiredEnv) {
+        if (currentEnv.get(key) !== value) {
+          envChanges.push({ field: 'environment', key, current: currentEnv.get(key) ?? null, desired: value });
+        }
+      }
+      for (const [key, value] of currentEnv) {
+        if (!desiredEnv.has(key) && defaultEnv.get(key) !== value) {
+          envChanges.push({ field: 'environment', key, current: value, desired: defaultEnv.get(key) ?? null });
+        }
+      }
+      if (envChanges.length > 0) {
+        changes.push(...envChanges);
+        recreate.env = container.environment_vars || [];
+      }
+
+      const desiredPorts = Object.fromEntries(
+        // An empty host port means Docker picks one
+        Object.entries(container.port_mappings || {}).map(([port, hostPort]) => [portKey(port), String(hostPort) || null])
+      );
+      const currentPorts = Object.fromEntries(
+        Object.entries(info.hostConfig.PortBindings || {}).map(([port, bindings]) => [port, bindings?.[0]?.HostPort || null])
+      );
+      const portChanges = [...new Set([...Object.keys(desiredPorts), ...Object.keys(currentPorts)])]
+        .filter(port => (desiredPorts[port] ?? null) !== (currentPorts[port] ?? null))
+        .map(port => ({ field: 'ports', key: port, current: currentPorts[port] ?? null, desired: desiredPorts[port] ?? null }));
+      if (portChanges.length > 0) {
+        changes.push(...portChanges);
+        recreate.portBindings = Object.fromEntries(
+          Object.entries(desiredPorts).map(([port, hostPort]) => [port, [{ HostPort: hostPort || '' }]])
+        );
+      }
+
+      const resources = ResourceService.dockerResources(container);
+      const resourceChanges = RESOURCE_FIELDS
+        .filter(({ field }) => field !== 'memory_swap' || container.memory_swap !== null)
+        .map(({ field, value }) => ({ field, current: value(info.hostConfig), desired: value(resources) }))
+        .filter(change => change.current !== change.desired);
+      if (resourceChanges.length > 0) {
+        changes.push(...resourceChanges);
+        recreate.resources = resources;
+      }
+
+      return {
+        docker_id: info.dockerId,
+        running: info.running,
+        in_sync: changes.length === 0,
+        changes,
+        recreate
+      };
+    } catch (error) {
+      console.error(`Error planning reconcile for container ${container.id}:`, error);
+      throw error;
+    }
+  }
+
+  // Recreate the Docker container from the stored configuration when it has drifted
+  static async apply(container) {
+    try {
+      const { recreate, ...plan } = await this.plan(container);
+
+      if (plan.in_sync) {
+        return { ...plan, applied: false, recreated: false };
+      }
+
+      // Resource limits alone can be changed without recreating the container
+      if (Object.keys(recreate).every(key => key === 'resources')) {
+        await dockerManager.updateContainerResources(container.docker_id, recreate.resources);
+        await container.addLog(`Docker container updated to apply ${plan.changes.length} resource limit change(s)`, 'info');
+
+        return { ...plan, applied: true, recreated: false };
+      }
+
+      const recreated = await dockerManager.recreateContainer(container.docker_id, recreate);
+      await container.updateDockerId(recreated.dockerId);
+      await container.addLog(`Docker container recreated to apply ${plan.changes.length} configuration change(s)`, 'info');
+
+      return { ...plan, docker_id: recreated.dockerId, applied: true, recreated: true };
+    } catch (error) {
+      console.error(`Error reconciling container ${container.id}:`, error);
+      throw error;
+    }
+  }
+
+  // Changes waiting to be applied, or null when Docker cannot be asked
+  static async pendingChanges(container) {
+    if (!container.docker_id) return null;
+
+    try {
+      return (await this.plan(container)).changes;
+    } catch {
+      return null;
+    }
+  }
+}
+
+export default ReconcileService;
@@ -0,0 +1,109 @@
+import { dockerManager } from '../config/docker.js';
+import { Container } from '../models/Container.js';
+import { QuotaService } from './quotaService.js';
+import { Helpers } from '../utils/helpers.js';
+
+export class ResourceError extends Error {
+  constructor(message, code, statusCode = 400) {
+    super(message);
+    this.name = 'ResourceError';
+    this.statusCode = statusCode;
+    this.code = code;
+  }
+}
+
+// Resource limits of a container: memory_limit and cpu_limit (also counted
+// against quotas), cpu_quota, memory_swap, cpu_shares and pids_limit. Changes
+// are applied to the Docker container in place, without a restart.
+// A cpu set here is also enforced as a hard cap (cpu_quota); a cpu_limit that
+// came from the defaults only weighs the container against the others.
+export class ResourceService {
+  // HostConfig resource fields for a container's stored limits
+  static dockerResources(limits) {
+    return dockerManager.resourceConfig({
+      memory: limits.memory_limit,
+      memorySwap: limits.memory_swap,
+      cpu: limits.cpu_limit,
+      cpuQuota: limits.cpu_quota,
+      cpuShares: limits.cpu_shares,
+      pidsLimit: limits.pids_limit
+    });
+  }
+
+  static limitsOf(container) {
+    return {
+      memory_limit: container.memory_limit,
+      memory_swap: container.memory_swap,
+      cpu_limit: container.cpu_limit,
+      cpu_quota: container.cpu_quota,
+      cpu_shares: container.cpu_shares,
+      pids_limit: container.pids_limit
+    };
+  }
+
+  // Stored limits after a partial update; memory and swap accept sizes like
+  // 512m, swap and pidsLimit accept -1 for unlimited, null resets a field
+  static resolve(container, { memory, memorySwap, cpu, cpuShares, pidsLimit }) {
+    const limits = this.limitsOf(container);
+
+    if (memory !== undefined) limits.memory_limit = Helpers.parseMemoryToBytes(String(memory));
+    if (memorySwap === null || String(memorySwap) === '-1') {
+      limits.memory_swap = memorySwap === null ? null : -1;
+    } else if (memorySwap !== undefined) {
+      limits.memory_swap = Helpers.parseMemoryToBytes(String(memorySwap));
+    }
+    if (cpu !== undefined) {
+      limits.cpu_limit = parseFloat(cpu);
+      limits.cpu_quota = limits.cpu_limit;
+    }
+    if (cpuShares !== undefined) limits.cpu_shares = cpuShares === null ? null : parseInt(cpuShares);
+    if (pidsLimit !== undefined) limits.pids_limit = pidsLimit === null || pidsLimit <= 0 ? null : parseInt(pidsLimit);
+
+    if (limits.memory_swap > 0) {
+      if (!(limits.memory_limit > 0)) {
+        throw new ResourceError('A swap limit needs a memory limit', 'INVALID_MEMORY_SWAP');
+      }
+      if (limits.memory_swap < limits.memory_limit) {
+        throw new ResourceError('Memory plus swap must be at least the memory limit', 'INVALID_MEMORY_SWAP');
+      }
+    }
+
+    return limits;
+  }
+
+  // Persist new limits and apply them to the Docker container. Without a
+  // reachable Docker container the limits are only stored (applied: false)
+  // and take effect when the container is reconciled.
+  static async update(container, changes) {
+    try {
+      const limits = this.resolve(container, changes);
+      await QuotaService.checkUpdate(container, limits);
+
+      // Docker cannot lift a memory limit in place
+      if (container.memory_limit > 0 && !(limits.memory_limit > 0) && container.docker_id) {
+        throw new ResourceError('Removing the memory limit needs a reconcile (recreate)', 'MEMORY_LIMIT_REQUIRED', 409);
+      }
+
+      let applied = false;
+      if (container.docker_id && dockerManager.isConnected) {
+        try {
+          await dockerManager.updateContainerResources(container.docker_id, this.dockerResources(limits));
+          applied = true;
+        } catch (error) {
+          if (error.statusCode === 400 || error.statusCode === 409) {
+            throw new ResourceError(error.json?.message || error.message, 'RESOURCE_UPDATE_REJECTED', 409);
+          }
+          if (error.statusCode !== 404) throw error;
+        }
+      }
+
+      const updated = await Container.update(container.id, limits);
+      return { container: updated, limits, applied };
+    } catch (error) {
+      console.error(`Error updating resource limits of container ${container.id}:`, error);
+      throw error;
+    }
+  }
+}
+
+export default ResourceService;
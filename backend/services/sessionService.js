@@ -0,0 +1,152 @@
+import crypto from 'crypto';
+import { User } from '../models/User.js';
+import { LoginSession } from '../models/LoginSession.js';
+import { generateToken } from '../middleware/auth.js';
+
+// Refresh tokens look like ncr_<row id>.<secret>; only a salted hash of the secret is stored
+export const REFRESH_TOKEN_PREFIX = 'ncr_';
+
+export class SessionError extends Error {
+  constructor(message, code, statusCode = 401) {
+    super(message);
+    this.name = 'SessionError';
+    this.statusCode = statusCode;
+    this.code = code;
+  }
+}
+
+// Login sessions pair a short-lived access token (JWT with the session ID in
+// "sid") with a refresh token that is replaced on every use. Presenting a
+// refresh token that was already replaced means it leaked, so the whole
+// session is revoked.
+export class SessionService {
+  static refreshExpiresAt() {
+    const days = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+    return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+  }
+
+  static hashSecret(secret, salt) {
+    return crypto.createHmac('sha256', salt).update(secret).digest('hex');
+  }
+
+  static parseRefreshToken(token) {
+    const match = /^ncr_(\d+)\.([a-f0-9]{64})$/.exec(String(token || ''));
+    return match ? { id: parseInt(match[1]), secret: match[2] } : null;
+  }
+
+  static async issueRefreshToken(sessionId) {
+    const secret = crypto.randomBytes(32).toString('hex');
+    const salt = crypto.randomBytes(16).toString('hex');
+    const id = await LoginSession.addRefreshToken(sessionId, salt, this.hashSecret(secret, salt));
+
+    return `${REFRESH_TOKEN_PREFIX}${id}.${secret}`;
+  }
+
+  static requestInfo(req) {
+    return {
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent')
+    };
+  }
+
+  // Open a session for a user who has passed every login step
+  static async start(user, req, authMethod = 'password') {
+    const session = await LoginSession.create({
+      user_id: user.id,
+      auth_method: authMethod,
+      expires_at: this.refreshExpiresAt(),
+      ...this.requestInfo(req)
+    });
+
+    return {
+      session,
+      accessToken: generateToken(user, session.id),
+      refreshToken: await this.issueRefreshToken(session.id)
+    };
+  }
+
+  // Exchange a refresh token for a new access token and a new refresh token
+  static async refresh(refreshToken, req) {
+    const parsed = this.parseRefreshToken(refreshToken);
+    const stored = parsed ? await LoginSession.findRefreshToken(parsed.id) : null;
+
+    const expected = stored ? Buffer.from(stored.token_hash) : null;
+    const actual = stored ? Buffer.from(this.hashSecret(parsed.secret, stored.token_salt)) : null;
+    if (!stored || expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      throw new SessionError('Invalid refresh token', 'REFRESH_TOKEN_INVALID');
+    }
+
+    const session = await LoginSession.findById(stored.session_id);
+    if (!session) {
+      throw new SessionError('Invalid refresh token', 'REFRESH_TOKEN_INVALID');
+    }
+
+    if (session.isRevoked()) {
+      throw new SessionError('Session has been revoked', 'SESSION_REVOKED');
+    }
+
+    const reused = async () => {
+      await LoginSession.revoke(session.id, 'refresh_token_reused');
+
+      const error = new SessionError('Refresh token was already used; the session has been revoked', 'REFRESH_TOKEN_REUSED');
+      error.session = session;
+      return error;
+    };
+
+    if (stored.rotated_at) {
+      throw await reused();
+    }
+
+    if (session.isExpired()) {
+      throw new SessionError('Session expired', 'SESSION_EXPIRED');
+    }
+
+    const user = await User.findById(session.user_id);
+    if (!user) {
+      throw new SessionError('User not found', 'USER_NOT_FOUND');
+    }
+
+    if (user.disabled) {
+      throw new SessionError('Account is disabled', 'ACCOUNT_DISABLED', 403);
+    }
+
+    // Two requests racing with the same token: only the first one wins
+    if (!await LoginSession.markRefreshTokenRotated(stored.id)) {
+      throw await reused();
+    }
+
+    await LoginSession.touch(session.id, {
+      ...this.requestInfo(req),
+      expires_at: this.refreshExpiresAt()
+    });
+
+    return {
+      user,
+      session,
+      accessToken: generateToken(user, session.id),
+      refreshToken: await this.issueRefreshToken(session.id)
+    };
+  }
+
+  // Token fields shared by every response that logs a user in
+  static tokenResponse({ session, accessToken, refreshToken }) {
+    return {
+      token: accessToken,
+      refresh_token: refreshToken,
+      expires_in: process.env.JWT_EXPIRES_IN || '15m',
+      session_id: session.id
+    };
+  }
+
+  static async cleanup() {
+    const deleted = await LoginSession.deleteStale();
+
+    if (deleted > 0) {
+      console.log(`🧹 Removed ${deleted} expired or revoked login sessions`);
+    }
+
+    return deleted;
+  }
+}
+
+export default SessionService;
@@ -0,0 +1,175 @@
+import { dockerManager } from '../config/docker.js';
+import { ContainerSnapshot } from '../models/ContainerSnapshot.js';
+
+export class SnapshotError extends Error {
+  constructor(message, code, statusCode = 400) {
+    super(message);
+    this.name = 'SnapshotError';
+    this.statusCode = statusCode;
+    this.code = code;
+  }
+}
+
+const DEFAULT_RETENTION = 10;
+
+// Snapshots commit a container's filesystem to a tagged image so it can be
+// restored later. Volumes and bind mounts are not part of the image and are
+// left untouched by a restore.
+export class SnapshotService {
+  // Snapshots kept per container; 0 keeps all of them
+  static getRetention() {
+    const retention = parseInt(process.env.SNAPSHOT_RETENTION);
+    return Number.isNaN(retention) || retention < 0 ? DEFAULT_RETENTION : retention;
+  }
+
+  static repositoryFor(container) {
+    return `nexus-crate-flow/snapshot-${container.id}`;
+  }
+
+  // Sortable tag such as 20261019T101500123Z
+  static tagFor(date = new Date()) {
+    return date.toISOString().replace(/[-:.]/g, '');
+  }
+
+  static async create(container, { description, pause = true, userId } = {}) {
+    if (!container.docker_id) {
+      throw new SnapshotError('Container has no Docker ID', 'NO_DOCKER_ID');
+    }
+
+    try {
+      const info = await dockerManager.getContainer(container.docker_id);
+      const committed = await dockerManager.commitContainer(container.docker_id, {
+        repo: this.repositoryFor(container),
+        tag: this.tagFor(),
+        comment: description,
+        pause
+      });
+
+      let size = null;
+      try {
+        size = (await dockerManager.getImage(committed.image)).size;
+      } catch (error) {
+        console.warn(`Failed to inspect snapshot image ${committed.image}:`, error.message);
+      }
+
+      const snapshot = await ContainerSnapshot.create({
+        container_id: container.id,
+        image_tag: committed.image,
+        image_id: committed.dockerId,
+        source_image: info.image,
+        description,
+        size
+      }, userId);
+
+      // The snapshot exists at this point; failing to prune older ones must not fail it
+      const retention = this.getRetention();
+      let pruned = [];
+      if (retention > 0) {
+        try {
+          pruned = await this.prune(container, retention);
+        } catch (error) {
+          console.warn(`Failed to prune snapshots of container ${container.id}:`, error.message);
+        }
+      }
+
+      return { snapshot, pruned };
+    } catch (error) {
+      if (error.statusCode === 404) {
+        throw new SnapshotError('Docker container not found', 'DOCKER_CONTAINER_NOT_FOUND', 404);
+      }
+      console.error(`Error creating snapshot of container ${container.id}:`, error);
+      throw error;
+    }
+  }
+
+  // Recreate the Docker container from a snapshot image, keeping its name,
+  // configuration, mounts and networks
+  static async restore(container, snapshot) {
+    if (!container.docker_id) {
+      throw new SnapshotError('Container has no Docker ID', 'NO_DOCKER_ID');
+    }
+
+    try {
+      try {
+        await dockerManager.getImage(snapshot.image_tag);
+      } catch (error) {
+        if (error.statusCode !== 404) throw error;
+        throw new SnapshotError(`Snapshot image ${snapshot.image_tag} no longer exists`, 'SNAPSHOT_IMAGE_MISSING', 409);
+      }
+
+      const recreated = await dockerManager.recreateContainer(container.docker_id, { image: snapshot.image_tag });
+      await container.updateDockerId(recreated.dockerId);
+
+      return { docker_id: recreated.dockerId, image: snapshot.image_tag };
+    } catch (error) {
+      if (error.statusCode === 404) {
+        throw new SnapshotError('Docker container not found', 'DOCKER_CONTAINER_NOT_FOUND', 404);
+      }
+      console.error(`Error restoring snapshot ${snapshot.id} of container ${container.id}:`, error);
+      throw error;
+    }
+  }
+
+  // Remove the snapshot image and its record. An image that is already gone
+  // only loses its record; one a container still runs from is kept.
+  static async remove(snapshot) {
+    try {
+      try {
+        await dockerManager.removeImage(snapshot.image_tag);
+      } catch (error) {
+        if (error.statusCode === 409) {
+          throw new SnapshotError(`Snapshot image ${snapshot.image_tag} is in use by a container`, 'SNAPSHOT_IN_USE', 409);
+        }
+        if (error.statusCode !== 404) throw error;
+      }
+
+      await ContainerSnapshot.delete(snapshot.id);
+    } catch (error) {
+      console.error(`Error removing snapshot ${snapshot.id}:`, error);
+      throw error;
+    }
+  }
+
+  // Remove all but the newest `keep` snapshots of a container. Snapshots in
+  // use (e.g. the one the container was restored from) are skipped.
+  static async prune(container, keep) {
+    try {
+      const snapshots = await ContainerSnapshot.listForContainer(container.id);
+      const pruned = [];
+
+      for (const snapshot of snapshots.slice(keep)) {
+        try {
+          await this.remove(snapshot);
+          pruned.push(snapshot.id);
+        } catch (error) {
+          if (error.code !== 'SNAPSHOT_IN_USE') throw error;
+        }
+      }
+
+      return pruned;
+    } catch (error) {
+      console.error(`Error pruning snapshots of container ${container.id}:`, error);
+      throw error;
+    }
+  }
+
+  // Best-effort cleanup when a container is deleted
+  static async removeAll(containerId) {
+    const snapshots = await ContainerSnapshot.listForContainer(containerId);
+
+    for (const snapshot of snapshots) {
+      try {
+        await dockerManager.removeImage(snapshot.image_tag);
+      } catch (error) {
+        if (error.statusCode !== 404) {
+          console.warn(`Failed to remove snapshot image ${snapshot.image_tag}:`, error.message);
+        }
+      }
+    }
+
+    await ContainerSnapshot.deleteForContainer(containerId);
+    return snapshots.length;
+  }
+}
+
+export default SnapshotService;
@@ -0,0 +1,256 @@
+import { dockerManager } from '../config/docker.js';
+import { Container } from '../models/Container.js';
+import { Stack } from '../models/Stack.js';
+import { ComposeService } from './composeService.js';
+import { QuotaService } from './quotaService.js';
+
+const STACK_LABEL = 'nexus-crate-flow.stack';
+
+export class StackService {
+  static labelsFor(stackName, serviceName = null) {
+    const labels = {
+      'nexus-crate-flow': 'true',
+      [STACK_LABEL]: stackName
+    };
+
+    if (serviceName) {
+      labels['nexus-crate-flow.service'] = serviceName;
+    }
+
+    return labels;
+  }
+
+  // Create networks, volumes and containers for a compose file. Everything
+  // created so far is rolled back if any step fails.
+  static async deploy(name, composeContent, user, options = {}) {
+    const userId = user.id;
+    const plan = ComposeService.parse(composeContent, name);
+
+    for (const service of plan.services) {
+      if (await Container.exists(service.name)) {
+        const error = new Error(`Container name already exists: ${service.name}`);
+        error.statusCode = 409;
+        error.code = 'CONTAINER_NAME_EXISTS';
+        throw error;
+      }
+    }
+
+    // The whole stack has to fit in the user's quota
+    const limits = [];
+    for (const service of plan.services) {
+      limits.push(await QuotaService.resolveLimits(service));
+    }
+
+    await QuotaService.checkCreate(user, {
+      count: plan.services.length,
+      memory_limit: limits.reduce((sum, limit) => sum + (limit.memory_limit || 0), 0),
+      cpu_limit: limits.reduce((sum, limit) => sum + (limit.cpu_limit || 0), 0)
+    });
+
+    const stack = await Stack.create({
+      name,
+      compose_content: composeContent,
+      networks: plan.networks,
+      volumes: plan.volumes
+    }, userId);
+
+    const created = { networks: [], volumes: [], containers: [] };
+
+    try {
+      for (const network of plan.networks.filter(n => !n.external)) {
+        await dockerManager.createNetwork({
+          name: network.name,
+          driver: network.driver,
+          labels: this.labelsFor(name)
+        });
+        created.networks.push(network.name);
+      }
+
+      for (const volume of plan.volumes.filter(v => !v.external)) {
+        await dockerManager.createVolume({
+          name: volume.name,
+          driver: volume.driver,
+          labels: this.labelsFor(name)
+        });
+        created.volumes.push(volume.name);
+      }
+
+      for (const [index, service] of plan.services.entries()) {
+        // "cpus" in the compose file is a hard cap, like Docker's --cpus
+        const cpuQuota = service.cpu ? limits[index].cpu_limit : null;
+
+        const container = await Container.create({
+          name: service.name,
+          image: service.image,
+          port_mappings: service.ports,
+          environment_vars: service.environment,
+          folder_path: `/home/containers/${name}`,
+          memory_limit: limits[index].memory_limit,
+          cpu_limit: limits[index].cpu_limit,
+          cpu_quota: cpuQuota
+        }, userId);
+        created.containers.push(container);
+
+        const [primaryNetwork, ...extraNetworks] = service.networks;
+
+        const dockerContainer = await dockerManager.createContainer({
+          name: service.name,
+          image: service.image,
+          ports: service.ports,
+          environment: service.environment,
+          volumes: service.volumes,
+          memory: limits[index].memory,
+          cpu: limits[index].cpu,
+          cpuQuota,
+          workingDir: service.workingDir,
+          command: service.command,
+          restartPolicy: service.restartPolicy,
+          pullImage: true,
+          labels: { ...service.labels, ...this.labelsFor(name, service.service) },
+          network: primaryNetwork?.name,
+          networkAliases: primaryNetwork?.aliases
+        });
+
+        await container.updateDockerId(dockerContainer.dockerId);
+
+        for (const network of extraNetworks) {
+          await dockerManager.connectNetwork(network.name, dockerContainer.dockerId, network.aliases);
+        }
+
+        await container.addLog(`Container created from stack ${name} (service ${service.service})`, 'info');
+        await stack.addService(service.service, container.id, service.order, service.dependsOn);
+      }
+    } catch (error) {
+      console.error(`❌ Failed to deploy stack ${name}, rolling back:`, error.message);
+      await this.rollback(stack, created);
+
+      // Keep the status of quota, validation and Docker errors
+      const failure = new Error(`Failed to deploy stack: ${error.message}`);
+      if (error.statusCode) {
+        failure.statusCode = error.statusCode;
+        failure.code = error.code;
+      }
+      throw failure;
+    }
+
+    if (options.start) {
+      await this.start(stack);
+    }
+
+    return stack;
+  }
+
+  static async rollback(stack, created) {
+    for (const container of created.containers.reverse()) {
+      try {
+        const current = await Container.findById(container.id);
+        if (current?.docker_id) {
+          await dockerManager.removeContainer(current.docker_id, true);
+        }
+        await Container.delete(container.id);
+      } catch (error) {
+        console.warn(`Failed to roll back container ${container.name}:`, error.message);
+      }
+    }
+
+    for (const networkName of created.networks) {
+      await dockerManager.removeNetwork(networkName).catch(error =>
+        console.warn(`Failed to roll back network ${networkName}:`, error.message)
+      );
+    }
+
+    for (const volumeName of created.volumes) {
+      await dockerManager.removeVolume(volumeName, true).catch(error =>
+        console.warn(`Failed to roll back volume ${volumeName}:`, error.message)
+      );
+    }
+
+    await Stack.delete(stack.id);
+  }
+
+  // Start services so that every dependency is running before its dependents
+  static async start(stack) {
+    const services = await stack.getServices();
+
+    for (const service of services) {
+      const container = await Container.findById(service.container_id);
+
+      try {
+        await dockerManager.startContainer(container.docker_id);
+      } catch (error) {
+        // 304 means the container is already running
+        if (error.statusCode !== 304) {
+          await container.addLog(`Failed to start container: ${error.message}`, 'error');
+          await stack.updateStatus('error');
+          throw new Error(`Failed to start service ${service.service_name}: ${error.message}`);
+        }
+      }
+
+      await container.updateStatus('running');
+      await container.addLog(`Container started with stack ${stack.name}`, 'info');
+    }
+
+    await stack.updateStatus('running');
+    return services;
+  }
+
+  // Stop services in reverse dependency order
+  static async stop(stack) {
+    const services = (await stack.getServices()).reverse();
+
+    for (const service of services) {
+      const container = await Container.findById(service.container_id);
+
+      try {
+        await dockerManager.stopContainer(container.docker_id);
+      } catch (error) {
+        // 304 means the container is already stopped
+        if (error.statusCode !== 304) {
+          await container.addLog(`Failed to stop container: ${error.message}`, 'error');
+          await stack.updateStatus('error');
+          throw new Error(`Failed to stop service ${service.service_name}: ${error.message}`);
+        }
+      }
+
+      await container.updateStatus('stopped');
+      await container.addLog(`Container stopped with stack ${stack.name}`, 'info');
+    }
+
+    await stack.updateStatus('stopped');
+    return services;
+  }
+
+  static async remove(stack, options = {}) {
+    const services = (await stack.getServices()).reverse();
+
+    for (const service of services) {
+      if (service.docker_id) {
+        try {
+          await dockerManager.removeContainer(service.docker_id, true);
+        } catch (error) {
+          console.warn(`Failed to remove Docker container ${service.docker_id}:`, error.message);
+        }
+      }
+
+      await Container.delete(service.container_id);
+    }
+
+    for (const network of stack.networks.filter(n => !n.external)) {
+      await dockerManager.removeNetwork(network.name).catch(error =>
+        console.warn(`Failed to remove network ${network.name}:`, error.message)
+      );
+    }
+
+    if (options.removeVolumes) {
+      for (const volume of stack.volumes.filter(v => !v.external)) {
+        await dockerManager.removeVolume(volume.name, true).catch(error =>
+          console.warn(`Failed to remove volume ${volume.name}:`, error.message)
+        );
+      }
+    }
+
+    return await Stack.delete(stack.id);
+  }
+}
+
+export default StackService;
@@ -0,0 +1,182 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { User } from '../models/User.js';
+import { SystemSetting } from '../models/SystemSetting.js';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const TOTP_PERIOD = 30;
+const TOTP_DIGITS = 6;
+const TOTP_WINDOW = 1; // accept one period of clock drift either way
+const RECOVERY_CODE_COUNT = 10;
+
+export const TWO_FACTOR_POLICIES = ['optional', 'admins', 'all'];
+export const CHALLENGE_EXPIRES_IN = '5m';
+
+export class TwoFactorService {
+  static base32Encode(buffer) {
+    let bits = '';
+    for (const byte of buffer) {
+      bits += byte.toString(2).padStart(8, '0');
+    }
+
+    let output = '';
+    for (let i = 0; i < bits.length; i += 5) {
+      output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+    }
+
+    return output;
+  }
+
+  static base32Decode(value) {
+    let bits = '';
+    for (const char of value.replace(/=+$/, '').toUpperCase()) {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) throw new Error('Invalid base32 character');
+      bits += index.toString(2).padStart(5, '0');
+    }
+
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) {
+      bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    }
+
+    return Buffer.from(bytes);
+  }
+
+  static generateSecret() {
+    return this.base32Encode(crypto.randomBytes(20));
+  }
+
+  // RFC 4226 HOTP value for a counter
+  static generateCode(secret, counter) {
+    const buffer = Buffer.alloc(8);
+    buffer.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac('sha1', this.base32Decode(secret)).update(buffer).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+  }
+
+  static currentCounter() {
+    return Math.floor(Date.now() / 1000 / TOTP_PERIOD);
+  }
+
+  // Returns the matching time step, or null. Steps at or before lastCounter are
+  // rejected so an intercepted code can't be replayed.
+  static verifyCode(secret, code, lastCounter = null) {
+    if (!secret || !/^\d{6}$/.test(String(code || ''))) return null;
+
+    const current = this.currentCounter();
+    const expected = Buffer.from(String(code));
+
+    for (let counter = current - TOTP_WINDOW; counter <= current + TOTP_WINDOW; counter++) {
+      if (lastCounter !== null && counter <= lastCounter) continue;
+
+      const candidate = Buffer.from(this.generateCode(secret, counter));
+      if (crypto.timingSafeEqual(candidate, expected)) {
+        return counter;
+      }
+    }
+
+    return null;
+  }
+
+  static getOtpauthUri(secret, username) {
+    const issuer = process.env.TWO_FACTOR_ISSUER || 'Nexus Crate Flow';
+    const label = encodeURIComponent(`${issuer}:${username}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer,
+      algorithm: 'SHA1',
+      digits: String(TOTP_DIGITS),
+      period: String(TOTP_PERIOD)
+    });
+
+    return `otpauth://totp/${label}?${params.toString()}`;
+  }
+
+  static hashRecoveryCode(code) {
+    const normalized = String(code).replace(/[\s-]/g, '').toLowerCase();
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+
+  static generateRecoveryCodes() {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const hex = crypto.randomBytes(5).toString('hex');
+      return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+
+    return { codes, hashes: codes.map(code => this.hashRecoveryCode(code)) };
+  }
+
+  static async getPolicy() {
+    const policy = await SystemSetting.get('two_factor_policy', 'optional');
+    return TWO_FACTOR_POLICIES.includes(policy) ? policy : 'optional';
+  }
+
+  static async setPolicy(policy) {
+    await SystemSetting.set('two_factor_policy', policy);
+    return policy;
+  }
+
+  static async isRequired(user) {
+    const policy = await this.getPolicy();
+    return policy === 'all' || (policy === 'admins' && user.role === 'admin');
+  }
+
+  // Short-lived token proving the password step passed. It is signed with a
+  // derived key so it can never be used as a session token.
+  static challengeSecret() {
+    return `${process.env.JWT_SECRET}:two-factor`;
+  }
+
+  static issueChallenge(user, purpose) {
+    return jwt.sign({ userId: user.id, purpose }, this.challengeSecret(), {
+      expiresIn: CHALLENGE_EXPIRES_IN
+    });
+  }
+
+  static readChallenge(token, purpose) {
+    try {
+      const decoded = jwt.verify(token, this.challengeSecret());
+      return decoded.purpose === purpose ? decoded.userId : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Check a TOTP code or a recovery code for a user with 2FA enabled.
+  // Used recovery codes are removed; accepted TOTP steps are remembered.
+  static async verify(userId, { code, recovery_code }) {
+    const twoFactor = await User.getTwoFactor(userId);
+    if (!twoFactor || !twoFactor.enabled) {
+      return { valid: false };
+    }
+
+    if (recovery_code) {
+      const hash = this.hashRecoveryCode(recovery_code);
+      if (!twoFactor.recovery_codes.includes(hash)) {
+        return { valid: false };
+      }
+
+      const remaining = twoFactor.recovery_codes.filter(item => item !== hash);
+      await User.setTwoFactor(userId, { totp_recovery_codes: remaining });
+
+      return { valid: true, method: 'recovery_code', recovery_codes_remaining: remaining.length };
+    }
+
+    const counter = this.verifyCode(twoFactor.secret, code, twoFactor.last_counter);
+    if (counter === null) {
+      return { valid: false };
+    }
+
+    await User.setTwoFactor(userId, { totp_last_counter: counter });
+
+    return { valid: true, method: 'totp', recovery_codes_remaining: twoFactor.recovery_codes.length };
+  }
+}
+
+export default TwoFactorService;
@@ -0,0 +1,135 @@
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import { Webhook } from '../models/Webhook.js';
+import { Helpers } from '../utils/helpers.js';
+
+const MAX_RESPONSE_BODY = 2000;
+
+export class WebhookService {
+  static get maxRetries() {
+    return parseInt(process.env.WEBHOOK_MAX_RETRIES) || 3;
+  }
+
+  static get retryDelay() {
+    return parseInt(process.env.WEBHOOK_RETRY_DELAY_MS) || 1000;
+  }
+
+  static get timeout() {
+    return parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+  }
+
+  // HMAC-SHA256 over "<timestamp>.<body>" so receivers can reject replays
+  static sign(secret, timestamp, body) {
+    const signature = crypto
+      .createHmac('sha256', secret)
+      .update(`${timestamp}.${body}`)
+      .digest('hex');
+
+    return `sha256=${signature}`;
+  }
+
+  // Fire-and-forget: lifecycle handlers must never wait on or fail because of webhooks
+  static dispatch(event, container, data = {}) {
+    this.dispatchAsync(event, container, data).catch(error => {
+      console.error(`❌ Webhook dispatch for ${event} failed:`, error);
+    });
+  }
+
+  static async dispatchAsync(event, container, data = {}) {
+    const webhooks = await Webhook.findForEvent(event, container);
+
+    return await Promise.all(
+      webhooks.map(webhook => this.deliver(webhook, event, container, data))
+    );
+  }
+
+  static buildPayload(deliveryId, event, container, data) {
+    return {
+      id: deliveryId,
+      event,
+      timestamp: new Date().toISOString(),
+      container: container ? {
+        id: container.id,
+        name: container.name,
+        image: container.image,
+        status: container.status,
+        docker_id: container.docker_id
+      } : null,
+      data
+    };
+  }
+
+  static async deliver(webhook, event, container, data = {}) {
+    const deliveryId = uuidv4();
+    const body = JSON.stringify(this.buildPayload(deliveryId, event, container, data));
+    const startedAt = Date.now();
+
+    let attempts = 0;
+    let lastResponse = null;
+
+    const send = async () => {
+      attempts++;
+      lastResponse = null;
+
+      const timestamp = Math.floor(Date.now() / 1000).toString();
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), this.timeout);
+
+      try {
+        const response = await fetch(webhook.url, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'User-Agent': 'nexus-crate-flow-webhooks',
+            'X-Nexus-Event': event,
+            'X-Nexus-Delivery': deliveryId,
+            'X-Nexus-Timestamp': timestamp,
+            'X-Nexus-Signature': this.sign(webhook.secret, timestamp, body)
+          },
+          body,
+          signal: controller.signal
+        });
+
+        lastResponse = {
+          code: response.status,
+          body: (await response.text()).slice(0, MAX_RESPONSE_BODY)
+        };
+
+        if (!response.ok) {
+          throw new Error(`Webhook responded with HTTP ${response.status}`);
+        }
+
+        return lastResponse;
+      } finally {
+        clearTimeout(timer);
+      }
+    };
+
+    const delivery = {
+      delivery_id: deliveryId,
+      event,
+      container_id: container?.id,
+      payload: body
+    };
+
+    try {
+      await Helpers.retry(send, this.maxRetries, this.retryDelay);
+      delivery.status = 'success';
+    } catch (error) {
+      delivery.status = 'failed';
+      delivery.error = error.name === 'AbortError' ? 'Request timed out' : error.message;
+      console.warn(`⚠️ Webhook ${webhook.id} delivery of ${event} failed after ${attempts} attempts: ${delivery.error}`);
+    }
+
+    delivery.attempts = attempts;
+    delivery.response_code = lastResponse?.code;
+    delivery.response_body = lastResponse?.body;
+    delivery.duration_ms = Date.now() - startedAt;
+
+    await webhook.addDelivery(delivery);
+
+    return delivery;
+  }
+}
+
+export default WebhookService;
@@ -1,13 +1,18 @@
 import jwt from 'jsonwebtoken';
 import { Container } from '../models/Container.js';
+import { User } from '../models/User.js';
 import { dockerManager } from '../config/docker.js';
 import { LogService } from './logService.js';
+import { PermissionService } from './permissionService.js';
+import { AuditService } from './auditService.js';
+import { isAccessTokenRevoked } from '../middleware/auth.js';
 
 export class WebSocketService {
   constructor(wss) {
     this.wss = wss;
     this.clients = new Map(); // Map of client connections
     this.containerStreams = new Map(); // Map of container log streams
+    this.terminals = new Map(); // Map of interactive terminal sessions
     this.logService = null;
   }
 
@@ -34,20 +39,31 @@ export class WebSocketService {
     let clientId = null;
     let userId = null;
     let authenticated = false;
+    let pendingAuthentication = null;
     let subscribedContainers = new Set();
+    let openTerminals = new Set();
 
     // Handle incoming messages
     ws.on('message', async (data) => {
       try {
         const message = JSON.parse(data.toString());
+
+        // Clients send their first request right after authenticate, so hold
+        // messages until a pending authentication has settled
+        if (pendingAuthentication) {
+          await pendingAuthentication;
+        }
         
         switch (message.type) {
           case 'authenticate':
-            await this.handleAuthentication(ws, message, (id, user) => {
+            pendingAuthentication = this.handleAuthentication(ws, message, req, (id, user) => {
               clientId = id;
               userId = user;
               authenticated = true;
+            }).finally(() => {
+              pendingAuthentication = null;
             });
+            await pendingAuthentication;
             break;
             
           case 'subscribe_logs':
@@ -72,6 +88,49 @@ export class WebSocketService {
             }
             break;
             
+          case 'open_terminal':
+            if (authenticated) {
+              await this.handleOpenTerminal(ws, message, userId, openTerminals);
+            } else {
+              this.sendError(ws, 'Authentication required');
+            }
+            break;
+
+          case 'terminal_input':
+            if (authenticated) {
+              this.handleTerminalInput(ws, message);
+            }
+            break;
+
+          case 'terminal_resize':
+            if (authenticated) {
+              await this.handleTerminalResize(ws, message);
+            }
+            break;
+
+          case 'close_terminal':
+            if (authenticated) {
+              this.closeTerminal(message.session_id, ws);
+              openTerminals.delete(message.session_id);
+            }
+            break;
+            
+          case 'pull_image':
+            if (authenticated) {
+              await this.handleImagePull(ws, message);
+            } else {
+              this.sendError(ws, 'Authentication required');
+            }
+            break;
+
+          case 'subscribe_alerts':
+            if (authenticated) {
+              this.handleAlertSubscription(ws, clientId);
+            } else {
+              this.sendError(ws, 'Authentication required');
+            }
+            break;
+
           case 'get_container_status':
             if (authenticated) {
               await this.handleContainerStatus(ws, message, userId);
@@ -102,6 +161,11 @@ export class WebSocketService {
       subscribedContainers.forEach(containerId => {
         this.unsubscribeFromContainerLogs(containerId, ws);
       });
+
+      // Kill any shells left open by this connection
+      openTerminals.forEach(sessionId => {
+        this.closeTerminal(sessionId, ws);
+      });
     });
 
     // Handle connection errors
@@ -117,7 +181,7 @@ export class WebSocketService {
     });
   }
 
-  async handleAuthentication(ws, message, callback) {
+  async handleAuthentication(ws, message, req, callback) {
     try {
       const { token } = message;
       
@@ -128,14 +192,27 @@ export class WebSocketService {
 
       // Verify JWT token
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+      if (await isAccessTokenRevoked(token, decoded)) {
+        this.sendError(ws, 'Token has been revoked');
+        return;
+      }
+
+      const user = await User.findById(decoded.userId);
+      if (!user || user.disabled) {
+        this.sendError(ws, 'Account is disabled or no longer exists');
+        return;
+      }
+
       const clientId = `client_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
       
       // Store client connection
       this.clients.set(clientId, {
         ws,
         userId: decoded.userId,
-        username: decoded.username,
-        role: decoded.role,
+        username: user.username,
+        role: user.role,
+        ipAddress: req.socket?.remoteAddress,
         connectedAt: new Date()
       });
 
@@ -146,8 +223,8 @@ export class WebSocketService {
         client_id: clientId,
         user: {
           id: decoded.userId,
-          username: decoded.username,
-          role: decoded.role
+          username: user.username,
+          role: user.role
         },
         timestamp: new Date().toISOString()
       });
@@ -169,19 +246,8 @@ export class WebSocketService {
         return;
       }
 
-      // Check if container exists and user has access
-      const container = await Container.findById(container_id);
-      if (!container) {
-        this.sendError(ws, 'Container not found');
-        return;
-      }
-
-      // Check ownership (non-admin users can only access their own containers)
-      const client = Array.from(this.clients.values()).find(c => c.ws === ws);
-      if (client && client.role !== 'admin' && container.created_by !== userId) {
-        this.sendError(ws, 'Access denied');
-        return;
-      }
+      const container = await this.authorizeContainer(ws, container_id, 'viewer');
+      if (!container) return;
 
       // Subscribe to container logs
       this.subscribeToContainerLogs(container_id, ws);
@@ -252,24 +318,16 @@ export class WebSocketService {
         return;
       }
 
-      const container = await Container.findById(container_id);
-      if (!container) {
-        this.sendError(ws, 'Container not found');
-        return;
-      }
-
-      // Check ownership
-      const client = Array.from(this.clients.values()).find(c => c.ws === ws);
-      if (client && client.role !== 'admin' && container.created_by !== userId) {
-        this.sendError(ws, 'Access denied');
-        return;
-      }
+      const container = await this.authorizeContainer(ws, container_id, 'operator');
+      if (!container) return;
 
       if (!container.docker_id) {
         this.sendError(ws, 'Container has no Docker ID');
         return;
       }
 
+      this.auditAction(ws, 'container.exec', container, { command, working_dir });
+
       // Execute command
       const stream = await dockerManager.executeCommand(container.docker_id, command.split(' '), {
         WorkingDir: working_dir,
@@ -321,28 +379,207 @@ export class WebSocketService {
     }
   }
 
-  async handleContainerStatus(ws, message, userId) {
+  async handleOpenTerminal(ws, message, userId, openTerminals) {
     try {
-      const { container_id } = message;
-      
+      const { container_id, shell, working_dir = '/app', cols, rows } = message;
+
       if (!container_id) {
         this.sendError(ws, 'Container ID required');
         return;
       }
 
-      const container = await Container.findById(container_id);
-      if (!container) {
-        this.sendError(ws, 'Container not found');
+      const container = await this.authorizeContainer(ws, container_id, 'operator');
+      if (!container) return;
+
+      if (!container.docker_id) {
+        this.sendError(ws, 'Container has no Docker ID');
         return;
       }
 
-      // Check ownership
-      const client = Array.from(this.clients.values()).find(c => c.ws === ws);
-      if (client && client.role !== 'admin' && container.created_by !== userId) {
-        this.sendError(ws, 'Access denied');
+      const { exec, stream } = await dockerManager.openTerminal(container.docker_id, {
+        shell,
+        workingDir: working_dir,
+        cols: parseInt(cols) || null,
+        rows: parseInt(rows) || null
+      });
+
+      const sessionId = `terminal_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+      this.auditAction(ws, 'container.terminal', container, { shell, working_dir });
+
+      this.terminals.set(sessionId, {
+        ws,
+        exec,
+        stream,
+        containerId: container.id,
+        userId,
+        openedAt: new Date()
+      });
+      openTerminals.add(sessionId);
+
+      // TTY streams are not multiplexed, so output can be forwarded as-is
+      stream.on('data', (chunk) => {
+        this.sendMessage(ws, {
+          type: 'terminal_output',
+          session_id: sessionId,
+          data: chunk.toString('utf8')
+        });
+      });
+
+      stream.on('end', async () => {
+        let exitCode = null;
+        try {
+          const info = await exec.inspect();
+          exitCode = info.ExitCode;
+        } catch (error) {
+          // Exec may already be gone together with the container
+        }
+
+        this.terminals.delete(sessionId);
+        openTerminals.delete(sessionId);
+
+        this.sendMessage(ws, {
+          type: 'terminal_closed',
+          session_id: sessionId,
+          exit_code: exitCode,
+          timestamp: new Date().toISOString()
+        });
+      });
+
+      stream.on('error', (error) => {
+        this.sendMessage(ws, {
+          type: 'terminal_error',
+          session_id: sessionId,
+          error: error.message,
+          timestamp: new Date().toISOString()
+        });
+      });
+
+      this.sendMessage(ws, {
+        type: 'terminal_opened',
+        session_id: sessionId,
+        container_id: container.id,
+        container_name: container.name,
+        timestamp: new Date().toISOString()
+      });
+
+      await container.addLog(`Interactive terminal opened via WebSocket (${sessionId})`, 'info');
+
+    } catch (error) {
+      console.error('Open terminal error:', error);
+      this.sendError(ws, 'Failed to open terminal');
+    }
+  }
+
+  handleTerminalInput(ws, message) {
+    const { session_id, data } = message;
+    const terminal = this.terminals.get(session_id);
+
+    // Only the connection that opened the session may write to it
+    if (!terminal || terminal.ws !== ws) {
+      this.sendError(ws, 'Terminal session not found');
+      return;
+    }
+
+    if (typeof data === 'string' && terminal.stream.writable) {
+      terminal.stream.write(data);
+    }
+  }
+
+  async handleTerminalResize(ws, message) {
+    const { session_id, cols, rows } = message;
+    const terminal = this.terminals.get(session_id);
+
+    if (!terminal || terminal.ws !== ws) {
+      this.sendError(ws, 'Terminal session not found');
+      return;
+    }
+
+    const width = parseInt(cols);
+    const height = parseInt(rows);
+
+    if (width > 0 && height > 0) {
+      await dockerManager.resizeTerminal(terminal.exec, width, height);
+    }
+  }
+
+  closeTerminal(sessionId, ws) {
+    const terminal = this.terminals.get(sessionId);
+
+    if (!terminal || terminal.ws !== ws) {
+      return;
+    }
+
+    this.terminals.delete(sessionId);
+
+    try {
+      // Send EOF so the shell exits, then tear down the hijacked socket
+      terminal.stream.end('exit\n');
+      terminal.stream.destroy();
+    } catch (error) {
+      console.error(`Error closing terminal ${sessionId}:`, error);
+    }
+  }
+
+  async handleImagePull(ws, message) {
+    const { image } = message;
+
+    if (!image) {
+      this.sendError(ws, 'Image name required');
+      return;
+    }
+
+    const pullId = `pull_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+    this.sendMessage(ws, {
+      type: 'image_pull_started',
+      pull_id: pullId,
+      image,
+      timestamp: new Date().toISOString()
+    });
+
+    try {
+      await dockerManager.pullImage(image, (event) => {
+        this.sendMessage(ws, {
+          type: 'image_pull_progress',
+          pull_id: pullId,
+          image,
+          layer: event.id || null,
+          status: event.status,
+          current: event.progressDetail?.current || null,
+          total: event.progressDetail?.total || null
+        });
+      });
+
+      this.sendMessage(ws, {
+        type: 'image_pull_complete',
+        pull_id: pullId,
+        image,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('Image pull error:', error);
+      this.sendMessage(ws, {
+        type: 'image_pull_error',
+        pull_id: pullId,
+        image,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  async handleContainerStatus(ws, message, userId) {
+    try {
+      const { container_id } = message;
+      
+      if (!container_id) {
+        this.sendError(ws, 'Container ID required');
         return;
       }
 
+      const container = await this.authorizeContainer(ws, container_id, 'viewer');
+      if (!container) return;
+
       let dockerStatus = null;
       if (container.docker_id) {
         try {
@@ -372,6 +609,44 @@ export class WebSocketService {
     }
   }
 
+  // Resolve a container and check the connected user's role on it.
+  // Sends the error to the client and returns null when access is denied.
+  // Commands and terminals bypass the HTTP API, so they are audited here
+  auditAction(ws, action, container, details) {
+    const client = Array.from(this.clients.values()).find(c => c.ws === ws);
+
+    AuditService.record({
+      actor_id: client?.userId,
+      actor_username: client?.username,
+      ip_address: client?.ipAddress,
+      action,
+      target_type: 'container',
+      target_id: container.id,
+      method: 'WS',
+      path: '/ws',
+      after: details,
+      result: 'success'
+    });
+  }
+
+  async authorizeContainer(ws, containerId, requiredRole) {
+    const container = await Container.findById(containerId);
+    if (!container) {
+      this.sendError(ws, 'Container not found');
+      return null;
+    }
+
+    const client = Array.from(this.clients.values()).find(c => c.ws === ws);
+    const user = client ? { id: client.userId, role: client.role } : null;
+
+    if (!await PermissionService.canAccessContainer(user, container, requiredRole)) {
+      this.sendError(ws, 'Access denied');
+      return null;
+    }
+
+    return container;
+  }
+
   subscribeToContainerLogs(containerId, ws) {
     if (!this.containerStreams.has(containerId)) {
       this.containerStreams.set(containerId, new Set());
@@ -423,6 +698,34 @@ export class WebSocketService {
     });
   }
 
+  handleAlertSubscription(ws, clientId) {
+    const client = this.clients.get(clientId);
+    if (client) {
+      client.alerts = true;
+    }
+
+    this.sendMessage(ws, {
+      type: 'alert_subscription_success',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  // Push an alert to the rule owner and to admins that subscribed to alerts
+  sendAlert(userId, message) {
+    let delivered = 0;
+
+    this.clients.forEach(client => {
+      if (client.alerts && (client.userId === userId || client.role === 'admin')) {
+        if (client.ws.readyState === client.ws.OPEN) {
+          this.sendMessage(client.ws, message);
+          delivered++;
+        }
+      }
+    });
+
+    return delivered;
+  }
+
   sendMessage(ws, message) {
     if (ws.readyState === ws.OPEN) {
       ws.send(JSON.stringify(message));
@@ -472,6 +775,13 @@ export class WebSocketService {
         });
       }
     });
+
+    // Close terminals whose connection is gone
+    this.terminals.forEach((terminal, sessionId) => {
+      if (terminal.ws.readyState !== terminal.ws.OPEN) {
+        this.closeTerminal(sessionId, terminal.ws);
+      }
+    });
   }
 }
 
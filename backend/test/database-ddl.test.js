@@ -0,0 +1,124 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { collectKeyColumns, rewriteCreateTable } from '../config/database-ddl.js';
+import { SQLiteAdapter } from '../config/database-sqlite.js';
+import { MySQLAdapter } from '../config/database-mysql.js';
+import { PostgreSQLAdapter } from '../config/database-postgresql.js';
+
+const TABLE = `CREATE TABLE IF NOT EXISTS widgets (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  slug TEXT UNIQUE NOT NULL,
+  owner_id INTEGER NOT NULL,
+  kind TEXT DEFAULT 'plain', -- plain, fancy
+  body TEXT, -- free text, may contain commas, parentheses (like these)
+  weight REAL,
+  visible BOOLEAN DEFAULT 1,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(owner_id, kind),
+  FOREIGN KEY (owner_id) REFERENCES users (id) ON DELETE CASCADE
+)`;
+
+const INDEXES = ['CREATE INDEX IF NOT EXISTS idx_widgets_body ON widgets(body, created_at)'];
+
+describe('collectKeyColumns', () => {
+  it('collects primary key, unique and indexed columns', () => {
+    const keys = collectKeyColumns([TABLE], INDEXES);
+
+    assert.deepEqual([...keys].sort(), [
+      'widgets.body',
+      'widgets.created_at',
+      'widgets.id',
+      'widgets.kind',
+      'widgets.owner_id',
+      'widgets.slug'
+    ]);
+  });
+
+  it('collects index columns without a table definition', () => {
+    assert.deepEqual([...collectKeyColumns([], INDEXES)], ['widgets.body', 'widgets.created_at']);
+  });
+});
+
+describe('rewriteCreateTable', () => {
+  it('passes every column through the mapper and keeps table constraints', () => {
+    const seen = [];
+    const sql = rewriteCreateTable(TABLE, (table, column, definition) => {
+      seen.push([table, column, definition]);
+      return definition.toLowerCase();
+    });
+
+    assert.deepEqual(seen.map(([, column]) => column), [
+      'id', 'slug', 'owner_id', 'kind', 'body', 'weight', 'visible', 'created_at'
+    ]);
+    assert.ok(seen.every(([table]) => table === 'widgets'));
+    assert.match(sql, /^CREATE TABLE IF NOT EXISTS widgets \(/);
+    assert.match(sql, /slug text unique not null/);
+    assert.match(sql, /UNIQUE\(owner_id, kind\)/);
+  });
+
+  it('drops foreign keys and comments', () => {
+    const sql = rewriteCreateTable(TABLE, (table, column, definition) => definition);
+
+    assert.doesNotMatch(sql, /FOREIGN KEY|REFERENCES/);
+    assert.doesNotMatch(sql, /--|free text/);
+    assert.match(sql, /body TEXT,\n/);
+  });
+
+  it('rejects statements it cannot parse', () => {
+    assert.throws(() => rewriteCreateTable('CREATE TABLE widgets (id INTEGER)', () => ''), /Unsupported table definition/);
+  });
+});
+
+describe('SQLite adapter DDL', () => {
+  it('runs migrations as written', () => {
+    const adapter = new SQLiteAdapter();
+
+    assert.equal(adapter.translateTable(TABLE, new Set()), TABLE);
+    assert.equal(adapter.translateIndex(INDEXES[0]), INDEXES[0]);
+  });
+});
+
+describe('MySQL adapter DDL', () => {
+  const adapter = new MySQLAdapter();
+  const sql = adapter.translateTable(TABLE, collectKeyColumns([TABLE], INDEXES));
+
+  it('maps SQLite types', () => {
+    assert.match(sql, /id BIGINT AUTO_INCREMENT PRIMARY KEY/);
+    assert.match(sql, /owner_id BIGINT NOT NULL/);
+    assert.match(sql, /weight DOUBLE/);
+    assert.match(sql, /ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_bin$/);
+  });
+
+  it('gives indexed TEXT columns and TEXT columns with a default a fixed length', () => {
+    assert.match(sql, /slug VARCHAR\(255\) UNIQUE NOT NULL/);
+    assert.match(sql, /kind VARCHAR\(255\) DEFAULT 'plain'/);
+    assert.match(sql, /body VARCHAR\(255\)/);
+    assert.equal(adapter.translateColumn('widgets', 'notes', 'TEXT', new Set()), 'MEDIUMTEXT');
+  });
+
+  it('creates and drops indexes without IF [NOT] EXISTS', () => {
+    assert.equal(adapter.translateIndex(INDEXES[0]), 'CREATE INDEX idx_widgets_body ON widgets(body, created_at)');
+    assert.equal(adapter.dropIndexSql('idx_widgets_body', 'widgets'), 'DROP INDEX idx_widgets_body ON widgets');
+  });
+});
+
+describe('PostgreSQL adapter DDL', () => {
+  const adapter = new PostgreSQLAdapter();
+  const sql = adapter.translateTable(TABLE, collectKeyColumns([TABLE], INDEXES));
+
+  it('maps SQLite types', () => {
+    assert.match(sql, /id BIGSERIAL PRIMARY KEY/);
+    assert.match(sql, /owner_id BIGINT NOT NULL/);
+    assert.match(sql, /weight DOUBLE PRECISION/);
+    assert.match(sql, /visible SMALLINT DEFAULT 1/);
+    assert.match(sql, /created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP/);
+    assert.match(sql, /slug TEXT UNIQUE NOT NULL/);
+  });
+
+  it('numbers placeholders outside string literals', () => {
+    assert.equal(
+      adapter.toPositional("SELECT * FROM widgets WHERE slug = ? AND kind <> '?' AND owner_id = ?"),
+      "SELECT * FROM widgets WHERE slug = $1 AND kind <> '?' AND owner_id = $2"
+    );
+  });
+});
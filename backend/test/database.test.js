@@ -0,0 +1,386 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { database, toTimestamp } from '../config/database.js';
+import { Migrator, MigrationSchema } from '../config/database-migrations.js';
+import { User } from '../models/User.js';
+import { Container } from '../models/Container.js';
+import { ContainerSnapshot } from '../models/ContainerSnapshot.js';
+import { LoginAttempt } from '../models/LoginAttempt.js';
+import { LoginSession } from '../models/LoginSession.js';
+import { DIALECTS, openAdapter } from './support/databases.js';
+
+process.env.BCRYPT_ROUNDS = '4';
+
+const TIMESTAMP = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/;
+
+const ITEMS_TABLE = `CREATE TABLE IF NOT EXISTS test_items (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name TEXT UNIQUE NOT NULL,
+  category TEXT DEFAULT 'general',
+  note TEXT, -- free text, never indexed
+  enabled BOOLEAN DEFAULT 0,
+  score REAL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+)`;
+
+const ITEMS_INDEXES = ['CREATE INDEX IF NOT EXISTS idx_test_items_category ON test_items(category, created_at)'];
+
+const LABEL_INDEX = 'CREATE INDEX IF NOT EXISTS idx_test_items_label ON test_items(label)';
+
+// The same suite runs against every supported database
+for (const dialect of DIALECTS) {
+  describe(`database (${dialect})`, () => {
+    let cleanup;
+    let migrator;
+    let schema;
+
+    before(async () => {
+      mock.method(console, 'log', () => {});
+
+      const opened = await openAdapter(dialect);
+      cleanup = opened.cleanup;
+      database.use(opened.adapter);
+
+      migrator = new Migrator(database);
+      schema = new MigrationSchema(database);
+    });
+
+    after(async () => {
+      await cleanup();
+      mock.restoreAll();
+    });
+
+    describe('migrations', () => {
+      it('applies every migration in order', async () => {
+        const files = await migrator.load();
+        const applied = await migrator.up();
+
+        assert.deepEqual(applied.map(migration => migration.version), files.map(migration => migration.version));
+        assert.ok(await schema.hasTable('users'));
+        assert.ok(await schema.hasTable('container_snapshots'));
+        assert.ok(await schema.hasColumn('containers', 'cpu_quota'));
+
+        const status = await migrator.status();
+        assert.ok(status.every(migration => TIMESTAMP.test(migration.applied_at)));
+      });
+
+      it('does nothing when every migration is applied', async () => {
+        assert.deepEqual(await migrator.up(), []);
+      });
+
+      it('only prints statements in a dry run', async () => {
+        const reverted = await migrator.down({ to: 0, dryRun: true });
+
+        assert.ok(reverted.length > 0);
+        assert.ok(await schema.hasTable('users'));
+        assert.ok((await migrator.status()).every(migration => migration.applied_at));
+      });
+
+      it('reverts the latest migration', async () => {
+        const [reverted] = await migrator.down();
+        const status = await migrator.status();
+
+        assert.equal(reverted.version, status.at(-1).version);
+        assert.equal(status.at(-1).applied_at, null);
+        assert.ok(!(await schema.hasColumn('containers', 'cpu_quota')));
+        assert.ok(await schema.hasColumn('containers', 'cpu_limit'));
+      });
+
+      it('reverts and re-applies every migration', async () => {
+        await migrator.down({ to: 0 });
+
+        assert.ok((await migrator.status()).every(migration => migration.applied_at === null));
+        assert.ok(!(await schema.hasTable('users')));
+        assert.ok(!(await schema.hasTable('container_snapshots')));
+
+        await migrator.up();
+
+        assert.ok((await migrator.status()).every(migration => migration.applied_at));
+        assert.ok(await schema.hasColumn('containers', 'cpu_quota'));
+      });
+    });
+
+    describe('schema helpers', () => {
+      it('can run every step twice', async () => {
+        for (let attempt = 0; attempt < 2; attempt++) {
+          await schema.createTable(ITEMS_TABLE, { indexes: ITEMS_INDEXES });
+          for (const index of ITEMS_INDEXES) {
+            await schema.createIndex(index);
+          }
+          await schema.addColumn('test_items', 'label', 'TEXT', { indexes: [LABEL_INDEX] });
+          await schema.createIndex(LABEL_INDEX);
+        }
+
+        assert.ok(await schema.hasColumn('test_items', 'label'));
+
+        for (let attempt = 0; attempt < 2; attempt++) {
+          await schema.dropIndex('idx_test_items_label', 'test_items');
+          await schema.dropColumn('test_items', 'label');
+        }
+
+        assert.ok(!(await schema.hasColumn('test_items', 'label')));
+        assert.ok(await schema.hasColumn('test_items', 'note'));
+      });
+
+      it('drops tables that may not exist', async () => {
+        await schema.createTable('CREATE TABLE IF NOT EXISTS test_scratch (id INTEGER PRIMARY KEY AUTOINCREMENT)');
+        await schema.dropTable('test_scratch');
+        await schema.dropTable('test_scratch');
+
+        assert.ok(!(await schema.hasTable('test_scratch')));
+      });
+    });
+
+    describe('queries', () => {
+      it('reports the id of inserted rows', async () => {
+        const first = await database.run('INSERT INTO test_items (name) VALUES (?)', ['alpha']);
+        const second = await database.run('INSERT INTO test_items (name) VALUES (?)', ['beta']);
+
+        assert.equal(typeof first.id, 'number');
+        assert.equal(second.id, first.id + 1);
+        assert.equal(second.changes, 1);
+      });
+
+      it('stores booleans as 0/1 and undefined as NULL', async () => {
+        await database.run(
+          'INSERT INTO test_items (name, enabled, note, score) VALUES (?, ?, ?, ?)',
+          ['gamma', true, undefined, 1.5]
+        );
+
+        const row = await database.get('SELECT * FROM test_items WHERE name = ?', ['gamma']);
+        assert.equal(row.enabled, 1);
+        assert.equal(row.note, null);
+        assert.equal(row.score, 1.5);
+        assert.equal(row.category, 'general');
+        assert.match(row.created_at, TIMESTAMP);
+      });
+
+      it('returns counts and sums as numbers', async () => {
+        const row = await database.get('SELECT COUNT(*) AS count, SUM(enabled) AS enabled FROM test_items');
+
+        assert.equal(row.count, 3);
+        assert.equal(row.enabled, 1);
+      });
+
+      it('accepts LIMIT and OFFSET values passed as strings', async () => {
+        const rows = await database.all('SELECT name FROM test_items ORDER BY id LIMIT ? OFFSET ?', ['1', '1']);
+
+        assert.deepEqual(rows.map(row => row.name), ['beta']);
+      });
+
+      it('compares text case-sensitively', async () => {
+        assert.equal(await database.get('SELECT id FROM test_items WHERE name = ?', ['ALPHA']), undefined);
+      });
+
+      it('reports unique and not-null violations as CONSTRAINT_ERROR', async () => {
+        await assert.rejects(
+          database.run('INSERT INTO test_items (name) VALUES (?)', ['alpha']),
+          { code: 'CONSTRAINT_ERROR' }
+        );
+        await assert.rejects(
+          database.run('INSERT INTO test_items (name) VALUES (?)', [null]),
+          { code: 'CONSTRAINT_ERROR' }
+        );
+      });
+
+      it('inserts or updates with upsert', async () => {
+        await database.upsert('test_items', { name: 'delta', note: 'first', score: 1 }, ['name']);
+        await database.upsert('test_items', { name: 'delta', note: 'second', score: 2 }, ['name']);
+
+        const rows = await database.all('SELECT note, score FROM test_items WHERE name = ?', ['delta']);
+        assert.deepEqual(rows.map(row => ({ ...row })), [{ note: 'second', score: 2 }]);
+      });
+
+      it('converts between timestamps and epoch seconds', async () => {
+        await database.run(
+          'INSERT INTO test_items (name, created_at) VALUES (?, ?)',
+          ['epsilon', '2024-01-02 03:04:05']
+        );
+
+        const row = await database.get(
+          `SELECT ${database.epoch('created_at')} AS seconds,
+            ${database.fromEpoch('?')} AS timestamp,
+            ${database.intDiv(database.epoch('created_at'), 3600)} AS hours
+          FROM test_items WHERE name = ?`,
+          [1704164645, 'epsilon']
+        );
+
+        assert.equal(row.seconds, 1704164645);
+        assert.equal(row.timestamp, '2024-01-02 03:04:05');
+        assert.equal(row.hours, 473379);
+      });
+
+      it('stores CURRENT_TIMESTAMP in UTC', async () => {
+        const row = await database.get('SELECT created_at FROM test_items WHERE name = ?', ['alpha']);
+
+        assert.ok(Math.abs(Date.parse(`${row.created_at}Z`) - Date.parse(`${toTimestamp()}Z`)) < 60000);
+      });
+
+      it('commits a transaction when the callback resolves', async () => {
+        const id = await database.transaction(async (db) => {
+          await db.run('UPDATE test_items SET note = ? WHERE name = ?', ['committed', 'alpha']);
+          return (await db.run('INSERT INTO test_items (name) VALUES (?)', ['zeta'])).id;
+        });
+
+        assert.equal(typeof id, 'number');
+        assert.equal((await database.get('SELECT note FROM test_items WHERE name = ?', ['alpha'])).note, 'committed');
+        assert.ok(await database.get('SELECT id FROM test_items WHERE name = ?', ['zeta']));
+      });
+
+      it('rolls a transaction back when a statement fails', async () => {
+        const before = await database.get('SELECT COUNT(*) AS count FROM test_items');
+
+        await assert.rejects(
+          database.transaction(async (db) => {
+            await db.run('DELETE FROM test_items');
+            await db.run('INSERT INTO test_items (name) VALUES (?)', ['eta']);
+            await db.run('INSERT INTO test_items (name) VALUES (?)', ['eta']);
+          }),
+          { code: 'CONSTRAINT_ERROR' }
+        );
+
+        assert.deepEqual(await database.get('SELECT COUNT(*) AS count FROM test_items'), before);
+        assert.equal(await database.get('SELECT id FROM test_items WHERE name = ?', ['eta']), undefined);
+      });
+
+      it('continues ids after rows inserted with explicit ids', async () => {
+        await database.run('INSERT INTO test_items (id, name) VALUES (?, ?)', [100, 'restored']);
+        await database.resetSequence('test_items');
+
+        const { id } = await database.run('INSERT INTO test_items (name) VALUES (?)', ['after-restore']);
+        assert.equal(id, 101);
+      });
+    });
+
+    describe('models', () => {
+      let user;
+
+      it('seeds the default data once', async () => {
+        await database.seedDefaultData();
+        await database.seedDefaultData();
+
+        const admins = await database.all('SELECT role FROM users WHERE username = ?', ['admin']);
+        const setting = await database.get('SELECT setting_value FROM system_settings WHERE setting_key = ?', ['max_containers']);
+
+        assert.deepEqual(admins.map(admin => admin.role), ['admin']);
+        assert.equal(setting.setting_value, '50');
+      });
+
+      it('creates and finds users', async () => {
+        user = await User.create({ username: 'tester', password: 'secret123', email: 'tester@example.com' });
+
+        assert.equal(user.username, 'tester');
+        assert.equal(user.role, 'user');
+        assert.equal(user.disabled, false);
+        assert.deepEqual((await User.findById(user.id)).email, 'tester@example.com');
+        assert.equal((await User.findByUsername('tester')).id, user.id);
+      });
+
+      it('round-trips container JSON fields and resource limits', async () => {
+        const created = await Container.create({
+          name: 'web',
+          image: 'nginx:alpine',
+          port_mappings: { '80/tcp': [{ HostPort: '8080' }] },
+          environment_vars: ['MODE=test'],
+          memory_limit: 536870912,
+          cpu_limit: 1.5
+        }, user.id);
+
+        assert.deepEqual(created.port_mappings, { '80/tcp': [{ HostPort: '8080' }] });
+        assert.deepEqual(created.environment_vars, ['MODE=test']);
+        assert.equal(created.memory_limit, 536870912);
+        assert.equal(created.cpu_limit, 1.5);
+        assert.equal(created.cpu_quota, null);
+
+        const updated = await Container.update(created.id, { cpu_quota: 0.5, status: 'running' });
+        assert.equal(updated.cpu_quota, 0.5);
+        assert.equal(updated.status, 'running');
+
+        const { containers, pagination } = await Container.getByUser(user.id, { limit: '10' });
+        assert.deepEqual(containers.map(container => container.id), [created.id]);
+        assert.equal(pagination.total, 1);
+      });
+
+      it('lists container snapshots newest first', async () => {
+        const container = await Container.findByName('web');
+        const first = await ContainerSnapshot.create({ container_id: container.id, image_tag: 'web:one', size: 1024 }, user.id);
+        const second = await ContainerSnapshot.create({ container_id: container.id, image_tag: 'web:two' }, user.id);
+
+        assert.equal(first.size, 1024);
+        assert.deepEqual((await ContainerSnapshot.listForContainer(container.id)).map(snapshot => snapshot.id), [second.id, first.id]);
+
+        assert.ok(await ContainerSnapshot.delete(first.id));
+        assert.equal(await ContainerSnapshot.findById(first.id), null);
+      });
+
+      it('saves login throttles with an upsert', async () => {
+        await LoginAttempt.saveThrottle('Tester', { failed_count: 1 });
+        await LoginAttempt.saveThrottle('tester', { failed_count: 2, locked_until: '2999-01-01 00:00:00' });
+
+        const throttle = await LoginAttempt.getThrottle('TESTER');
+        assert.equal(throttle.failed_count, 2);
+        assert.equal(throttle.locked_until, '2999-01-01 00:00:00');
+        assert.deepEqual((await LoginAttempt.listLocked()).map(locked => locked.user_id), [user.id]);
+      });
+
+      it('deletes the rows that belong to a container with it', async () => {
+        const container = await Container.create({ name: 'doomed', image: 'alpine' }, user.id);
+        const { id } = container;
+        const insert = (sql, params) => database.run(sql, params);
+
+        await insert('INSERT INTO container_logs (container_id, log_content) VALUES (?, ?)', [id, 'hello']);
+        await insert('INSERT INTO container_settings (container_id) VALUES (?)', [id]);
+        await insert('INSERT INTO container_metrics (container_id) VALUES (?)', [id]);
+        await insert('INSERT INTO container_snapshots (container_id, image_tag) VALUES (?, ?)', [id, 'doomed:one']);
+        await insert('INSERT INTO container_permissions (container_id, user_id, role, granted_by) VALUES (?, ?, ?, ?)', [id, user.id, 'viewer', user.id]);
+        await insert('INSERT INTO stacks (id, name, compose_content) VALUES (?, ?, ?)', ['stack1', 'stack1', 'services: {}']);
+        await insert('INSERT INTO stack_services (stack_id, service_name, container_id) VALUES (?, ?, ?)', ['stack1', 'app', id]);
+
+        const rule = await insert('INSERT INTO alert_rules (name, container_id, rule_type) VALUES (?, ?, ?)', ['own', id, 'container_stopped']);
+        const globalRule = await insert('INSERT INTO alert_rules (name, rule_type) VALUES (?, ?)', ['global', 'container_stopped']);
+        await insert('INSERT INTO alerts (rule_id, container_id, message) VALUES (?, ?, ?)', [rule.id, id, 'own']);
+        await insert('INSERT INTO alerts (rule_id, container_id, message) VALUES (?, ?, ?)', [globalRule.id, id, 'global']);
+
+        const webhook = await insert(
+          'INSERT INTO webhooks (name, url, secret, events, container_id, created_by) VALUES (?, ?, ?, ?, ?, ?)',
+          ['own', 'http://example.com', 'secret', '[]', id, user.id]
+        );
+        await insert(
+          'INSERT INTO webhook_deliveries (webhook_id, delivery_id, event, payload, status) VALUES (?, ?, ?, ?, ?)',
+          [webhook.id, 'delivery1', 'container.started', '{}', 'success']
+        );
+
+        assert.ok(await Container.delete(id));
+
+        const tables = [
+          'container_logs', 'container_settings', 'container_metrics', 'container_snapshots',
+          'container_permissions', 'stack_services', 'alert_rules', 'alerts', 'webhooks'
+        ];
+        for (const table of tables) {
+          const { count } = await database.get(`SELECT COUNT(*) AS count FROM ${table} WHERE container_id = ?`, [id]);
+          assert.equal(count, 0, table);
+        }
+        assert.equal((await database.get('SELECT COUNT(*) AS count FROM webhook_deliveries')).count, 0);
+        assert.ok(await database.get('SELECT id FROM alert_rules WHERE id = ?', [globalRule.id]));
+      });
+
+      it('deletes stale login sessions with their refresh tokens', async () => {
+        const expiresAt = new Date(Date.now() + 3600 * 1000);
+        const expired = await LoginSession.create({ user_id: user.id, expires_at: new Date('2020-01-01T00:00:00Z') });
+        const revoked = await LoginSession.create({ user_id: user.id, expires_at: expiresAt });
+        const active = await LoginSession.create({ user_id: user.id, expires_at: expiresAt });
+
+        await database.run('UPDATE login_sessions SET revoked_at = ? WHERE id = ?', ['2020-01-01 00:00:00', revoked.id]);
+        const staleToken = await LoginSession.addRefreshToken(expired.id, 'salt', 'hash-1');
+        const activeToken = await LoginSession.addRefreshToken(active.id, 'salt', 'hash-2');
+
+        assert.equal(await LoginSession.deleteStale(30), 2);
+        assert.equal(await LoginSession.findById(expired.id), null);
+        assert.equal(await LoginSession.findById(revoked.id), null);
+        assert.equal((await LoginSession.findById(active.id)).id, active.id);
+        assert.equal(await LoginSession.findRefreshToken(staleToken), undefined);
+        assert.ok(await LoginSession.findRefreshToken(activeToken));
+      });
+    });
+  });
+}
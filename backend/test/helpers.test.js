@@ -0,0 +1,29 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import Helpers from '../utils/helpers.js';
+
+describe('Helpers.isSafeRegex', () => {
+  it('accepts ordinary log patterns', () => {
+    for (const pattern of ['error|warn', '^\\d+ ms$', '(foo|bar)', '(foo|bar){2}', '(ab)+c', '[(|)]+', '\\(a|b\\)*', 'a+b*']) {
+      assert.equal(Helpers.isSafeRegex(pattern), true, pattern);
+    }
+  });
+
+  it('rejects repeated groups with an unbounded quantifier inside', () => {
+    for (const pattern of ['(a+)+', '(\\w*\\s?)*', '((ab)*c)+', '(?:a+){2,}']) {
+      assert.equal(Helpers.isSafeRegex(pattern), false, pattern);
+    }
+  });
+
+  it('rejects repeated groups with alternatives', () => {
+    for (const pattern of ['(a|a)*$', '(a|aa)+$', '(?:x|xy){1,}', '((a|aa)b?)+', '((a|aa))*']) {
+      assert.equal(Helpers.isSafeRegex(pattern), false, pattern);
+    }
+  });
+
+  it('rejects backreferences and unbalanced groups', () => {
+    for (const pattern of ['(a)\\1', '(?<x>a)\\k<x>', '(a', 'a)']) {
+      assert.equal(Helpers.isSafeRegex(pattern), false, pattern);
+    }
+  });
+});
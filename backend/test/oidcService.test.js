@@ -0,0 +1,54 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { OidcService } from '../services/oidcService.js';
+
+describe('OidcService state binding', () => {
+  const state = 'pending-state';
+
+  beforeEach(() => {
+    OidcService.pendingLogins.set(state, { nonce: 'nonce', codeVerifier: 'verifier', createdAt: Date.now() });
+  });
+
+  afterEach(() => {
+    OidcService.pendingLogins.clear();
+    delete process.env.OIDC_REDIRECT_URI;
+  });
+
+  it('rejects a callback from a browser without the state cookie', async () => {
+    await assert.rejects(OidcService.handleCallback({ code: 'code', state }, null), { code: 'OIDC_STATE_MISMATCH' });
+  });
+
+  it('rejects a callback whose cookie belongs to another login', async () => {
+    await assert.rejects(
+      OidcService.handleCallback({ code: 'code', state }, OidcService.stateHash('another-state')),
+      { code: 'OIDC_STATE_MISMATCH' }
+    );
+  });
+
+  it('uses a state only once', async () => {
+    await assert.rejects(OidcService.handleCallback({ code: 'code', state }, 'wrong'), { code: 'OIDC_STATE_MISMATCH' });
+    await assert.rejects(
+      OidcService.handleCallback({ code: 'code', state }, OidcService.stateHash(state)),
+      { code: 'OIDC_INVALID_STATE' }
+    );
+  });
+
+  it('accepts the browser that started the login', async () => {
+    // Without a code the callback stops right after the state checks
+    await assert.rejects(
+      OidcService.handleCallback({ state }, OidcService.stateHash(state)),
+      { code: 'OIDC_PROVIDER_ERROR' }
+    );
+  });
+
+  it('scopes the cookie to the callback path', () => {
+    process.env.OIDC_REDIRECT_URI = 'https://manager.example.com/api/auth/oidc/callback';
+
+    assert.deepEqual(OidcService.stateCookieOptions(), {
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: true,
+      path: '/api/auth/oidc/callback'
+    });
+  });
+});
@@ -0,0 +1,61 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { database } from '../config/database.js';
+import { Migrator } from '../config/database-migrations.js';
+import { Stack } from '../models/Stack.js';
+import { PermissionService } from '../services/permissionService.js';
+import { openAdapter } from './support/databases.js';
+
+const admin = { id: 1, role: 'admin' };
+const owner = { id: 2, role: 'user' };
+const other = { id: 3, role: 'user' };
+
+const network = (name, labels = {}) => ({ name, labels });
+
+describe('PermissionService.canUseNetwork', () => {
+  let cleanup;
+
+  before(async () => {
+    mock.method(console, 'log', () => {});
+
+    const opened = await openAdapter('sqlite');
+    cleanup = opened.cleanup;
+    database.use(opened.adapter);
+    await new Migrator(database).up();
+
+    await Stack.create({ name: 'shop', compose_content: 'services: {}' }, owner.id);
+  });
+
+  after(async () => {
+    await cleanup();
+    mock.restoreAll();
+  });
+
+  it('lets everyone use the default bridge network', async () => {
+    assert.ok(await PermissionService.canUseNetwork(other, network('bridge')));
+  });
+
+  it('keeps host and none to admins', async () => {
+    for (const name of ['host', 'none']) {
+      assert.ok(await PermissionService.canUseNetwork(admin, network(name)));
+      assert.ok(!(await PermissionService.canUseNetwork(owner, network(name))));
+    }
+  });
+
+  it('limits user-defined networks to their creator and admins', async () => {
+    const mine = network('private', { 'nexus-crate-flow.created-by': String(owner.id) });
+
+    assert.ok(await PermissionService.canUseNetwork(owner, mine));
+    assert.ok(await PermissionService.canUseNetwork(admin, mine));
+    assert.ok(!(await PermissionService.canUseNetwork(other, mine)));
+    assert.ok(!(await PermissionService.canUseNetwork(other, network('unlabelled'))));
+  });
+
+  it('limits stack networks to the stack owner', async () => {
+    const stackNetwork = network('shop_default', { 'nexus-crate-flow.stack': 'shop' });
+
+    assert.ok(await PermissionService.canUseNetwork(owner, stackNetwork));
+    assert.ok(!(await PermissionService.canUseNetwork(other, stackNetwork)));
+    assert.ok(!(await PermissionService.canUseNetwork(owner, network('gone_default', { 'nexus-crate-flow.stack': 'gone' }))));
+  });
+});
@@ -0,0 +1,46 @@
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { SQLiteAdapter } from '../../config/database-sqlite.js';
+import { MySQLAdapter } from '../../config/database-mysql.js';
+import { PostgreSQLAdapter } from '../../config/database-postgresql.js';
+import { createMySQLPool } from './mysqlPool.js';
+import { createPostgresPool } from './postgresPool.js';
+
+export const DIALECTS = ['sqlite', 'mysql', 'postgresql'];
+
+// A connected adapter for the dialect and a function that removes what it
+// created. SQLite uses a real file in a temporary directory; MySQL and
+// PostgreSQL get in-memory stand-ins for their driver's pool.
+export const openAdapter = async (dialect) => {
+  switch (dialect) {
+    case 'sqlite': {
+      const directory = await mkdtemp(path.join(tmpdir(), 'container-manager-test-'));
+      const adapter = new SQLiteAdapter({ path: path.join(directory, 'database.sqlite') });
+      await adapter.connect();
+
+      return {
+        adapter,
+        cleanup: async () => {
+          await adapter.close();
+          await rm(directory, { recursive: true, force: true });
+        }
+      };
+    }
+
+    case 'mysql': {
+      const adapter = new MySQLAdapter();
+      adapter.pool = createMySQLPool();
+      return { adapter, cleanup: () => adapter.close() };
+    }
+
+    case 'postgresql': {
+      const adapter = new PostgreSQLAdapter();
+      adapter.pool = createPostgresPool();
+      return { adapter, cleanup: () => adapter.close() };
+    }
+
+    default:
+      throw new Error(`Unknown dialect: ${dialect}`);
+  }
+};
@@ -0,0 +1,252 @@
+import sqlite3 from 'sqlite3';
+
+// Stand-in for a mysql2 pool: query(sql, params) -> [result], getConnection()
+// and end(), run
+// on an in-memory SQLite database. Statements are first checked against the
+// MySQL rules SQLite does not enforce (no keys or defaults on TEXT columns, no
+// SQLite-only syntax, integer LIMIT values, no subquery on the table a DELETE
+// or UPDATE changes), then the MySQL-only parts the
+// adapter produces are rewritten so SQLite can execute them.
+
+const BLOB_TYPE = /^(TINY|MEDIUM|LONG)?(TEXT|BLOB)\b/i;
+
+const mysqlError = (code, message) => Object.assign(new Error(`${code}: ${message}`), { code });
+
+// SQL MySQL does not understand, as [pattern, what it is]
+const SQLITE_ONLY = [
+  [/\bAUTOINCREMENT\b/i, 'AUTOINCREMENT'],
+  [/\bINSERT\s+OR\s+(IGNORE|REPLACE)\b/i, 'INSERT OR ...'],
+  [/\bON\s+CONFLICT\b/i, 'ON CONFLICT'],
+  [/\bRETURNING\b/i, 'RETURNING'],
+  [/\b(strftime|julianday|datetime)\s*\(/i, 'SQLite date function'],
+  [/\bCAST\s*\([^()]*\bAS\s+(INTEGER|REAL|TEXT)\s*\)/i, 'CAST to a SQLite type'],
+  [/^\s*PRAGMA\b/i, 'PRAGMA'],
+  [/^\s*CREATE\s+(UNIQUE\s+)?INDEX\s+IF\s+NOT\s+EXISTS\b/i, 'CREATE INDEX IF NOT EXISTS'],
+  [/^\s*DROP\s+INDEX\s+IF\s+EXISTS\b/i, 'DROP INDEX IF EXISTS'],
+  [/^\s*DROP\s+INDEX\s+\w+\s*$/i, 'DROP INDEX without ON <table>']
+];
+
+// Split on commas that are not inside parentheses
+const splitTopLevel = (text) => {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+
+  for (const char of text) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+
+    if (char === ',' && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  return [...parts, current.trim()].filter(Boolean);
+};
+
+const columnList = (text) => /\(([^)]+)\)/.exec(text)[1].split(',').map(column => column.trim());
+
+// Count "?" placeholders outside string literals that follow LIMIT or OFFSET
+const pagingPlaceholders = (sql) => {
+  const positions = [];
+  let index = 0;
+  let quoted = false;
+
+  for (let i = 0; i < sql.length; i++) {
+    if (sql[i] === "'") quoted = !quoted;
+
+    if (sql[i] === '?' && !quoted) {
+      if (/\b(LIMIT|OFFSET)\s*$/i.test(sql.slice(Math.max(0, i - 10), i))) {
+        positions.push(index);
+      }
+      index++;
+    }
+  }
+
+  return positions;
+};
+
+// Replace every NAME(argument) call, arguments may contain parentheses
+const replaceCall = (sql, name, replace) => {
+  const pattern = new RegExp(`\\b${name}\\(`, 'gi');
+  let result = sql;
+  let match;
+
+  while ((match = pattern.exec(result))) {
+    let depth = 1;
+    let end = match.index + match[0].length;
+
+    for (; depth > 0; end++) {
+      if (result[end] === '(') depth++;
+      if (result[end] === ')') depth--;
+    }
+
+    const argument = result.slice(match.index + match[0].length, end - 1);
+    const replacement = replace(argument);
+    result = result.slice(0, match.index) + replacement + result.slice(end);
+    pattern.lastIndex = match.index + replacement.length;
+  }
+
+  return result;
+};
+
+const toSqlite = (sql) => {
+  if (/FROM information_schema\.columns WHERE table_schema = DATABASE\(\) AND table_name = \?/i.test(sql)) {
+    return 'SELECT name FROM pragma_table_info(?)';
+  }
+
+  let result = sql
+    .replace(/\s+ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_bin\s*$/i, '')
+    .replace(/\bBIGINT AUTO_INCREMENT PRIMARY KEY\b/gi, 'INTEGER PRIMARY KEY AUTOINCREMENT')
+    .replace(/^(\s*DROP\s+INDEX\s+\w+)\s+ON\s+\w+\s*$/i, '$1')
+    .replace(/\bON DUPLICATE KEY UPDATE\b/i, 'ON CONFLICT DO UPDATE SET')
+    .replace(/\s+DIV\s+/gi, ' / ')
+    .replace(/^\s*START TRANSACTION\s*$/i, 'BEGIN');
+
+  result = replaceCall(result, 'VALUES', argument => /^\w+$/.test(argument) ? `excluded.${argument}` : `VALUES(${argument})`);
+  result = replaceCall(result, 'UNIX_TIMESTAMP', argument => `CAST(strftime('%s', ${argument}) AS INTEGER)`);
+  result = replaceCall(result, 'FROM_UNIXTIME', argument => `datetime(${argument}, 'unixepoch')`);
+
+  return result;
+};
+
+const translateError = (error, sql) => {
+  const message = error.message || '';
+  const rules = [
+    [/UNIQUE constraint failed/, 'ER_DUP_ENTRY'],
+    [/NOT NULL constraint failed/, 'ER_BAD_NULL_ERROR'],
+    [/duplicate column name/, 'ER_DUP_FIELDNAME'],
+    [/index \w+ already exists/, 'ER_DUP_KEYNAME'],
+    [/table \w+ already exists/, 'ER_TABLE_EXISTS_ERROR']
+  ];
+
+  if (/^\s*(DROP\s+INDEX|ALTER\s+TABLE\s+\w+\s+DROP)\b/i.test(sql) && /no such (index|column)/.test(message)) {
+    return mysqlError('ER_CANT_DROP_FIELD_OR_KEY', message);
+  }
+
+  const rule = rules.find(([pattern]) => pattern.test(message));
+  return rule ? mysqlError(rule[1], message) : error;
+};
+
+export const createMySQLPool = () => {
+  const db = new sqlite3.Database(':memory:');
+  const columnTypes = new Map(); // table -> Map(column -> declared type)
+
+  const checkColumn = (table, column, definition) => {
+    if (BLOB_TYPE.test(definition)) {
+      if (/\bDEFAULT\b/i.test(definition)) {
+        throw mysqlError('ER_BLOB_CANT_HAVE_DEFAULT', `BLOB/TEXT column '${column}' can't have a default value`);
+      }
+      if (/\b(PRIMARY KEY|UNIQUE)\b/i.test(definition)) {
+        throw mysqlError('ER_BLOB_KEY_WITHOUT_LENGTH', `BLOB/TEXT column '${column}' used in key specification without a key length`);
+      }
+    }
+
+    if (!columnTypes.has(table)) columnTypes.set(table, new Map());
+    columnTypes.get(table).set(column, definition.split(/\s+/)[0]);
+  };
+
+  const checkKey = (table, columns) => {
+    for (const column of columns) {
+      if (BLOB_TYPE.test(columnTypes.get(table)?.get(column) || '')) {
+        throw mysqlError('ER_BLOB_KEY_WITHOUT_LENGTH', `BLOB/TEXT column '${column}' used in key specification without a key length`);
+      }
+    }
+  };
+
+  const check = (sql, params) => {
+    for (const [pattern, what] of SQLITE_ONLY) {
+      if (pattern.test(sql)) {
+        throw mysqlError('ER_PARSE_ERROR', `${what} is not MySQL syntax: ${sql.slice(0, 80)}`);
+      }
+    }
+
+    // Error 1093: the table being changed cannot appear in a subquery
+    const target = /^\s*(?:DELETE\s+FROM|UPDATE)\s+(\w+)\b([\s\S]*)$/i.exec(sql);
+    if (target && new RegExp(`\\b(FROM|JOIN)\\s+${target[1]}\\b`, 'i').test(target[2])) {
+      throw mysqlError('ER_UPDATE_TABLE_USED', `Table '${target[1]}' is specified twice, both as a target and as a separate source for data`);
+    }
+
+    // mysql2 sends LIMIT '10' for a string, which MySQL rejects
+    for (const position of pagingPlaceholders(sql)) {
+      if (!Number.isInteger(params[position])) {
+        throw mysqlError('ER_PARSE_ERROR', `LIMIT/OFFSET value ${JSON.stringify(params[position])} is not an integer`);
+      }
+    }
+
+    const table = /^\s*CREATE TABLE IF NOT EXISTS (\w+)\s*\(([\s\S]*)\)/i.exec(sql);
+    if (table) {
+      const definitions = splitTopLevel(table[2]);
+      const constraint = /^(PRIMARY KEY|UNIQUE|CHECK|CONSTRAINT|FOREIGN KEY)\b/i;
+
+      columnTypes.delete(table[1]);
+      for (const item of definitions.filter(definition => !constraint.test(definition))) {
+        const [, column, definition] = /^(\w+)\s+([\s\S]+)$/.exec(item);
+        checkColumn(table[1], column, definition);
+      }
+
+      definitions
+        .filter(item => /^(PRIMARY KEY|UNIQUE)\b/i.test(item))
+        .forEach(item => checkKey(table[1], columnList(item)));
+      return;
+    }
+
+    const dropTable = /^\s*DROP TABLE IF EXISTS (\w+)/i.exec(sql);
+    if (dropTable) {
+      columnTypes.delete(dropTable[1]);
+      return;
+    }
+
+    const addColumn = /^\s*ALTER TABLE (\w+) ADD COLUMN (\w+) ([\s\S]+)$/i.exec(sql);
+    if (addColumn) {
+      checkColumn(addColumn[1], addColumn[2], addColumn[3]);
+      return;
+    }
+
+    const index = /^\s*CREATE\s+(UNIQUE\s+)?INDEX\s+\w+\s+ON\s+(\w+)\s*(\([^)]+\))/i.exec(sql);
+    if (index) {
+      checkKey(index[2], columnList(index[3]));
+    }
+  };
+
+  const execute = (sql, params) => new Promise((resolve, reject) => {
+    if (/^\s*(SELECT|WITH|SHOW)\b/i.test(sql)) {
+      db.all(sql, params, (err, rows) => (err ? reject(err) : resolve([rows, []])));
+    } else {
+      db.run(sql, params, function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          const insertId = /^\s*INSERT\b/i.test(sql) ? this.lastID : 0;
+          resolve([{ insertId, affectedRows: this.changes }]);
+        }
+      });
+    }
+  });
+
+  const query = async (sql, params = []) => {
+    check(sql, params);
+
+    try {
+      return await execute(toSqlite(sql), params);
+    } catch (error) {
+      throw translateError(error, sql);
+    }
+  };
+
+  return {
+    query,
+
+    // One SQLite connection stands in for every pooled connection
+    async getConnection() {
+      return { query, release() {} };
+    },
+
+    async end() {
+      await new Promise((resolve, reject) => db.close(err => (err ? reject(err) : resolve())));
+    }
+  };
+};
@@ -0,0 +1,29 @@
+import { PGlite } from '@electric-sql/pglite';
+import { TYPE_PARSERS } from '../../config/database-postgresql.js';
+
+// In-memory PostgreSQL (PGlite) behind the part of the pg.Pool interface the
+// adapter uses: query(text, params) -> { rows, rowCount }, connect() and end().
+// PGlite has a single connection, which connect() hands out as the client.
+export const createPostgresPool = () => {
+  const db = new PGlite();
+
+  const query = async (text, params = []) => {
+    const result = await db.query(text, params, { parsers: TYPE_PARSERS });
+    return {
+      rows: result.rows,
+      rowCount: result.rows.length > 0 && !result.affectedRows ? result.rows.length : result.affectedRows ?? 0
+    };
+  };
+
+  return {
+    query,
+
+    async connect() {
+      return { query, release() {} };
+    },
+
+    async end() {
+      await db.close();
+    }
+  };
+};
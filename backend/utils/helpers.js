@@ -292,6 +292,85 @@ export class Helpers {
     return regex.test(uuid);
   }
 
+  // Reject regex shapes that backtrack catastrophically: a repeated group that
+  // itself contains an unbounded quantifier, e.g. (a+)+ or (\w*\s?)*, a
+  // repeated group with alternatives, which may overlap as in (a|aa)+, and
+  // backreferences. Not a full analysis; callers still bound the input.
+  static isSafeRegex(pattern) {
+    // Length of the quantifier at index i (0 if none) and whether it is unbounded
+    const readQuantifier = (i) => {
+      let length = 0;
+      let unbounded = false;
+
+      if (pattern[i] === '*' || pattern[i] === '+') {
+        length = 1;
+        unbounded = true;
+      } else if (pattern[i] === '?') {
+        length = 1;
+      } else if (pattern[i] === '{') {
+        const match = /^\{\d+(,\d*)?\}/.exec(pattern.slice(i));
+        if (match) {
+          length = match[0].length;
+          unbounded = match[1] !== undefined;
+        }
+      }
+
+      // Lazy suffix
+      if (length > 0 && pattern[i + length] === '?') length++;
+
+      return { length, unbounded };
+    };
+
+    const groups = [{ repeats: false, alternates: false }];
+    let i = 0;
+
+    while (i < pattern.length) {
+      const char = pattern[i];
+      let isGroupEnd = false;
+      let inner = null;
+
+      if (char === '\\') {
+        if (/[1-9k]/.test(pattern[i + 1] || '')) return false;
+        i += 2;
+      } else if (char === '[') {
+        i++;
+        while (i < pattern.length && pattern[i] !== ']') {
+          i += pattern[i] === '\\' ? 2 : 1;
+        }
+        i++;
+      } else if (char === '(') {
+        groups.push({ repeats: false, alternates: false });
+        i++;
+        if (pattern[i] === '?') {
+          const prefix = /^\?(:|=|!|<=|<!|<[^>]*>)/.exec(pattern.slice(i));
+          i += prefix ? prefix[0].length : 1;
+        }
+        continue;
+      } else if (char === ')') {
+        if (groups.length === 1) return false;
+        inner = groups.pop();
+        isGroupEnd = true;
+        i++;
+      } else if (char === '|') {
+        groups[groups.length - 1].alternates = true;
+        i++;
+      } else {
+        i++;
+      }
+
+      const quantifier = readQuantifier(i);
+      i += quantifier.length;
+
+      if (isGroupEnd && quantifier.unbounded && (inner.repeats || inner.alternates)) return false;
+
+      const current = groups[groups.length - 1];
+      current.repeats = current.repeats || quantifier.unbounded || (isGroupEnd && inner.repeats);
+      current.alternates = current.alternates || (isGroupEnd && inner.alternates);
+    }
+
+    return groups.length === 1;
+  }
+
   // Get file extension
   static getFileExtension(filename) {
     return path.extname(filename).toLowerCase().slice(1);
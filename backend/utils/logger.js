@@ -121,6 +121,19 @@ class Logger {
     await this.log(level, message, logData);
   }
 
+  // Log administrative changes made by a user
+  async logAudit(action, actor, target, details = {}) {
+    const logData = {
+      action,
+      actor_id: actor?.id ?? null,
+      actor: actor?.username ?? null,
+      target,
+      ...details
+    };
+
+    await this.log('info', `Audit ${action}: ${target} by ${logData.actor || 'system'}`, logData);
+  }
+
   // Log system events
   async logSystem(event, details = {}) {
     await this.log('info', `System ${event}`, details);
@@ -1,11 +1,13 @@
 import { useState, useEffect, useRef } from "react";
 import { Button } from "@/components/ui/button";
 import { Card } from "@/components/ui/card";
-import { Menu, LogOut, Play, RotateCcw, Square, Download, Trash2 } from "lucide-react";
+import { Menu, LogOut, Play, RotateCcw, Square, Download, Trash2, TerminalSquare, Activity } from "lucide-react";
 import { useAuth } from "@/contexts/AuthContext";
 import { useContainer } from "@/contexts/ContainerContext";
 import { apiService } from "@/services/api";
 import { useToast } from "@/hooks/use-toast";
+import TerminalPane from "./TerminalPane";
+import MetricsPanel from "./MetricsPanel";
 
 interface ConsoleLogScriptProps {
   containerName: string;
@@ -21,6 +23,8 @@ const ConsoleLogScript = ({
   const [logs, setLogs] = useState<string[]>([]);
   const [isConnected, setIsConnected] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
+  const [showTerminal, setShowTerminal] = useState(false);
+  const [showMetrics, setShowMetrics] = useState(false);
   const wsRef = useRef<WebSocket | null>(null);
   const terminalRef = useRef<HTMLDivElement>(null);
   const { logout } = useAuth();
@@ -276,6 +280,27 @@ const ConsoleLogScript = ({
               )}
             </div>
           </Card>
+
+          {/* Interactive Terminal */}
+          {showTerminal && (
+            <div className="mt-6">
+              <TerminalPane
+                containerName={containerName}
+                containerId={containerId}
+                onClose={() => setShowTerminal(false)}
+              />
+            </div>
+          )}
+
+          {/* Resource Metrics History */}
+          {showMetrics && (
+            <div className="mt-6">
+              <MetricsPanel
+                containerId={containerId}
+                onClose={() => setShowMetrics(false)}
+              />
+            </div>
+          )}
         </div>
 
         {/* Control Buttons */}
@@ -306,6 +331,23 @@ const ConsoleLogScript = ({
             <Square className="w-5 h-5 mr-2" />
             STOP
           </Button>
+
+          <Button 
+            onClick={() => setShowTerminal(prev => !prev)}
+            variant={showTerminal ? "secondary" : "outline"}
+            className="w-full h-14 rounded-2xl text-lg font-medium"
+          >
+            <TerminalSquare className="w-5 h-5 mr-2" />
+            {showTerminal ? "TUTUP TERMINAL" : "TERMINAL"}
+          </Button>
+          <Button 
+            onClick={() => setShowMetrics(prev => !prev)}
+            variant={showMetrics ? "secondary" : "outline"}
+            className="w-full h-14 rounded-2xl text-lg font-medium"
+          >
+            <Activity className="w-5 h-5 mr-2" />
+            {showMetrics ? "TUTUP METRICS" : "METRICS"}
+          </Button>
         </div>
       </div>
     </div>
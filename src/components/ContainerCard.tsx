@@ -1,6 +1,7 @@
 import { Card } from "@/components/ui/card";
 import { Badge } from "@/components/ui/badge";
 import { Play, Square, Clock, AlertCircle } from "lucide-react";
+import { ContainerNetwork, ContainerVolume } from "@/services/api";
 
 interface Container {
   id: string;
@@ -9,6 +10,8 @@ interface Container {
   folder: string;
   docker_id?: string;
   image?: string;
+  networks?: ContainerNetwork[];
+  volumes?: ContainerVolume[];
   created_at?: string;
 }
 
@@ -98,6 +101,38 @@ const ContainerCard = ({ container, onClick }: ContainerCardProps) => {
             </div>
           )}
           
+          {container.networks && container.networks.length > 0 && (
+            <div className="flex flex-wrap items-center gap-1">
+              <span className="text-golden font-medium text-sm mr-1">Network:</span>
+              {container.networks.map(network => (
+                <Badge
+                  key={network.name}
+                  variant="outline"
+                  className="text-xs font-mono"
+                  title={[network.ip_address, ...network.aliases].filter(Boolean).join(' · ')}
+                >
+                  {network.name}
+                </Badge>
+              ))}
+            </div>
+          )}
+
+          {container.volumes && container.volumes.length > 0 && (
+            <div className="flex flex-wrap items-center gap-1">
+              <span className="text-golden font-medium text-sm mr-1">Volume:</span>
+              {container.volumes.map(volume => (
+                <Badge
+                  key={volume.name}
+                  variant="outline"
+                  className="text-xs font-mono"
+                  title={`${volume.mount_path}${volume.read_only ? ' (read-only)' : ''}`}
+                >
+                  {volume.name}
+                </Badge>
+              ))}
+            </div>
+          )}
+
           <div>
             <span className="text-golden font-medium text-sm">Folder:</span>
             <span className="text-container-foreground ml-2 font-mono text-xs truncate block">
@@ -0,0 +1,384 @@
+import { useEffect, useRef, useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Textarea } from "@/components/ui/textarea";
+import { Checkbox } from "@/components/ui/checkbox";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { Download, Upload, Save, Loader2 } from "lucide-react";
+import { useContainer } from "@/contexts/ContainerContext";
+import { apiService, ContainerTemplate, DockerNetwork } from "@/services/api";
+import { useToast } from "@/hooks/use-toast";
+
+interface CreateContainerDialogProps {
+  open: boolean;
+  onOpenChange: (open: boolean) => void;
+}
+
+const NO_TEMPLATE = "none";
+const DEFAULT_NETWORK = "bridge";
+
+const emptyForm = {
+  name: "",
+  image: "",
+  memory: "",
+  cpu: "",
+  startupScript: "",
+  environment: "",
+  networkAliases: "",
+};
+
+const CreateContainerDialog = ({ open, onOpenChange }: CreateContainerDialogProps) => {
+  const [templates, setTemplates] = useState<ContainerTemplate[]>([]);
+  const [templateId, setTemplateId] = useState<string>(NO_TEMPLATE);
+  const [networks, setNetworks] = useState<DockerNetwork[]>([]);
+  const [network, setNetwork] = useState<string>(DEFAULT_NETWORK);
+  const [form, setForm] = useState(emptyForm);
+  const [pullImage, setPullImage] = useState(true);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const fileInputRef = useRef<HTMLInputElement>(null);
+  const { createContainer } = useContainer();
+  const { toast } = useToast();
+
+  const selectedTemplate = templates.find(t => t.id.toString() === templateId) || null;
+
+  useEffect(() => {
+    if (open) {
+      loadTemplates();
+      loadNetworks();
+      setForm(emptyForm);
+      setTemplateId(NO_TEMPLATE);
+      setNetwork(DEFAULT_NETWORK);
+    }
+  }, [open]);
+
+  const loadTemplates = async () => {
+    try {
+      const response = await apiService.getTemplates();
+      setTemplates(response.templates || []);
+    } catch (error) {
+      console.error('Failed to load templates:', error);
+    }
+  };
+
+  // host and none cannot be combined with port mappings or aliases
+  const loadNetworks = async () => {
+    try {
+      const response = await apiService.getNetworks();
+      setNetworks((response.networks || []).filter(n => !['host', 'none'].includes(n.name)));
+    } catch (error) {
+      console.error('Failed to load networks:', error);
+    }
+  };
+
+  const updateField = (field: keyof typeof emptyForm, value: string) => {
+    setForm(prev => ({ ...prev, [field]: value }));
+  };
+
+  const parseEnvironment = (value: string) =>
+    value
+      .split('\n')
+      .map(line => line.trim())
+      .filter(line => line.includes('='));
+
+  // Only send fields the user filled in, so the template supplies the rest
+  const buildOverrides = () => {
+    const data: Record<string, unknown> = { name: form.name.trim(), pullImage };
+    if (form.image.trim()) data.image = form.image.trim();
+    if (form.memory.trim()) data.memory = form.memory.trim();
+    if (form.cpu.trim()) data.cpu = form.cpu.trim();
+    if (form.startupScript.trim()) data.startupScript = form.startupScript.trim();
+    if (form.environment.trim()) data.environment = parseEnvironment(form.environment);
+    if (network !== DEFAULT_NETWORK) {
+      data.network = network;
+      const aliases = form.networkAliases.split(',').map(alias => alias.trim()).filter(Boolean);
+      if (aliases.length > 0) data.networkAliases = aliases;
+    }
+    return data;
+  };
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+
+    try {
+      setIsSubmitting(true);
+      const data = buildOverrides();
+      if (selectedTemplate) {
+        data.templateId = selectedTemplate.id;
+      }
+      await createContainer(data);
+      onOpenChange(false);
+    } catch (error) {
+      // Error toast is handled in ContainerContext
+      console.error('Failed to create container:', error);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleSaveAsTemplate = async () => {
+    const templateName = form.name.trim() || `template-${Date.now()}`;
+
+    try {
+      const response = await apiService.createTemplate({
+        name: templateName,
+        image: form.image.trim() || selectedTemplate?.image,
+        memory: form.memory.trim() || selectedTemplate?.memory || undefined,
+        cpu: form.cpu.trim() || selectedTemplate?.cpu || undefined,
+        startup_script: form.startupScript.trim() || selectedTemplate?.startup_script || undefined,
+        environment_vars: form.environment.trim()
+          ? parseEnvironment(form.environment)
+          : selectedTemplate?.environment_vars || [],
+      });
+
+      await loadTemplates();
+      setTemplateId(response.template.id.toString());
+
+      toast({
+        title: "Template berhasil disimpan",
+        description: `Template "${response.template.name}" telah dibuat`,
+      });
+    } catch (error) {
+      console.error('Failed to save template:', error);
+      toast({
+        title: "Gagal menyimpan template",
+        description: error instanceof Error ? error.message : "Terjadi kesalahan",
+        variant: "destructive",
+      });
+    }
+  };
+
+  const handleExport = async (format: 'json' | 'yaml') => {
+    if (!selectedTemplate) return;
+
+    try {
+      const blob = await apiService.exportTemplate(selectedTemplate.id, format);
+      const url = window.URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `template-${selectedTemplate.name}.${format}`;
+      document.body.appendChild(a);
+      a.click();
+      window.URL.revokeObjectURL(url);
+      document.body.removeChild(a);
+    } catch (error) {
+      console.error('Failed to export template:', error);
+      toast({
+        title: "Gagal mengekspor template",
+        description: error instanceof Error ? error.message : "Terjadi kesalahan",
+        variant: "destructive",
+      });
+    }
+  };
+
+  const handleImport = async (e: React.ChangeEvent<HTMLInputElement>) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const content = await file.text();
+      const format = file.name.endsWith('.json') ? 'json' : 'yaml';
+      const result = await apiService.importTemplates(content, format);
+      await loadTemplates();
+
+      toast({
+        title: "Template berhasil diimpor",
+        description: `${result.imported.length} diimpor, ${result.skipped.length} dilewati, ${result.failed.length} gagal`,
+      });
+    } catch (error) {
+      console.error('Failed to import templates:', error);
+      toast({
+        title: "Gagal mengimpor template",
+        description: error instanceof Error ? error.message : "Terjadi kesalahan",
+        variant: "destructive",
+      });
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-lg">
+        <DialogHeader>
+          <DialogTitle className="text-golden">Buat Container</DialogTitle>
+          <DialogDescription>
+            Pilih template atau isi konfigurasi manual. Field yang dikosongkan memakai nilai dari template.
+          </DialogDescription>
+        </DialogHeader>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div className="space-y-2">
+            <Label>Template</Label>
+            <div className="flex gap-2">
+              <Select value={templateId} onValueChange={setTemplateId}>
+                <SelectTrigger className="flex-1">
+                  <SelectValue placeholder="Tanpa template" />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value={NO_TEMPLATE}>Tanpa template</SelectItem>
+                  {templates.map(template => (
+                    <SelectItem key={template.id} value={template.id.toString()}>
+                      {template.name} ({template.image})
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <Button type="button" variant="outline" size="icon" onClick={() => fileInputRef.current?.click()}>
+                <Upload className="w-4 h-4" />
+              </Button>
+              <input
+                ref={fileInputRef}
+                type="file"
+                accept=".json,.yaml,.yml"
+                className="hidden"
+                onChange={handleImport}
+              />
+            </div>
+            {selectedTemplate && (
+              <div className="flex items-center gap-2 text-sm text-muted-foreground">
+                <span className="flex-1 truncate">{selectedTemplate.description || 'Export template:'}</span>
+                <Button type="button" variant="ghost" size="sm" onClick={() => handleExport('json')}>
+                  <Download className="w-3 h-3 mr-1" /> JSON
+                </Button>
+                <Button type="button" variant="ghost" size="sm" onClick={() => handleExport('yaml')}>
+                  <Download className="w-3 h-3 mr-1" /> YAML
+                </Button>
+              </div>
+            )}
+          </div>
+
+          <div className="space-y-2">
+            <Label htmlFor="container-name">Nama</Label>
+            <Input
+              id="container-name"
+              value={form.name}
+              onChange={(e) => updateField('name', e.target.value)}
+              placeholder="my-app"
+              required
+            />
+          </div>
+
+          <div className="space-y-2">
+            <Label htmlFor="container-image">Image</Label>
+            <Input
+              id="container-image"
+              value={form.image}
+              onChange={(e) => updateField('image', e.target.value)}
+              placeholder={selectedTemplate?.image || "node:18-alpine"}
+              required={!selectedTemplate}
+            />
+          </div>
+
+          <div className="grid grid-cols-2 gap-4">
+            <div className="space-y-2">
+              <Label htmlFor="container-memory">Memory</Label>
+              <Input
+                id="container-memory"
+                value={form.memory}
+                onChange={(e) => updateField('memory', e.target.value)}
+                placeholder={selectedTemplate?.memory || "512m"}
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="container-cpu">CPU</Label>
+              <Input
+                id="container-cpu"
+                value={form.cpu}
+                onChange={(e) => updateField('cpu', e.target.value)}
+                placeholder={selectedTemplate?.cpu || "1"}
+              />
+            </div>
+          </div>
+
+          <div className="space-y-2">
+            <Label htmlFor="container-script">Startup Script</Label>
+            <Input
+              id="container-script"
+              value={form.startupScript}
+              onChange={(e) => updateField('startupScript', e.target.value)}
+              placeholder={selectedTemplate?.startup_script || "npm start"}
+            />
+          </div>
+
+          <div className="space-y-2">
+            <Label htmlFor="container-env">Environment (KEY=VALUE per baris)</Label>
+            <Textarea
+              id="container-env"
+              value={form.environment}
+              onChange={(e) => updateField('environment', e.target.value)}
+              placeholder={selectedTemplate?.environment_vars.join('\n') || "NODE_ENV=production"}
+              rows={3}
+            />
+          </div>
+
+          <div className="grid grid-cols-2 gap-4">
+            <div className="space-y-2">
+              <Label>Network</Label>
+              <Select value={network} onValueChange={setNetwork}>
+                <SelectTrigger>
+                  <SelectValue placeholder="Default (bridge)" />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value={DEFAULT_NETWORK}>Default (bridge)</SelectItem>
+                  {networks.filter(n => n.name !== DEFAULT_NETWORK).map(n => (
+                    <SelectItem key={n.id} value={n.name}>
+                      {n.name} ({n.driver}{n.internal ? ', internal' : ''})
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="container-aliases">Alias (pisahkan dengan koma)</Label>
+              <Input
+                id="container-aliases"
+                value={form.networkAliases}
+                onChange={(e) => updateField('networkAliases', e.target.value)}
+                placeholder={network === DEFAULT_NETWORK ? "Pilih network dulu" : "db, postgres"}
+                disabled={network === DEFAULT_NETWORK}
+              />
+            </div>
+          </div>
+
+          <div className="flex items-center gap-2">
+            <Checkbox
+              id="container-pull"
+              checked={pullImage}
+              onCheckedChange={(checked) => setPullImage(checked === true)}
+            />
+            <Label htmlFor="container-pull" className="font-normal">
+              Pull image otomatis jika belum ada
+            </Label>
+          </div>
+
+          <DialogFooter className="gap-2">
+            <Button type="button" variant="outline" onClick={handleSaveAsTemplate}>
+              <Save className="w-4 h-4 mr-2" />
+              Simpan sebagai Template
+            </Button>
+            <Button type="submit" disabled={isSubmitting || !form.name.trim()}>
+              {isSubmitting && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+              Buat
+            </Button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default CreateContainerDialog;
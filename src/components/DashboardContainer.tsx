@@ -1,36 +1,36 @@
+import { useState } from "react";
 import { Button } from "@/components/ui/button";
 import { Card } from "@/components/ui/card";
-import { Plus, LogOut, RefreshCw, Loader2 } from "lucide-react";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { Plus, LogOut, RefreshCw, Loader2, Layers, Users, ShieldCheck, MonitorSmartphone } from "lucide-react";
 import { useAuth } from "@/contexts/AuthContext";
 import { useContainer } from "@/contexts/ContainerContext";
 import ContainerCard from "./ContainerCard";
+import CreateContainerDialog from "./CreateContainerDialog";
+import TwoFactorDialog from "./TwoFactorDialog";
+import SessionsDialog from "./SessionsDialog";
 
 interface DashboardContainerProps {
   onSelectContainer: (container: any) => void;
+  onOpenImages: () => void;
+  onOpenUsers: () => void;
 }
 
-const DashboardContainer = ({ onSelectContainer }: DashboardContainerProps) => {
+const DashboardContainer = ({ onSelectContainer, onOpenImages, onOpenUsers }: DashboardContainerProps) => {
   const { user, logout } = useAuth();
-  const { containers, isLoading, refreshContainers, createContainer } = useContainer();
+  const { containers, isLoading, refreshContainers, teams, workspace, setWorkspace } = useContainer();
+  const [showCreateDialog, setShowCreateDialog] = useState(false);
+  const [showTwoFactor, setShowTwoFactor] = useState(false);
+  const [showSessions, setShowSessions] = useState(false);
 
-  const handleCreateContainer = async () => {
-    try {
-      // For now, create a simple container with default settings
-      // In a real app, this would open a modal or form
-      const containerData = {
-        name: `container-${Date.now()}`,
-        image: 'node:18-alpine',
-        startup_script: 'npm start',
-        environment: [],
-        ports: {},
-        memory: '512m',
-        cpu: '1'
-      };
-      
-      await createContainer(containerData);
-    } catch (error) {
-      console.error('Failed to create container:', error);
-    }
+  const handleCreateContainer = () => {
+    setShowCreateDialog(true);
   };
 
   const handleRefresh = async () => {
@@ -49,6 +49,58 @@ const DashboardContainer = ({ onSelectContainer }: DashboardContainerProps) => {
           )}
         </div>
         <div className="flex items-center gap-4">
+          {teams.length > 0 && (
+            <Select
+              value={workspace === null ? "personal" : String(workspace)}
+              onValueChange={(value) => setWorkspace(value === "personal" ? null : Number(value))}
+            >
+              <SelectTrigger className="w-48 rounded-2xl">
+                <SelectValue placeholder="Pilih workspace" />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="personal">Personal</SelectItem>
+                {teams.map((team) => (
+                  <SelectItem key={team.id} value={String(team.id)}>
+                    Team: {team.name}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          )}
+          <Button
+            onClick={onOpenImages}
+            variant="outline"
+            className="rounded-2xl px-6"
+          >
+            <Layers className="w-4 h-4 mr-2" />
+            IMAGES
+          </Button>
+          {user?.role === "admin" && (
+            <Button
+              onClick={onOpenUsers}
+              variant="outline"
+              className="rounded-2xl px-6"
+            >
+              <Users className="w-4 h-4 mr-2" />
+              USERS
+            </Button>
+          )}
+          <Button
+            onClick={() => setShowTwoFactor(true)}
+            variant="outline"
+            className="rounded-2xl px-6"
+          >
+            <ShieldCheck className="w-4 h-4 mr-2" />
+            2FA
+          </Button>
+          <Button
+            onClick={() => setShowSessions(true)}
+            variant="outline"
+            className="rounded-2xl px-6"
+          >
+            <MonitorSmartphone className="w-4 h-4 mr-2" />
+            SESI
+          </Button>
           <Button 
             onClick={handleRefresh}
             disabled={isLoading}
@@ -73,7 +125,8 @@ const DashboardContainer = ({ onSelectContainer }: DashboardContainerProps) => {
       </header>
 
       <p className="text-muted-foreground text-lg mb-8">
-        Pilih Kontainer Untuk Mengelolanya ({containers.length} container)
+        Pilih Kontainer Untuk Mengelolanya ({containers.length} container
+        {workspace !== null && ` di team ${teams.find((team) => team.id === workspace)?.name ?? ''}`})
       </p>
 
       {isLoading && containers.length === 0 ? (
@@ -111,6 +164,21 @@ const DashboardContainer = ({ onSelectContainer }: DashboardContainerProps) => {
           </div>
         </div>
       )}
+
+      <CreateContainerDialog
+        open={showCreateDialog}
+        onOpenChange={setShowCreateDialog}
+      />
+
+      <TwoFactorDialog
+        open={showTwoFactor}
+        onOpenChange={setShowTwoFactor}
+      />
+
+      <SessionsDialog
+        open={showSessions}
+        onOpenChange={setShowSessions}
+      />
     </div>
   );
 };
@@ -0,0 +1,383 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Card } from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Progress } from "@/components/ui/progress";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { Menu, Download, RefreshCw, Loader2, Info, Tag, Trash2 } from "lucide-react";
+import { useAuth } from "@/contexts/AuthContext";
+import { apiService, DockerImage, DockerImageDetails } from "@/services/api";
+import { useToast } from "@/hooks/use-toast";
+
+interface ImageManagerProps {
+  onBack: () => void;
+}
+
+interface PullState {
+  image: string;
+  status: string;
+  layers: Record<string, { current: number; total: number }>;
+}
+
+const formatSize = (bytes: number) => {
+  if (bytes >= 1024 ** 3) return `${(bytes / 1024 ** 3).toFixed(2)} GB`;
+  if (bytes >= 1024 ** 2) return `${(bytes / 1024 ** 2).toFixed(1)} MB`;
+  return `${(bytes / 1024).toFixed(0)} KB`;
+};
+
+const pullPercent = (pull: PullState) => {
+  const layers = Object.values(pull.layers).filter(layer => layer.total > 0);
+  if (layers.length === 0) return 0;
+  const current = layers.reduce((sum, layer) => sum + layer.current, 0);
+  const total = layers.reduce((sum, layer) => sum + layer.total, 0);
+  return Math.min(100, Math.round((current / total) * 100));
+};
+
+const ImageManager = ({ onBack }: ImageManagerProps) => {
+  const [images, setImages] = useState<DockerImage[]>([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [pullName, setPullName] = useState("");
+  const [pull, setPull] = useState<PullState | null>(null);
+  const [details, setDetails] = useState<DockerImageDetails | null>(null);
+  const [tagTarget, setTagTarget] = useState<DockerImage | null>(null);
+  const [tagRepo, setTagRepo] = useState("");
+  const [tagName, setTagName] = useState("latest");
+  const pullSocketRef = useRef<WebSocket | null>(null);
+  const { user } = useAuth();
+  const { toast } = useToast();
+  const isAdmin = user?.role === "admin";
+
+  const loadImages = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      const response = await apiService.getImages();
+      setImages(response.images || []);
+    } catch (error) {
+      console.error('Failed to load images:', error);
+      toast({
+        title: "Gagal memuat image",
+        description: error instanceof Error ? error.message : "Terjadi kesalahan",
+        variant: "destructive",
+      });
+    } finally {
+      setIsLoading(false);
+    }
+  }, [toast]);
+
+  useEffect(() => {
+    loadImages();
+
+    return () => {
+      pullSocketRef.current?.close();
+    };
+  }, [loadImages]);
+
+  const imageRef = (image: DockerImage) => image.tags[0] || image.dockerId;
+
+  const handlePull = () => {
+    const image = pullName.trim();
+    if (!image || pull) return;
+
+    setPull({ image, status: "Menghubungkan...", layers: {} });
+    const ws = apiService.createImagePullWebSocket(image);
+    pullSocketRef.current = ws;
+
+    ws.addEventListener("message", (event) => {
+      try {
+        const data = JSON.parse(event.data);
+        switch (data.type) {
+          case "image_pull_progress":
+            setPull(prev => {
+              if (!prev) return prev;
+              const layers = { ...prev.layers };
+              if (data.layer && data.total) {
+                layers[data.layer] = { current: data.current || 0, total: data.total };
+              }
+              return { ...prev, status: data.layer ? `${data.layer}: ${data.status}` : data.status, layers };
+            });
+            break;
+          case "image_pull_complete":
+            setPull(null);
+            setPullName("");
+            ws.close();
+            toast({
+              title: "Image berhasil di-pull",
+              description: `${data.image} siap digunakan`,
+            });
+            loadImages();
+            break;
+          case "image_pull_error":
+          case "error":
+            setPull(null);
+            ws.close();
+            toast({
+              title: "Gagal pull image",
+              description: data.error,
+              variant: "destructive",
+            });
+            break;
+        }
+      } catch (error) {
+        console.error("Invalid pull message:", error);
+      }
+    });
+
+    ws.addEventListener("close", () => {
+      pullSocketRef.current = null;
+    });
+  };
+
+  const handleInspect = async (image: DockerImage) => {
+    try {
+      const response = await apiService.inspectImage(imageRef(image));
+      setDetails(response.image);
+    } catch (error) {
+      console.error('Failed to inspect image:', error);
+      toast({
+        title: "Gagal memuat detail image",
+        description: error instanceof Error ? error.message : "Terjadi kesalahan",
+        variant: "destructive",
+      });
+    }
+  };
+
+  const openTagDialog = (image: DockerImage) => {
+    setTagTarget(image);
+    setTagRepo("");
+    setTagName("latest");
+  };
+
+  const handleTag = async () => {
+    if (!tagTarget || !tagRepo.trim()) return;
+
+    try {
+      const response = await apiService.tagImage(imageRef(tagTarget), tagRepo.trim(), tagName.trim() || "latest");
+      setTagTarget(null);
+      toast({
+        title: "Tag ditambahkan",
+        description: response.tag,
+      });
+      await loadImages();
+    } catch (error) {
+      console.error('Failed to tag image:', error);
+      toast({
+        title: "Gagal menambahkan tag",
+        description: error instanceof Error ? error.message : "Terjadi kesalahan",
+        variant: "destructive",
+      });
+    }
+  };
+
+  const handleRemove = async (image: DockerImage) => {
+    const reference = imageRef(image);
+    if (!window.confirm(`Hapus image ${reference}?`)) return;
+
+    try {
+      await apiService.removeImage(reference);
+      toast({
+        title: "Image dihapus",
+        description: reference,
+      });
+      await loadImages();
+    } catch (error) {
+      console.error('Failed to remove image:', error);
+      toast({
+        title: "Gagal menghapus image",
+        description: error instanceof Error ? error.message : "Terjadi kesalahan",
+        variant: "destructive",
+      });
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-background p-6">
+      <header className="flex justify-between items-center mb-8">
+        <div className="flex items-center gap-4">
+          <Button
+            onClick={onBack}
+            variant="ghost"
+            className="text-foreground hover:bg-muted"
+          >
+            <Menu className="w-6 h-6" />
+          </Button>
+          <div>
+            <h1 className="text-4xl font-bold text-golden">Image Docker</h1>
+            <p className="text-muted-foreground mt-1">{images.length} image lokal</p>
+          </div>
+        </div>
+        <Button
+          onClick={loadImages}
+          disabled={isLoading}
+          variant="outline"
+          className="rounded-2xl px-6"
+        >
+          {isLoading ? (
+            <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+          ) : (
+            <RefreshCw className="w-4 h-4 mr-2" />
+          )}
+          Refresh
+        </Button>
+      </header>
+
+      <Card className="p-6 rounded-2xl mb-6 space-y-4">
+        <div className="flex gap-2">
+          <Input
+            value={pullName}
+            onChange={(e) => setPullName(e.target.value)}
+            onKeyDown={(e) => e.key === "Enter" && handlePull()}
+            placeholder="nginx:latest"
+            disabled={!!pull}
+          />
+          <Button onClick={handlePull} disabled={!!pull || !pullName.trim()}>
+            {pull ? (
+              <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+            ) : (
+              <Download className="w-4 h-4 mr-2" />
+            )}
+            PULL
+          </Button>
+        </div>
+        {pull && (
+          <div className="space-y-2">
+            <Progress value={pullPercent(pull)} />
+            <p className="text-sm text-muted-foreground font-mono truncate">{pull.status}</p>
+          </div>
+        )}
+      </Card>
+
+      <Card className="rounded-2xl">
+        <Table>
+          <TableHeader>
+            <TableRow>
+              <TableHead>Tag</TableHead>
+              <TableHead>ID</TableHead>
+              <TableHead>Ukuran</TableHead>
+              <TableHead>Dibuat</TableHead>
+              <TableHead className="text-right">Aksi</TableHead>
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {images.map((image) => (
+              <TableRow key={image.dockerId}>
+                <TableCell className="font-mono">
+                  {image.tags.length > 0 ? image.tags.join(", ") : <span className="text-muted-foreground">&lt;none&gt;</span>}
+                </TableCell>
+                <TableCell className="font-mono text-muted-foreground">{image.id}</TableCell>
+                <TableCell>{formatSize(image.size)}</TableCell>
+                <TableCell>{new Date(image.created).toLocaleDateString()}</TableCell>
+                <TableCell className="text-right space-x-1">
+                  <Button variant="ghost" size="sm" onClick={() => handleInspect(image)}>
+                    <Info className="w-4 h-4" />
+                  </Button>
+                  {isAdmin && (
+                    <>
+                      <Button variant="ghost" size="sm" onClick={() => openTagDialog(image)}>
+                        <Tag className="w-4 h-4" />
+                      </Button>
+                      <Button variant="ghost" size="sm" onClick={() => handleRemove(image)}>
+                        <Trash2 className="w-4 h-4 text-destructive" />
+                      </Button>
+                    </>
+                  )}
+                </TableCell>
+              </TableRow>
+            ))}
+            {!isLoading && images.length === 0 && (
+              <TableRow>
+                <TableCell colSpan={5} className="text-center text-muted-foreground py-8">
+                  Belum ada image
+                </TableCell>
+              </TableRow>
+            )}
+          </TableBody>
+        </Table>
+      </Card>
+
+      <Dialog open={!!details} onOpenChange={(open) => !open && setDetails(null)}>
+        <DialogContent className="max-w-2xl">
+          <DialogHeader>
+            <DialogTitle>{details?.tags[0] || details?.id}</DialogTitle>
+            <DialogDescription>
+              {details && `${details.os}/${details.architecture} • ${formatSize(details.size)} • ${details.layers} layer`}
+            </DialogDescription>
+          </DialogHeader>
+          {details && (
+            <div className="space-y-3 text-sm font-mono">
+              <div>
+                <p className="text-muted-foreground">Entrypoint / Cmd</p>
+                <p>{[...(details.config.entrypoint || []), ...(details.config.cmd || [])].join(" ") || "-"}</p>
+              </div>
+              <div>
+                <p className="text-muted-foreground">Working Dir</p>
+                <p>{details.config.workingDir || "-"}</p>
+              </div>
+              <div>
+                <p className="text-muted-foreground">Exposed Ports</p>
+                <p>{details.config.exposedPorts.join(", ") || "-"}</p>
+              </div>
+              <div>
+                <p className="text-muted-foreground">Environment</p>
+                <pre className="whitespace-pre-wrap break-all max-h-48 overflow-auto">
+                  {details.config.env.join("\n") || "-"}
+                </pre>
+              </div>
+            </div>
+          )}
+        </DialogContent>
+      </Dialog>
+
+      <Dialog open={!!tagTarget} onOpenChange={(open) => !open && setTagTarget(null)}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>Tambah Tag</DialogTitle>
+            <DialogDescription>{tagTarget && imageRef(tagTarget)}</DialogDescription>
+          </DialogHeader>
+          <div className="space-y-4">
+            <div className="space-y-2">
+              <Label htmlFor="tag-repo">Repository</Label>
+              <Input
+                id="tag-repo"
+                value={tagRepo}
+                onChange={(e) => setTagRepo(e.target.value)}
+                placeholder="registry.local/app"
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="tag-name">Tag</Label>
+              <Input
+                id="tag-name"
+                value={tagName}
+                onChange={(e) => setTagName(e.target.value)}
+                placeholder="latest"
+              />
+            </div>
+          </div>
+          <DialogFooter>
+            <Button onClick={handleTag} disabled={!tagRepo.trim()}>
+              Simpan
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+};
+
+export default ImageManager;
@@ -1,14 +1,35 @@
-import { useState } from "react";
+import { useEffect, useState } from "react";
 import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
 import { Avatar, AvatarFallback } from "@/components/ui/avatar";
-import { User, Loader2 } from "lucide-react";
+import { InputOTP, InputOTPGroup, InputOTPSlot } from "@/components/ui/input-otp";
+import { User, Loader2, ShieldCheck } from "lucide-react";
 import { useAuth } from "@/contexts/AuthContext";
+import { apiService, OidcConfig } from "@/services/api";
+import TwoFactorEnrollment from "./TwoFactorEnrollment";
 
 const LoginPage = () => {
   const [username, setUsername] = useState("");
   const [password, setPassword] = useState("");
-  const { login, isLoading } = useAuth();
+  const [code, setCode] = useState("");
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [oidcConfig, setOidcConfig] = useState<OidcConfig | null>(null);
+  const {
+    login,
+    isLoading,
+    twoFactorChallenge,
+    verifyTwoFactor,
+    setupTwoFactor,
+    completeTwoFactorSetup,
+    finishTwoFactorSetup,
+    cancelTwoFactor,
+  } = useAuth();
+
+  useEffect(() => {
+    apiService.getOidcConfig()
+      .then(setOidcConfig)
+      .catch((error) => console.error('Failed to load SSO config:', error));
+  }, []);
 
   const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault();
@@ -22,6 +43,31 @@ const LoginPage = () => {
     }
   };
 
+  const handleVerify = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!code.trim()) return;
+
+    try {
+      await verifyTwoFactor(code.trim(), useRecoveryCode);
+    } catch (error) {
+      // Error is handled in AuthContext
+      setCode("");
+      console.error('Two-factor verification failed:', error);
+    }
+  };
+
+  const handleBack = () => {
+    cancelTwoFactor();
+    setCode("");
+    setPassword("");
+    setUseRecoveryCode(false);
+  };
+
+  const toggleRecoveryCode = () => {
+    setUseRecoveryCode(!useRecoveryCode);
+    setCode("");
+  };
+
   return (
     <div className="min-h-screen bg-background flex items-center justify-center p-4">
       <div className="w-full max-w-md space-y-8">
@@ -35,56 +81,148 @@ const LoginPage = () => {
             Container Manager
           </h1>
           <p className="text-muted-foreground">
-            Masuk untuk mengelola container Anda
+            {twoFactorChallenge?.mode === "verify"
+              ? "Masukkan kode dari aplikasi authenticator Anda"
+              : twoFactorChallenge?.mode === "setup"
+                ? "Administrator mewajibkan 2FA. Aktifkan 2FA untuk melanjutkan"
+                : "Masuk untuk mengelola container Anda"}
           </p>
         </div>
-        
-        <form onSubmit={handleSubmit} className="space-y-6">
-          <div>
-            <Input
-              type="text"
-              placeholder="Username"
-              value={username}
-              onChange={(e) => setUsername(e.target.value)}
-              className="w-full h-14 bg-input border-border rounded-3xl px-6 text-foreground placeholder:text-muted-foreground"
-              required
-              disabled={isLoading}
+
+        {twoFactorChallenge?.mode === "setup" && (
+          <div className="space-y-4">
+            <TwoFactorEnrollment
+              onSetup={setupTwoFactor}
+              onEnable={completeTwoFactorSetup}
+              onDone={finishTwoFactorSetup}
             />
+            <Button variant="ghost" onClick={handleBack} className="w-full rounded-3xl">
+              Kembali ke login
+            </Button>
           </div>
+        )}
+
+        {twoFactorChallenge?.mode === "verify" && (
+          <form onSubmit={handleVerify} className="space-y-6">
+            <div className="flex justify-center">
+              {useRecoveryCode ? (
+                <Input
+                  type="text"
+                  placeholder="Recovery code (xxxxx-xxxxx)"
+                  value={code}
+                  onChange={(e) => setCode(e.target.value)}
+                  className="w-full h-14 bg-input border-border rounded-3xl px-6 text-foreground placeholder:text-muted-foreground font-mono"
+                  disabled={isLoading}
+                  autoFocus
+                />
+              ) : (
+                <InputOTP maxLength={6} value={code} onChange={setCode} disabled={isLoading} autoFocus>
+                  <InputOTPGroup>
+                    {[0, 1, 2, 3, 4, 5].map((index) => (
+                      <InputOTPSlot key={index} index={index} className="h-14 w-12 text-lg" />
+                    ))}
+                  </InputOTPGroup>
+                </InputOTP>
+              )}
+            </div>
+
+            <Button
+              type="submit"
+              disabled={isLoading || (useRecoveryCode ? !code.trim() : code.length !== 6)}
+              className="w-full h-14 bg-primary hover:bg-primary/90 text-primary-foreground rounded-3xl text-lg font-medium transition-all duration-200 disabled:opacity-50"
+            >
+              {isLoading ? (
+                <>
+                  <Loader2 className="w-5 h-5 mr-2 animate-spin" />
+                  Memverifikasi...
+                </>
+              ) : (
+                <>
+                  <ShieldCheck className="w-5 h-5 mr-2" />
+                  Verifikasi
+                </>
+              )}
+            </Button>
+
+            <div className="flex justify-between text-sm">
+              <button type="button" onClick={toggleRecoveryCode} className="text-primary hover:underline">
+                {useRecoveryCode ? "Gunakan kode authenticator" : "Gunakan recovery code"}
+              </button>
+              <button type="button" onClick={handleBack} className="text-muted-foreground hover:underline">
+                Kembali
+              </button>
+            </div>
+          </form>
+        )}
+
+        {!twoFactorChallenge && (
+          <form onSubmit={handleSubmit} className="space-y-6">
+            <div>
+              <Input
+                type="text"
+                placeholder="Username"
+                value={username}
+                onChange={(e) => setUsername(e.target.value)}
+                className="w-full h-14 bg-input border-border rounded-3xl px-6 text-foreground placeholder:text-muted-foreground"
+                required
+                disabled={isLoading}
+              />
+            </div>
           
-          <div>
-            <Input
-              type="password"
-              placeholder="Password"
-              value={password}
-              onChange={(e) => setPassword(e.target.value)}
-              className="w-full h-14 bg-input border-border rounded-3xl px-6 text-foreground placeholder:text-muted-foreground"
-              required
+            <div>
+              <Input
+                type="password"
+                placeholder="Password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                className="w-full h-14 bg-input border-border rounded-3xl px-6 text-foreground placeholder:text-muted-foreground"
+                required
+                disabled={isLoading}
+              />
+            </div>
+          
+            <Button 
+              type="submit"
+              disabled={isLoading || !username.trim() || !password.trim()}
+              className="w-full h-14 bg-primary hover:bg-primary/90 text-primary-foreground rounded-3xl text-lg font-medium transition-all duration-200 disabled:opacity-50"
+            >
+              {isLoading ? (
+                <>
+                  <Loader2 className="w-5 h-5 mr-2 animate-spin" />
+                  Masuk...
+                </>
+              ) : (
+                "Login"
+              )}
+            </Button>
+          </form>
+        )}
+
+        {!twoFactorChallenge && oidcConfig?.enabled && (
+          <div className="space-y-4">
+            <div className="flex items-center gap-4 text-sm text-muted-foreground">
+              <div className="flex-1 border-t border-border" />
+              atau
+              <div className="flex-1 border-t border-border" />
+            </div>
+            <Button
+              variant="outline"
               disabled={isLoading}
-            />
+              onClick={() => window.location.assign(apiService.getOidcLoginUrl())}
+              className="w-full h-14 rounded-3xl text-lg font-medium"
+            >
+              Login dengan {oidcConfig.name}
+            </Button>
           </div>
-          
-          <Button 
-            type="submit"
-            disabled={isLoading || !username.trim() || !password.trim()}
-            className="w-full h-14 bg-primary hover:bg-primary/90 text-primary-foreground rounded-3xl text-lg font-medium transition-all duration-200 disabled:opacity-50"
-          >
-            {isLoading ? (
-              <>
-                <Loader2 className="w-5 h-5 mr-2 animate-spin" />
-                Masuk...
-              </>
-            ) : (
-              "Login"
-            )}
-          </Button>
-        </form>
+        )}
         
-        <div className="text-center text-sm text-muted-foreground">
-          <p>Default credentials:</p>
-          <p>Username: <code className="bg-muted px-1 rounded">admin</code></p>
-          <p>Password: <code className="bg-muted px-1 rounded">admin123</code></p>
-        </div>
+        {!twoFactorChallenge && (
+          <div className="text-center text-sm text-muted-foreground">
+            <p>Default credentials:</p>
+            <p>Username: <code className="bg-muted px-1 rounded">admin</code></p>
+            <p>Password: <code className="bg-muted px-1 rounded">admin123</code></p>
+          </div>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,160 @@
+import { useCallback, useEffect, useState } from "react";
+import { Area, AreaChart, CartesianGrid, Line, LineChart, XAxis, YAxis } from "recharts";
+import { Button } from "@/components/ui/button";
+import { Card } from "@/components/ui/card";
+import {
+  ChartConfig,
+  ChartContainer,
+  ChartLegend,
+  ChartLegendContent,
+  ChartTooltip,
+  ChartTooltipContent,
+} from "@/components/ui/chart";
+import { RefreshCw, X } from "lucide-react";
+import { apiService, MetricsPoint } from "@/services/api";
+
+interface MetricsPanelProps {
+  containerId: string;
+  onClose: () => void;
+}
+
+const RANGES = ["15m", "1h", "6h", "24h", "7d"];
+
+const cpuConfig = {
+  cpu_percent: { label: "CPU %", color: "hsl(var(--golden))" },
+} satisfies ChartConfig;
+
+const memoryConfig = {
+  memory_mb: { label: "Memory (MB)", color: "hsl(var(--primary))" },
+} satisfies ChartConfig;
+
+const networkConfig = {
+  rx_kb: { label: "RX KB/s", color: "hsl(var(--container-running))" },
+  tx_kb: { label: "TX KB/s", color: "hsl(var(--orange-action))" },
+} satisfies ChartConfig;
+
+const diskConfig = {
+  read_kb: { label: "Read KB/s", color: "hsl(var(--golden))" },
+  write_kb: { label: "Write KB/s", color: "hsl(var(--red-action))" },
+} satisfies ChartConfig;
+
+const toChartData = (points: MetricsPoint[]) =>
+  points.map(point => ({
+    time: new Date(point.timestamp).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" }),
+    cpu_percent: point.cpu_percent,
+    memory_mb: Number((point.memory_usage / 1024 / 1024).toFixed(1)),
+    rx_kb: Number((point.network_rx_rate / 1024).toFixed(1)),
+    tx_kb: Number((point.network_tx_rate / 1024).toFixed(1)),
+    read_kb: Number((point.block_read_rate / 1024).toFixed(1)),
+    write_kb: Number((point.block_write_rate / 1024).toFixed(1)),
+  }));
+
+const MetricsPanel = ({ containerId, onClose }: MetricsPanelProps) => {
+  const [range, setRange] = useState("1h");
+  const [data, setData] = useState<ReturnType<typeof toChartData>>([]);
+  const [error, setError] = useState<string | null>(null);
+
+  const loadMetrics = useCallback(async () => {
+    try {
+      const response = await apiService.getContainerMetrics(containerId, range);
+      setData(toChartData(response.points));
+      setError(null);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : "Gagal memuat metrics");
+    }
+  }, [containerId, range]);
+
+  useEffect(() => {
+    loadMetrics();
+    const timer = setInterval(loadMetrics, 30000);
+    return () => clearInterval(timer);
+  }, [loadMetrics]);
+
+  const renderChart = (title: string, config: ChartConfig, keys: string[], filled = false) => (
+    <div>
+      <p className="text-sm text-muted-foreground mb-2">{title}</p>
+      <ChartContainer config={config} className="h-48 w-full aspect-auto">
+        {filled ? (
+          <AreaChart data={data}>
+            <CartesianGrid vertical={false} />
+            <XAxis dataKey="time" tickLine={false} axisLine={false} minTickGap={32} />
+            <YAxis tickLine={false} axisLine={false} width={40} />
+            <ChartTooltip content={<ChartTooltipContent />} />
+            {keys.map(key => (
+              <Area
+                key={key}
+                dataKey={key}
+                type="monotone"
+                stroke={`var(--color-${key})`}
+                fill={`var(--color-${key})`}
+                fillOpacity={0.3}
+              />
+            ))}
+          </AreaChart>
+        ) : (
+          <LineChart data={data}>
+            <CartesianGrid vertical={false} />
+            <XAxis dataKey="time" tickLine={false} axisLine={false} minTickGap={32} />
+            <YAxis tickLine={false} axisLine={false} width={40} />
+            <ChartTooltip content={<ChartTooltipContent />} />
+            {keys.length > 1 && <ChartLegend content={<ChartLegendContent />} />}
+            {keys.map(key => (
+              <Line
+                key={key}
+                dataKey={key}
+                type="monotone"
+                stroke={`var(--color-${key})`}
+                strokeWidth={2}
+                dot={false}
+              />
+            ))}
+          </LineChart>
+        )}
+      </ChartContainer>
+    </div>
+  );
+
+  return (
+    <Card className="bg-card border-border rounded-2xl p-4">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex gap-1">
+          {RANGES.map(value => (
+            <Button
+              key={value}
+              size="sm"
+              variant={range === value ? "default" : "ghost"}
+              onClick={() => setRange(value)}
+            >
+              {value}
+            </Button>
+          ))}
+        </div>
+        <div className="flex gap-1">
+          <Button size="sm" variant="ghost" onClick={loadMetrics}>
+            <RefreshCw className="w-4 h-4" />
+          </Button>
+          <Button size="sm" variant="ghost" onClick={onClose}>
+            <X className="w-4 h-4" />
+          </Button>
+        </div>
+      </div>
+
+      {error ? (
+        <p className="text-sm text-destructive">{error}</p>
+      ) : data.length === 0 ? (
+        <p className="text-sm text-muted-foreground py-8 text-center">
+          Belum ada data metrics untuk rentang waktu ini
+        </p>
+      ) : (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          {renderChart("CPU", cpuConfig, ["cpu_percent"], true)}
+          {renderChart("Memory", memoryConfig, ["memory_mb"], true)}
+          {renderChart("Network", networkConfig, ["rx_kb", "tx_kb"])}
+          {renderChart("Disk I/O", diskConfig, ["read_kb", "write_kb"])}
+        </div>
+      )}
+    </Card>
+  );
+};
+
+export default MetricsPanel;
@@ -0,0 +1,151 @@
+import { useCallback, useEffect, useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { Loader2, Monitor } from "lucide-react";
+import { apiService, LoginSession } from "@/services/api";
+import { useToast } from "@/hooks/use-toast";
+
+interface SessionsDialogProps {
+  open: boolean;
+  onOpenChange: (open: boolean) => void;
+}
+
+const formatDate = (value: string) => new Date(`${value.replace(' ', 'T')}Z`).toLocaleString();
+
+const SessionsDialog = ({ open, onOpenChange }: SessionsDialogProps) => {
+  const [sessions, setSessions] = useState<LoginSession[] | null>(null);
+  const [busyId, setBusyId] = useState<number | 'others' | null>(null);
+  const { toast } = useToast();
+
+  const showError = useCallback((title: string, error: unknown) => {
+    toast({
+      title,
+      description: error instanceof Error ? error.message : "Terjadi kesalahan",
+      variant: "destructive",
+    });
+  }, [toast]);
+
+  const loadSessions = useCallback(async () => {
+    try {
+      const response = await apiService.getSessions();
+      setSessions(response.sessions);
+    } catch (error) {
+      console.error('Failed to load sessions:', error);
+      showError("Gagal memuat sesi", error);
+    }
+  }, [showError]);
+
+  useEffect(() => {
+    if (open) {
+      setSessions(null);
+      loadSessions();
+    }
+  }, [open, loadSessions]);
+
+  const handleRevoke = async (session: LoginSession) => {
+    try {
+      setBusyId(session.id);
+      await apiService.revokeSession(session.id);
+      toast({
+        title: "Sesi diakhiri",
+        description: session.device,
+      });
+      await loadSessions();
+    } catch (error) {
+      console.error('Failed to revoke session:', error);
+      showError("Gagal mengakhiri sesi", error);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleRevokeOthers = async () => {
+    try {
+      setBusyId('others');
+      const response = await apiService.revokeOtherSessions();
+      toast({
+        title: "Sesi lain diakhiri",
+        description: `${response.revoked} sesi diakhiri`,
+      });
+      await loadSessions();
+    } catch (error) {
+      console.error('Failed to revoke other sessions:', error);
+      showError("Gagal mengakhiri sesi lain", error);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-2xl">
+        <DialogHeader>
+          <DialogTitle>Sesi Aktif</DialogTitle>
+          <DialogDescription>
+            Perangkat yang sedang login ke akun Anda. Akhiri sesi yang tidak Anda kenali.
+          </DialogDescription>
+        </DialogHeader>
+
+        {!sessions ? (
+          <div className="flex justify-center py-6">
+            <Loader2 className="w-6 h-6 animate-spin" />
+          </div>
+        ) : (
+          <div className="space-y-3">
+            {sessions.map((session) => (
+              <div
+                key={session.id}
+                className="flex items-center gap-4 bg-muted rounded-2xl p-4"
+              >
+                <Monitor className="w-5 h-5 text-muted-foreground shrink-0" />
+                <div className="flex-1 min-w-0">
+                  <div className="flex items-center gap-2 font-medium text-foreground">
+                    {session.device}
+                    {session.current && <Badge>Sesi ini</Badge>}
+                    {session.auth_method === 'oidc' && <Badge variant="secondary">SSO</Badge>}
+                  </div>
+                  <p className="text-sm text-muted-foreground truncate">
+                    {session.ip_address || '-'} · aktif terakhir {formatDate(session.last_used_at)} · login {formatDate(session.created_at)}
+                  </p>
+                </div>
+                {!session.current && (
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    onClick={() => handleRevoke(session)}
+                    disabled={busyId !== null}
+                    className="rounded-2xl"
+                  >
+                    {busyId === session.id && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+                    Akhiri
+                  </Button>
+                )}
+              </div>
+            ))}
+
+            {sessions.some((session) => !session.current) && (
+              <Button
+                variant="destructive"
+                onClick={handleRevokeOthers}
+                disabled={busyId !== null}
+                className="w-full rounded-2xl"
+              >
+                {busyId === 'others' && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+                Akhiri semua sesi lain
+              </Button>
+            )}
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default SessionsDialog;
@@ -1,49 +1,199 @@
-import { useState } from "react";
+import { useState, useEffect, useCallback } from "react";
 import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
 import { Card } from "@/components/ui/card";
 import { Switch } from "@/components/ui/switch";
-import { Menu, LogOut, Square, RotateCcw, Trash2 } from "lucide-react";
+import { Menu, LogOut, Square, RotateCcw, Trash2, Save, Loader2 } from "lucide-react";
+import { useAuth } from "@/contexts/AuthContext";
+import { useContainer } from "@/contexts/ContainerContext";
+import { apiService, ContainerResourceUpdate } from "@/services/api";
+import { useToast } from "@/hooks/use-toast";
 
 interface SettingsContainerProps {
   containerName: string;
-  startupScript: string;
-  cloudflaredToken: string;
-  tunnelEnabled: boolean;
-  logs: string[];
-  onLogout: () => void;
+  containerId: string;
   onBack: () => void;
-  onUpdateScript: (script: string) => void;
-  onUpdateToken: (token: string) => void;
-  onToggleTunnel: (enabled: boolean) => void;
-  onStopContainer: () => void;
-  onRestartContainer: () => void;
-  onDeleteContainer: () => void;
 }
 
+interface ResourceForm {
+  memory: string;
+  memorySwap: string;
+  cpu: string;
+  cpuShares: string;
+  pidsLimit: string;
+}
+
+const MB = 1024 * 1024;
+
+// Stored limits are bytes; the form edits them in megabytes like "512m"
+const toSize = (bytes: number | null | undefined) => {
+  if (bytes === -1) return "-1";
+  return bytes && bytes > 0 ? `${Math.round(bytes / MB)}m` : "";
+};
+
 const SettingsContainer = ({
   containerName,
-  startupScript,
-  cloudflaredToken,
-  tunnelEnabled,
-  logs,
-  onLogout,
-  onBack,
-  onUpdateScript,
-  onUpdateToken,
-  onToggleTunnel,
-  onStopContainer,
-  onRestartContainer,
-  onDeleteContainer
+  containerId,
+  onBack
 }: SettingsContainerProps) => {
-  const [script, setScript] = useState(startupScript);
-  const [token, setToken] = useState(cloudflaredToken);
+  const [script, setScript] = useState("");
+  const [token, setToken] = useState("");
+  const [tunnelEnabled, setTunnelEnabled] = useState(false);
+  const [logs, setLogs] = useState<string[]>([]);
+  const [resources, setResources] = useState<ResourceForm>({
+    memory: "",
+    memorySwap: "",
+    cpu: "",
+    cpuShares: "",
+    pidsLimit: ""
+  });
+  const [isSaving, setIsSaving] = useState(false);
+  const { logout } = useAuth();
+  const { stopContainer, restartContainer, deleteContainer } = useContainer();
+  const { toast } = useToast();
+
+  const showError = (title: string, error: unknown) => {
+    toast({
+      title,
+      description: error instanceof Error ? error.message : "Terjadi kesalahan",
+      variant: "destructive",
+    });
+  };
+
+  const loadSettings = useCallback(async () => {
+    try {
+      const [{ container }, { settings }, { logs }] = await Promise.all([
+        apiService.getContainer(containerId),
+        apiService.getContainerSettings(containerId),
+        apiService.getContainerLogs(containerId, { lines: 200 })
+      ]);
+
+      setScript(container.startup_script || "");
+      setResources({
+        memory: toSize(container.memory_limit),
+        memorySwap: toSize(container.memory_swap),
+        cpu: container.cpu_limit ? String(container.cpu_limit) : "",
+        cpuShares: container.cpu_shares ? String(container.cpu_shares) : "",
+        pidsLimit: container.pids_limit ? String(container.pids_limit) : ""
+      });
+      setToken(settings.cloudflare_token || "");
+      setTunnelEnabled(Boolean(settings.tunnel_enabled));
+      setLogs((logs || []).filter(line => /tunnel|cloudflared/i.test(line)));
+    } catch (error) {
+      console.error('Failed to load settings:', error);
+      toast({
+        title: "Gagal memuat settings",
+        description: error instanceof Error ? error.message : "Terjadi kesalahan",
+        variant: "destructive",
+      });
+    }
+  }, [containerId, toast]);
+
+  useEffect(() => {
+    loadSettings();
+  }, [loadSettings]);
+
+  const handleSaveScript = async () => {
+    try {
+      await apiService.updateStartupScript(containerId, script);
+      toast({ title: "Startup script disimpan" });
+    } catch (error) {
+      showError("Gagal menyimpan startup script", error);
+    }
+  };
+
+  const handleSaveToken = async () => {
+    try {
+      await apiService.updateContainerSettings(containerId, { cloudflareToken: token });
+      toast({ title: "Token Cloudflared disimpan" });
+    } catch (error) {
+      showError("Gagal menyimpan token", error);
+    }
+  };
+
+  const handleToggleTunnel = async (enabled: boolean) => {
+    try {
+      if (enabled) {
+        await apiService.startTunnel(containerId);
+      } else {
+        await apiService.stopTunnel(containerId);
+      }
+      setTunnelEnabled(enabled);
+    } catch (error) {
+      showError(enabled ? "Gagal menjalankan tunnel" : "Gagal menghentikan tunnel", error);
+    }
+  };
+
+  const handleSaveResources = async () => {
+    // Empty fields keep memory and cpu as they are and reset the others to Docker's default
+    const update: ContainerResourceUpdate = {
+      memorySwap: resources.memorySwap.trim() || null,
+      cpuShares: resources.cpuShares.trim() ? parseInt(resources.cpuShares) : null,
+      pidsLimit: resources.pidsLimit.trim() ? parseInt(resources.pidsLimit) : null
+    };
+    if (resources.memory.trim()) update.memory = resources.memory.trim();
+    if (resources.cpu.trim()) update.cpu = parseFloat(resources.cpu);
+
+    try {
+      setIsSaving(true);
+      const response = await apiService.updateContainerResources(containerId, update);
+      toast({
+        title: "Resource limit disimpan",
+        description: response.applied
+          ? "Limit langsung diterapkan tanpa restart"
+          : "Docker container belum diubah; limit diterapkan saat reconcile",
+      });
+    } catch (error) {
+      showError("Gagal mengubah resource limit", error);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleStop = async () => {
+    try {
+      await stopContainer(containerId);
+      toast({ title: "Container dihentikan" });
+    } catch (error) {
+      showError("Gagal menghentikan container", error);
+    }
+  };
+
+  const handleRestart = async () => {
+    try {
+      await restartContainer(containerId);
+      toast({ title: "Container di-restart" });
+    } catch (error) {
+      showError("Gagal me-restart container", error);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Hapus container ${containerName}?`)) return;
+
+    try {
+      await deleteContainer(containerId);
+      toast({ title: "Container dihapus" });
+      onBack();
+    } catch (error) {
+      showError("Gagal menghapus container", error);
+    }
+  };
+
+  const resourceFields: { key: keyof ResourceForm; label: string; placeholder: string }[] = [
+    { key: "memory", label: "Memory", placeholder: "512m" },
+    { key: "memorySwap", label: "Memory + Swap (-1 tanpa batas)", placeholder: "default: 2x memory" },
+    { key: "cpu", label: "CPU (core)", placeholder: "0.5" },
+    { key: "cpuShares", label: "CPU Shares", placeholder: "default" },
+    { key: "pidsLimit", label: "Pids Limit", placeholder: "tanpa batas" }
+  ];
 
   return (
     <div className="min-h-screen bg-background p-6">
       <header className="flex justify-between items-center mb-8">
         <div className="flex items-center gap-4">
-          <Button 
+          <Button
             onClick={onBack}
             variant="ghost"
             className="text-foreground hover:bg-muted"
@@ -51,9 +201,10 @@ const SettingsContainer = ({
             <Menu className="w-6 h-6" />
           </Button>
           <h1 className="text-4xl font-bold text-golden">Settings Kontainer</h1>
+          <span className="text-muted-foreground font-mono">{containerName}</span>
         </div>
-        <Button 
-          onClick={onLogout}
+        <Button
+          onClick={logout}
           className="bg-primary hover:bg-primary/90 text-primary-foreground rounded-2xl px-6"
         >
           <LogOut className="w-4 h-4 mr-2" />
@@ -71,15 +222,48 @@ const SettingsContainer = ({
               <div className="mb-2">
                 <span className="text-container-foreground font-medium">Contoh : node start.js</span>
               </div>
-              <Input
-                value={script}
-                onChange={(e) => {
-                  setScript(e.target.value);
-                  onUpdateScript(e.target.value);
-                }}
-                className="bg-background border-border text-foreground"
-                placeholder="node start.js"
-              />
+              <div className="flex gap-2">
+                <Input
+                  value={script}
+                  onChange={(e) => setScript(e.target.value)}
+                  className="bg-background border-border text-foreground"
+                  placeholder="node start.js"
+                />
+                <Button onClick={handleSaveScript} className="bg-primary hover:bg-primary/90">
+                  <Save className="w-4 h-4" />
+                </Button>
+              </div>
+            </Card>
+          </div>
+
+          {/* Resource Limits */}
+          <div>
+            <h2 className="text-golden font-bold text-xl mb-4">Resource Limits</h2>
+            <Card className="bg-container border-border p-4 rounded-2xl space-y-3">
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                {resourceFields.map(field => (
+                  <div key={field.key} className="space-y-1">
+                    <Label htmlFor={`resource-${field.key}`} className="text-container-foreground">
+                      {field.label}
+                    </Label>
+                    <Input
+                      id={`resource-${field.key}`}
+                      value={resources[field.key]}
+                      onChange={(e) => setResources(prev => ({ ...prev, [field.key]: e.target.value }))}
+                      className="bg-background border-border text-foreground font-mono"
+                      placeholder={field.placeholder}
+                    />
+                  </div>
+                ))}
+              </div>
+              <Button
+                onClick={handleSaveResources}
+                disabled={isSaving}
+                className="w-full bg-primary hover:bg-primary/90 rounded-2xl"
+              >
+                {isSaving ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <Save className="w-4 h-4 mr-2" />}
+                Terapkan Limit
+              </Button>
             </Card>
           </div>
 
@@ -88,9 +272,9 @@ const SettingsContainer = ({
             <h2 className="text-golden font-bold text-xl mb-4">Cloudflared Tunnel</h2>
             <div className="space-y-4">
               <div className="flex items-center gap-4">
-                <Switch 
+                <Switch
                   checked={tunnelEnabled}
-                  onCheckedChange={onToggleTunnel}
+                  onCheckedChange={handleToggleTunnel}
                   className="data-[state=checked]:bg-primary"
                 />
                 <span className={`px-4 py-2 rounded-full text-sm font-medium ${
@@ -99,22 +283,24 @@ const SettingsContainer = ({
                   {tunnelEnabled ? 'ON' : 'OFF'}
                 </span>
               </div>
-              
+
               <div>
                 <span className="text-golden font-medium block mb-2">Cloudflared Token :</span>
                 <Card className="bg-container border-border p-4 rounded-2xl">
                   <div className="mb-2">
                     <span className="text-container-foreground font-medium">Contoh : eywuygdbffji</span>
                   </div>
-                  <Input
-                    value={token}
-                    onChange={(e) => {
-                      setToken(e.target.value);
-                      onUpdateToken(e.target.value);
-                    }}
-                    className="bg-background border-border text-foreground"
-                    placeholder="eywuygdbffji"
-                  />
+                  <div className="flex gap-2">
+                    <Input
+                      value={token}
+                      onChange={(e) => setToken(e.target.value)}
+                      className="bg-background border-border text-foreground"
+                      placeholder="eywuygdbffji"
+                    />
+                    <Button onClick={handleSaveToken} className="bg-primary hover:bg-primary/90">
+                      <Save className="w-4 h-4" />
+                    </Button>
+                  </div>
                 </Card>
               </div>
             </div>
@@ -124,24 +310,24 @@ const SettingsContainer = ({
           <div>
             <h2 className="text-golden font-bold text-xl mb-4">Actions Container</h2>
             <div className="space-y-3">
-              <Button 
-                onClick={onStopContainer}
+              <Button
+                onClick={handleStop}
                 className="w-full h-12 bg-actions-gray hover:bg-actions-gray/90 text-white rounded-2xl"
               >
                 <Square className="w-4 h-4 mr-2" />
                 Stop
               </Button>
-              
-              <Button 
-                onClick={onRestartContainer}
+
+              <Button
+                onClick={handleRestart}
                 className="w-full h-12 bg-actions-red hover:bg-actions-red/90 text-white rounded-2xl"
               >
                 <RotateCcw className="w-4 h-4 mr-2" />
                 RESTART
               </Button>
-              
-              <Button 
-                onClick={onDeleteContainer}
+
+              <Button
+                onClick={handleDelete}
                 className="w-full h-12 bg-destructive hover:bg-destructive/90 text-destructive-foreground rounded-2xl"
               >
                 <Trash2 className="w-4 h-4 mr-2" />
@@ -164,7 +350,7 @@ const SettingsContainer = ({
                 <span className="ml-4 text-foreground font-medium">Log Tunnels</span>
               </div>
             </div>
-            
+
             {/* Terminal Content */}
             <div className="p-4 h-full overflow-y-auto font-mono text-sm">
               {logs.map((log, index) => (
@@ -185,4 +371,4 @@ const SettingsContainer = ({
   );
 };
 
-export default SettingsContainer;
\ No newline at end of file
+export default SettingsContainer;
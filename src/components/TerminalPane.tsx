@@ -0,0 +1,138 @@
+import { useEffect, useRef, useState } from "react";
+import { Terminal } from "@xterm/xterm";
+import { FitAddon } from "@xterm/addon-fit";
+import "@xterm/xterm/css/xterm.css";
+import { Button } from "@/components/ui/button";
+import { Card } from "@/components/ui/card";
+import { RotateCcw, X } from "lucide-react";
+import { apiService } from "@/services/api";
+
+interface TerminalPaneProps {
+  containerName: string;
+  containerId: string;
+  onClose: () => void;
+}
+
+type TerminalStatus = "connecting" | "open" | "closed";
+
+const TerminalPane = ({ containerName, containerId, onClose }: TerminalPaneProps) => {
+  const [status, setStatus] = useState<TerminalStatus>("connecting");
+  const [session, setSession] = useState(0);
+  const containerRef = useRef<HTMLDivElement>(null);
+
+  useEffect(() => {
+    if (!containerRef.current) return;
+
+    const term = new Terminal({
+      cursorBlink: true,
+      fontFamily: "ui-monospace, SFMono-Regular, Menlo, monospace",
+      fontSize: 14,
+      theme: { background: "#0a0a0a" },
+    });
+    const fitAddon = new FitAddon();
+    term.loadAddon(fitAddon);
+    term.open(containerRef.current);
+    fitAddon.fit();
+
+    let sessionId: string | null = null;
+    setStatus("connecting");
+
+    const ws = apiService.createTerminalWebSocket(containerId, {
+      cols: term.cols,
+      rows: term.rows,
+    });
+
+    const send = (message: Record<string, unknown>) => {
+      if (ws.readyState === WebSocket.OPEN && sessionId) {
+        ws.send(JSON.stringify({ ...message, session_id: sessionId }));
+      }
+    };
+
+    ws.addEventListener("message", (event) => {
+      try {
+        const data = JSON.parse(event.data);
+        switch (data.type) {
+          case "terminal_opened":
+            sessionId = data.session_id;
+            setStatus("open");
+            term.focus();
+            break;
+          case "terminal_output":
+            term.write(data.data);
+            break;
+          case "terminal_closed":
+            sessionId = null;
+            setStatus("closed");
+            term.write(`\r\n[Session ended${data.exit_code !== null ? ` with code ${data.exit_code}` : ""}]\r\n`);
+            break;
+          case "terminal_error":
+          case "error":
+            term.write(`\r\n\x1b[31m${data.error}\x1b[0m\r\n`);
+            break;
+        }
+      } catch (error) {
+        console.error("Invalid terminal message:", error);
+      }
+    });
+
+    ws.addEventListener("close", () => {
+      sessionId = null;
+      setStatus("closed");
+    });
+
+    const inputListener = term.onData((data) => send({ type: "terminal_input", data }));
+    const resizeListener = term.onResize(({ cols, rows }) => send({ type: "terminal_resize", cols, rows }));
+
+    const handleWindowResize = () => fitAddon.fit();
+    window.addEventListener("resize", handleWindowResize);
+
+    return () => {
+      window.removeEventListener("resize", handleWindowResize);
+      inputListener.dispose();
+      resizeListener.dispose();
+      send({ type: "close_terminal" });
+      ws.close();
+      term.dispose();
+    };
+  }, [containerId, session]);
+
+  return (
+    <Card className="bg-terminal border-border rounded-2xl overflow-hidden">
+      <div className="bg-muted/30 p-4 border-b border-border">
+        <div className="flex items-center justify-between">
+          <div className="flex items-center gap-2">
+            <div className="w-3 h-3 rounded-full bg-red-500"></div>
+            <div className="w-3 h-3 rounded-full bg-yellow-500"></div>
+            <div className="w-3 h-3 rounded-full bg-green-500"></div>
+            <span className="ml-4 text-foreground font-medium">Terminal: {containerName}</span>
+            <span className={`ml-2 text-sm ${status === "open" ? "text-green-500" : "text-muted-foreground"}`}>
+              • {status === "open" ? "Connected" : status === "connecting" ? "Connecting..." : "Closed"}
+            </span>
+          </div>
+          <div className="flex items-center gap-2">
+            <Button
+              onClick={() => setSession(prev => prev + 1)}
+              variant="ghost"
+              size="sm"
+              className="text-foreground hover:bg-muted"
+            >
+              <RotateCcw className="w-4 h-4" />
+            </Button>
+            <Button
+              onClick={onClose}
+              variant="ghost"
+              size="sm"
+              className="text-foreground hover:bg-muted"
+            >
+              <X className="w-4 h-4" />
+            </Button>
+          </div>
+        </div>
+      </div>
+
+      <div ref={containerRef} className="h-96 p-2 bg-black/50" />
+    </Card>
+  );
+};
+
+export default TerminalPane;
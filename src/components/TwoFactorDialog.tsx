@@ -0,0 +1,181 @@
+import { useCallback, useEffect, useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Badge } from "@/components/ui/badge";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { Loader2 } from "lucide-react";
+import { apiService, TwoFactorStatus } from "@/services/api";
+import { useToast } from "@/hooks/use-toast";
+import TwoFactorEnrollment, { RecoveryCodeList } from "./TwoFactorEnrollment";
+
+interface TwoFactorDialogProps {
+  open: boolean;
+  onOpenChange: (open: boolean) => void;
+}
+
+const TwoFactorDialog = ({ open, onOpenChange }: TwoFactorDialogProps) => {
+  const [status, setStatus] = useState<TwoFactorStatus | null>(null);
+  const [code, setCode] = useState("");
+  const [password, setPassword] = useState("");
+  const [recoveryCodes, setRecoveryCodes] = useState<string[] | null>(null);
+  const [isBusy, setIsBusy] = useState(false);
+  const { toast } = useToast();
+
+  const showError = useCallback((title: string, error: unknown) => {
+    toast({
+      title,
+      description: error instanceof Error ? error.message : "Terjadi kesalahan",
+      variant: "destructive",
+    });
+  }, [toast]);
+
+  const loadStatus = useCallback(async () => {
+    try {
+      setStatus(await apiService.getTwoFactorStatus());
+    } catch (error) {
+      console.error('Failed to load two-factor status:', error);
+      showError("Gagal memuat status 2FA", error);
+    }
+  }, [showError]);
+
+  useEffect(() => {
+    if (open) {
+      setCode("");
+      setPassword("");
+      setRecoveryCodes(null);
+      loadStatus();
+    }
+  }, [open, loadStatus]);
+
+  const handleEnable = async (enrollCode: string) => {
+    const response = await apiService.enableTwoFactor(enrollCode);
+    return response.recovery_codes || [];
+  };
+
+  const handleRegenerate = async () => {
+    try {
+      setIsBusy(true);
+      const response = await apiService.regenerateRecoveryCodes(code);
+      setRecoveryCodes(response.recovery_codes);
+      setCode("");
+      await loadStatus();
+    } catch (error) {
+      console.error('Failed to regenerate recovery codes:', error);
+      showError("Gagal membuat recovery code baru", error);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleDisable = async () => {
+    try {
+      setIsBusy(true);
+      await apiService.disableTwoFactor(password, code.length === 6 ? { code } : { recovery_code: code });
+      toast({
+        title: "2FA dinonaktifkan",
+      });
+      setCode("");
+      setPassword("");
+      await loadStatus();
+    } catch (error) {
+      console.error('Failed to disable two-factor authentication:', error);
+      showError("Gagal menonaktifkan 2FA", error);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent>
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            Two-Factor Authentication
+            {status && (
+              <Badge variant={status.enabled ? "default" : "secondary"}>
+                {status.enabled ? "Aktif" : "Nonaktif"}
+              </Badge>
+            )}
+          </DialogTitle>
+          <DialogDescription>
+            {status?.required
+              ? "2FA diwajibkan oleh administrator untuk akun Anda."
+              : "Lindungi akun Anda dengan kode dari aplikasi authenticator."}
+          </DialogDescription>
+        </DialogHeader>
+
+        {!status ? (
+          <div className="flex justify-center py-6">
+            <Loader2 className="w-6 h-6 animate-spin" />
+          </div>
+        ) : !status.enabled ? (
+          <TwoFactorEnrollment
+            onSetup={() => apiService.setupTwoFactor()}
+            onEnable={handleEnable}
+            onDone={loadStatus}
+          />
+        ) : recoveryCodes ? (
+          <div className="space-y-4">
+            <RecoveryCodeList codes={recoveryCodes} />
+            <Button onClick={() => setRecoveryCodes(null)} className="w-full rounded-2xl">
+              Selesai
+            </Button>
+          </div>
+        ) : (
+          <div className="space-y-4">
+            <p className="text-sm text-muted-foreground">
+              Sisa recovery code: {status.recovery_codes_remaining}
+            </p>
+            <div className="space-y-2">
+              <Label htmlFor="two-factor-code">Kode authenticator atau recovery code</Label>
+              <Input
+                id="two-factor-code"
+                value={code}
+                onChange={(e) => setCode(e.target.value.trim())}
+                className="font-mono"
+              />
+            </div>
+            <Button
+              onClick={handleRegenerate}
+              disabled={isBusy || !/^\d{6}$/.test(code)}
+              variant="outline"
+              className="w-full rounded-2xl"
+            >
+              Buat recovery code baru
+            </Button>
+            {!status.required && (
+              <>
+                <div className="space-y-2">
+                  <Label htmlFor="two-factor-password">Password</Label>
+                  <Input
+                    id="two-factor-password"
+                    type="password"
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                  />
+                </div>
+                <Button
+                  onClick={handleDisable}
+                  disabled={isBusy || !code || !password}
+                  variant="destructive"
+                  className="w-full rounded-2xl"
+                >
+                  Nonaktifkan 2FA
+                </Button>
+              </>
+            )}
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default TwoFactorDialog;
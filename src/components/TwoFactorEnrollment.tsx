@@ -0,0 +1,141 @@
+import { useState } from "react";
+import { Button } from "@/components/ui/button";
+import { InputOTP, InputOTPGroup, InputOTPSlot } from "@/components/ui/input-otp";
+import { Loader2, ShieldCheck, Copy } from "lucide-react";
+import { TwoFactorSetup } from "@/services/api";
+import { useToast } from "@/hooks/use-toast";
+
+interface TwoFactorEnrollmentProps {
+  onSetup: () => Promise<TwoFactorSetup>;
+  onEnable: (code: string) => Promise<string[]>;
+  onDone: () => void;
+}
+
+export const RecoveryCodeList = ({ codes }: { codes: string[] }) => {
+  const { toast } = useToast();
+
+  const handleCopy = async () => {
+    await navigator.clipboard.writeText(codes.join("\n"));
+    toast({
+      title: "Recovery code disalin",
+    });
+  };
+
+  return (
+    <div className="space-y-3">
+      <p className="text-sm text-muted-foreground">
+        Simpan recovery code ini di tempat aman. Setiap code hanya bisa dipakai sekali jika Anda kehilangan aplikasi authenticator. Code tidak akan ditampilkan lagi.
+      </p>
+      <div className="grid grid-cols-2 gap-2 font-mono text-sm bg-muted rounded-2xl p-4">
+        {codes.map((code) => (
+          <span key={code}>{code}</span>
+        ))}
+      </div>
+      <Button variant="outline" onClick={handleCopy} className="w-full rounded-2xl">
+        <Copy className="w-4 h-4 mr-2" />
+        Salin semua
+      </Button>
+    </div>
+  );
+};
+
+const TwoFactorEnrollment = ({ onSetup, onEnable, onDone }: TwoFactorEnrollmentProps) => {
+  const [setup, setSetup] = useState<TwoFactorSetup | null>(null);
+  const [code, setCode] = useState("");
+  const [recoveryCodes, setRecoveryCodes] = useState<string[] | null>(null);
+  const [isBusy, setIsBusy] = useState(false);
+  const { toast } = useToast();
+
+  const showError = (title: string, error: unknown) => {
+    toast({
+      title,
+      description: error instanceof Error ? error.message : "Terjadi kesalahan",
+      variant: "destructive",
+    });
+  };
+
+  const handleStart = async () => {
+    try {
+      setIsBusy(true);
+      setSetup(await onSetup());
+    } catch (error) {
+      console.error('Failed to start two-factor setup:', error);
+      showError("Gagal memulai setup 2FA", error);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleVerify = async () => {
+    try {
+      setIsBusy(true);
+      setRecoveryCodes(await onEnable(code));
+    } catch (error) {
+      console.error('Failed to enable two-factor authentication:', error);
+      setCode("");
+      showError("Kode tidak valid", error);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  if (recoveryCodes) {
+    return (
+      <div className="space-y-4">
+        <div className="flex items-center gap-2 text-foreground font-medium">
+          <ShieldCheck className="w-5 h-5 text-primary" />
+          2FA aktif
+        </div>
+        <RecoveryCodeList codes={recoveryCodes} />
+        <Button onClick={onDone} className="w-full rounded-2xl">
+          Saya sudah menyimpan recovery code
+        </Button>
+      </div>
+    );
+  }
+
+  if (!setup) {
+    return (
+      <div className="space-y-4">
+        <p className="text-sm text-muted-foreground">
+          Gunakan aplikasi authenticator (Google Authenticator, Authy, 1Password, dll) untuk membuat kode 6 digit setiap login.
+        </p>
+        <Button onClick={handleStart} disabled={isBusy} className="w-full rounded-2xl">
+          {isBusy && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+          Mulai setup 2FA
+        </Button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-muted-foreground">
+        Buka link di bawah pada perangkat yang memiliki aplikasi authenticator, atau masukkan secret secara manual.
+      </p>
+      <a href={setup.otpauth_uri} className="block text-sm text-primary break-all underline">
+        {setup.otpauth_uri}
+      </a>
+      <div className="bg-muted rounded-2xl p-4">
+        <p className="text-xs text-muted-foreground mb-1">Secret</p>
+        <p className="font-mono break-all">{setup.secret}</p>
+      </div>
+      <div className="flex flex-col items-center gap-2">
+        <p className="text-sm text-muted-foreground">Masukkan kode dari aplikasi authenticator</p>
+        <InputOTP maxLength={6} value={code} onChange={setCode}>
+          <InputOTPGroup>
+            {[0, 1, 2, 3, 4, 5].map((index) => (
+              <InputOTPSlot key={index} index={index} />
+            ))}
+          </InputOTPGroup>
+        </InputOTP>
+      </div>
+      <Button onClick={handleVerify} disabled={isBusy || code.length !== 6} className="w-full rounded-2xl">
+        {isBusy && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+        Verifikasi
+      </Button>
+    </div>
+  );
+};
+
+export default TwoFactorEnrollment;
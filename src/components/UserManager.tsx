@@ -0,0 +1,632 @@
+import { useCallback, useEffect, useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Card } from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Badge } from "@/components/ui/badge";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { Menu, RefreshCw, Loader2, UserPlus, KeyRound, Ban, CheckCircle, Trash2, Search, ShieldOff, LockOpen, ShieldAlert } from "lucide-react";
+import { useAuth } from "@/contexts/AuthContext";
+import {
+  apiService,
+  AuditEvent,
+  LoginAttemptRecord,
+  LoginLockout,
+  LoginProtectionPolicy,
+  ManagedUser,
+  TwoFactorPolicy,
+  UserRole,
+  UserStats,
+} from "@/services/api";
+import { useToast } from "@/hooks/use-toast";
+
+interface UserManagerProps {
+  onBack: () => void;
+}
+
+const EMPTY_FORM = { username: "", password: "", email: "", role: "user" as UserRole };
+
+const LOGIN_FAILURE_REASONS: Record<string, string> = {
+  invalid_credentials: "Password salah",
+  unknown_user: "User tidak dikenal",
+  invalid_two_factor: "Kode 2FA salah",
+  account_disabled: "Akun nonaktif",
+  locked: "Akun terkunci",
+  throttled: "Terlalu cepat",
+};
+
+// SQLite timestamps are UTC without a timezone suffix
+const formatTimestamp = (value: string) => new Date(`${value.replace(' ', 'T')}Z`).toLocaleString();
+
+const UserManager = ({ onBack }: UserManagerProps) => {
+  const [users, setUsers] = useState<ManagedUser[]>([]);
+  const [stats, setStats] = useState<UserStats | null>(null);
+  const [twoFactorPolicy, setTwoFactorPolicy] = useState<TwoFactorPolicy>("optional");
+  const [isLoading, setIsLoading] = useState(false);
+  const [search, setSearch] = useState("");
+  const [showCreate, setShowCreate] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [resetTarget, setResetTarget] = useState<ManagedUser | null>(null);
+  const [newPassword, setNewPassword] = useState("");
+  const [temporaryPassword, setTemporaryPassword] = useState<string | null>(null);
+  const [lockouts, setLockouts] = useState<LoginLockout[]>([]);
+  const [loginPolicy, setLoginPolicy] = useState<LoginProtectionPolicy | null>(null);
+  const [failedAttempts, setFailedAttempts] = useState<LoginAttemptRecord[]>([]);
+  const [securityEvents, setSecurityEvents] = useState<AuditEvent[]>([]);
+  const { user: currentUser } = useAuth();
+  const { toast } = useToast();
+
+  const showError = useCallback((title: string, error: unknown) => {
+    toast({
+      title,
+      description: error instanceof Error ? error.message : "Terjadi kesalahan",
+      variant: "destructive",
+    });
+  }, [toast]);
+
+  const loadUsers = useCallback(async (query = "") => {
+    try {
+      setIsLoading(true);
+      const [userResponse, statsResponse, policyResponse, lockoutResponse, attemptResponse, securityResponse] = await Promise.all([
+        apiService.getUsers({ search: query, limit: 100 }),
+        apiService.getUserStats(),
+        apiService.getTwoFactorPolicy(),
+        apiService.getLockouts(),
+        apiService.getLoginAttempts({ success: false, limit: 20 }),
+        apiService.getAuditEvents({ action: 'security', limit: 10 }),
+      ]);
+      setUsers(userResponse.users || []);
+      setStats(statsResponse.stats);
+      setTwoFactorPolicy(policyResponse.policy);
+      setLockouts(lockoutResponse.lockouts);
+      setLoginPolicy(lockoutResponse.policy);
+      setFailedAttempts(attemptResponse.attempts);
+      setSecurityEvents(securityResponse.events);
+    } catch (error) {
+      console.error('Failed to load users:', error);
+      showError("Gagal memuat user", error);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [showError]);
+
+  useEffect(() => {
+    loadUsers();
+  }, [loadUsers]);
+
+  const isSelf = (user: ManagedUser) => String(user.id) === String(currentUser?.id);
+
+  const findLockout = (user: ManagedUser) => lockouts.find((lockout) => lockout.user_id === user.id);
+
+  const handleCreate = async () => {
+    try {
+      await apiService.createUser({
+        username: form.username.trim(),
+        password: form.password,
+        email: form.email.trim() || undefined,
+        role: form.role,
+      });
+      setShowCreate(false);
+      setForm(EMPTY_FORM);
+      toast({
+        title: "User dibuat",
+        description: form.username,
+      });
+      await loadUsers(search);
+    } catch (error) {
+      console.error('Failed to create user:', error);
+      showError("Gagal membuat user", error);
+    }
+  };
+
+  const handleRoleChange = async (user: ManagedUser, role: UserRole) => {
+    try {
+      await apiService.updateUser(user.id, { role });
+      toast({
+        title: "Role diperbarui",
+        description: `${user.username} sekarang ${role}`,
+      });
+      await loadUsers(search);
+    } catch (error) {
+      console.error('Failed to update user role:', error);
+      showError("Gagal mengubah role", error);
+    }
+  };
+
+  const handleToggleDisabled = async (user: ManagedUser) => {
+    try {
+      await apiService.setUserDisabled(user.id, !user.disabled);
+      toast({
+        title: user.disabled ? "User diaktifkan" : "User dinonaktifkan",
+        description: user.username,
+      });
+      await loadUsers(search);
+    } catch (error) {
+      console.error('Failed to change user status:', error);
+      showError("Gagal mengubah status user", error);
+    }
+  };
+
+  const handlePolicyChange = async (policy: TwoFactorPolicy) => {
+    try {
+      await apiService.updateTwoFactorPolicy(policy);
+      setTwoFactorPolicy(policy);
+      toast({
+        title: "Kebijakan 2FA diperbarui",
+        description: "Berlaku mulai login berikutnya",
+      });
+    } catch (error) {
+      console.error('Failed to update two-factor policy:', error);
+      showError("Gagal mengubah kebijakan 2FA", error);
+    }
+  };
+
+  const handleResetTwoFactor = async (user: ManagedUser) => {
+    if (!window.confirm(`Reset 2FA untuk ${user.username}?`)) return;
+
+    try {
+      await apiService.resetUserTwoFactor(user.id);
+      toast({
+        title: "2FA direset",
+        description: user.username,
+      });
+      await loadUsers(search);
+    } catch (error) {
+      console.error('Failed to reset two-factor authentication:', error);
+      showError("Gagal mereset 2FA", error);
+    }
+  };
+
+  const handleUnlock = async (userId: number, username: string) => {
+    try {
+      await apiService.unlockUser(userId);
+      toast({
+        title: "Akun dibuka",
+        description: username,
+      });
+      await loadUsers(search);
+    } catch (error) {
+      console.error('Failed to unlock user:', error);
+      showError("Gagal membuka kunci akun", error);
+    }
+  };
+
+  const handleDelete = async (user: ManagedUser) => {
+    if (!window.confirm(`Hapus user ${user.username}?`)) return;
+
+    try {
+      await apiService.deleteUser(user.id);
+      toast({
+        title: "User dihapus",
+        description: user.username,
+      });
+      await loadUsers(search);
+    } catch (error) {
+      console.error('Failed to delete user:', error);
+      showError("Gagal menghapus user", error);
+    }
+  };
+
+  const openResetDialog = (user: ManagedUser) => {
+    setResetTarget(user);
+    setNewPassword("");
+    setTemporaryPassword(null);
+  };
+
+  const handleResetPassword = async () => {
+    if (!resetTarget) return;
+
+    try {
+      const response = await apiService.resetUserPassword(resetTarget.id, newPassword || undefined);
+      if (response.temporary_password) {
+        setTemporaryPassword(response.temporary_password);
+      } else {
+        setResetTarget(null);
+      }
+      toast({
+        title: "Password direset",
+        description: resetTarget.username,
+      });
+    } catch (error) {
+      console.error('Failed to reset password:', error);
+      showError("Gagal mereset password", error);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-background p-6">
+      <header className="flex justify-between items-center mb-8">
+        <div className="flex items-center gap-4">
+          <Button
+            onClick={onBack}
+            variant="ghost"
+            className="text-foreground hover:bg-muted"
+          >
+            <Menu className="w-6 h-6" />
+          </Button>
+          <div>
+            <h1 className="text-4xl font-bold text-golden">Manajemen User</h1>
+            {stats && (
+              <p className="text-muted-foreground mt-1">
+                {stats.total_users} user • {stats.admin_users} admin • {stats.disabled_users} nonaktif
+              </p>
+            )}
+          </div>
+        </div>
+        <div className="flex items-center gap-4">
+          <Button
+            onClick={() => loadUsers(search)}
+            disabled={isLoading}
+            variant="outline"
+            className="rounded-2xl px-6"
+          >
+            {isLoading ? (
+              <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+            ) : (
+              <RefreshCw className="w-4 h-4 mr-2" />
+            )}
+            Refresh
+          </Button>
+          <Button
+            onClick={() => setShowCreate(true)}
+            className="bg-primary hover:bg-primary/90 text-primary-foreground rounded-2xl px-6"
+          >
+            <UserPlus className="w-4 h-4 mr-2" />
+            TAMBAH USER
+          </Button>
+        </div>
+      </header>
+
+      <Card className="p-6 rounded-2xl mb-6">
+        <div className="flex gap-2">
+          <Input
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            onKeyDown={(e) => e.key === "Enter" && loadUsers(search)}
+            placeholder="Cari username atau email"
+          />
+          <Button onClick={() => loadUsers(search)} variant="outline">
+            <Search className="w-4 h-4" />
+          </Button>
+          <Select
+            value={twoFactorPolicy}
+            onValueChange={(value) => handlePolicyChange(value as TwoFactorPolicy)}
+          >
+            <SelectTrigger className="w-56">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="optional">2FA opsional</SelectItem>
+              <SelectItem value="admins">2FA wajib untuk admin</SelectItem>
+              <SelectItem value="all">2FA wajib untuk semua user</SelectItem>
+            </SelectContent>
+          </Select>
+        </div>
+      </Card>
+
+      <Card className="rounded-2xl">
+        <Table>
+          <TableHeader>
+            <TableRow>
+              <TableHead>Username</TableHead>
+              <TableHead>Email</TableHead>
+              <TableHead>Role</TableHead>
+              <TableHead>Status</TableHead>
+              <TableHead>2FA</TableHead>
+              <TableHead>Container</TableHead>
+              <TableHead>Dibuat</TableHead>
+              <TableHead className="text-right">Aksi</TableHead>
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {users.map((user) => (
+              <TableRow key={user.id}>
+                <TableCell className="font-medium">{user.username}</TableCell>
+                <TableCell className="text-muted-foreground">{user.email || "-"}</TableCell>
+                <TableCell>
+                  <Select
+                    value={user.role}
+                    onValueChange={(value) => handleRoleChange(user, value as UserRole)}
+                    disabled={isSelf(user)}
+                  >
+                    <SelectTrigger className="w-28">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="user">user</SelectItem>
+                      <SelectItem value="admin">admin</SelectItem>
+                    </SelectContent>
+                  </Select>
+                </TableCell>
+                <TableCell>
+                  <Badge variant={user.disabled ? "destructive" : "secondary"}>
+                    {user.disabled ? "Nonaktif" : "Aktif"}
+                  </Badge>
+                  {findLockout(user) && (
+                    <Badge variant="destructive" className="ml-1">Terkunci</Badge>
+                  )}
+                </TableCell>
+                <TableCell>
+                  <Badge variant={user.two_factor_enabled ? "default" : "outline"}>
+                    {user.two_factor_enabled ? "Aktif" : "-"}
+                  </Badge>
+                </TableCell>
+                <TableCell>{user.container_count ?? 0}</TableCell>
+                <TableCell>{new Date(user.created_at).toLocaleDateString()}</TableCell>
+                <TableCell className="text-right space-x-1">
+                  <Button variant="ghost" size="sm" onClick={() => openResetDialog(user)} title="Reset password">
+                    <KeyRound className="w-4 h-4" />
+                  </Button>
+                  {findLockout(user) && (
+                    <Button variant="ghost" size="sm" onClick={() => handleUnlock(user.id, user.username)} title="Buka kunci">
+                      <LockOpen className="w-4 h-4" />
+                    </Button>
+                  )}
+                  {user.two_factor_enabled && (
+                    <Button variant="ghost" size="sm" onClick={() => handleResetTwoFactor(user)} title="Reset 2FA">
+                      <ShieldOff className="w-4 h-4" />
+                    </Button>
+                  )}
+                  {!isSelf(user) && (
+                    <>
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        onClick={() => handleToggleDisabled(user)}
+                        title={user.disabled ? "Aktifkan" : "Nonaktifkan"}
+                      >
+                        {user.disabled ? (
+                          <CheckCircle className="w-4 h-4" />
+                        ) : (
+                          <Ban className="w-4 h-4" />
+                        )}
+                      </Button>
+                      <Button variant="ghost" size="sm" onClick={() => handleDelete(user)} title="Hapus">
+                        <Trash2 className="w-4 h-4 text-destructive" />
+                      </Button>
+                    </>
+                  )}
+                </TableCell>
+              </TableRow>
+            ))}
+            {!isLoading && users.length === 0 && (
+              <TableRow>
+                <TableCell colSpan={8} className="text-center text-muted-foreground py-8">
+                  Tidak ada user
+                </TableCell>
+              </TableRow>
+            )}
+          </TableBody>
+        </Table>
+      </Card>
+
+      <Card className="p-6 rounded-2xl mt-6">
+        <div className="flex items-center gap-2 mb-1">
+          <ShieldAlert className="w-5 h-5 text-golden" />
+          <h2 className="text-xl font-semibold text-foreground">Keamanan Login</h2>
+        </div>
+        {loginPolicy && (
+          <p className="text-sm text-muted-foreground mb-4">
+            Akun dikunci {loginPolicy.lockoutMinutes} menit setelah {loginPolicy.maxAttempts} kali gagal login
+            dalam {loginPolicy.failureWindowMinutes} menit; durasi kunci berlipat ganda hingga{" "}
+            {loginPolicy.maxLockoutMinutes} menit.
+          </p>
+        )}
+
+        <h3 className="font-medium text-foreground mb-2">Akun terkunci</h3>
+        <Table className="mb-6">
+          <TableHeader>
+            <TableRow>
+              <TableHead>Username</TableHead>
+              <TableHead>Terkunci sampai</TableHead>
+              <TableHead>Jumlah kunci</TableHead>
+              <TableHead className="text-right">Aksi</TableHead>
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {lockouts.map((lockout) => (
+              <TableRow key={lockout.username}>
+                <TableCell className="font-medium">
+                  {lockout.username}
+                  {!lockout.user_id && (
+                    <Badge variant="outline" className="ml-2">tidak terdaftar</Badge>
+                  )}
+                </TableCell>
+                <TableCell>{formatTimestamp(lockout.locked_until)}</TableCell>
+                <TableCell>{lockout.lockout_count}</TableCell>
+                <TableCell className="text-right">
+                  {lockout.user_id && (
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      onClick={() => handleUnlock(lockout.user_id as number, lockout.username)}
+                      className="rounded-2xl"
+                    >
+                      <LockOpen className="w-4 h-4 mr-2" />
+                      Buka kunci
+                    </Button>
+                  )}
+                </TableCell>
+              </TableRow>
+            ))}
+            {lockouts.length === 0 && (
+              <TableRow>
+                <TableCell colSpan={4} className="text-center text-muted-foreground py-4">
+                  Tidak ada akun terkunci
+                </TableCell>
+              </TableRow>
+            )}
+          </TableBody>
+        </Table>
+
+        <h3 className="font-medium text-foreground mb-2">Peringatan keamanan terbaru</h3>
+        <div className="space-y-2 mb-6">
+          {securityEvents.map((event) => (
+            <div key={event.id} className="bg-muted rounded-2xl p-3 text-sm">
+              <div className="flex justify-between gap-4">
+                <span className="font-medium text-foreground">{event.action.replace('security.', '')}</span>
+                <span className="text-muted-foreground">{formatTimestamp(event.created_at)}</span>
+              </div>
+              <p className="text-muted-foreground">
+                {String(event.after?.message ?? '')} {event.ip_address && `· ${event.ip_address}`}
+              </p>
+            </div>
+          ))}
+          {securityEvents.length === 0 && (
+            <p className="text-sm text-muted-foreground">Belum ada peringatan</p>
+          )}
+        </div>
+
+        <h3 className="font-medium text-foreground mb-2">Login gagal terbaru</h3>
+        <Table>
+          <TableHeader>
+            <TableRow>
+              <TableHead>Waktu</TableHead>
+              <TableHead>Username</TableHead>
+              <TableHead>IP</TableHead>
+              <TableHead>Alasan</TableHead>
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {failedAttempts.map((attempt) => (
+              <TableRow key={attempt.id}>
+                <TableCell>{formatTimestamp(attempt.created_at)}</TableCell>
+                <TableCell className="font-medium">{attempt.username}</TableCell>
+                <TableCell className="text-muted-foreground">{attempt.ip_address || "-"}</TableCell>
+                <TableCell>
+                  {attempt.reason ? LOGIN_FAILURE_REASONS[attempt.reason] || attempt.reason : "-"}
+                </TableCell>
+              </TableRow>
+            ))}
+            {failedAttempts.length === 0 && (
+              <TableRow>
+                <TableCell colSpan={4} className="text-center text-muted-foreground py-4">
+                  Belum ada login gagal
+                </TableCell>
+              </TableRow>
+            )}
+          </TableBody>
+        </Table>
+      </Card>
+
+      <Dialog open={showCreate} onOpenChange={setShowCreate}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>Tambah User</DialogTitle>
+            <DialogDescription>
+              Password minimal 6 karakter dengan huruf besar, huruf kecil dan angka.
+            </DialogDescription>
+          </DialogHeader>
+          <div className="space-y-4">
+            <div className="space-y-2">
+              <Label htmlFor="user-username">Username</Label>
+              <Input
+                id="user-username"
+                value={form.username}
+                onChange={(e) => setForm({ ...form, username: e.target.value })}
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="user-email">Email</Label>
+              <Input
+                id="user-email"
+                type="email"
+                value={form.email}
+                onChange={(e) => setForm({ ...form, email: e.target.value })}
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="user-password">Password</Label>
+              <Input
+                id="user-password"
+                type="password"
+                value={form.password}
+                onChange={(e) => setForm({ ...form, password: e.target.value })}
+              />
+            </div>
+            <div className="space-y-2">
+              <Label>Role</Label>
+              <Select
+                value={form.role}
+                onValueChange={(value) => setForm({ ...form, role: value as UserRole })}
+              >
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="user">user</SelectItem>
+                  <SelectItem value="admin">admin</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
+          </div>
+          <DialogFooter>
+            <Button onClick={handleCreate} disabled={!form.username.trim() || !form.password}>
+              Simpan
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+
+      <Dialog open={!!resetTarget} onOpenChange={(open) => !open && setResetTarget(null)}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>Reset Password</DialogTitle>
+            <DialogDescription>
+              {resetTarget?.username} • kosongkan untuk membuat password sementara
+            </DialogDescription>
+          </DialogHeader>
+          {temporaryPassword ? (
+            <div className="space-y-2">
+              <p className="text-sm text-muted-foreground">
+                Password sementara (hanya ditampilkan sekali):
+              </p>
+              <p className="font-mono text-lg break-all">{temporaryPassword}</p>
+            </div>
+          ) : (
+            <div className="space-y-2">
+              <Label htmlFor="reset-password">Password baru</Label>
+              <Input
+                id="reset-password"
+                type="password"
+                value={newPassword}
+                onChange={(e) => setNewPassword(e.target.value)}
+              />
+            </div>
+          )}
+          <DialogFooter>
+            {temporaryPassword ? (
+              <Button onClick={() => setResetTarget(null)}>Tutup</Button>
+            ) : (
+              <Button onClick={handleResetPassword}>Reset</Button>
+            )}
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+};
+
+export default UserManager;
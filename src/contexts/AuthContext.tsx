@@ -1,5 +1,5 @@
 import React, { createContext, useContext, useState, useEffect, ReactNode } from 'react';
-import { apiService } from '@/services/api';
+import { apiService, TwoFactorSetup } from '@/services/api';
 import { useToast } from '@/hooks/use-toast';
 
 interface User {
@@ -7,18 +7,43 @@ interface User {
   username: string;
   role: string;
   created_at: string;
+  two_factor_enabled?: boolean;
+}
+
+// Pending second login step: enter a code, or enroll when the policy requires 2FA
+interface TwoFactorChallenge {
+  mode: 'verify' | 'setup';
+  challengeToken: string;
 }
 
 interface AuthContextType {
   user: User | null;
   isAuthenticated: boolean;
   isLoading: boolean;
+  twoFactorChallenge: TwoFactorChallenge | null;
   login: (username: string, password: string) => Promise<void>;
+  verifyTwoFactor: (code: string, isRecoveryCode?: boolean) => Promise<void>;
+  setupTwoFactor: () => Promise<TwoFactorSetup>;
+  completeTwoFactorSetup: (code: string) => Promise<string[]>;
+  finishTwoFactorSetup: () => void;
+  cancelTwoFactor: () => void;
   logout: () => Promise<void>;
   updateProfile: (data: Partial<User>) => Promise<void>;
   changePassword: (currentPassword: string, newPassword: string) => Promise<void>;
 }
 
+// Renew the access token this long before it expires
+const REFRESH_MARGIN_MS = 60 * 1000;
+const REFRESH_RETRY_MS = 30 * 1000;
+
+// Messages for the error codes the SSO callback sends back in the URL fragment
+const OIDC_ERRORS: Record<string, string> = {
+  ACCOUNT_DISABLED: "Akun Anda dinonaktifkan",
+  OIDC_USER_NOT_PROVISIONED: "Akun untuk identitas ini belum dibuat oleh administrator",
+  OIDC_INVALID_STATE: "Sesi login kedaluwarsa, silakan coba lagi",
+  OIDC_STATE_MISMATCH: "Login dimulai dari browser lain, silakan coba lagi",
+};
+
 const AuthContext = createContext<AuthContextType | undefined>(undefined);
 
 interface AuthProviderProps {
@@ -28,6 +53,8 @@ interface AuthProviderProps {
 export const AuthProvider: React.FC<AuthProviderProps> = ({ children }) => {
   const [user, setUser] = useState<User | null>(null);
   const [isLoading, setIsLoading] = useState(true);
+  const [twoFactorChallenge, setTwoFactorChallenge] = useState<TwoFactorChallenge | null>(null);
+  const [pendingUser, setPendingUser] = useState<User | null>(null);
   const { toast } = useToast();
 
   const isAuthenticated = !!user && apiService.isAuthenticated();
@@ -35,7 +62,36 @@ export const AuthProvider: React.FC<AuthProviderProps> = ({ children }) => {
   // Check if user is already logged in on app start
   useEffect(() => {
     const checkAuth = async () => {
-      if (apiService.isAuthenticated()) {
+      // Returning from single sign-on: take the result out of the URL fragment
+      const hash = new URLSearchParams(window.location.hash.slice(1));
+      const oidcToken = hash.get('oidc_token');
+      const oidcError = hash.get('oidc_error');
+
+      if (oidcToken || oidcError) {
+        window.history.replaceState(null, '', window.location.pathname + window.location.search);
+      }
+
+      if (oidcError) {
+        toast({
+          title: "Login SSO gagal",
+          description: OIDC_ERRORS[oidcError] || oidcError,
+          variant: "destructive",
+        });
+      }
+
+      if (oidcToken) {
+        try {
+          const userData = await apiService.completeOidcLogin(oidcToken, hash.get('oidc_refresh_token') || undefined);
+          setUser(userData);
+          toast({
+            title: "Login berhasil",
+            description: `Selamat datang, ${userData.username}!`,
+          });
+        } catch (error) {
+          console.error('SSO login failed:', error);
+          await logout();
+        }
+      } else if (apiService.isAuthenticated()) {
         try {
           const userData = await apiService.getProfile();
           setUser(userData);
@@ -51,10 +107,67 @@ export const AuthProvider: React.FC<AuthProviderProps> = ({ children }) => {
     checkAuth();
   }, []);
 
+  // The session was revoked or expired while the app was open
+  useEffect(() => {
+    apiService.onSessionEnded(() => {
+      setUser(null);
+      toast({
+        title: "Sesi berakhir",
+        description: "Silakan login kembali",
+        variant: "destructive",
+      });
+    });
+
+    return () => apiService.onSessionEnded(null);
+  }, [toast]);
+
+  // Refresh the access token silently while a user is signed in
+  useEffect(() => {
+    if (!user) return;
+
+    let timer: ReturnType<typeof setTimeout>;
+
+    const schedule = (delay: number) => {
+      timer = setTimeout(async () => {
+        try {
+          await apiService.refreshSession();
+          scheduleFromExpiry();
+        } catch (error) {
+          console.error('Silent token refresh failed:', error);
+          // Still holding tokens means the server was unreachable; try again shortly
+          if (apiService.isAuthenticated()) {
+            schedule(REFRESH_RETRY_MS);
+          }
+        }
+      }, delay);
+    };
+
+    const scheduleFromExpiry = () => {
+      const expiry = apiService.getTokenExpiry();
+      if (expiry) {
+        const remaining = expiry - Date.now();
+        schedule(Math.max(remaining - REFRESH_MARGIN_MS, remaining / 2, 0));
+      }
+    };
+
+    scheduleFromExpiry();
+
+    return () => clearTimeout(timer);
+  }, [user]);
+
   const login = async (username: string, password: string) => {
     try {
       setIsLoading(true);
       const response = await apiService.login(username, password);
+
+      if (response.challenge_token) {
+        setTwoFactorChallenge({
+          mode: response.two_factor_setup_required ? 'setup' : 'verify',
+          challengeToken: response.challenge_token,
+        });
+        return;
+      }
+
       setUser(response.user);
       
       toast({
@@ -74,6 +187,67 @@ export const AuthProvider: React.FC<AuthProviderProps> = ({ children }) => {
     }
   };
 
+  const verifyTwoFactor = async (code: string, isRecoveryCode = false) => {
+    if (!twoFactorChallenge) return;
+
+    try {
+      setIsLoading(true);
+      const response = await apiService.verifyTwoFactorLogin(
+        twoFactorChallenge.challengeToken,
+        isRecoveryCode ? { recovery_code: code } : { code }
+      );
+      setTwoFactorChallenge(null);
+      setUser(response.user);
+
+      toast({
+        title: "Login berhasil",
+        description: isRecoveryCode
+          ? `Sisa recovery code: ${response.recovery_codes_remaining ?? 0}`
+          : `Selamat datang, ${response.user.username}!`,
+      });
+    } catch (error) {
+      console.error('Two-factor verification failed:', error);
+      toast({
+        title: "Verifikasi gagal",
+        description: error instanceof Error ? error.message : "Kode tidak valid",
+        variant: "destructive",
+      });
+      throw error;
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const setupTwoFactor = async () => {
+    return apiService.setupTwoFactor(twoFactorChallenge?.challengeToken);
+  };
+
+  // Enrollment forced at login also logs the user in; the user is kept pending
+  // until the recovery codes have been acknowledged
+  const completeTwoFactorSetup = async (code: string) => {
+    const response = await apiService.enableTwoFactor(code, twoFactorChallenge?.challengeToken);
+    setPendingUser(response.user);
+    return response.recovery_codes || [];
+  };
+
+  const finishTwoFactorSetup = () => {
+    setTwoFactorChallenge(null);
+    setUser(pendingUser);
+    setPendingUser(null);
+
+    if (pendingUser) {
+      toast({
+        title: "Login berhasil",
+        description: `Selamat datang, ${pendingUser.username}!`,
+      });
+    }
+  };
+
+  const cancelTwoFactor = () => {
+    setTwoFactorChallenge(null);
+    setPendingUser(null);
+  };
+
   const logout = async () => {
     try {
       await apiService.logout();
@@ -131,7 +305,13 @@ export const AuthProvider: React.FC<AuthProviderProps> = ({ children }) => {
     user,
     isAuthenticated,
     isLoading,
+    twoFactorChallenge,
     login,
+    verifyTwoFactor,
+    setupTwoFactor,
+    completeTwoFactorSetup,
+    finishTwoFactorSetup,
+    cancelTwoFactor,
     logout,
     updateProfile,
     changePassword,
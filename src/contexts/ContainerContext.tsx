@@ -1,5 +1,5 @@
 import React, { createContext, useContext, useState, useEffect, ReactNode } from 'react';
-import { apiService } from '@/services/api';
+import { apiService, ContainerNetwork, ContainerVolume, Team } from '@/services/api';
 import { useToast } from '@/hooks/use-toast';
 import { useAuth } from './AuthContext';
 
@@ -10,6 +10,9 @@ interface Container {
   folder: string;
   docker_id?: string;
   image?: string;
+  team_id?: number | null;
+  networks?: ContainerNetwork[];
+  volumes?: ContainerVolume[];
   created_at: string;
   updated_at: string;
 }
@@ -18,6 +21,10 @@ interface ContainerContextType {
   containers: Container[];
   selectedContainer: Container | null;
   isLoading: boolean;
+  teams: Team[];
+  workspace: number | null;
+  setWorkspace: (teamId: number | null) => void;
+  refreshTeams: () => Promise<void>;
   refreshContainers: () => Promise<void>;
   selectContainer: (container: Container) => void;
   createContainer: (data: any) => Promise<Container>;
@@ -38,25 +45,45 @@ export const ContainerProvider: React.FC<ContainerProviderProps> = ({ children }
   const [containers, setContainers] = useState<Container[]>([]);
   const [selectedContainer, setSelectedContainer] = useState<Container | null>(null);
   const [isLoading, setIsLoading] = useState(false);
+  const [teams, setTeams] = useState<Team[]>([]);
+  // null is the personal workspace, otherwise the ID of the selected team
+  const [workspace, setWorkspace] = useState<number | null>(null);
   const { toast } = useToast();
   const { isAuthenticated } = useAuth();
 
-  // Load containers when authenticated
+  // Load containers and teams when authenticated or when the workspace changes
   useEffect(() => {
     if (isAuthenticated) {
       refreshContainers();
+      refreshTeams();
     } else {
       setContainers([]);
       setSelectedContainer(null);
+      setTeams([]);
+      setWorkspace(null);
     }
-  }, [isAuthenticated]);
+  }, [isAuthenticated, workspace]);
+
+  const refreshTeams = async () => {
+    try {
+      const { teams } = await apiService.getTeams();
+      setTeams(teams);
+
+      // Fall back to the personal workspace when the team is no longer available
+      if (workspace !== null && !teams.some(team => team.id === workspace)) {
+        setWorkspace(null);
+      }
+    } catch (error) {
+      console.error('Failed to load teams:', error);
+    }
+  };
 
   const refreshContainers = async () => {
     if (!isAuthenticated) return;
     
     try {
       setIsLoading(true);
-      const containerData = await apiService.getContainers();
+      const containerData = await apiService.getContainers(workspace);
       setContainers(containerData);
       
       // Update selected container if it exists
@@ -87,7 +114,9 @@ export const ContainerProvider: React.FC<ContainerProviderProps> = ({ children }
   const createContainer = async (data: any): Promise<Container> => {
     try {
       setIsLoading(true);
-      const newContainer = await apiService.createContainer(data);
+      const newContainer = await apiService.createContainer(
+        workspace !== null ? { ...data, teamId: workspace } : data
+      );
       
       // Refresh containers to get updated list
       await refreshContainers();
@@ -264,6 +293,10 @@ export const ContainerProvider: React.FC<ContainerProviderProps> = ({ children }
     containers,
     selectedContainer,
     isLoading,
+    teams,
+    workspace,
+    setWorkspace,
+    refreshTeams,
     refreshContainers,
     selectContainer,
     createContainer,
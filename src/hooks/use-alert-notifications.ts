@@ -0,0 +1,59 @@
+import * as React from "react"
+import { toast } from "@/hooks/use-toast"
+import { apiService, AlertNotification, SecurityAlertNotification } from "@/services/api"
+
+const RECONNECT_DELAY = 10000
+
+// Shows a toast for every in-app alert and login security alert pushed by the backend
+export function useAlertNotifications(enabled: boolean) {
+  React.useEffect(() => {
+    if (!enabled) return
+
+    let ws: WebSocket | null = null
+    let reconnectTimer: ReturnType<typeof setTimeout> | null = null
+    let closed = false
+
+    const connect = () => {
+      ws = apiService.createAlertWebSocket()
+
+      ws.onmessage = (event) => {
+        const message = JSON.parse(event.data) as AlertNotification | SecurityAlertNotification | { type: string }
+
+        if (message.type === "alert_fired" || message.type === "alert_resolved") {
+          const { alert, title } = message as AlertNotification
+          const resolved = message.type === "alert_resolved"
+
+          toast({
+            title: resolved ? "Alert resolved" : title,
+            description: resolved ? title : alert.message,
+            variant: !resolved && alert.severity === "critical" ? "destructive" : "default",
+          })
+        }
+
+        if (message.type === "security_alert") {
+          const { alert, title } = message as SecurityAlertNotification
+
+          toast({
+            title,
+            description: alert.message,
+            variant: "destructive",
+          })
+        }
+      }
+
+      ws.onclose = () => {
+        if (!closed) {
+          reconnectTimer = setTimeout(connect, RECONNECT_DELAY)
+        }
+      }
+    }
+
+    connect()
+
+    return () => {
+      closed = true
+      if (reconnectTimer) clearTimeout(reconnectTimer)
+      ws?.close()
+    }
+  }, [enabled])
+}
@@ -1,21 +1,26 @@
 import { useState, useEffect } from "react";
 import { useAuth } from "@/contexts/AuthContext";
 import { useContainer } from "@/contexts/ContainerContext";
+import { useAlertNotifications } from "@/hooks/use-alert-notifications";
 import LoginPage from "@/components/LoginPage";
 import DashboardContainer from "@/components/DashboardContainer";
 import ConsoleLogScript from "@/components/ConsoleLogScript";
 import FileManager from "@/components/FileManager";
 import SettingsContainer from "@/components/SettingsContainer";
+import ImageManager from "@/components/ImageManager";
+import UserManager from "@/components/UserManager";
 import { Button } from "@/components/ui/button";
 import { Loader2 } from "lucide-react";
 
-type ViewType = "dashboard" | "console" | "files" | "settings";
+type ViewType = "dashboard" | "console" | "files" | "settings" | "images" | "users";
 
 const Index = () => {
   const [currentView, setCurrentView] = useState<ViewType>("dashboard");
   const { isAuthenticated, isLoading: authLoading } = useAuth();
   const { selectedContainer, selectContainer } = useContainer();
 
+  useAlertNotifications(isAuthenticated);
+
   // Reset view when authentication changes
   useEffect(() => {
     if (!isAuthenticated) {
@@ -56,6 +61,8 @@ const Index = () => {
         return (
           <DashboardContainer
             onSelectContainer={handleSelectContainer}
+            onOpenImages={() => setCurrentView("images")}
+            onOpenUsers={() => setCurrentView("users")}
           />
         );
       
@@ -87,6 +94,12 @@ const Index = () => {
           />
         ) : null;
       
+      case "images":
+        return <ImageManager onBack={handleBackToDashboard} />;
+
+      case "users":
+        return <UserManager onBack={handleBackToDashboard} />;
+
       default:
         return null;
     }
@@ -1,130 +1,1370 @@
 // @ts-ignore
 const API_BASE_URL = import.meta.env?.VITE_API_URL || 'http://localhost:3001/api';
 
+export interface ContainerTemplate {
+  id: number;
+  name: string;
+  description?: string | null;
+  image: string;
+  port_mappings: Record<string, string>;
+  environment_vars: string[];
+  volumes: string[];
+  memory?: string | null;
+  cpu?: string | null;
+  startup_script?: string | null;
+  working_dir?: string | null;
+  command?: string | null;
+  is_shared: boolean;
+  created_by: number;
+  created_at: string;
+  updated_at: string;
+}
+
+export interface TemplateImportResult {
+  message: string;
+  imported: ContainerTemplate[];
+  skipped: { name: string; reason: string }[];
+  failed: { name: string | null; error: string }[];
+}
+
+export interface StackService {
+  service_name: string;
+  start_order: number;
+  depends_on: string[];
+  container_id: string;
+  container_name: string;
+  docker_id: string | null;
+  image: string;
+  status: string;
+}
+
+export interface Stack {
+  id: string;
+  name: string;
+  status: string;
+  networks: { key: string; name: string; external: boolean }[];
+  volumes: { key: string; name: string; external: boolean }[];
+  created_by: number;
+  created_at: string;
+  updated_at: string;
+  compose_content?: string;
+  services?: StackService[];
+}
+
+export interface DockerImage {
+  id: string;
+  dockerId: string;
+  tags: string[];
+  digests: string[];
+  size: number;
+  created: string;
+  containers: number;
+  labels: Record<string, string>;
+}
+
+export interface DockerImageDetails {
+  id: string;
+  dockerId: string;
+  tags: string[];
+  digests: string[];
+  size: number;
+  created: string;
+  architecture: string;
+  os: string;
+  author?: string;
+  config: {
+    env: string[];
+    cmd: string[] | null;
+    entrypoint: string[] | null;
+    workingDir: string | null;
+    exposedPorts: string[];
+    labels: Record<string, string>;
+  };
+  layers: number;
+}
+
+export interface DockerNetwork {
+  id: string;
+  dockerId: string;
+  name: string;
+  driver: string;
+  scope: string;
+  internal: boolean;
+  subnet: string | null;
+  gateway: string | null;
+  created: string | null;
+  labels: Record<string, string>;
+  builtin: boolean;
+}
+
+export interface DockerNetworkDetails extends DockerNetwork {
+  containers: {
+    dockerId: string;
+    name: string;
+    ipv4Address: string | null;
+    macAddress: string | null;
+    container_id: string | null;
+    container_name: string | null;
+  }[];
+}
+
+// A network as seen from a container (GET /containers and /containers/:id)
+export interface ContainerNetwork {
+  name: string;
+  ip_address: string | null;
+  aliases: string[];
+}
+
+export interface DockerVolume {
+  name: string;
+  driver: string;
+  mountpoint: string;
+  scope: string;
+  created: string | null;
+  labels: Record<string, string>;
+  size: number | null;
+  in_use: boolean | null;
+}
+
+export interface DockerVolumeDetails extends Omit<DockerVolume, 'in_use'> {
+  containers: {
+    dockerId: string;
+    name: string;
+    status: string;
+    mountPath: string | null;
+    readOnly: boolean;
+    container_id: string | null;
+    container_name: string | null;
+  }[];
+}
+
+// One difference between a container's stored configuration and its Docker container
+export interface ReconcileChange {
+  field: 'name' | 'environment' | 'ports' | 'memory' | 'memory_swap' | 'cpu' | 'cpu_shares' | 'pids_limit';
+  key?: string;
+  current: string | number | null;
+  desired: string | number | null;
+}
+
+export interface ReconcilePlan {
+  container_id: string;
+  docker_id: string;
+  running: boolean;
+  in_sync: boolean;
+  changes: ReconcileChange[];
+}
+
+// Sizes like "512m"; -1 means unlimited and null resets to the default
+export interface ContainerResourceUpdate {
+  memory?: string;
+  memorySwap?: string | null;
+  cpu?: number;
+  cpuShares?: number | null;
+  pidsLimit?: number | null;
+}
+
+export interface ContainerSnapshot {
+  id: number;
+  container_id: string;
+  image_tag: string;
+  image_id: string | null;
+  source_image: string | null;
+  description: string | null;
+  size: number | null;
+  created_by: number | null;
+  created_at: string;
+}
+
+// A named volume as seen from a container (GET /containers and /containers/:id)
+export interface ContainerVolume {
+  name: string;
+  mount_path: string;
+  read_only: boolean;
+}
+
+export interface MetricsPoint {
+  timestamp: string;
+  cpu_percent: number;
+  memory_usage: number;
+  memory_limit: number;
+  memory_percent: number;
+  network_rx_rate: number;
+  network_tx_rate: number;
+  block_read_rate: number;
+  block_write_rate: number;
+  samples: number;
+}
+
+export interface MetricsHistory {
+  container_id: string;
+  range: number;
+  step: number;
+  points: MetricsPoint[];
+}
+
+export type ContainerRole = 'viewer' | 'operator' | 'owner';
+
+export interface ContainerPermission {
+  id: number;
+  container_id: string;
+  user_id: number | null;
+  username?: string | null;
+  team_id: number | null;
+  team_name?: string | null;
+  role: ContainerRole;
+  granted_by: number;
+  created_at: string;
+  updated_at: string;
+}
+
+export interface Team {
+  id: number;
+  name: string;
+  description?: string | null;
+  max_containers: number | null;
+  max_memory: number | null;
+  max_cpu: number | null;
+  max_disk: number | null;
+  created_by: number;
+  created_at: string;
+  updated_at: string;
+  member_count?: number;
+  container_count?: number;
+  role: ContainerRole | null;
+}
+
+export interface QuotaLimits {
+  max_containers: number;
+  max_memory: number;
+  max_cpu: number;
+  max_disk: number;
+  exempt: boolean;
+}
+
+export interface QuotaUsage {
+  containers: number;
+  memory: number;
+  cpu: number;
+  disk: number;
+}
+
+export interface QuotaInput {
+  max_containers?: number | null;
+  max_memory?: string | null;
+  max_cpu?: number | null;
+  max_disk?: string | null;
+}
+
+export interface UserQuota {
+  user: { id: number; username: string; role: string };
+  override: (QuotaInput & { user_id: number; updated_at: string }) | null;
+  limits: QuotaLimits;
+  usage: QuotaUsage;
+}
+
+export type UserRole = 'admin' | 'user';
+
+export interface ManagedUser {
+  id: number;
+  username: string;
+  email?: string | null;
+  role: UserRole;
+  disabled: boolean;
+  two_factor_enabled?: boolean;
+  container_count?: number;
+  created_at: string;
+  updated_at: string;
+}
+
+export interface LoginLockout {
+  username: string;
+  user_id: number | null;
+  failed_count: number;
+  lockout_count: number;
+  last_failed_at: string | null;
+  locked_until: string;
+}
+
+export interface LoginAttemptRecord {
+  id: number;
+  username: string;
+  user_id: number | null;
+  ip_address: string | null;
+  user_agent: string | null;
+  success: boolean;
+  reason: string | null;
+  created_at: string;
+}
+
+export interface LoginProtectionPolicy {
+  maxAttempts: number;
+  lockoutMinutes: number;
+  maxLockoutMinutes: number;
+  failureWindowMinutes: number;
+  sprayThreshold: number;
+  retentionDays: number;
+}
+
+export interface UserStats {
+  total_users: number;
+  admin_users: number;
+  regular_users: number;
+  disabled_users: number;
+  new_users_30d: number;
+}
+
+// Login either returns a session token or asks for a second step
+export interface LoginResponse {
+  message: string;
+  user?: any;
+  token?: string;
+  refresh_token?: string;
+  expires_in?: string;
+  session_id?: number;
+  two_factor_required?: boolean;
+  two_factor_setup_required?: boolean;
+  challenge_token?: string;
+  recovery_codes?: string[];
+  recovery_codes_remaining?: number;
+}
+
+export type TwoFactorPolicy = 'optional' | 'admins' | 'all';
+
+export interface OidcConfig {
+  enabled: boolean;
+  name: string;
+}
+
+export interface TwoFactorStatus {
+  enabled: boolean;
+  required: boolean;
+  policy: TwoFactorPolicy;
+  recovery_codes_remaining: number;
+}
+
+export interface TwoFactorSetup {
+  secret: string;
+  otpauth_uri: string;
+}
+
+export interface ApiToken {
+  id: number;
+  user_id: number;
+  name: string;
+  token_prefix: string;
+  scopes: string[];
+  expires_at: string | null;
+  expired: boolean;
+  last_used_at: string | null;
+  last_used_ip: string | null;
+  created_at: string;
+}
+
+export interface AuditEvent {
+  id: number;
+  actor_id: number | null;
+  actor_username: string | null;
+  ip_address: string | null;
+  user_agent: string | null;
+  action: string;
+  target_type: string | null;
+  target_id: string | null;
+  method: string | null;
+  path: string | null;
+  before: Record<string, unknown> | null;
+  after: Record<string, unknown> | null;
+  result: 'success' | 'failure';
+  status_code: number | null;
+  error: string | null;
+  created_at: string;
+}
+
+export interface AuditFilters {
+  actor?: string;
+  actor_id?: number;
+  action?: string;
+  target_type?: string;
+  target_id?: string;
+  result?: 'success' | 'failure';
+  ip?: string;
+  from?: string;
+  to?: string;
+}
+
+export interface TeamMember {
+  user_id: number;
+  username: string;
+  email?: string | null;
+  role: ContainerRole;
+  created_at: string;
+}
+
+export type AlertRuleType = 'container_stopped' | 'metric_threshold' | 'restart_loop' | 'log_match';
+
+export type AlertChannel =
+  | { type: 'webhook'; url: string }
+  | { type: 'email'; to: string | string[] }
+  | { type: 'in_app' };
+
+export interface AlertRule {
+  id: number;
+  name: string;
+  container_id?: string | null;
+  rule_type: AlertRuleType;
+  config: Record<string, unknown>;
+  channels: AlertChannel[];
+  severity: 'info' | 'warning' | 'critical';
+  enabled: boolean;
+  created_by: number;
+  created_at: string;
+  updated_at: string;
+}
+
+export interface Alert {
+  id: number;
+  rule_id: number;
+  rule_name?: string;
+  container_id: string;
+  container_name?: string;
+  status: 'firing' | 'resolved';
+  severity: AlertRule['severity'];
+  message: string;
+  details: Record<string, unknown>;
+  fired_at: string;
+  resolved_at?: string | null;
+}
+
+export interface AlertNotification {
+  type: 'alert_fired' | 'alert_resolved';
+  title: string;
+  alert: Alert;
+  timestamp: string;
+}
+
+export interface SecurityAlertNotification {
+  type: 'security_alert';
+  title: string;
+  alert: {
+    type: 'account_locked' | 'password_spraying' | 'login_after_lockout';
+    title: string;
+    severity: 'warning';
+    message: string;
+    username: string | null;
+    ip_address: string | null;
+    details: Record<string, unknown>;
+    fired_at: string;
+  };
+  timestamp: string;
+}
+
+export type WebhookEvent =
+  | 'container.created'
+  | 'container.started'
+  | 'container.stopped'
+  | 'container.restarted'
+  | 'container.restart_failed'
+  | 'container.deleted';
+
+export interface Webhook {
+  id: number;
+  name: string;
+  url: string;
+  events: WebhookEvent[];
+  container_id?: string | null;
+  enabled: boolean;
+  created_by: number;
+  created_at: string;
+  updated_at: string;
+}
+
+export interface WebhookDelivery {
+  id: number;
+  webhook_id: number;
+  delivery_id: string;
+  event: string;
+  container_id?: string | null;
+  payload: Record<string, unknown>;
+  status: 'success' | 'failed';
+  attempts: number;
+  response_code?: number | null;
+  response_body?: string | null;
+  error?: string | null;
+  duration_ms: number;
+  created_at: string;
+}
+
+// A signed-in device, as listed under "active sessions"
+export interface LoginSession {
+  id: number;
+  user_id: number;
+  auth_method: 'password' | 'oidc';
+  device: string;
+  user_agent?: string | null;
+  ip_address?: string | null;
+  last_used_at: string;
+  expires_at: string;
+  created_at: string;
+  current: boolean;
+}
+
 class ApiService {
   private token: string | null = null;
+  private refreshPromise: Promise<LoginResponse> | null = null;
+  private sessionEndedListener: (() => void) | null = null;
+
+  constructor() {
+    this.token = localStorage.getItem('auth_token');
+  }
+
+  private async request<T>(
+    endpoint: string,
+    options: RequestInit = {},
+    retryOnExpiry = true
+  ): Promise<T> {
+    const url = `${API_BASE_URL}${endpoint}`;
+    
+    const config: RequestInit = {
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.token && { Authorization: `Bearer ${this.token}` }),
+        ...options.headers,
+      },
+      ...options,
+    };
+
+    try {
+      const response = await fetch(url, config);
+      
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+
+        // The access token ran out (e.g. after the laptop slept): refresh once and retry
+        if (errorData.code === 'TOKEN_EXPIRED' && retryOnExpiry && this.getRefreshToken()) {
+          await this.refreshSession();
+          return this.request<T>(endpoint, options, false);
+        }
+
+        throw new Error(errorData.message || errorData.error || `HTTP error! status: ${response.status}`);
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('API request failed:', error);
+      throw error;
+    }
+  }
+
+  // Authentication methods
+  private storeToken(response: LoginResponse) {
+    if (response.token) {
+      this.token = response.token;
+      localStorage.setItem('auth_token', response.token);
+    }
+
+    if (response.refresh_token) {
+      localStorage.setItem('refresh_token', response.refresh_token);
+    }
+  }
+
+  private clearTokens() {
+    this.token = null;
+    localStorage.removeItem('auth_token');
+    localStorage.removeItem('refresh_token');
+  }
+
+  // Read on every refresh, since another tab may have rotated the token
+  private getRefreshToken() {
+    return localStorage.getItem('refresh_token');
+  }
+
+  // Called when the session can no longer be refreshed (revoked or expired)
+  onSessionEnded(listener: (() => void) | null) {
+    this.sessionEndedListener = listener;
+  }
+
+  // Refresh tokens are single use, so concurrent callers share one request
+  async refreshSession() {
+    if (!this.refreshPromise) {
+      this.refreshPromise = this.request<LoginResponse>('/auth/refresh', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refresh_token: this.getRefreshToken() }),
+      }, false)
+        .then((response) => {
+          this.storeToken(response);
+          return response;
+        })
+        .catch((error) => {
+          // A network failure (TypeError from fetch) leaves the session to be retried later
+          if (!(error instanceof TypeError)) {
+            this.clearTokens();
+            this.sessionEndedListener?.();
+          }
+          throw error;
+        })
+        .finally(() => {
+          this.refreshPromise = null;
+        });
+    }
+
+    return this.refreshPromise;
+  }
+
+  // Expiry of the current access token in milliseconds since the epoch
+  getTokenExpiry(): number | null {
+    if (!this.token) return null;
+
+    try {
+      const payload = JSON.parse(atob(this.token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+      return typeof payload.exp === 'number' ? payload.exp * 1000 : null;
+    } catch {
+      return null;
+    }
+  }
+
+  async login(username: string, password: string) {
+    const response = await this.request<LoginResponse>('/auth/login', {
+      method: 'POST',
+      body: JSON.stringify({ username, password }),
+    });
+    
+    this.storeToken(response);
+    
+    return response;
+  }
+
+  async verifyTwoFactorLogin(challengeToken: string, proof: { code?: string; recovery_code?: string }) {
+    const response = await this.request<LoginResponse>('/auth/login/2fa', {
+      method: 'POST',
+      body: JSON.stringify({ challenge_token: challengeToken, ...proof }),
+    });
+
+    this.storeToken(response);
+
+    return response;
+  }
+
+  // Single sign-on: the browser is sent to the identity provider and comes
+  // back with a session token in the URL fragment
+  async getOidcConfig() {
+    return this.request<OidcConfig>('/auth/oidc/config');
+  }
+
+  getOidcLoginUrl() {
+    return `${API_BASE_URL}/auth/oidc/login`;
+  }
+
+  async completeOidcLogin(token: string, refreshToken?: string) {
+    this.storeToken({ message: 'Login successful', token, refresh_token: refreshToken });
+
+    const response = await this.request<{ user: LoginResponse['user'] }>('/auth/me');
+    return response.user;
+  }
+
+  // Two-factor methods; the challenge token is only needed for enrollment forced at login
+  async getTwoFactorStatus() {
+    return this.request<TwoFactorStatus>('/auth/2fa');
+  }
+
+  async setupTwoFactor(challengeToken?: string) {
+    return this.request<TwoFactorSetup>('/auth/2fa/setup', {
+      method: 'POST',
+      body: JSON.stringify(challengeToken ? { challenge_token: challengeToken } : {}),
+    });
+  }
+
+  async enableTwoFactor(code: string, challengeToken?: string) {
+    const response = await this.request<LoginResponse>('/auth/2fa/enable', {
+      method: 'POST',
+      body: JSON.stringify({ code, ...(challengeToken && { challenge_token: challengeToken }) }),
+    });
+
+    this.storeToken(response);
+
+    return response;
+  }
+
+  async disableTwoFactor(password: string, proof: { code?: string; recovery_code?: string }) {
+    return this.request<{ message: string }>('/auth/2fa/disable', {
+      method: 'POST',
+      body: JSON.stringify({ password, ...proof }),
+    });
+  }
+
+  async regenerateRecoveryCodes(code: string) {
+    return this.request<{ message: string; recovery_codes: string[] }>('/auth/2fa/recovery-codes', {
+      method: 'POST',
+      body: JSON.stringify({ code }),
+    });
+  }
+
+  async logout() {
+    try {
+      await this.request('/auth/logout', { method: 'POST' });
+    } finally {
+      this.clearTokens();
+    }
+  }
+
+  // Sessions (signed-in devices) of the current user
+  async getSessions() {
+    return this.request<{ sessions: LoginSession[]; total: number }>('/auth/sessions');
+  }
+
+  async revokeSession(id: number) {
+    return this.request<{ message: string }>(`/auth/sessions/${id}`, {
+      method: 'DELETE',
+    });
+  }
+
+  async revokeOtherSessions() {
+    return this.request<{ message: string; revoked: number }>('/auth/sessions', {
+      method: 'DELETE',
+    });
+  }
+
+  async getProfile() {
+    const response = await this.request<{ user: any }>('/auth/me');
+    return response.user;
+  }
+
+  async updateProfile(data: any) {
+    return this.request<any>('/auth/profile', {
+      method: 'PUT',
+      body: JSON.stringify(data),
+    });
+  }
+
+  async changePassword(currentPassword: string, newPassword: string) {
+    return this.request<any>('/auth/password', {
+      method: 'PUT',
+      body: JSON.stringify({ currentPassword, newPassword }),
+    });
+  }
+
+  // Container methods
+  async getContainers(teamId?: number | null) {
+    return this.request<any[]>(teamId ? `/containers?team_id=${teamId}` : '/containers');
+  }
+
+  async getContainer(id: string) {
+    return this.request<any>(`/containers/${id}`);
+  }
+
+  async createContainer(data: any) {
+    return this.request<any>('/containers', {
+      method: 'POST',
+      body: JSON.stringify(data),
+    });
+  }
+
+  async updateContainer(id: string, data: any) {
+    return this.request<any>(`/containers/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(data),
+    });
+  }
+
+  async deleteContainer(id: string) {
+    return this.request<any>(`/containers/${id}`, {
+      method: 'DELETE',
+    });
+  }
+
+  async startContainer(id: string) {
+    return this.request<any>(`/containers/${id}/start`, {
+      method: 'POST',
+    });
+  }
+
+  async stopContainer(id: string) {
+    return this.request<any>(`/containers/${id}/stop`, {
+      method: 'POST',
+    });
+  }
+
+  async restartContainer(id: string) {
+    return this.request<any>(`/containers/${id}/restart`, {
+      method: 'POST',
+    });
+  }
+
+  async updateContainerResources(id: string, resources: ContainerResourceUpdate) {
+    return this.request<{ message: string; container: Record<string, unknown>; applied: boolean }>(`/containers/${id}/resources`, {
+      method: 'PUT',
+      body: JSON.stringify(resources),
+    });
+  }
+
+  async previewReconcile(id: string) {
+    return this.request<ReconcilePlan>(`/containers/${id}/reconcile`);
+  }
+
+  async reconcileContainer(id: string) {
+    return this.request<ReconcilePlan & { message: string; applied: boolean }>(`/containers/${id}/reconcile`, {
+      method: 'POST',
+    });
+  }
+
+  async transferContainer(id: string, teamId: number | null) {
+    return this.request<{ message: string; container: Record<string, unknown> }>(`/containers/${id}/transfer`, {
+      method: 'POST',
+      body: JSON.stringify({ team_id: teamId }),
+    });
+  }
+
+  async getContainerPermissions(id: string) {
+    return this.request<{ owner_id: number; permissions: ContainerPermission[] }>(`/containers/${id}/permissions`);
+  }
+
+  async grantContainerPermission(id: string, grant: { user_id?: number; username?: string; team_id?: number; role: ContainerRole }) {
+    return this.request<{ message: string; permission: ContainerPermission }>(`/containers/${id}/permissions`, {
+      method: 'POST',
+      body: JSON.stringify(grant),
+    });
+  }
+
+  async revokeContainerPermission(id: string, permissionId: number) {
+    return this.request<{ message: string }>(`/containers/${id}/permissions/${permissionId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  async getContainerMetrics(id: string, range = '1h', step?: string) {
+    const params = new URLSearchParams({ range });
+    if (step) params.append('step', step);
+    return this.request<MetricsHistory>(`/containers/${id}/metrics?${params.toString()}`);
+  }
+
+  // Team methods
+  async getTeams() {
+    return this.request<{ teams: Team[]; total: number }>('/teams');
+  }
+
+  async getTeam(id: number) {
+    return this.request<{ team: Team; members: TeamMember[] }>(`/teams/${id}`);
+  }
+
+  async createTeam(data: { name: string; description?: string } & QuotaInput) {
+    return this.request<{ message: string; team: Team }>('/teams', {
+      method: 'POST',
+      body: JSON.stringify(data),
+    });
+  }
+
+  async updateTeam(id: number, data: { name?: string; description?: string } & QuotaInput) {
+    return this.request<{ message: string; team: Team }>(`/teams/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(data),
+    });
+  }
+
+  async deleteTeam(id: number) {
+    return this.request<{ message: string }>(`/teams/${id}`, {
+      method: 'DELETE',
+    });
+  }
+
+  async addTeamMember(id: number, member: { user_id?: number; username?: string; role: ContainerRole }) {
+    return this.request<{ message: string; members: TeamMember[] }>(`/teams/${id}/members`, {
+      method: 'POST',
+      body: JSON.stringify(member),
+    });
+  }
+
+  async updateTeamMember(id: number, userId: number, role: ContainerRole) {
+    return this.request<{ message: string; members: TeamMember[] }>(`/teams/${id}/members/${userId}`, {
+      method: 'PUT',
+      body: JSON.stringify({ role }),
+    });
+  }
+
+  async removeTeamMember(id: number, userId: number) {
+    return this.request<{ message: string }>(`/teams/${id}/members/${userId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  async getTeamQuota(id: number) {
+    return this.request<{ limits: QuotaLimits; usage: QuotaUsage }>(`/teams/${id}/quota`);
+  }
+
+  // User administration methods
+  async getUsers(params: { page?: number; limit?: number; search?: string; role?: UserRole } = {}) {
+    const query = new URLSearchParams();
+    Object.entries(params).forEach(([key, value]) => {
+      if (value !== undefined && value !== '') query.append(key, String(value));
+    });
+    return this.request<{
+      users: ManagedUser[];
+      pagination: { page: number; limit: number; total: number; pages: number };
+    }>(`/users?${query.toString()}`);
+  }
+
+  async getUserStats() {
+    return this.request<{ stats: UserStats }>('/users/stats');
+  }
+
+  async createUser(data: { username: string; password: string; email?: string; role: UserRole }) {
+    return this.request<{ message: string; user: ManagedUser }>('/users', {
+      method: 'POST',
+      body: JSON.stringify(data),
+    });
+  }
+
+  async updateUser(id: number, data: { username?: string; email?: string; role?: UserRole }) {
+    return this.request<{ message: string; user: ManagedUser }>(`/users/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(data),
+    });
+  }
+
+  async setUserDisabled(id: number, disabled: boolean) {
+    return this.request<{ message: string; user: ManagedUser }>(`/users/${id}/${disabled ? 'disable' : 'enable'}`, {
+      method: 'POST',
+    });
+  }
+
+  async resetUserPassword(id: number, password?: string) {
+    return this.request<{ message: string; temporary_password?: string }>(`/users/${id}/reset-password`, {
+      method: 'POST',
+      body: JSON.stringify(password ? { password } : {}),
+    });
+  }
+
+  async resetUserTwoFactor(id: number) {
+    return this.request<{ message: string }>(`/users/${id}/reset-2fa`, {
+      method: 'POST',
+    });
+  }
+
+  async getLockouts() {
+    return this.request<{ lockouts: LoginLockout[]; total: number; policy: LoginProtectionPolicy }>('/users/lockouts');
+  }
+
+  async getLoginAttempts(params: { username?: string; ip_address?: string; success?: boolean; limit?: number } = {}) {
+    const query = new URLSearchParams();
+    Object.entries(params).forEach(([key, value]) => {
+      if (value !== undefined && value !== '') query.append(key, String(value));
+    });
+    return this.request<{ attempts: LoginAttemptRecord[]; total: number }>(`/users/login-attempts?${query.toString()}`);
+  }
+
+  async unlockUser(id: number) {
+    return this.request<{ message: string }>(`/users/${id}/unlock`, {
+      method: 'POST',
+    });
+  }
+
+  async getTwoFactorPolicy() {
+    return this.request<{ policy: TwoFactorPolicy }>('/users/two-factor-policy');
+  }
+
+  async updateTwoFactorPolicy(policy: TwoFactorPolicy) {
+    return this.request<{ message: string; policy: TwoFactorPolicy }>('/users/two-factor-policy', {
+      method: 'PUT',
+      body: JSON.stringify({ policy }),
+    });
+  }
+
+  async deleteUser(id: number) {
+    return this.request<{ message: string }>(`/users/${id}`, {
+      method: 'DELETE',
+    });
+  }
+
+  // Personal access token methods
+  async getApiTokens(userId?: number) {
+    const query = userId ? `?user_id=${userId}` : '';
+    return this.request<{ tokens: ApiToken[]; total: number; scopes: string[] }>(`/tokens${query}`);
+  }
+
+  async createApiToken(data: { name: string; scopes: string[]; expires_in_days?: number | null }) {
+    return this.request<{ message: string; api_token: ApiToken; token: string }>('/tokens', {
+      method: 'POST',
+      body: JSON.stringify(data),
+    });
+  }
+
+  async revokeApiToken(id: number) {
+    return this.request<{ message: string }>(`/tokens/${id}`, {
+      method: 'DELETE',
+    });
+  }
 
-  constructor() {
-    this.token = localStorage.getItem('auth_token');
+  // Audit log methods
+  async getAuditEvents(params: AuditFilters & { page?: number; limit?: number } = {}) {
+    const query = new URLSearchParams();
+    Object.entries(params).forEach(([key, value]) => {
+      if (value !== undefined && value !== '') query.append(key, String(value));
+    });
+    return this.request<{
+      events: AuditEvent[];
+      pagination: { page: number; limit: number; total: number; pages: number };
+    }>(`/audit?${query.toString()}`);
   }
 
-  private async request<T>(
-    endpoint: string,
-    options: RequestInit = {}
-  ): Promise<T> {
-    const url = `${API_BASE_URL}${endpoint}`;
-    
-    const config: RequestInit = {
+  async getAuditEvent(id: number) {
+    return this.request<{ event: AuditEvent }>(`/audit/${id}`);
+  }
+
+  async exportAuditEvents(format: 'csv' | 'json' = 'csv', filters: AuditFilters = {}) {
+    const query = new URLSearchParams({ format });
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value !== undefined && value !== '') query.append(key, String(value));
+    });
+
+    const url = `${API_BASE_URL}/audit/export?${query.toString()}`;
+    const response = await fetch(url, {
       headers: {
-        'Content-Type': 'application/json',
         ...(this.token && { Authorization: `Bearer ${this.token}` }),
-        ...options.headers,
       },
-      ...options,
-    };
-
-    try {
-      const response = await fetch(url, config);
-      
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        throw new Error(errorData.message || `HTTP error! status: ${response.status}`);
-      }
+    });
 
-      return await response.json();
-    } catch (error) {
-      console.error('API request failed:', error);
-      throw error;
+    if (!response.ok) {
+      throw new Error('Failed to export audit log');
     }
+
+    return response.blob();
   }
 
-  // Authentication methods
-  async login(username: string, password: string) {
-    const response = await this.request<{ token: string; user: any }>('/auth/login', {
-      method: 'POST',
-      body: JSON.stringify({ username, password }),
+  // Quota methods
+  async getMyQuota() {
+    return this.request<{ limits: QuotaLimits; usage: QuotaUsage }>('/quotas/me');
+  }
+
+  async getUserQuota(userId: number) {
+    return this.request<UserQuota>(`/quotas/users/${userId}`);
+  }
+
+  async updateUserQuota(userId: number, quota: QuotaInput) {
+    return this.request<UserQuota & { message: string }>(`/quotas/users/${userId}`, {
+      method: 'PUT',
+      body: JSON.stringify(quota),
     });
-    
-    this.token = response.token;
-    localStorage.setItem('auth_token', response.token);
-    
-    return response;
   }
 
-  async logout() {
-    try {
-      await this.request('/auth/logout', { method: 'POST' });
-    } finally {
-      this.token = null;
-      localStorage.removeItem('auth_token');
-    }
+  async resetUserQuota(userId: number) {
+    return this.request<UserQuota & { message: string }>(`/quotas/users/${userId}`, {
+      method: 'DELETE',
+    });
   }
 
-  async getProfile() {
-    return this.request<any>('/auth/profile');
+  // Template methods
+  async getTemplates() {
+    return this.request<{ templates: ContainerTemplate[]; total: number }>('/templates');
   }
 
-  async updateProfile(data: any) {
-    return this.request<any>('/auth/profile', {
-      method: 'PUT',
+  async createTemplate(data: Partial<ContainerTemplate>) {
+    return this.request<{ template: ContainerTemplate }>('/templates', {
+      method: 'POST',
       body: JSON.stringify(data),
     });
   }
 
-  async changePassword(currentPassword: string, newPassword: string) {
-    return this.request<any>('/auth/password', {
+  async updateTemplate(id: number, data: Partial<ContainerTemplate>) {
+    return this.request<{ template: ContainerTemplate }>(`/templates/${id}`, {
       method: 'PUT',
-      body: JSON.stringify({ currentPassword, newPassword }),
+      body: JSON.stringify(data),
     });
   }
 
-  // Container methods
-  async getContainers() {
-    return this.request<any[]>('/containers');
+  async deleteTemplate(id: number) {
+    return this.request<{ message: string }>(`/templates/${id}`, {
+      method: 'DELETE',
+    });
   }
 
-  async getContainer(id: string) {
-    return this.request<any>(`/containers/${id}`);
+  async exportTemplate(id: number, format: 'json' | 'yaml' = 'json') {
+    const url = `${API_BASE_URL}/templates/${id}/export?format=${format}`;
+    const response = await fetch(url, {
+      headers: {
+        ...(this.token && { Authorization: `Bearer ${this.token}` }),
+      },
+    });
+
+    if (!response.ok) {
+      throw new Error('Failed to export template');
+    }
+
+    return response.blob();
   }
 
-  async createContainer(data: any) {
-    return this.request<any>('/containers', {
+  async importTemplates(content: string, format?: 'json' | 'yaml', onConflict: 'skip' | 'overwrite' = 'skip') {
+    return this.request<TemplateImportResult>('/templates/import', {
+      method: 'POST',
+      body: JSON.stringify({ content, format, on_conflict: onConflict }),
+    });
+  }
+
+  // Image methods
+  async getImages() {
+    return this.request<{ images: DockerImage[]; total: number }>('/images');
+  }
+
+  async inspectImage(name: string) {
+    return this.request<{ image: DockerImageDetails }>(`/images/${encodeURIComponent(name)}`);
+  }
+
+  async pullImage(image: string) {
+    return this.request<{ message: string; image: DockerImageDetails }>('/images/pull', {
+      method: 'POST',
+      body: JSON.stringify({ image }),
+    });
+  }
+
+  async tagImage(name: string, repo: string, tag = 'latest') {
+    return this.request<{ message: string; tag: string }>(`/images/${encodeURIComponent(name)}/tag`, {
+      method: 'POST',
+      body: JSON.stringify({ repo, tag }),
+    });
+  }
+
+  async removeImage(name: string, force = false) {
+    const query = force ? '?force=true' : '';
+    return this.request<{ message: string }>(`/images/${encodeURIComponent(name)}${query}`, {
+      method: 'DELETE',
+    });
+  }
+
+  // Network methods
+  async getNetworks() {
+    return this.request<{ networks: DockerNetwork[]; total: number }>('/networks');
+  }
+
+  async inspectNetwork(id: string) {
+    return this.request<{ network: DockerNetworkDetails }>(`/networks/${encodeURIComponent(id)}`);
+  }
+
+  async createNetwork(data: { name: string; driver?: string; internal?: boolean; subnet?: string; gateway?: string }) {
+    return this.request<{ message: string; network: DockerNetworkDetails }>('/networks', {
       method: 'POST',
       body: JSON.stringify(data),
     });
   }
 
-  async updateContainer(id: string, data: any) {
-    return this.request<any>(`/containers/${id}`, {
-      method: 'PUT',
+  async removeNetwork(id: string) {
+    return this.request<{ message: string }>(`/networks/${encodeURIComponent(id)}`, {
+      method: 'DELETE',
+    });
+  }
+
+  async attachContainerToNetwork(networkId: string, containerId: string, aliases: string[] = []) {
+    return this.request<{ message: string; network: string; aliases: string[] }>(
+      `/networks/${encodeURIComponent(networkId)}/containers/${containerId}`,
+      {
+        method: 'POST',
+        body: JSON.stringify({ aliases }),
+      }
+    );
+  }
+
+  async detachContainerFromNetwork(networkId: string, containerId: string) {
+    return this.request<{ message: string; network: string }>(
+      `/networks/${encodeURIComponent(networkId)}/containers/${containerId}`,
+      {
+        method: 'DELETE',
+      }
+    );
+  }
+
+  // Volume methods
+  async getVolumes() {
+    return this.request<{ volumes: DockerVolume[]; total: number }>('/volumes');
+  }
+
+  async inspectVolume(name: string) {
+    return this.request<{ volume: DockerVolumeDetails }>(`/volumes/${encodeURIComponent(name)}`);
+  }
+
+  async createVolume(data: { name: string; driver?: string }) {
+    return this.request<{ message: string; volume: DockerVolumeDetails }>('/volumes', {
+      method: 'POST',
       body: JSON.stringify(data),
     });
   }
 
-  async deleteContainer(id: string) {
-    return this.request<any>(`/containers/${id}`, {
+  async removeVolume(name: string) {
+    return this.request<{ message: string }>(`/volumes/${encodeURIComponent(name)}`, {
       method: 'DELETE',
     });
   }
 
-  async startContainer(id: string) {
-    return this.request<any>(`/containers/${id}/start`, {
+  async mountVolume(name: string, containerId: string, mountPath: string, readOnly = false) {
+    return this.request<{ message: string; volume: string; docker_id: string; mount_path: string; read_only: boolean }>(
+      `/volumes/${encodeURIComponent(name)}/containers/${containerId}`,
+      {
+        method: 'POST',
+        body: JSON.stringify({ mountPath, readOnly }),
+      }
+    );
+  }
+
+  async unmountVolume(name: string, containerId: string) {
+    return this.request<{ message: string; volume: string; docker_id: string }>(
+      `/volumes/${encodeURIComponent(name)}/containers/${containerId}`,
+      {
+        method: 'DELETE',
+      }
+    );
+  }
+
+  // Snapshot methods
+  async getSnapshots(containerId: string) {
+    return this.request<{ snapshots: ContainerSnapshot[]; total: number; retention: number }>(`/snapshots/${containerId}`);
+  }
+
+  async createSnapshot(containerId: string, options: { description?: string; pause?: boolean } = {}) {
+    return this.request<{ message: string; snapshot: ContainerSnapshot; pruned: number[] }>(`/snapshots/${containerId}`, {
       method: 'POST',
+      body: JSON.stringify(options),
     });
   }
 
-  async stopContainer(id: string) {
-    return this.request<any>(`/containers/${id}/stop`, {
+  async restoreSnapshot(containerId: string, snapshotId: number) {
+    return this.request<{ message: string; snapshot: ContainerSnapshot; docker_id: string }>(
+      `/snapshots/${containerId}/${snapshotId}/restore`,
+      {
+        method: 'POST',
+      }
+    );
+  }
+
+  async pruneSnapshots(containerId: string, keep?: number) {
+    return this.request<{ message: string; keep: number; pruned: number[] }>(`/snapshots/${containerId}/prune`, {
       method: 'POST',
+      body: JSON.stringify(keep === undefined ? {} : { keep }),
     });
   }
 
-  async restartContainer(id: string) {
-    return this.request<any>(`/containers/${id}/restart`, {
+  async deleteSnapshot(containerId: string, snapshotId: number) {
+    return this.request<{ message: string }>(`/snapshots/${containerId}/${snapshotId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  // Stack methods
+  async getStacks() {
+    return this.request<{ stacks: Stack[]; total: number }>('/stacks');
+  }
+
+  async getStack(id: string) {
+    return this.request<{ stack: Stack }>(`/stacks/${id}`);
+  }
+
+  async createStack(name: string, compose: string, start = false) {
+    return this.request<{ message: string; stack: Stack }>('/stacks', {
+      method: 'POST',
+      body: JSON.stringify({ name, compose, start }),
+    });
+  }
+
+  async startStack(id: string) {
+    return this.request<{ message: string; status: string }>(`/stacks/${id}/start`, {
+      method: 'POST',
+    });
+  }
+
+  async stopStack(id: string) {
+    return this.request<{ message: string; status: string }>(`/stacks/${id}/stop`, {
+      method: 'POST',
+    });
+  }
+
+  async deleteStack(id: string, removeVolumes = false) {
+    const query = removeVolumes ? '?remove_volumes=true' : '';
+    return this.request<{ message: string }>(`/stacks/${id}${query}`, {
+      method: 'DELETE',
+    });
+  }
+
+  // Alert methods
+  async getAlertRules() {
+    return this.request<{ rules: AlertRule[]; total: number }>('/alerts/rules');
+  }
+
+  async createAlertRule(rule: Partial<AlertRule>) {
+    return this.request<{ message: string; rule: AlertRule }>('/alerts/rules', {
+      method: 'POST',
+      body: JSON.stringify(rule),
+    });
+  }
+
+  async updateAlertRule(id: number, rule: Partial<AlertRule>) {
+    return this.request<{ message: string; rule: AlertRule }>(`/alerts/rules/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(rule),
+    });
+  }
+
+  async deleteAlertRule(id: number) {
+    return this.request<{ message: string }>(`/alerts/rules/${id}`, {
+      method: 'DELETE',
+    });
+  }
+
+  async testAlertRule(id: number) {
+    return this.request<{ message: string; results: { type: string; success: boolean; error?: string }[] }>(
+      `/alerts/rules/${id}/test`,
+      { method: 'POST' }
+    );
+  }
+
+  async getAlerts(params?: { status?: Alert['status']; rule_id?: number; container_id?: string; limit?: number }) {
+    const searchParams = new URLSearchParams();
+    if (params) {
+      Object.entries(params).forEach(([key, value]) => {
+        if (value !== undefined) searchParams.append(key, value.toString());
+      });
+    }
+
+    const query = searchParams.toString();
+    return this.request<{ alerts: Alert[]; total: number }>(`/alerts${query ? `?${query}` : ''}`);
+  }
+
+  // Webhook methods
+  async getWebhooks(containerId?: string) {
+    const query = containerId ? `?container_id=${encodeURIComponent(containerId)}` : '';
+    return this.request<{ webhooks: Webhook[]; total: number; events: WebhookEvent[] }>(`/webhooks${query}`);
+  }
+
+  async createWebhook(webhook: Partial<Webhook> & { secret?: string }) {
+    return this.request<{ message: string; webhook: Webhook; secret: string }>('/webhooks', {
+      method: 'POST',
+      body: JSON.stringify(webhook),
+    });
+  }
+
+  async updateWebhook(id: number, webhook: Partial<Webhook>) {
+    return this.request<{ message: string; webhook: Webhook }>(`/webhooks/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(webhook),
+    });
+  }
+
+  async deleteWebhook(id: number) {
+    return this.request<{ message: string }>(`/webhooks/${id}`, {
+      method: 'DELETE',
+    });
+  }
+
+  async rotateWebhookSecret(id: number) {
+    return this.request<{ message: string; secret: string }>(`/webhooks/${id}/rotate-secret`, {
       method: 'POST',
     });
   }
 
+  async getWebhookDeliveries(id: number, limit = 50) {
+    return this.request<{ deliveries: WebhookDelivery[]; total: number }>(`/webhooks/${id}/deliveries?limit=${limit}`);
+  }
+
+  async testWebhook(id: number) {
+    return this.request<{ message: string; delivery: Omit<WebhookDelivery, 'id' | 'webhook_id' | 'created_at'> }>(
+      `/webhooks/${id}/test`,
+      { method: 'POST' }
+    );
+  }
+
   // Log methods
   async getContainerLogs(id: string, options: { lines?: number; since?: string } = {}) {
     const params = new URLSearchParams();
@@ -313,6 +1553,76 @@ class ApiService {
     return ws;
   }
 
+  // Open an interactive TTY shell via WebSocket
+  createTerminalWebSocket(
+    containerId: string,
+    options: { cols?: number; rows?: number; shell?: string; workingDir?: string } = {}
+  ): WebSocket {
+    const wsUrl = `${API_BASE_URL.replace('http', 'ws')}/logs/${containerId}/stream`;
+    const ws = new WebSocket(wsUrl);
+
+    ws.onopen = () => {
+      if (this.token) {
+        ws.send(JSON.stringify({
+          type: 'authenticate',
+          token: this.token
+        }));
+      }
+
+      ws.send(JSON.stringify({
+        type: 'open_terminal',
+        container_id: containerId,
+        shell: options.shell,
+        working_dir: options.workingDir,
+        cols: options.cols,
+        rows: options.rows
+      }));
+    };
+
+    return ws;
+  }
+
+  createImagePullWebSocket(image: string): WebSocket {
+    const wsUrl = `${API_BASE_URL.replace('http', 'ws')}/images/pull/stream`;
+    const ws = new WebSocket(wsUrl);
+
+    ws.onopen = () => {
+      if (this.token) {
+        ws.send(JSON.stringify({
+          type: 'authenticate',
+          token: this.token
+        }));
+      }
+
+      ws.send(JSON.stringify({
+        type: 'pull_image',
+        image
+      }));
+    };
+
+    return ws;
+  }
+
+  createAlertWebSocket(): WebSocket {
+    const wsUrl = `${API_BASE_URL.replace('http', 'ws')}/alerts/stream`;
+    const ws = new WebSocket(wsUrl);
+
+    ws.onopen = () => {
+      if (this.token) {
+        ws.send(JSON.stringify({
+          type: 'authenticate',
+          token: this.token
+        }));
+      }
+
+      ws.send(JSON.stringify({
+        type: 'subscribe_alerts'
+      }));
+    };
+
+    return ws;
+  }
+
   // Health check
   async healthCheck() {
     const url = `${API_BASE_URL.replace('/api', '')}/health`;